@@ -0,0 +1,52 @@
+/**
+ * Cron Job Runner
+ * Serverless deployments have no long-running worker, so a scheduler
+ * (e.g. Vercel Cron) calls this endpoint to run due jobs
+ */
+// Load environment variables
+require('dotenv').config();
+
+const TelegramBot = require('node-telegram-bot-api');
+const config = require('../config/config');
+const logger = require('../src/utils/logger');
+const { connectToSupabase } = require('../src/services/supabaseService');
+const { recoverJobs, runDueJobs } = require('../src/services/jobWorker');
+
+// Instantiate bot without polling; it is only used to send messages
+const bot = new TelegramBot(config.telegram.token, { polling: false });
+
+// Recovery only needs to run once per warm container
+let jobsRecovered = false;
+
+/**
+ * Handler for the cron endpoint
+ * Requires `Authorization: Bearer <CRON_SECRET>` (sent automatically by Vercel Cron)
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+module.exports = async (req, res) => {
+  if (!config.jobs.cronSecret) {
+    logger.error('Cron endpoint called but CRON_SECRET is not configured');
+    return res.status(503).send('Cron is not configured');
+  }
+  
+  if (req.headers.authorization !== `Bearer ${config.jobs.cronSecret}`) {
+    logger.warn('Rejected cron request with invalid credentials');
+    return res.status(401).send('Unauthorized');
+  }
+  
+  try {
+    await connectToSupabase();
+    
+    if (!jobsRecovered) {
+      await recoverJobs();
+      jobsRecovered = true;
+    }
+    
+    const result = await runDueJobs(bot);
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error running cron jobs:', error);
+    return res.status(500).send('Error running jobs');
+  }
+};
@@ -12,10 +12,15 @@ const { connectToSupabase } = require('../src/services/supabaseService');
 const { setupMiddleware } = require('../src/bot/middleware');
 const { initializeCommands } = require('../src/bot/commands');
 const { setupCallbackHandlers } = require('../src/bot/callbackHandlers');
+const { setupConversationHandlers } = require('../src/bot/conversations');
 
 // Instantiate bot in webhook (no polling) mode
 const bot = new TelegramBot(config.telegram.token, { polling: false });
 
+// Warm invocations reuse this module, so handlers must only be attached once.
+// Conversation state is kept in the database rather than in memory.
+let handlersInitialized = false;
+
 /**
  * Handler for Telegram webhook endpoint
  * @param {import('http').IncomingMessage} req
@@ -27,9 +32,13 @@ module.exports = async (req, res) => {
       // Connect to database
       await connectToSupabase();
       // Ensure bot middleware and commands are initialized
-      setupMiddleware(bot);
-      initializeCommands(bot);
-      setupCallbackHandlers(bot);
+      if (!handlersInitialized) {
+        setupMiddleware(bot);
+        initializeCommands(bot);
+        setupCallbackHandlers(bot);
+        setupConversationHandlers(bot);
+        handlersInitialized = true;
+      }
       // Process the incoming update
       await bot.processUpdate(req.body);
       return res.status(200).send('OK');
@@ -107,10 +107,25 @@ const config = {
     } else {
       callbackUrl = `http://localhost:${process.env.PORT || 3000}/twitter/callback`;
     }
+    // One slot is always kept free of background work, so a single slot would leave it none
+    const maxConcurrentRequests = parseInt(process.env.TWITTER_MAX_CONCURRENT_REQUESTS || '4', 10);
+    if (!(maxConcurrentRequests >= 2)) {
+      throw new Error('TWITTER_MAX_CONCURRENT_REQUESTS must be at least 2. Please check your .env file.');
+    }
     return {
       apiKey: clientId,
       apiSecret: clientSecret,
-      callbackUrl
+      callbackUrl,
+      // Twitter tasks run at once; the rest wait in a queue, user-facing ones first
+      maxConcurrentRequests,
+      // Of those, how many sweeps and refreshes may take, so one waiting on a rate limit can't hold up Verify
+      maxBackgroundRequests: parseInt(process.env.TWITTER_MAX_BACKGROUND_REQUESTS || '2', 10),
+      // Longest a request waits for a rate limit window to reset before failing (5 minutes)
+      maxRateLimitWait: parseInt(process.env.TWITTER_MAX_RATE_LIMIT_WAIT || '300000', 10),
+      // Retries of a rate-limited request
+      maxRetries: parseInt(process.env.TWITTER_MAX_RETRIES || '3', 10),
+      // Backoff before retrying when Twitter sends no reset time, doubled on each attempt (2 seconds)
+      retryBaseDelay: parseInt(process.env.TWITTER_RETRY_BASE_DELAY || '2000', 10)
     };
   })(),
   
@@ -132,12 +147,53 @@ const config = {
       comment: parseInt(process.env.XP_COMMENT || '15', 10),
       commentWithImage: parseInt(process.env.XP_COMMENT_IMAGE || '20', 10),
       commentWithGif: parseInt(process.env.XP_COMMENT_GIF || '25', 10),
-      bookmark: parseInt(process.env.XP_BOOKMARK || '5', 10)
+      quote: parseInt(process.env.XP_QUOTE || '20', 10),
+      quoteWithMedia: parseInt(process.env.XP_QUOTE_MEDIA || '30', 10),
+      bookmark: parseInt(process.env.XP_BOOKMARK || '5', 10),
+      // Paid once per followed account per campaign (or group, for raids outside a campaign); 0 disables
+      follow: parseInt(process.env.XP_FOLLOW || '20', 10)
     },
+    // Share of comment XP kept when a comment breaks one of the raid's comment rules
+    commentRuleMultiplier: parseFloat(process.env.XP_COMMENT_RULE_MULTIPLIER || '0.25'),
+    // Comments at least this similar (0-1) to another raider's comment on the raid earn no XP (0 disables)
+    duplicateCommentSimilarity: parseFloat(process.env.DUPLICATE_COMMENT_SIMILARITY || '0.85'),
     // Default threshold for campaigns
     defaultThreshold: parseInt(process.env.DEFAULT_XP_THRESHOLD || '1000', 10)
   },
   
+  // Participation streaks per group: consecutive days (UTC) and consecutive raids with a verified action
+  streaks: {
+    // Bonus XP for each day a day streak has run past the first, paid daily and capped (0 disables)
+    dayBonusXp: parseInt(process.env.STREAK_DAY_BONUS_XP || '5', 10),
+    dayBonusMax: parseInt(process.env.STREAK_DAY_BONUS_MAX || '50', 10),
+    // Bonus XP for each raid a raid streak has run past the first, paid per raid and capped (0 disables)
+    raidBonusXp: parseInt(process.env.STREAK_RAID_BONUS_XP || '2', 10),
+    raidBonusMax: parseInt(process.env.STREAK_RAID_BONUS_MAX || '20', 10),
+    // DM users whose streak is about to end
+    reminders: process.env.STREAK_REMINDERS !== 'false',
+    // Shortest streak worth a reminder
+    reminderMinStreak: parseInt(process.env.STREAK_REMINDER_MIN || '3', 10),
+    // How long before midnight UTC day streaks not yet kept that day are reminded (4 hours)
+    reminderHoursLeft: parseInt(process.env.STREAK_REMINDER_HOURS_LEFT || '4', 10)
+  },
+  
+  // Levels earned from total XP, and the ranks named after them
+  levels: {
+    // XP needed to go from level 1 to level 2
+    baseXp: parseInt(process.env.LEVEL_BASE_XP || '100', 10),
+    // Each level needs this many times the XP of the level before it
+    growth: parseFloat(process.env.LEVEL_XP_GROWTH || '1.25'),
+    // Ranks as comma-separated "level=Name" pairs; a rank lasts until the next rank's level
+    ranks: (process.env.LEVEL_RANKS || '1=Recruit,3=Raider,5=Striker,8=Veteran,12=Elite,16=Raid Captain')
+      .split(',')
+      .map(rank => rank.split('='))
+      .map(([level, name]) => ({ level: parseInt(level, 10), name: (name || '').trim() }))
+      .filter(rank => rank.level >= 1 && rank.name)
+      .sort((a, b) => a.level - b.level),
+    // Announce level-ups in the group, unless its admins turn them off with /levelups off
+    announcements: process.env.LEVEL_UP_ANNOUNCEMENTS !== 'false'
+  },
+  
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug')
@@ -147,6 +203,67 @@ const config = {
   security: {
     // Max age for OAuth states (1 hour)
     oauthStateMaxAge: parseInt(process.env.OAUTH_STATE_MAX_AGE || '3600000', 10)
+  },
+  
+  // Conversation sessions (multi-step flows such as the /dropraid wizard)
+  sessions: {
+    // Idle time before an unfinished conversation expires (15 minutes)
+    timeout: parseInt(process.env.SESSION_TIMEOUT || '900000', 10)
+  },
+  
+  // Background jobs (raid ends, campaign checks, reminders)
+  jobs: {
+    // How often the in-process worker polls for due jobs (15 seconds)
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL || '15000', 10),
+    // How long a claimed job is leased before another worker may retry it (5 minutes)
+    leaseDuration: parseInt(process.env.JOB_LEASE_DURATION || '300000', 10),
+    // Maximum jobs claimed per poll
+    batchSize: parseInt(process.env.JOB_BATCH_SIZE || '10', 10),
+    // Base delay before retrying a failed job, doubled on each attempt (1 minute)
+    retryDelay: parseInt(process.env.JOB_RETRY_DELAY || '60000', 10),
+    // Shared secret required by the /api/cron endpoint
+    cronSecret: process.env.CRON_SECRET || null
+  },
+  
+  // Where tweets and engagement are read from
+  engagement: {
+    // "twitter" for the Twitter API, or "mock" for the in-memory provider used in CI and demos
+    provider: process.env.ENGAGEMENT_PROVIDER || 'twitter',
+    // JSON fixtures for the mock provider (without one, every user likes, retweets, replies and follows)
+    mockFixtures: process.env.MOCK_ENGAGEMENT_FIXTURES || null
+  },
+  
+  // Live raid announcements
+  raids: {
+    // How often an active raid's announcement is refreshed (1 minute)
+    statusRefreshInterval: parseInt(process.env.RAID_STATUS_REFRESH_INTERVAL || '60000', 10),
+    // Minimum gap between edits of the same announcement, to stay inside Telegram's edit limits (15 seconds)
+    statusMinEditInterval: parseInt(process.env.RAID_STATUS_MIN_EDIT_INTERVAL || '15000', 10),
+    // Pin announcements while the raid runs (the bot needs the pin messages right)
+    pinAnnouncements: process.env.RAID_PIN_ANNOUNCEMENTS === 'true',
+    // How often active raids are swept for likes, retweets and replies by linked users (5 minutes, 0 disables)
+    sweepInterval: parseInt(process.env.RAID_SWEEP_INTERVAL || '300000', 10),
+    // Pages of up to 100 results read per list in each sweep
+    sweepMaxPages: parseInt(process.env.RAID_SWEEP_MAX_PAGES || '5', 10),
+    // Pages of up to 100 results read per list when a user verifies their own actions
+    verifyMaxPages: parseInt(process.env.RAID_VERIFY_MAX_PAGES || '5', 10),
+    // Re-check verified actions when a raid ends and reverse the XP of undone ones
+    finalRecheck: process.env.RAID_FINAL_RECHECK !== 'false',
+    // Re-check every raid of a campaign again when the campaign ends
+    campaignFinalRecheck: process.env.CAMPAIGN_FINAL_RECHECK === 'true',
+    // Pages of up to 100 results read per list in a final re-check
+    recheckMaxPages: parseInt(process.env.RAID_RECHECK_MAX_PAGES || '20', 10),
+    // When to remind the group about a raid: a share of the duration elapsed ("50%")
+    // or time left ("10m"), comma-separated
+    reminders: (process.env.RAID_REMINDERS || '50%,10m')
+      .split(',')
+      .map(reminder => reminder.trim())
+      .filter(Boolean),
+    // Telegram user IDs (comma-separated) who may keep posting while a raid locks the chat
+    lockdownAllowlist: (process.env.RAID_LOCKDOWN_ALLOWLIST || '')
+      .split(',')
+      .map(id => parseInt(id.trim(), 10))
+      .filter(id => !Number.isNaN(id))
   }
 };
 
@@ -11,7 +11,10 @@ const TelegramBot = require('node-telegram-bot-api');
 const express = require('express');
 const { initializeCommands } = require('./src/bot/commands');
 const { setupMiddleware } = require('./src/bot/middleware');
+const { setupCallbackHandlers } = require('./src/bot/callbackHandlers');
+const { setupConversationHandlers } = require('./src/bot/conversations');
 const { connectToSupabase } = require('./src/services/supabaseService');
+const { startJobWorker } = require('./src/services/jobWorker');
 const logger = require('./src/utils/logger');
 
 // Environment check function
@@ -98,6 +101,15 @@ connectToSupabase()
     // Register all bot commands
     initializeCommands(bot);
     
+    // Register button and conversation (text reply) handlers
+    setupCallbackHandlers(bot);
+    setupConversationHandlers(bot);
+    
+    // Run scheduled jobs (raid ends, campaign checks, reminders), catching up on any missed while offline
+    startJobWorker(bot).catch(error => {
+      logger.error(`Failed to start job worker: ${error.message}`);
+    });
+    
     // Only boot HTTP routes & listener in production
     if (process.env.NODE_ENV === 'production') {
       // Health check
@@ -4,12 +4,21 @@
  */
 
 const logger = require('../utils/logger');
-const { Raid } = require('../models/raidModel');
+const { Raid, RaidStatus, formatXpWeights } = require('../models/raidModel');
 const { Campaign } = require('../models/campaignModel');
 const User = require('../models/userModel');
-const raidService = require('../services/raidService');
+const raidService = require('../services/raidServices');
 const suiService = require('../services/suiService');
+const { isUserAdminInGroup, getUsersByTelegramIds } = require('../services/userService');
+const { generateTwitterAuthUrl } = require('../services/twitterService');
 const helpers = require('../utils/helpers');
+const raidWizard = require('./raidWizard');
+const raidControls = require('./raidControls');
+const raidQueue = require('./raidQueue');
+const raidTemplates = require('./raidTemplates');
+const templateService = require('../services/templateService');
+const levelService = require('../services/levelService');
+const achievementService = require('../services/achievementService');
 
 /**
  * Set up callback query handlers
@@ -52,6 +61,14 @@ const setupCallbackHandlers = (bot) => {
         await handleTokenTypeCallback(bot, query);
       } else if (data.startsWith('reward_model_')) {
         await handleRewardModelCallback(bot, query);
+      } else if (data.startsWith('raid_wizard_')) {
+        await handleRaidWizardCallback(bot, query);
+      } else if (data.startsWith('endraid_')) {
+        await handleEndRaidCallback(bot, query);
+      } else if (data.startsWith('queue_')) {
+        await handleQueueCallback(bot, query);
+      } else if (data.startsWith('tpl_')) {
+        await handleTemplateCallback(bot, query);
       } else {
         logger.warn(`Unknown callback type: ${data.split('_')[0]} from user ${from.id}`);
       }
@@ -87,8 +104,13 @@ const handleVerifyCallback = async (bot, query) => {
     '⏳ Verifying your Twitter actions... Please wait.');
   
   try {
-    // Verify user actions
-    const verificationResult = await raidService.verifyUserActions(raidId, from.id);
+    // Verify user actions; when Twitter is busy the user waits in line instead of failing
+    const verificationResult = await raidService.verifyUserActions(raidId, from.id, {
+      onQueued: (position) => bot.editMessageText(
+        `⏳ Twitter is busy right now. You're in line, position ${position}. ` +
+        'Your actions will be verified as soon as your turn comes.',
+        { chat_id: from.id, message_id: processingMsg.message_id })
+    });
     
     // Delete processing message
     try {
@@ -107,6 +129,18 @@ const handleVerifyCallback = async (bot, query) => {
           { parse_mode: 'Markdown' });
       }
       
+      if (verificationResult.inProgress) {
+        // Double tap while the first verification is still running
+        return await bot.sendMessage(from.id, `⏳ ${verificationResult.error}`);
+      }
+      
+      if (verificationResult.ineligible) {
+        // Below the rank the group requires; the reasons name ranks, which may need escaping
+        return await bot.sendMessage(from.id,
+          `🔒 *Not eligible yet*\n\n${helpers.escapeMarkdown(verificationResult.error)}`,
+          { parse_mode: 'Markdown' });
+      }
+      
       logger.warn(`Verification failed for user ${from.id}: ${verificationResult.error}`);
       return await bot.sendMessage(from.id, 
         `❌ *Verification failed*\n\n${verificationResult.error}`,
@@ -122,62 +156,171 @@ const handleVerifyCallback = async (bot, query) => {
     } else {
       message += '*Actions detected:*\n';
       
+      const multiTweet = verificationResult.results.tweets.length > 1;
+      
       verificationResult.results.actions.forEach(action => {
         totalXp += action.xp || 0;
         
+        // Say which tweet each action was on for multi-tweet raids
+        const tweetLabel = multiTweet ? ` on tweet ${action.tweetIndex}` : '';
+        
         switch (action.type) {
           case 'like':
-            message += `👍 Like (+${action.xp} XP)\n`;
+            message += `👍 Like${tweetLabel} (+${action.xp} XP)\n`;
             break;
           case 'retweet':
-            message += `🔄 Retweet (+${action.xp} XP)\n`;
+            message += `🔄 Retweet${tweetLabel} (+${action.xp} XP)\n`;
             break;
           case 'comment':
             let commentType = 'Comment';
             if (action.hasMedia) {
               commentType = action.isGif ? 'Comment with GIF' : 'Comment with image';
             }
-            message += `💬 ${commentType} (+${action.xp} XP)\n`;
+            message += `💬 ${commentType}${tweetLabel} (+${action.xp} XP)\n`;
+            
+            // Explain why a comment earned less than usual
+            if (action.commentCheck && !action.commentCheck.passed) {
+              const reasons = helpers.escapeMarkdown(action.commentCheck.reasons.join('; '));
+              message += action.commentCheck.xpMultiplier === 0 ?
+                `   ⛔ No XP: ${reasons}\n` :
+                `   ⚠️ Reduced XP: ${reasons}\n`;
+            }
+            break;
+          case 'quote':
+            message += `🗣 ${action.hasMedia ? 'Quote tweet with media' : 'Quote tweet'}${tweetLabel} (+${action.xp} XP)\n`;
             break;
           case 'bookmark':
-            message += `🔖 Bookmark (+${action.xp} XP)\n`;
+            message += `🔖 Bookmark${tweetLabel} (+${action.xp} XP)\n`;
+            break;
+          case 'follow':
+            message += `👤 Followed @${helpers.escapeMarkdown(action.account)} (+${action.xp} XP)\n`;
             break;
           default:
-            message += `${action.type} (+${action.xp} XP)\n`;
+            message += `${action.type}${tweetLabel} (+${action.xp} XP)\n`;
+        }
+        
+        // Raids with a time bonus pay early actions more
+        if (action.xpMultiplier && action.xpMultiplier !== 1) {
+          message += `   ⚡ ${action.xpMultiplier}x time bonus included\n`;
         }
       });
       
       message += `\n*Total XP earned:* ${totalXp} XP\n`;
     }
     
-    // Add suggestions for undetected actions
-    const hasLike = verificationResult.results?.actions?.some(a => a.type === 'like');
-    const hasRetweet = verificationResult.results?.actions?.some(a => a.type === 'retweet');
-    const hasComment = verificationResult.results?.actions?.some(a => a.type === 'comment');
+    // Streaks this verification kept going, with their bonus XP
+    (verificationResult.results?.streaks || []).forEach(streak => {
+      const label = streak.kind === 'day' ? `${streak.current}-day streak` : `${streak.current}-raid streak`;
+      message += `🔥 ${label}${streak.bonusXp > 0 ? ` (+${streak.bonusXp} bonus XP)` : ''}\n`;
+    });
+    
+    // The XP earned may have taken the user to a new level
+    const levelUp = verificationResult.results?.levelUp;
     
-    if (!hasLike || !hasRetweet || !hasComment) {
-      message += '\n*Suggestions:*\n';
-      
-      if (!hasLike) {
-        message += '• Like the tweet for additional XP\n';
+    if (levelUp) {
+      message += `⬆️ *Level up!* You reached ${helpers.escapeMarkdown(levelService.formatLevel(levelUp.level))}\n`;
+    }
+    
+    // Achievements the verification unlocked
+    const achievements = verificationResult.results?.achievements || [];
+    
+    if (achievements.length > 0) {
+      message += '\n🏅 *Achievement unlocked!*\n' + achievementService.formatAchievements(achievements);
+    }
+    
+    // Each raid can pay its own XP per action
+    if (verificationResult.results?.xpWeights) {
+      message += `*XP per action in this raid:* ${formatXpWeights(verificationResult.results.xpWeights)}\n`;
+    }
+    
+    // Add suggestions for actions not found on Twitter
+    const tweetResults = verificationResult.results?.tweets || [];
+    const suggestions = [];
+    const unconfirmed = [];
+    const singleTweetSuggestions = {
+      like: '• Like the tweet for additional XP\n',
+      retweet: '• Retweet for additional XP\n',
+      comment: '• Add a comment for additional XP\n',
+      quote: '• Quote tweet it for additional XP (more with media)\n',
+      bookmark: '• Bookmark the tweet for additional XP\n'
+    };
+    
+    tweetResults.forEach(tweet => {
+      const notConfirmed = tweet.unconfirmed || [];
+      
+      // Bookmarks are null when they couldn't be checked; actions whose
+      // search stopped at the page limit may have been missed, not skipped
+      const missing = Object.keys(singleTweetSuggestions).filter(type =>
+        tweet.detected[type] === false && !notConfirmed.includes(type));
+      
+      if (notConfirmed.length > 0) {
+        unconfirmed.push(tweetResults.length > 1 ?
+          `• Tweet ${tweet.index}: ${notConfirmed.join(', ')}\n` :
+          `• ${notConfirmed.join(', ')}\n`);
       }
       
-      if (!hasRetweet) {
-        message += '• Retweet for additional XP\n';
+      if (missing.length === 0) return;
+      
+      if (tweetResults.length > 1) {
+        suggestions.push(`• Tweet ${tweet.index}: ${missing.join(', ')} for additional XP\n`);
+      } else {
+        missing.forEach(type => suggestions.push(singleTweetSuggestions[type]));
       }
+    });
+    
+    // Follows are checked once for the whole raid, not per tweet
+    const follow = verificationResult.results?.follow;
+    const followAccount = follow ? `@${helpers.escapeMarkdown(follow.account)}` : '';
+    
+    if (follow && !follow.detected) {
+      if (follow.complete) {
+        suggestions.push(`• Follow ${followAccount} for additional XP\n`);
+      } else {
+        unconfirmed.push(`• follow ${followAccount}\n`);
+      }
+    }
+    
+    if (unconfirmed.length > 0) {
+      message += '\n*Could not confirm:*\n' + unconfirmed.join('') +
+        'You have too much Twitter activity (or follow too many accounts) to search all of it. ' +
+        'These may have been missed rather than not done.\n';
+    }
+    
+    if (suggestions.length > 0) {
+      message += '\n*Suggestions:*\n' + suggestions.join('');
+    }
+    
+    const messageOptions = { parse_mode: 'Markdown' };
+    
+    // Accounts connected before bookmarks were verified have to grant access again
+    if (verificationResult.results?.needsBookmarkConsent) {
+      message += '\n🔖 *Bookmarks not checked*\n' +
+        'Your Twitter connection doesn\'t allow reading bookmarks. ' +
+        'Reconnect your account to earn bookmark XP.\n';
       
-      if (!hasComment) {
-        message += '• Add a comment for additional XP\n';
+      try {
+        const authUrl = await generateTwitterAuthUrl(from.id);
+        messageOptions.reply_markup = {
+          inline_keyboard: [[{ text: '🐦 Reconnect Twitter', url: authUrl }]]
+        };
+      } catch (authError) {
+        logger.warn(`Could not create reconnect link for user ${from.id}: ${authError.message}`);
+        message += 'Use /login to reconnect.\n';
       }
     }
     
     // Send verification results
-    await bot.sendMessage(from.id, message, { parse_mode: 'Markdown' });
+    await bot.sendMessage(from.id, message, messageOptions);
     logger.info(`Verification results sent to user ${from.id} for raid ${raidId}`);
     
-    // Update raid stats in the group
+    // Update raid stats in the group, and announce a level-up there
     try {
       const raid = await Raid.findById(raidId);
+      
+      if (raid && levelUp) {
+        await levelService.announceLevelUps(raid.chatId, [levelUp], bot);
+      }
+      
       if (raid && raid.isActive) {
         await raidService.updateRaidStatusMessage(raidId, bot);
         logger.debug(`Raid stats updated for raid ${raidId}`);
@@ -296,7 +439,18 @@ const handleStatsCallback = async (bot, query) => {
       messageText += `👍 ${stats.actionCounts.like} Likes\n`;
       messageText += `🔄 ${stats.actionCounts.retweet} Retweets\n`;
       messageText += `💬 ${stats.actionCounts.comment} Comments\n`;
-      messageText += `📌 ${stats.actionCounts.bookmark || 0} Bookmarks\n\n`;
+      messageText += `🗣 ${stats.actionCounts.quote} Quote tweets\n`;
+      messageText += `📌 ${stats.actionCounts.bookmark || 0} Bookmarks\n`;
+      messageText += `👤 ${stats.actionCounts.follow || 0} Follows\n\n`;
+      
+      // Per-tweet breakdown for multi-tweet raids
+      if (stats.tweets.length > 1) {
+        messageText += `*Per Tweet:*\n`;
+        stats.tweets.forEach(tweet => {
+          messageText += `${tweet.index}. 👍 ${tweet.actionCounts.like} · 🔄 ${tweet.actionCounts.retweet} · 💬 ${tweet.actionCounts.comment} · 🗣 ${tweet.actionCounts.quote} (${tweet.completionPercentage}%)\n`;
+        });
+        messageText += `\n`;
+      }
       
       // Overall stats
       messageText += `👥 *Participants:* ${stats.participants}\n`;
@@ -305,6 +459,7 @@ const handleStatsCallback = async (bot, query) => {
       // Status info
       const statusEmoji = {
         'active': '🟢',
+        'ending': '⏳',
         'completed': '✅',
         'failed': '❌',
         'cancelled': '🛑'
@@ -332,7 +487,9 @@ const handleStatsCallback = async (bot, query) => {
         reply_markup: {
           inline_keyboard: [
             [{ text: '🏆 View Leaderboard', callback_data: `leaderboard_raid_${raidId}` }],
-            [{ text: '🚀 Go to Tweet', url: stats.tweetUrl }]
+            stats.tweets.length > 1 ?
+              stats.tweets.map(tweet => ({ text: `🚀 Tweet ${tweet.index}`, url: tweet.tweetUrl })).slice(0, 8) :
+              [{ text: '🚀 Go to Tweet', url: stats.tweetUrl }]
           ]
         }
       });
@@ -377,12 +534,22 @@ const handleLeaderboardCallback = async (bot, query) => {
           { parse_mode: 'Markdown' });
       }
       
-      // Get leaderboard
+      // Get leaderboard, with each raider's badges
       const leaderboard = await raid.getLeaderboard(10);
+      const badges = await achievementService.getBadgeEmojis(leaderboard.map(entry => entry.telegram_id), raid.chatId);
       
       // Format message
       let messageText = `🏆 *Raid Leaderboard*\n\n`;
       
+      // Show how far each tweet of a multi-tweet raid has come
+      if (raid.isMultiTweet()) {
+        messageText += `*Progress:* ${raid.getCompletionPercentage()}% combined\n`;
+        raid.tweets.forEach((tweet, index) => {
+          messageText += `Tweet ${index + 1}: ${helpers.progressBar(raid.getTweetCompletionPercentage(tweet), 100, 10)}\n`;
+        });
+        messageText += `\n`;
+      }
+      
       if (leaderboard.length === 0) {
         messageText += 'No participants yet.';
       } else {
@@ -399,7 +566,10 @@ const handleLeaderboardCallback = async (bot, query) => {
           const isCurrentUser = entry.telegram_id === from.id;
           const userMark = isCurrentUser ? ' ← You' : '';
           
-          messageText += `${prefix} ${displayName}: ${entry.total_xp} XP${userMark}\n`;
+          const badgeMark = badges.has(String(entry.telegram_id)) ? ` ${badges.get(String(entry.telegram_id))}` : '';
+          
+          messageText += `${prefix} ${displayName}${badgeMark}: ${entry.total_xp} XP${userMark}\n`;
+          messageText += `   ${levelService.formatLevelProgress(entry.user_total_xp)}\n`;
         });
         
         // Get user's rank if not in top 10
@@ -415,6 +585,7 @@ const handleLeaderboardCallback = async (bot, query) => {
             if (userXp > 0) {
               const userRank = await raid.getUserRank(from.id);
               messageText += `...\n${userRank}. ${user.getDisplayName()}: ${userXp} XP ← You\n`;
+              messageText += `   ${levelService.formatLevelProgress(user.totalXp)}\n`;
             }
           }
         }
@@ -442,8 +613,9 @@ const handleLeaderboardCallback = async (bot, query) => {
           { parse_mode: 'Markdown' });
       }
       
-      // Get leaderboard
+      // Get leaderboard, with each raider's badges
       const leaderboard = await campaign.getLeaderboard(10);
+      const badges = await achievementService.getBadgeEmojis(leaderboard.map(entry => entry.telegram_id), campaign.chatId);
       
       // Format message
       let messageText = `🏆 *Campaign Leaderboard: ${campaign.name}*\n\n`;
@@ -454,6 +626,9 @@ const handleLeaderboardCallback = async (bot, query) => {
         // Add threshold line
         messageText += `Threshold: ${campaign.thresholdXp} XP\n\n`;
         
+        // Levels come from each user's total XP, not their campaign XP
+        const totals = await getUsersByTelegramIds(leaderboard.map(entry => entry.telegram_id));
+        
         leaderboard.forEach((entry, index) => {
           // Add medal emoji for top 3
           let prefix = `${index + 1}.`;
@@ -470,7 +645,12 @@ const handleLeaderboardCallback = async (bot, query) => {
           const isCurrentUser = entry.telegram_id === from.id;
           const userMark = isCurrentUser ? ' ← You' : '';
           
-          messageText += `${prefix} ${displayName}: ${entry.total_xp} XP${thresholdMark}${userMark}\n`;
+          const badgeMark = badges.has(String(entry.telegram_id)) ? ` ${badges.get(String(entry.telegram_id))}` : '';
+          
+          messageText += `${prefix} ${displayName}${badgeMark}: ${entry.total_xp} XP${thresholdMark}${userMark}\n`;
+          
+          const totalUser = totals.find(candidate => String(candidate.telegram_id) === String(entry.telegram_id));
+          messageText += `   ${levelService.formatLevelProgress(totalUser ? totalUser.total_xp : 0)}\n`;
         });
         
         // Get user's rank if not in top 10
@@ -486,6 +666,7 @@ const handleLeaderboardCallback = async (bot, query) => {
             if (userXp > 0) {
               const thresholdMark = userXp >= campaign.thresholdXp ? ' ✅' : '';
               messageText += `...\nYour Position: ${user.getDisplayName()}: ${userXp} XP${thresholdMark}\n`;
+              messageText += `   ${levelService.formatLevelProgress(user.totalXp)}\n`;
             }
           }
         }
@@ -496,8 +677,9 @@ const handleLeaderboardCallback = async (bot, query) => {
       logger.info(`Campaign leaderboard sent to user ${from.id} for campaign ${campaignId}`);
       
     } else if (parts[1] === 'alltime') {
-      // All-time leaderboard
+      // All-time leaderboard; all-time XP spans groups, so only built-in badges are shown
       const leaderboard = await User.getTopByXp(10);
+      const badges = await achievementService.getBadgeEmojis(leaderboard.map(user => user.telegramId), null);
       
       // Format message
       let messageText = `🏆 *All-time XP Leaderboard*\n\n`;
@@ -516,7 +698,10 @@ const handleLeaderboardCallback = async (bot, query) => {
           const isCurrentUser = user.telegramId === from.id;
           const userMark = isCurrentUser ? ' ← You' : '';
           
-          messageText += `${prefix} ${user.getDisplayName()}: ${user.totalXp} XP${userMark}\n`;
+          const badgeMark = badges.has(String(user.telegramId)) ? ` ${badges.get(String(user.telegramId))}` : '';
+          
+          messageText += `${prefix} ${user.getDisplayName()}${badgeMark}: ${user.totalXp} XP${userMark}\n`;
+          messageText += `   ${levelService.formatLevelProgress(user.totalXp)}\n`;
         });
         
         // Get user's rank if not in top 10
@@ -528,6 +713,7 @@ const handleLeaderboardCallback = async (bot, query) => {
           if (user && user.totalXp > 0) {
             const userRank = await user.getXpRank();
             messageText += `...\n${userRank}. ${user.getDisplayName()}: ${user.totalXp} XP ← You\n`;
+            messageText += `   ${levelService.formatLevelProgress(user.totalXp)}\n`;
           }
         }
       }
@@ -870,52 +1056,31 @@ const handleRaidModeCallback = async (bot, query) => {
   logger.info(`User ${from.id} selected raid mode: ${mode}`);
   
   try {
-    // Get temporary raid configuration
-    if (!global.tempRaidConfig || !global.tempRaidConfig[message.chat.id]) {
-      logger.warn(`No temporary raid config found for chat ${message.chat.id}`);
-      return await bot.sendMessage(from.id, 
-        '❌ Raid configuration not found. Please start again with /dropraid.',
-        { parse_mode: 'Markdown' });
-    }
+    // Get the wizard session for this admin and message
+    const session = await raidWizard.loadWizardSession(bot, query, 'mode');
     
-    const raidConfig = global.tempRaidConfig[message.chat.id];
-    
-    // Check if user is the admin who initiated the configuration
-    if (raidConfig.adminId !== from.id) {
-      logger.warn(`User ${from.id} attempted to modify raid config started by user ${raidConfig.adminId}`);
-      return await bot.answerCallbackQuery(query.id, {
-        text: 'Only the admin who started this configuration can set options.',
-        show_alert: true
-      });
+    if (!session) {
+      return;
     }
     
-    // Update raid mode
-    raidConfig.mode = mode;
-    raidConfig.stage = 'token';
-    
-    // Ask for token type
-    let messageText = '🪙 *Choose Token Type for Rewards*\n\n';
-    
-    if (mode === 'single') {
-      messageText += 'Select the token type for this single raid:';
-    } else {
-      messageText += 'Select the token type for this campaign:';
+    // Campaign raids attach to the chat's running campaign
+    if (mode === 'campaign') {
+      const campaign = await Campaign.findActiveByChatId(message.chat.id);
+      
+      if (!campaign) {
+        logger.warn(`No active campaign in chat ${message.chat.id} for campaign raid`);
+        return await bot.sendMessage(message.chat.id, 
+          '⚠️ There is no active campaign in this chat. Choose *Single Raid* or start a campaign first.',
+          { parse_mode: 'Markdown' });
+      }
+      
+      session.data.campaignId = campaign.id;
+      session.data.campaignName = campaign.name;
     }
     
-    // Edit message to show token options
-    await bot.editMessageText(messageText, {
-      chat_id: message.chat.id,
-      message_id: message.message_id,
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: 'SUI', callback_data: 'token_type_sui' },
-            { text: 'Custom Token', callback_data: 'token_type_custom' }
-          ]
-        ]
-      }
-    });
+    // Update raid mode and ask for token type
+    session.data.mode = mode;
+    await raidWizard.advanceStage(bot, session, 'token');
     
     logger.info(`Updated raid config for chat ${message.chat.id} with mode: ${mode}`);
   } catch (error) {
@@ -938,68 +1103,23 @@ const handleTokenTypeCallback = async (bot, query) => {
   logger.info(`User ${from.id} selected token type: ${tokenType}`);
   
   try {
-    // Get temporary raid configuration
-    if (!global.tempRaidConfig || !global.tempRaidConfig[message.chat.id]) {
-      logger.warn(`No temporary raid config found for chat ${message.chat.id}`);
-      return await bot.sendMessage(from.id, 
-        '❌ Raid configuration not found. Please start again with /dropraid.',
-        { parse_mode: 'Markdown' });
-    }
+    // Get the wizard session for this admin and message
+    const session = await raidWizard.loadWizardSession(bot, query, 'token');
     
-    const raidConfig = global.tempRaidConfig[message.chat.id];
-    
-    // Check if user is the admin who initiated the configuration
-    if (raidConfig.adminId !== from.id) {
-      logger.warn(`User ${from.id} attempted to modify raid config started by user ${raidConfig.adminId}`);
-      return await bot.answerCallbackQuery(query.id, {
-        text: 'Only the admin who started this configuration can set options.',
-        show_alert: true
-      });
+    if (!session) {
+      return;
     }
     
-    // Update token type
     if (tokenType === 'sui') {
-      raidConfig.tokenType = '0x2::sui::SUI';
-      raidConfig.tokenSymbol = 'SUI';
-      raidConfig.stage = 'reward_model';
-      
-      // Ask for reward model
-      let messageText = '💰 *Choose Reward Model*\n\n';
-      messageText += 'Select how rewards will be distributed:';
-      
-      // Edit message to show reward model options
-      await bot.editMessageText(messageText, {
-        chat_id: message.chat.id,
-        message_id: message.message_id,
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'Fixed per XP', callback_data: 'reward_model_fixed' },
-              { text: 'Pool Share', callback_data: 'reward_model_pool' }
-            ]
-          ]
-        }
-      });
+      // SUI goes straight to the reward model
+      session.data.tokenType = '0x2::sui::SUI';
+      session.data.tokenSymbol = 'SUI';
+      await raidWizard.advanceStage(bot, session, 'reward_model');
       
       logger.info(`Updated raid config for chat ${message.chat.id} with SUI token`);
     } else {
-      // Ask for custom token details
-      raidConfig.stage = 'custom_token';
-      
-      // Send message to get custom token details
-      await bot.editMessageText(
-        '🪙 *Custom Token Details*\n\n' +
-        'Please provide the token information in the format:\n' +
-        '`token_type token_symbol`\n\n' +
-        'Example: `0x123456::mycoin::MYCOIN MYCOIN`\n\n' +
-        '*Note:* The token type must be a valid Sui token address.',
-        {
-          chat_id: message.chat.id,
-          message_id: message.message_id,
-          parse_mode: 'Markdown'
-        }
-      );
+      // Ask for custom token details as a text reply
+      await raidWizard.advanceStage(bot, session, 'custom_token');
       
       logger.info(`Prompted user ${from.id} to enter custom token details for chat ${message.chat.id}`);
     }
@@ -1023,63 +1143,312 @@ const handleRewardModelCallback = async (bot, query) => {
   logger.info(`User ${from.id} selected reward model: ${model}`);
   
   try {
-    // Get temporary raid configuration
-    if (!global.tempRaidConfig || !global.tempRaidConfig[message.chat.id]) {
-      logger.warn(`No temporary raid config found for chat ${message.chat.id}`);
-      return await bot.sendMessage(from.id, 
-        '❌ Raid configuration not found. Please start again with /dropraid.',
-        { parse_mode: 'Markdown' });
+    // Get the wizard session for this admin and message
+    const session = await raidWizard.loadWizardSession(bot, query, 'reward_model');
+    
+    if (!session) {
+      return;
+    }
+    
+    // Update reward model and ask for the matching amount
+    session.data.rewardModel = model;
+    await raidWizard.advanceStage(bot, session, model === 'fixed' ? 'token_per_xp' : 'total_reward');
+    
+    logger.info(`Updated raid config for chat ${message.chat.id} with ${model} reward model`);
+  } catch (error) {
+    logger.error(`Error handling reward model callback for user ${from.id}: ${error.message}`, error);
+    await bot.sendMessage(from.id, 
+      '❌ An error occurred. Please try again later.',
+      { parse_mode: 'Markdown' });
+  }
+};
+
+/**
+ * Handle raid wizard navigation callback (back, cancel, skip, lockdown toggle, comment rules, follow account,
+ * XP per action, time bonus, save as template, confirm)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query
+ */
+const handleRaidWizardCallback = async (bot, query) => {
+  const { data, from, message } = query;
+  const action = data.split('_')[2];
+  
+  logger.info(`User ${from.id} used raid wizard action: ${action}`);
+  
+  try {
+    // Confirm, lockdown, rules, follow, XP, time bonus and save-as-template belong to the confirm stage; skip is checked against the current stage
+    const expectedStage = ['confirm', 'lockdown', 'rules', 'follow', 'xpweights', 'xpcurve', 'savetpl'].includes(action) ? 'confirm' : null;
+    
+    // Get the wizard session for this admin and message
+    const session = await raidWizard.loadWizardSession(bot, query, expectedStage);
+    
+    if (!session) {
+      return;
     }
     
-    const raidConfig = global.tempRaidConfig[message.chat.id];
+    if (action === 'back') {
+      await raidWizard.goBack(bot, session);
+    } else if (action === 'cancel') {
+      await raidWizard.closeWizard(bot, session, '❌ *Raid configuration cancelled*');
+      logger.info(`User ${from.id} cancelled raid configuration in chat ${message.chat.id}`);
+    } else if (action === 'skip') {
+      const skipped = await raidWizard.skipStage(bot, session);
+      
+      if (!skipped) {
+        logger.debug(`Ignoring skip for raid wizard stage ${session.stage}`);
+      }
+    } else if (action === 'lockdown') {
+      await raidWizard.toggleLockdown(bot, session);
+    } else if (action === 'rules') {
+      await raidWizard.advanceStage(bot, session, 'comment_rules');
+    } else if (action === 'follow') {
+      await raidWizard.advanceStage(bot, session, 'follow_account');
+    } else if (action === 'xpweights') {
+      await raidWizard.advanceStage(bot, session, 'xp_weights');
+    } else if (action === 'xpcurve') {
+      await raidWizard.advanceStage(bot, session, 'xp_curve');
+    } else if (action === 'savetpl') {
+      await raidWizard.advanceStage(bot, session, 'template_name');
+    } else if (action === 'confirm') {
+      try {
+        const { raid } = await raidService.createRaid(raidWizard.buildRaidData(session), bot);
+        
+        await raidWizard.closeWizard(bot, session, 
+          `✅ *Raid launched!*\n\nRaid #${raid.id} is now live.`);
+        logger.info(`Raid ${raid.id} created from wizard by user ${from.id} in chat ${message.chat.id}`);
+      } catch (createError) {
+        // Keep the session so the admin can retry or go back and change settings
+        logger.error(`Error creating raid from wizard for user ${from.id}: ${createError.message}`);
+        await bot.sendMessage(message.chat.id, 
+          `❌ *Could not launch raid*\n\n${createError.message}\n\nPress *Launch Raid* to retry or *Back* to change settings.`,
+          { parse_mode: 'Markdown' });
+      }
+    } else {
+      logger.warn(`Unknown raid wizard action: ${action} from user ${from.id}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling raid wizard callback for user ${from.id}: ${error.message}`, error);
+    await bot.sendMessage(from.id, 
+      '❌ An error occurred. Please try again later.',
+      { parse_mode: 'Markdown' });
+  }
+};
+
+/**
+ * Handle /endraid prompt callbacks (pick a raid, end & pay out, cancel, dismiss)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query
+ */
+const handleEndRaidCallback = async (bot, query) => {
+  const { data, from, message } = query;
+  const [, action, raidIdStr] = data.split('_');
+  const chatId = message.chat.id;
+  const messageOptions = {
+    chat_id: chatId,
+    message_id: message.message_id,
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true
+  };
+  
+  logger.info(`User ${from.id} used endraid action: ${action} in chat ${chatId}`);
+  
+  try {
+    // Only group admins may end raids
+    const isAdmin = await isUserAdminInGroup(from.id, chatId);
     
-    // Check if user is the admin who initiated the configuration
-    if (raidConfig.adminId !== from.id) {
-      logger.warn(`User ${from.id} attempted to modify raid config started by user ${raidConfig.adminId}`);
-      return await bot.answerCallbackQuery(query.id, {
-        text: 'Only the admin who started this configuration can set options.',
+    if (!isAdmin) {
+      logger.warn(`Non-admin user ${from.id} tried to use endraid buttons in chat ${chatId}`);
+      await bot.answerCallbackQuery(query.id, {
+        text: '⛔ Only admins can end raids.',
         show_alert: true
       });
+      return;
     }
     
-    // Update reward model
-    raidConfig.rewardModel = model;
+    if (action === 'dismiss') {
+      await bot.deleteMessage(chatId, message.message_id);
+      return;
+    }
+    
+    // Re-check the raid, another admin may have ended it already
+    const raid = await Raid.findById(parseInt(raidIdStr, 10));
+    
+    if (!raid || !raid.isActive || String(raid.chatId) !== String(chatId)) {
+      await bot.editMessageText('⚠️ This raid has already ended.', messageOptions);
+      return;
+    }
     
-    if (model === 'fixed') {
-      raidConfig.stage = 'token_per_xp';
+    if (action === 'select') {
+      const prompt = raidControls.buildEndRaidConfirmation(raid);
+      await bot.editMessageText(prompt.text, { ...messageOptions, reply_markup: prompt.reply_markup });
+      return;
+    }
+    
+    if (action !== 'complete' && action !== 'cancel') {
+      logger.warn(`Unknown endraid action: ${action} from user ${from.id}`);
+      return;
+    }
+    
+    const cancelled = action === 'cancel';
+    
+    // Remove the buttons first so the raid can't be ended twice
+    await bot.editMessageText(
+      cancelled ? `🛑 Cancelling raid #${raid.id}...` : `🏁 Ending raid #${raid.id} and calculating results...`,
+      messageOptions
+    );
+    
+    try {
+      const { raid: endedRaid, rewards, alreadyEnded } = await raidService.endRaid(raid, bot, { cancelled });
       
-      // Ask for token per XP rate
-      await bot.editMessageText(
-        '💰 *Token per XP Rate*\n\n' +
-        'How many tokens should users earn per XP point?\n\n' +
-        'Please enter a number (can be a decimal like 0.5):',
-        {
-          chat_id: message.chat.id,
-          message_id: message.message_id,
-          parse_mode: 'Markdown'
-        }
-      );
+      if (alreadyEnded) {
+        await bot.editMessageText('⚠️ This raid has already ended.', messageOptions);
+        return;
+      }
       
-      logger.info(`Updated raid config for chat ${message.chat.id} with fixed reward model`);
-    } else {
-      raidConfig.stage = 'total_reward';
+      const summary = cancelled ? 
+        `🛑 Raid #${endedRaid.id} was cancelled. No rewards were paid.` : 
+        `🏁 Raid #${endedRaid.id} has ended (${endedRaid.status}). ${rewards.length} raider${rewards.length !== 1 ? 's' : ''} rewarded.`;
       
-      // Ask for total reward pool
+      await bot.editMessageText(summary, messageOptions);
+      logger.info(`Raid ${endedRaid.id} ${cancelled ? 'cancelled' : 'ended'} by user ${from.id} in chat ${chatId}`);
+    } catch (endError) {
+      logger.error(`Error ending raid ${raid.id} for user ${from.id}: ${endError.message}`);
+      
+      // Once the raid was claimed, the raid_end job finishes it
+      const failedRaid = await Raid.findById(raid.id);
+      
+      if (failedRaid && failedRaid.status === RaidStatus.ENDING) {
+        await bot.editMessageText(
+          `⚠️ *Raid #${raid.id} is ending*\n\n${endError.message}\n\nThe rest of the end, including rewards, will be retried automatically.`,
+          messageOptions
+        );
+        return;
+      }
+      
+      // Offer the choice again so the admin can retry
+      const prompt = raidControls.buildEndRaidConfirmation(raid);
       await bot.editMessageText(
-        '💰 *Total Reward Pool*\n\n' +
-        'What is the total amount of tokens to distribute?\n\n' +
-        'Please enter a number:',
-        {
-          chat_id: message.chat.id,
-          message_id: message.message_id,
-          parse_mode: 'Markdown'
-        }
+        `❌ *Could not end raid #${raid.id}*\n\n${endError.message}\n\n${prompt.text}`,
+        { ...messageOptions, reply_markup: prompt.reply_markup }
       );
-      
-      logger.info(`Updated raid config for chat ${message.chat.id} with pool reward model`);
     }
   } catch (error) {
-    logger.error(`Error handling reward model callback for user ${from.id}: ${error.message}`, error);
+    logger.error(`Error handling endraid callback for user ${from.id}: ${error.message}`, error);
+    await bot.sendMessage(from.id, 
+      '❌ An error occurred. Please try again later.',
+      { parse_mode: 'Markdown' });
+  }
+};
+
+/**
+ * Handle /queue buttons (reschedule, delete, refresh)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query
+ */
+const handleQueueCallback = async (bot, query) => {
+  const { data, from, message } = query;
+  const [, action, raidIdStr] = data.split('_');
+  const chatId = message.chat.id;
+  
+  logger.info(`User ${from.id} used queue action: ${action} in chat ${chatId}`);
+  
+  try {
+    // Only group admins may manage the queue
+    const isAdmin = await isUserAdminInGroup(from.id, chatId);
+    
+    if (!isAdmin) {
+      logger.warn(`Non-admin user ${from.id} tried to use queue buttons in chat ${chatId}`);
+      await bot.answerCallbackQuery(query.id, {
+        text: '⛔ Only admins can manage scheduled raids.',
+        show_alert: true
+      });
+      return;
+    }
+    
+    if (action === 'refresh') {
+      await raidQueue.showQueue(bot, chatId, message.message_id);
+      return;
+    }
+    
+    const raid = await Raid.findById(parseInt(raidIdStr, 10));
+    
+    if (!raid || raid.status !== RaidStatus.PENDING || String(raid.chatId) !== String(chatId)) {
+      await bot.sendMessage(chatId, '⚠️ That raid is no longer scheduled.');
+      await raidQueue.showQueue(bot, chatId, message.message_id);
+      return;
+    }
+    
+    if (action === 'reschedule') {
+      await raidQueue.startReschedule(bot, chatId, from.id, raid);
+    } else if (action === 'delete') {
+      await raidService.cancelScheduledRaid(raid);
+      logger.info(`User ${from.id} removed scheduled raid ${raid.id} in chat ${chatId}`);
+      await raidQueue.showQueue(bot, chatId, message.message_id);
+    } else {
+      logger.warn(`Unknown queue action: ${action} from user ${from.id}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling queue callback for user ${from.id}: ${error.message}`, error);
+    await bot.sendMessage(from.id, 
+      '❌ An error occurred. Please try again later.',
+      { parse_mode: 'Markdown' });
+  }
+};
+
+/**
+ * Handle /templates list callbacks (set default, rename, delete, refresh)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query
+ */
+const handleTemplateCallback = async (bot, query) => {
+  const { data, from, message } = query;
+  const [, action, templateIdStr] = data.split('_');
+  const chatId = message.chat.id;
+  
+  logger.info(`User ${from.id} used template action: ${action} in chat ${chatId}`);
+  
+  try {
+    // Only group admins may manage templates
+    const isAdmin = await isUserAdminInGroup(from.id, chatId);
+    
+    if (!isAdmin) {
+      logger.warn(`Non-admin user ${from.id} tried to use template buttons in chat ${chatId}`);
+      await bot.answerCallbackQuery(query.id, {
+        text: '⛔ Only admins can manage raid templates.',
+        show_alert: true
+      });
+      return;
+    }
+    
+    if (action === 'refresh') {
+      await raidTemplates.showTemplates(bot, chatId, message.message_id);
+      return;
+    }
+    
+    const template = await templateService.getTemplateById(parseInt(templateIdStr, 10));
+    
+    if (!template || String(template.chatId) !== String(chatId)) {
+      await bot.sendMessage(chatId, '⚠️ That template no longer exists.');
+      await raidTemplates.showTemplates(bot, chatId, message.message_id);
+      return;
+    }
+    
+    if (action === 'default') {
+      // Tapping the current default clears it
+      await templateService.setDefaultTemplate(chatId, template.isDefault ? null : template.id);
+      logger.info(`User ${from.id} ${template.isDefault ? 'cleared' : 'set'} default template ${template.name} in chat ${chatId}`);
+      await raidTemplates.showTemplates(bot, chatId, message.message_id);
+    } else if (action === 'rename') {
+      await raidTemplates.startRename(bot, chatId, from.id, template);
+    } else if (action === 'delete') {
+      await templateService.deleteTemplate(template.id);
+      logger.info(`User ${from.id} deleted template ${template.name} in chat ${chatId}`);
+      await raidTemplates.showTemplates(bot, chatId, message.message_id);
+    } else {
+      logger.warn(`Unknown template action: ${action} from user ${from.id}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling template callback for user ${from.id}: ${error.message}`, error);
     await bot.sendMessage(from.id, 
       '❌ An error occurred. Please try again later.',
       { parse_mode: 'Markdown' });
@@ -4,10 +4,27 @@
  */
 
 const logger = require('../utils/logger');
+const config = require('../../config/config');
 const { getUserById, createUserIfNotExists, isUserAdminInGroup, linkTwitterAccount, linkSuiWallet } = require('../services/userService');
 const { getSupabase } = require('../services/supabaseService');
 const { generateTwitterAuthUrl, handleTwitterCallback } = require('../services/twitterService');
 const { generateSuiWallet, getWalletBalance } = require('../services/suiService');
+const { Raid, MAX_RAID_TWEETS, resolveXpWeights } = require('../models/raidModel');
+const { createRaid, scheduleRaid, editRaid } = require('../services/raidServices');
+const { normalizeTemplateName, getTemplate, getDefaultTemplate, templateToRaidData } = require('../services/templateService');
+const { parseStartTime, parseDuration, formatDate, progressBar, escapeMarkdown } = require('../utils/helpers');
+const { startRaidWizard, DEFAULT_DURATION, MAX_DURATION_MINUTES } = require('./raidWizard');
+const { buildEndRaidPicker, buildEndRaidConfirmation, parseRaidEdit, formatRaidEdit, buildEditRaidOverview, EDIT_RAID_USAGE, parseXpWeights, buildXpWeightsOverview } = require('./raidControls');
+const { showQueue, formatDuration, START_TIME_FORMATS } = require('./raidQueue');
+const { showTemplates } = require('./raidTemplates');
+const { setNudgeOptIn, isNudgeOptedIn } = require('../services/nudgeService');
+const { getGroupXpWeights, setGroupXpWeights, getGroupLevelUpAnnouncements, setGroupLevelUpAnnouncements, getGroupMinRank, setGroupMinRank } = require('../services/groupSettingsService');
+const { getStreakSummary } = require('../services/streakService');
+const { getLevelInfo, formatLevelProgress, getRankLevel, formatLevel } = require('../services/levelService');
+const { getUserBadges, getBadgeEmojis, parseAchievement, saveGroupAchievement, removeGroupAchievement, formatAchievements, BADGES_USAGE } = require('../services/achievementService');
+
+// How far ahead raids can be scheduled
+const MAX_SCHEDULE_DAYS = 30;
 
 // Get the bot instance
 let bot = null;
@@ -28,7 +45,9 @@ const initializeCommands = (botInstance) => {
       { command: 'login', description: 'Connect your Twitter account' },
       { command: 'wallet', description: 'Set up or view your Sui wallet' },
       { command: 'myxp', description: 'Check your XP and rewards' },
-      { command: 'leaderboard', description: 'View XP leaderboard' }
+      { command: 'leaderboard', description: 'View XP leaderboard' },
+      { command: 'badges', description: 'See your badges and the ones left to unlock' },
+      { command: 'nudges', description: 'Get a DM when a raid you haven\'t joined is ending' }
     ]).then(() => {
       logger.info('Bot commands registered with Telegram API');
     }).catch(err => {
@@ -42,8 +61,17 @@ const initializeCommands = (botInstance) => {
     bot.removeTextListener(/\/wallet/);
     bot.removeTextListener(/\/myxp/);
     bot.removeTextListener(/\/leaderboard/);
+    bot.removeTextListener(/\/badges/);
+    bot.removeTextListener(/\/nudges/);
     bot.removeTextListener(/\/dropraid/);
     bot.removeTextListener(/\/endraid/);
+    bot.removeTextListener(/\/editraid/);
+    bot.removeTextListener(/\/scheduleraid/);
+    bot.removeTextListener(/\/queue/);
+    bot.removeTextListener(/\/templates/);
+    bot.removeTextListener(/\/xpweights/);
+    bot.removeTextListener(/\/levelups/);
+    bot.removeTextListener(/\/minrank/);
     bot.removeTextListener(/\/setrules/);
     bot.removeTextListener(/\/blacklist/);
     bot.removeTextListener(/\/whitelist/);
@@ -55,10 +83,19 @@ const initializeCommands = (botInstance) => {
     bot.onText(/^\/wallet(@\w+)?$/, handleWalletCommand);
     bot.onText(/^\/myxp(@\w+)?$/, handleMyXpCommand);
     bot.onText(/^\/leaderboard(@\w+)?$/, handleLeaderboardCommand);
+    bot.onText(/^\/badges(@\w+)?(\s+.*)?$/, handleBadgesCommand);
+    bot.onText(/^\/nudges(@\w+)?(\s+.*)?$/, handleNudgesCommand);
     
     // Admin commands
-    bot.onText(/^\/dropraid(@\w+)?(\s+.*)?$/, handleDropRaidCommand);
+    bot.onText(/^\/dropraid(@\w+)?(\s[\s\S]*)?$/, handleDropRaidCommand);
     bot.onText(/^\/endraid(@\w+)?(\s+.*)?$/, handleEndRaidCommand);
+    bot.onText(/^\/editraid(@\w+)?(\s[\s\S]*)?$/, handleEditRaidCommand);
+    bot.onText(/^\/scheduleraid(@\w+)?(\s+.*)?$/, handleScheduleRaidCommand);
+    bot.onText(/^\/queue(@\w+)?$/, handleQueueCommand);
+    bot.onText(/^\/templates(@\w+)?$/, handleTemplatesCommand);
+    bot.onText(/^\/xpweights(@\w+)?(\s+.*)?$/, handleXpWeightsCommand);
+    bot.onText(/^\/levelups(@\w+)?(\s+.*)?$/, handleLevelUpsCommand);
+    bot.onText(/^\/minrank(@\w+)?(\s+.*)?$/, handleMinRankCommand);
     bot.onText(/^\/setrules(@\w+)?(\s+.*)?$/, handleSetRulesCommand);
     bot.onText(/^\/blacklist(@\w+)?(\s+.*)?$/, handleBlacklistCommand);
     bot.onText(/^\/whitelist(@\w+)?(\s+.*)?$/, handleWhitelistCommand);
@@ -132,11 +169,14 @@ const handleHelpCommand = async (msg) => {
       `/help - Show this help message\n` +
       `/login - Connect your Twitter account\n` +
       `/wallet - Set up or view your Sui wallet\n` +
-      `/myxp - Check your XP and rewards\n` +
-      `/leaderboard - View XP leaderboard\n\n` +
+      `/myxp - Check your XP, streaks and rewards\n` +
+      `/leaderboard - View XP leaderboard\n` +
+      `/badges - See your badges and the ones left to unlock\n` +
+      `/nudges [on|off] - Get a DM when a raid you haven't joined is ending\n\n` +
       `*How Raids Work:*\n` +
       `- When a raid is posted, click "Raid Now" to participate\n` +
-      `- Earn XP for likes, retweets, comments, and bookmarks\n` +
+      `- Earn XP for likes, retweets, comments, quote tweets and bookmarks\n` +
+      `- Follow the raid's account for bonus XP, paid once per campaign\n` +
       `- The more XP you earn, the more rewards you get\n` +
       `- Make sure to connect your Twitter and Sui wallet first!`;
     
@@ -144,8 +184,16 @@ const handleHelpCommand = async (msg) => {
     if (isAdmin) {
       helpMessage += 
         `\n\n*Admin Commands:*\n` +
-        `/dropraid <tweet_url> - Start a new raid\n` +
-        `/endraid - End the current raid manually\n` +
+        `/dropraid <tweet\\_url> [more urls] [tpl=<name>] - Start a new raid on one tweet or a thread\n` +
+        `/endraid [id] - End or cancel an active raid\n` +
+        `/editraid [id] - Extend, retarget or edit an active raid\n` +
+        `/scheduleraid <tweet\\_url> <start time> [duration] - Schedule a raid\n` +
+        `/queue - View, reschedule or delete scheduled raids\n` +
+        `/templates - List, rename, set default or delete raid templates\n` +
+        `/xpweights [action=XP ...] - View or set the XP this group's raids pay per action\n` +
+        `/levelups [on|off] - Turn level-up announcements in this group on or off\n` +
+        `/minrank [rank|off] - Only let raiders of a rank or above earn XP in this group's raids\n` +
+        `/badges add|remove - Add or remove this group's own badges\n` +
         `/setrules - Configure raid rules and rewards\n` +
         `/blacklist <username> - Blacklist a user from raids\n` +
         `/whitelist <username> - Add a user to the whitelist`;
@@ -291,7 +339,7 @@ const handleWalletCommand = async (msg) => {
 };
 
 /**
- * Handle /myxp command to check XP and rewards
+ * Handle /myxp command to check XP, streaks and rewards
  * @param {Object} msg - Telegram message object
  */
 const handleMyXpCommand = async (msg) => {
@@ -322,10 +370,26 @@ const handleMyXpCommand = async (msg) => {
       .eq('chat_id', chatId)
       .single();
     
-    // XP message
+    // XP message, with the user's level and how far they are from the next one
+    const level = getLevelInfo(user.total_xp);
+    
     let xpMessage = 
       `🏆 *Your XP Status*\n\n` +
-      `Total XP: ${user.total_xp || 0}\n`;
+      `Total XP: ${user.total_xp || 0}\n` +
+      `Level: ${level.level}${level.rank ? ` · ${escapeMarkdown(level.rank)}` : ''}\n` +
+      `${progressBar(level.xpIntoLevel, level.xpForNext)}\n` +
+      `${level.xpForNext - level.xpIntoLevel} XP to level ${level.level + 1}\n`;
+    
+    // Streaks in this group, or the longest across groups in a private chat
+    const inGroup = msg.chat.type !== 'private';
+    const streaks = await getStreakSummary(userId, inGroup ? chatId : null);
+    
+    if (streaks.day.best > 0 || streaks.raid.best > 0) {
+      xpMessage += 
+        `\n*Streaks${inGroup ? ' in this group' : ''}:*\n` +
+        `🔥 Days in a row: ${streaks.day.current} (best ${streaks.day.best})\n` +
+        `🎯 Raids in a row: ${streaks.raid.current} (best ${streaks.raid.best})\n`;
+    }
     
     // Add campaign-specific XP if there's an active campaign
     if (!error && activeCampaign) {
@@ -444,6 +508,9 @@ const handleLeaderboardCommand = async (msg) => {
     if (leaders.length === 0) {
       leaderboardMessage += 'No data available yet.';
     } else {
+      // Badges of this group as well as the built-in ones
+      const badges = await getBadgeEmojis(leaders.map(user => user.telegram_id), msg.chat.type !== 'private' ? chatId : null);
+      
       leaders.forEach((user, index) => {
         const xp = user.total_xp || 0;
         const displayName = user.username 
@@ -456,7 +523,10 @@ const handleLeaderboardCommand = async (msg) => {
         if (index === 1) prefix = '🥈';
         if (index === 2) prefix = '🥉';
         
-        leaderboardMessage += `${prefix} ${displayName}: ${xp} XP\n`;
+        const badgeMark = badges.has(String(user.telegram_id)) ? ` ${badges.get(String(user.telegram_id))}` : '';
+        
+        leaderboardMessage += `${prefix} ${displayName}${badgeMark}: ${xp} XP\n`;
+        leaderboardMessage += `   ${formatLevelProgress(xp)}\n`;
       });
     }
     
@@ -482,6 +552,153 @@ const handleLeaderboardCommand = async (msg) => {
   }
 };
 
+/**
+ * Handle /badges command
+ * Format: /badges, or for admins in a group: /badges add <emoji> <metric>=<number> <name> | /badges remove <name>
+ * @param {Object} msg - Telegram message object
+ */
+const handleBadgesCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/badges command received from user ${userId} in chat ${chatId}`);
+    
+    const inGroup = msg.chat.type !== 'private';
+    const [, subcommand = '', ...rest] = msg.text.trim().split(/\s+/);
+    const action = subcommand.toLowerCase();
+    
+    if (action === 'add' || action === 'remove') {
+      if (!inGroup) {
+        return bot.sendMessage(chatId, 'Send /badges add or /badges remove in the group the badge is for.');
+      }
+      
+      // Check if user is admin
+      const isAdmin = await isUserAdminInGroup(userId, chatId);
+      
+      if (!isAdmin) {
+        return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+      }
+      
+      const args = rest.join(' ');
+      
+      if (!args) {
+        return bot.sendMessage(chatId, BADGES_USAGE, { parse_mode: 'Markdown' });
+      }
+      
+      if (action === 'remove') {
+        const removed = await removeGroupAchievement(chatId, args);
+        
+        return bot.sendMessage(chatId, removed ?
+          '🗑 Badge removed. Raiders who unlocked it keep it, but it is no longer shown.' :
+          'This group has no badge with that name.');
+      }
+      
+      const { achievement, error } = parseAchievement(args);
+      
+      if (error) {
+        return bot.sendMessage(chatId, `⚠️ ${error}\n\n${BADGES_USAGE}`, { parse_mode: 'Markdown' });
+      }
+      
+      const saved = await saveGroupAchievement(chatId, achievement, userId);
+      
+      if (!saved) {
+        return bot.sendMessage(chatId, 'Sorry, there was an error saving the badge. Please try again later.');
+      }
+      
+      return bot.sendMessage(chatId, 
+        `✅ New badge for this group:\n${formatAchievements([achievement])}`,
+        { parse_mode: 'Markdown' });
+    }
+    
+    // In a group, show the group's own badges too
+    const { unlocked, locked } = await getUserBadges(userId, inGroup ? chatId : null);
+    
+    let badgesMessage = '🏅 *Your Badges*\n\n';
+    
+    badgesMessage += unlocked.length > 0 ?
+      formatAchievements(unlocked) :
+      'No badges yet. Join a raid to earn your first one!\n';
+    
+    if (locked.length > 0) {
+      badgesMessage += `\n*Still to unlock:*\n${formatAchievements(locked)}`;
+    }
+    
+    if (!inGroup) {
+      badgesMessage += '\nUse /badges in a group to see its own badges too.';
+    }
+    
+    await bot.sendMessage(chatId, badgesMessage, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Error in badges command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error fetching your badges. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /nudges command
+ * Format: /nudges [on|off], sent in the group to be nudged about
+ * @param {Object} msg - Telegram message object
+ */
+const handleNudgesCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/nudges command received from user ${userId} in chat ${chatId}`);
+    
+    if (msg.chat.type === 'private') {
+      return bot.sendMessage(chatId, 
+        'Send /nudges on in the group whose raids you want to be reminded about.');
+    }
+    
+    const choice = (msg.text.split(/\s+/)[1] || '').toLowerCase();
+    
+    if (!['on', 'off'].includes(choice)) {
+      const optedIn = await isNudgeOptedIn(chatId, userId);
+      return bot.sendMessage(chatId, 
+        `🔔 Raid nudges are *${optedIn ? 'on' : 'off'}* for you in this group.\n\n` +
+        'When they are on, I DM you before a raid ends if you haven\'t verified any actions for it. ' +
+        'Use /nudges on or /nudges off to change this.',
+        { parse_mode: 'Markdown', reply_to_message_id: msg.message_id });
+    }
+    
+    const enabled = choice === 'on';
+    const saved = await setNudgeOptIn(chatId, userId, enabled);
+    
+    if (!saved) {
+      return bot.sendMessage(chatId, 'Sorry, there was an error saving your choice. Please try again later.');
+    }
+    
+    let reply = enabled ?
+      '🔔 Raid nudges are on. I\'ll DM you before a raid here ends if you haven\'t verified any actions yet.' :
+      '🔕 Raid nudges are off for this group.';
+    
+    if (enabled) {
+      const user = await getUserById(userId);
+      
+      if (!user || !user.twitter_connected) {
+        reply += ' Connect your Twitter account with /login first, or there is nothing to verify.';
+      }
+      
+      reply += ' Make sure you have started a private chat with me so I can message you.';
+    }
+    
+    await bot.sendMessage(chatId, reply, { reply_to_message_id: msg.message_id });
+  } catch (error) {
+    logger.error('Error in nudges command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error updating your nudges. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
 /**
  * Handle /dropraid command (Admin only)
  * @param {Object} msg - Telegram message object
@@ -500,22 +717,64 @@ const handleDropRaidCommand = async (msg) => {
       return bot.sendMessage(chatId, '⛔ This command is for admins only.');
     }
     
-    // Parse command - format is /dropraid <tweet_url> [optional params]
-    const commandParts = msg.text.split(' ');
+    // Parse command - format is /dropraid <tweet_url> [more tweet urls for a thread or set] [tpl=<name>]
+    const args = msg.text.split(/\s+/).slice(1).filter(Boolean);
+    const templateArg = args.find(arg => /^tpl=/i.test(arg));
+    const tweetUrls = args.filter(arg => arg !== templateArg);
     
-    if (commandParts.length < 2) {
-      return bot.sendMessage(chatId, '⚠️ Please provide a tweet URL: /dropraid <tweet_url>');
+    if (tweetUrls.length < 1) {
+      return bot.sendMessage(chatId, '⚠️ Please provide a tweet URL: /dropraid <tweet_url> [more tweet urls]');
     }
     
-    const tweetUrl = commandParts[1];
+    // Validate tweet URLs (basic check)
+    const invalidUrl = tweetUrls.find(url => !url.includes('twitter.com') && !url.includes('x.com'));
     
-    // Validate tweet URL (basic check)
-    if (!tweetUrl.includes('twitter.com') && !tweetUrl.includes('x.com')) {
-      return bot.sendMessage(chatId, '⚠️ Invalid tweet URL. Please provide a valid Twitter/X URL.');
+    if (invalidUrl) {
+      return bot.sendMessage(chatId, `⚠️ Invalid tweet URL: ${invalidUrl}\nPlease provide valid Twitter/X URLs.`);
     }
     
-    // Start raid configuration flow
-    await startRaidConfiguration(chatId, userId, tweetUrl);
+    if (new Set(tweetUrls).size !== tweetUrls.length) {
+      return bot.sendMessage(chatId, '⚠️ Each tweet can only be listed once.');
+    }
+    
+    if (tweetUrls.length > MAX_RAID_TWEETS) {
+      return bot.sendMessage(chatId, `⚠️ A raid can target at most ${MAX_RAID_TWEETS} tweets.`);
+    }
+    
+    // Use the named template, or the chat's default unless tpl=none asks for the wizard
+    let template = null;
+    
+    if (templateArg) {
+      const rawName = templateArg.slice('tpl='.length);
+      
+      if (rawName.toLowerCase() !== 'none') {
+        const name = normalizeTemplateName(rawName);
+        template = name ? await getTemplate(chatId, name) : null;
+        
+        if (!template) {
+          return bot.sendMessage(chatId, 
+            `⚠️ No template called \`${rawName}\` in this chat. Use /templates to see saved templates.`,
+            { parse_mode: 'Markdown' });
+        }
+      }
+    } else {
+      template = await getDefaultTemplate(chatId);
+    }
+    
+    if (template) {
+      try {
+        const { raid } = await createRaid(templateToRaidData(template, { tweetUrls, chatId, adminId: userId }), bot);
+        logger.info(`Raid ${raid.id} created from template ${template.name} by user ${userId} in chat ${chatId}`);
+      } catch (createError) {
+        logger.error(`Error creating raid from template ${template.name}: ${createError.message}`);
+        await bot.sendMessage(chatId, `❌ Could not launch raid from template \`${template.name}\`: ${createError.message}`,
+          { parse_mode: 'Markdown' });
+      }
+      return;
+    }
+    
+    // Start raid configuration wizard (state is persisted in the sessions table)
+    await startRaidWizard(bot, chatId, userId, tweetUrls);
   } catch (error) {
     logger.error('Error in dropraid command:', error.message);
     try {
@@ -527,54 +786,365 @@ const handleDropRaidCommand = async (msg) => {
 };
 
 /**
- * Start the raid configuration flow
- * @param {number} chatId - Telegram chat ID
- * @param {number} userId - Admin user ID
- * @param {string} tweetUrl - Tweet URL to raid
+ * Handle /endraid command (Admin only)
+ * @param {Object} msg - Telegram message object
+ */
+const handleEndRaidCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/endraid command received from user ${userId} in chat ${chatId}`);
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    // Get active raids for this chat
+    const activeRaids = await Raid.findAllActiveByChatId(chatId);
+    
+    if (activeRaids.length === 0) {
+      return bot.sendMessage(chatId, '⚠️ There is no active raid to end.');
+    }
+    
+    // Optional raid ID, e.g. /endraid 42 or /endraid #42
+    const raidIdArg = (msg.text.split(/\s+/)[1] || '').replace(/^#/, '');
+    let prompt;
+    
+    if (raidIdArg) {
+      const raid = activeRaids.find(r => String(r.id) === raidIdArg);
+      
+      if (!raid) {
+        return bot.sendMessage(chatId, 
+          `⚠️ There is no active raid with ID ${raidIdArg} in this chat. Use /endraid to see active raids.`);
+      }
+      
+      prompt = buildEndRaidConfirmation(raid);
+    } else if (activeRaids.length === 1) {
+      prompt = buildEndRaidConfirmation(activeRaids[0]);
+    } else {
+      prompt = buildEndRaidPicker(activeRaids);
+    }
+    
+    await bot.sendMessage(chatId, prompt.text, {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+      reply_markup: prompt.reply_markup
+    });
+  } catch (error) {
+    logger.error('Error in endraid command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error ending the raid. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /editraid command (Admin only)
+ * Format: /editraid [id] <extend|targets|description|reward|rules|follow> <value>
+ * @param {Object} msg - Telegram message object
  */
-const startRaidConfiguration = async (chatId, userId, tweetUrl) => {
+const handleEditRaidCommand = async (msg) => {
   try {
-    // Store temporary state for this configuration
-    // In a production app, use a database or in-memory store for this
-    global.tempRaidConfig = global.tempRaidConfig || {};
-    global.tempRaidConfig[chatId] = {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/editraid command received from user ${userId} in chat ${chatId}`);
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    const activeRaids = await Raid.findAllActiveByChatId(chatId);
+    
+    if (activeRaids.length === 0) {
+      return bot.sendMessage(chatId, '⚠️ There is no active raid to edit.');
+    }
+    
+    // Optional raid ID first, e.g. /editraid 42 extend 30m or /editraid #42 extend 30m
+    const [, idArg, field, value] = msg.text.trim().match(/^\S+(?:\s+#?(\d+)(?=\s|$))?(?:\s+(\S+))?(?:\s+([\s\S]*))?$/);
+    let raid;
+    
+    if (idArg) {
+      raid = activeRaids.find(r => String(r.id) === idArg);
+      
+      if (!raid) {
+        return bot.sendMessage(chatId, 
+          `⚠️ There is no active raid with ID ${idArg} in this chat.`);
+      }
+    } else if (activeRaids.length === 1) {
+      raid = activeRaids[0];
+    } else {
+      return bot.sendMessage(chatId, 
+        `⚠️ There are ${activeRaids.length} active raids in this chat (${activeRaids.map(r => `#${r.id}`).join(', ')}). ` +
+        `Please include the raid ID:\n\n${EDIT_RAID_USAGE}`,
+        { parse_mode: 'Markdown' });
+    }
+    
+    // No change given: show the raid's settings and recent changes
+    if (!field) {
+      const edits = await raid.getEdits(5);
+      return bot.sendMessage(chatId, buildEditRaidOverview(raid, edits), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+    }
+    
+    const { changes, error } = parseRaidEdit(field, value);
+    
+    if (error) {
+      return bot.sendMessage(chatId, `⚠️ ${error}`, { parse_mode: 'Markdown' });
+    }
+    
+    if (changes.extendBy && raid.duration + changes.extendBy > MAX_DURATION_MINUTES * 60) {
+      return bot.sendMessage(chatId, 
+        `⚠️ Raids can run for at most ${MAX_DURATION_MINUTES / 1440} days in total.`);
+    }
+    
+    try {
+      const { raid: updatedRaid, edits } = await editRaid(raid, changes, userId, bot);
+      
+      await bot.sendMessage(chatId, 
+        `✏️ *Raid #${updatedRaid.id} updated*\n\n${edits.map(edit => formatRaidEdit(edit, updatedRaid)).join('\n')}`,
+        { parse_mode: 'Markdown' });
+    } catch (editError) {
+      await bot.sendMessage(chatId, `❌ ${editError.message}`);
+    }
+  } catch (error) {
+    logger.error('Error in editraid command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error editing the raid. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /scheduleraid command (Admin only)
+ * Format: /scheduleraid <tweet_url> <start time> [duration]
+ * @param {Object} msg - Telegram message object
+ */
+const handleScheduleRaidCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/scheduleraid command received from user ${userId} in chat ${chatId}`);
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    const [tweetUrl, ...rest] = msg.text.trim().split(/\s+/).slice(1);
+    
+    if (!tweetUrl || rest.length === 0) {
+      return bot.sendMessage(chatId, 
+        '⚠️ Usage: /scheduleraid <tweet_url> <start time> [duration]\n\n' +
+        'Example: /scheduleraid https://x.com/user/status/123 2025-01-31 18:00 2h');
+    }
+    
+    // Validate tweet URL (basic check)
+    if (!tweetUrl.includes('twitter.com') && !tweetUrl.includes('x.com')) {
+      return bot.sendMessage(chatId, '⚠️ Invalid tweet URL. Please provide a valid Twitter/X URL.');
+    }
+    
+    // The start time may be a single token (+2h, 18:00) or a date and a time
+    let startTime = rest.length >= 2 ? parseStartTime(`${rest[0]} ${rest[1]}`) : null;
+    const durationText = startTime ? rest[2] : rest[1];
+    startTime = startTime || parseStartTime(rest[0]);
+    
+    const latestStart = new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+    
+    if (!startTime || startTime <= new Date() || startTime > latestStart) {
+      return bot.sendMessage(chatId, 
+        `⚠️ Please give a start time within the next ${MAX_SCHEDULE_DAYS} days: ${START_TIME_FORMATS}`,
+        { parse_mode: 'Markdown' });
+    }
+    
+    let duration = DEFAULT_DURATION;
+    
+    if (durationText) {
+      duration = parseDuration(durationText);
+      
+      if (!duration || duration > MAX_DURATION_MINUTES * 60) {
+        return bot.sendMessage(chatId, 
+          `⚠️ Invalid duration. Use minutes or a value such as \`45m\`, \`2h\` or \`1h30m\` (up to ${MAX_DURATION_MINUTES / 1440} days).`,
+          { parse_mode: 'Markdown' });
+      }
+    }
+    
+    const raid = await scheduleRaid({
       tweetUrl,
       adminId: userId,
-      stage: 'mode'
-    };
+      chatId,
+      duration
+    }, startTime);
     
-    // Ask for raid mode
     await bot.sendMessage(chatId, 
-      '🚀 *Raid Configuration*\n\n' +
-      'Please choose the reward mode:',
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'Single Raid', callback_data: 'raid_mode_single' },
-              { text: 'Campaign', callback_data: 'raid_mode_campaign' }
-            ]
-          ]
+      `🗓 *Raid #${raid.id} scheduled*\n\n` +
+      `Starts: ${formatDate(raid.startTime, { utc: true })}\n` +
+      `Duration: ${formatDuration(raid.duration)}\n\n` +
+      `It will be announced here automatically. Use /queue to reschedule or delete it.`,
+      { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Error in scheduleraid command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error scheduling the raid. Please check the tweet URL and try again.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /queue command (Admin only)
+ * @param {Object} msg - Telegram message object
+ */
+const handleQueueCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/queue command received from user ${userId} in chat ${chatId}`);
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    await showQueue(bot, chatId);
+  } catch (error) {
+    logger.error('Error in queue command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error loading the raid queue. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /templates command (Admin only)
+ * @param {Object} msg - Telegram message object
+ */
+const handleTemplatesCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/templates command received from user ${userId} in chat ${chatId}`);
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    await showTemplates(bot, chatId);
+  } catch (error) {
+    logger.error('Error in templates command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error loading the raid templates. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /xpweights command (Admin only)
+ * Format: /xpweights [action=XP ...|reset], sent in the group whose raids it applies to
+ * @param {Object} msg - Telegram message object
+ */
+const handleXpWeightsCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/xpweights command received from user ${userId} in chat ${chatId}`);
+    
+    if (msg.chat.type === 'private') {
+      return bot.sendMessage(chatId, 
+        'Send /xpweights in the group whose raids you want to set XP for.');
+    }
+    
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
+    
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
+    
+    const args = msg.text.replace(/^\S+/, '').trim();
+    let groupWeights = await getGroupXpWeights(chatId);
+    
+    if (args) {
+      let newWeights = null;
+      
+      if (args.toLowerCase() !== 'reset') {
+        const { weights, error } = parseXpWeights(args);
+        
+        if (error) {
+          return bot.sendMessage(chatId, `⚠️ ${error}`, { parse_mode: 'Markdown' });
         }
+        
+        // Actions left out keep the group's current XP
+        newWeights = { ...groupWeights, ...weights };
       }
-    );
+      
+      const saved = await setGroupXpWeights(chatId, newWeights, userId);
+      
+      if (!saved) {
+        return bot.sendMessage(chatId, 'Sorry, there was an error saving the XP weights. Please try again later.');
+      }
+      
+      groupWeights = newWeights;
+    }
+    
+    await bot.sendMessage(chatId, buildXpWeightsOverview(resolveXpWeights(groupWeights), !!groupWeights), {
+      parse_mode: 'Markdown'
+    });
   } catch (error) {
-    logger.error('Error starting raid configuration:', error.message);
-    throw error;
+    logger.error('Error in xpweights command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error updating the XP weights. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
   }
 };
 
 /**
- * Handle /endraid command (Admin only)
+ * Handle /levelups command (Admin only)
+ * Format: /levelups [on|off], sent in the group whose announcements it changes
  * @param {Object} msg - Telegram message object
  */
-const handleEndRaidCommand = async (msg) => {
+const handleLevelUpsCommand = async (msg) => {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     
-    logger.info(`/endraid command received from user ${userId} in chat ${chatId}`);
+    logger.info(`/levelups command received from user ${userId} in chat ${chatId}`);
+    
+    if (msg.chat.type === 'private') {
+      return bot.sendMessage(chatId, 
+        'Send /levelups in the group whose level-up announcements you want to change.');
+    }
     
     // Check if user is admin
     const isAdmin = await isUserAdminInGroup(userId, chatId);
@@ -583,40 +1153,98 @@ const handleEndRaidCommand = async (msg) => {
       return bot.sendMessage(chatId, '⛔ This command is for admins only.');
     }
     
-    // Get active raid for this chat
-    const supabase = getSupabase();
+    const choice = (msg.text.split(/\s+/)[1] || '').toLowerCase();
     
-    if (!supabase) {
-      return bot.sendMessage(chatId, 'Unable to connect to database. Please try again later.');
+    if (!['on', 'off'].includes(choice)) {
+      const announced = await getGroupLevelUpAnnouncements(chatId);
+      return bot.sendMessage(chatId, 
+        `🎉 Level-up announcements are *${announced ? 'on' : 'off'}* in this group.\n\n` +
+        'Use /levelups on or /levelups off to change this.',
+        { parse_mode: 'Markdown' });
     }
     
-    const { data: activeRaid, error } = await supabase
-      .from('raids')
-      .select('*')
-      .eq('chat_id', chatId)
-      .eq('is_active', true)
-      .single();
+    const enabled = choice === 'on';
+    const saved = await setGroupLevelUpAnnouncements(chatId, enabled, userId);
     
-    if (error || !activeRaid) {
-      return bot.sendMessage(chatId, '⚠️ There is no active raid to end.');
+    if (!saved) {
+      return bot.sendMessage(chatId, 'Sorry, there was an error saving the setting. Please try again later.');
+    }
+    
+    await bot.sendMessage(chatId, enabled ?
+      '🎉 Level-up announcements are on. I\'ll post here when a raider reaches a new level.' :
+      '🔕 Level-up announcements are off for this group.');
+  } catch (error) {
+    logger.error('Error in levelups command:', error.message);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error updating level-up announcements. Please try again later.');
+    } catch (msgError) {
+      logger.error('Error sending error message:', msgError.message);
+    }
+  }
+};
+
+/**
+ * Handle /minrank command (Admin only)
+ * Format: /minrank [rank|off], sent in the group whose raids it gates
+ * @param {Object} msg - Telegram message object
+ */
+const handleMinRankCommand = async (msg) => {
+  try {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    logger.info(`/minrank command received from user ${userId} in chat ${chatId}`);
+    
+    if (msg.chat.type === 'private') {
+      return bot.sendMessage(chatId, 
+        'Send /minrank in the group whose raids you want to limit.');
     }
     
-    // End the raid (implementation depends on the raidService which we haven't created yet)
-    // const raidResult = await endRaid(activeRaid.id);
+    // Check if user is admin
+    const isAdmin = await isUserAdminInGroup(userId, chatId);
     
-    // For now, just acknowledge
-    await bot.sendMessage(chatId, 
-      '🏁 *Raid Ended Manually*\n\n' +
-      'The raid has been ended by an admin. Calculating results...',
-      { parse_mode: 'Markdown' }
-    );
+    if (!isAdmin) {
+      return bot.sendMessage(chatId, '⛔ This command is for admins only.');
+    }
     
-    // In a full implementation, this would call a function to end the raid,
-    // calculate rewards, etc. and then show the results
+    const choice = msg.text.split(/\s+/).slice(1).join(' ').trim();
+    const ranks = config.levels.ranks.map(rank => escapeMarkdown(formatLevel(rank.level))).join('\n');
+    
+    if (!choice) {
+      const minRank = await getGroupMinRank(chatId);
+      return bot.sendMessage(chatId, 
+        (minRank ?
+          `🔒 Only raiders ranked *${escapeMarkdown(minRank)}* or above earn XP in this group's raids.\n\n` :
+          '🔓 Every raider can earn XP in this group\'s raids.\n\n') +
+        `*Ranks:*\n${ranks}\n\n` +
+        'Use /minrank <rank> to require one, or /minrank off to let everyone take part.',
+        { parse_mode: 'Markdown' });
+    }
+    
+    const off = choice.toLowerCase() === 'off';
+    const rankLevel = off ? null : getRankLevel(choice);
+    
+    if (!off && rankLevel === null) {
+      return bot.sendMessage(chatId, 
+        `❌ There is no rank called "${escapeMarkdown(choice)}".\n\n*Ranks:*\n${ranks}`,
+        { parse_mode: 'Markdown' });
+    }
+    
+    // Store the rank as configured, whatever case the admin typed it in
+    const rank = off ? null : config.levels.ranks.find(candidate => candidate.level === rankLevel).name;
+    const saved = await setGroupMinRank(chatId, rank, userId);
+    
+    if (!saved) {
+      return bot.sendMessage(chatId, 'Sorry, there was an error saving the setting. Please try again later.');
+    }
+    
+    await bot.sendMessage(chatId, rank ?
+      `🔒 Only raiders ranked ${rank} or above (${formatLevel(rankLevel)}) now earn XP in this group's raids.` :
+      '🔓 Every raider can earn XP in this group\'s raids again.');
   } catch (error) {
-    logger.error('Error in endraid command:', error.message);
+    logger.error('Error in minrank command:', error.message);
     try {
-      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error ending the raid. Please try again later.');
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error updating the minimum rank. Please try again later.');
     } catch (msgError) {
       logger.error('Error sending error message:', msgError.message);
     }
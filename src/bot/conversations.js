@@ -0,0 +1,68 @@
+/**
+ * Conversation Handlers
+ * Routes free-text replies to the multi-step flow a user currently has open
+ */
+
+const logger = require('../utils/logger');
+const { getSession } = require('../services/sessionService');
+const raidWizard = require('./raidWizard');
+const raidQueue = require('./raidQueue');
+const raidTemplates = require('./raidTemplates');
+
+// Text handlers keyed by session type
+const textHandlers = {
+  [raidWizard.WIZARD_TYPE]: raidWizard.handleWizardText,
+  [raidQueue.RESCHEDULE_TYPE]: raidQueue.handleRescheduleText,
+  [raidTemplates.RENAME_TYPE]: raidTemplates.handleRenameText
+};
+
+/**
+ * Set up conversation handlers
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const setupConversationHandlers = (bot) => {
+  bot.on('message', (msg) => handleConversationMessage(bot, msg));
+  
+  logger.info('Conversation handlers set up successfully');
+};
+
+/**
+ * Pass a text message to the user's open conversation, if any
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ */
+const handleConversationMessage = async (bot, msg) => {
+  try {
+    // Commands are handled by onText listeners, not conversations
+    if (!msg.text || msg.text.startsWith('/') || !msg.from) {
+      return;
+    }
+    
+    const session = await getSession(msg.chat.id, msg.from.id);
+    
+    if (!session) {
+      return;
+    }
+    
+    const handler = textHandlers[session.type];
+    
+    if (!handler) {
+      logger.warn(`No text handler for session type ${session.type} (user ${msg.from.id})`);
+      return;
+    }
+    
+    await handler(bot, msg, session);
+  } catch (error) {
+    logger.error(`Error handling conversation message from user ${msg.from?.id}: ${error.message}`);
+    try {
+      await bot.sendMessage(msg.chat.id, 'Sorry, there was an error processing your reply. Please try again.');
+    } catch (msgError) {
+      logger.error(`Error sending error message: ${msgError.message}`);
+    }
+  }
+};
+
+module.exports = {
+  setupConversationHandlers,
+  handleConversationMessage
+};
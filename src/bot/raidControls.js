@@ -0,0 +1,477 @@
+/**
+ * Raid Controls
+ * Prompts and input parsing admins use to manage running raids
+ * (/endraid, /editraid)
+ */
+
+const helpers = require('../utils/helpers');
+const { formatCommentRules, XP_ACTIONS } = require('../models/raidModel');
+
+// /editraid usage, shown with the raid overview and on invalid input
+const EDIT_RAID_USAGE =
+  '`/editraid [id] extend <duration>` – e.g. `30m`, `2h`\n' +
+  '`/editraid [id] targets <likes> <retweets> <comments>`\n' +
+  '`/editraid [id] description <text>` – `-` clears it\n' +
+  '`/editraid [id] reward <amount>` – new reward pool\n' +
+  '`/editraid [id] rules <rules>` – comment rules, `-` clears them\n' +
+  '`/editraid [id] follow <@account>` – account to follow, `-` for the tweet author';
+
+// Comment rule syntax, shown by the raid wizard and on invalid rules
+const COMMENT_RULES_USAGE =
+  '`min <characters>` – minimum length\n' +
+  '`require <#hashtag $cashtag @mention ...>` – all must appear\n' +
+  '`ban <phrase>, <phrase>` – comments containing one earn no XP\n' +
+  '`lang <code>` – language, e.g. `en`\n\n' +
+  'Separate rules with `;`, e.g. `min 20; require #SUI; lang en`';
+
+// XP weight syntax, shown by /xpweights, the raid wizard and on invalid weights
+const XP_WEIGHTS_USAGE =
+  'Send `action=XP` pairs, e.g. `like=15 retweet=20 comment=25`\n' +
+  `Actions: ${Object.keys(XP_ACTIONS).join(', ')}\n` +
+  'Actions you leave out keep their current XP; `0` pays nothing for an action.';
+
+// XP multiplier curve syntax, shown by the raid wizard and on invalid curves
+const XP_CURVE_USAGE =
+  '`10m=2 30m=1.5` – steps: 2x for the first 10 minutes, 1.5x until 30, then 1x\n' +
+  '`linear 2 60m` – from 2x at the start down to 1x at 60 minutes\n' +
+  '`exp 2 15m` – from 2x, halving the bonus every 15 minutes\n\n' +
+  'Add a last multiplier to decay to something other than 1x, e.g. `linear 1 2h 0.5`.';
+
+// Longest minimum comment length (Twitter's post limit)
+const MAX_COMMENT_LENGTH = 280;
+
+// Most XP a single action can pay
+const MAX_ACTION_XP = 1000;
+
+// Largest XP multiplier a curve can use
+const MAX_XP_MULTIPLIER = 10;
+
+/**
+ * Short one-line label for a raid
+ * @param {Raid} raid - Raid instance
+ * @returns {string} Label
+ */
+const raidLabel = (raid) => `#${raid.id} · ${raid.getTimeRemaining()} left`;
+
+/**
+ * Build the prompt asking which active raid to end
+ * @param {Array<Raid>} raids - Active raids in the chat
+ * @returns {Object} { text, reply_markup }
+ */
+const buildEndRaidPicker = (raids) => {
+  let text = `🏁 *End a raid*\n\n`;
+  text += `There are ${raids.length} active raids in this chat. Which one do you want to end?\n\n`;
+  
+  raids.forEach(raid => {
+    text += `*#${raid.id}* – [tweet](${raid.tweetUrl}), ends in ${raid.getTimeRemaining()}\n`;
+  });
+  
+  text += `\nYou can also use /endraid <id>.`;
+  
+  const keyboard = raids.map(raid => [
+    { text: raidLabel(raid), callback_data: `endraid_select_${raid.id}` }
+  ]);
+  
+  keyboard.push([{ text: '↩️ Never mind', callback_data: 'endraid_dismiss' }]);
+  
+  return {
+    text,
+    reply_markup: { inline_keyboard: keyboard }
+  };
+};
+
+/**
+ * Build the confirmation prompt for ending a raid
+ * @param {Raid} raid - Raid instance
+ * @returns {Object} { text, reply_markup }
+ */
+const buildEndRaidConfirmation = (raid) => {
+  let text = `🏁 *End raid #${raid.id}?*\n\n`;
+  text += `[View tweet](${raid.tweetUrl}) – ends in ${raid.getTimeRemaining()}\n\n`;
+  
+  text += `*Progress so far:*\n`;
+  text += `👍 ${raid.actualLikes} Likes\n`;
+  text += `🔄 ${raid.actualRetweets} Retweets\n`;
+  text += `💬 ${raid.actualComments} Comments\n\n`;
+  
+  if (raid.totalReward || raid.tokenPerXp) {
+    text += `*End & pay out* closes the raid now and distributes ${raid.tokenSymbol} rewards to eligible raiders.\n`;
+  } else {
+    text += `*End & pay out* closes the raid now and posts the final results.\n`;
+  }
+  text += `*Cancel raid* closes the raid without paying any rewards.`;
+  
+  return {
+    text,
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ End & pay out', callback_data: `endraid_complete_${raid.id}` }],
+        [{ text: '🛑 Cancel raid', callback_data: `endraid_cancel_${raid.id}` }],
+        [{ text: '↩️ Keep running', callback_data: 'endraid_dismiss' }]
+      ]
+    }
+  };
+};
+
+/**
+ * Parse the change requested with /editraid
+ * @param {string} field - Field keyword (extend, targets, description, reward, rules, follow)
+ * @param {string} value - Rest of the command
+ * @returns {Object} { changes } or { error }
+ */
+const parseRaidEdit = (field, value) => {
+  const text = (value || '').trim();
+  
+  switch ((field || '').toLowerCase()) {
+    case 'extend': {
+      const extendBy = helpers.parseDuration(text);
+      
+      if (!extendBy) {
+        return { error: 'Please give how long to extend the raid by, e.g. `30m`, `2h` or `1h30m`.' };
+      }
+      
+      return { changes: { extendBy } };
+    }
+    case 'targets': {
+      const counts = text.split(/\s+/).map(Number);
+      
+      if (counts.length !== 3 || !counts.every(count => Number.isInteger(count) && count >= 0)) {
+        return { error: 'Please give three whole numbers: `targets <likes> <retweets> <comments>` (0 for no target).' };
+      }
+      
+      const [targetLikes, targetRetweets, targetComments] = counts;
+      return { changes: { targets: { targetLikes, targetRetweets, targetComments } } };
+    }
+    case 'description':
+      if (!text) {
+        return { error: 'Please give the new description, or `-` to clear it.' };
+      }
+      
+      return { changes: { description: text === '-' ? '' : text } };
+    case 'rules': {
+      if (text === '-') {
+        return { changes: { commentRules: null } };
+      }
+      
+      const { rules, error } = parseCommentRules(text);
+      return error ? { error } : { changes: { commentRules: rules } };
+    }
+    case 'follow': {
+      if (text === '-') {
+        return { changes: { followAccount: null } };
+      }
+      
+      const { account, error } = parseFollowAccount(text);
+      return error ? { error } : { changes: { followAccount: account } };
+    }
+    case 'reward': {
+      const totalReward = Number(text.replace(/,/g, ''));
+      
+      if (!Number.isFinite(totalReward) || totalReward <= 0) {
+        return { error: 'Please give the new reward pool as a number greater than 0.' };
+      }
+      
+      return { changes: { totalReward } };
+    }
+    default:
+      return { error: `Unknown setting. Use one of:\n${EDIT_RAID_USAGE}` };
+  }
+};
+
+/**
+ * Parse the Twitter account raiders should follow
+ * @param {string} text - Handle, with or without the leading @
+ * @returns {Object} { account: { username } } or { error }
+ */
+const parseFollowAccount = (text) => {
+  const handle = (text || '').trim().replace(/^@/, '');
+  
+  // Twitter handles are 1-15 letters, digits or underscores
+  if (!/^\w{1,15}$/.test(handle)) {
+    return { error: 'Please give the Twitter account to follow, e.g. `@SuiNetwork`.' };
+  }
+  
+  return { account: { username: handle } };
+};
+
+/**
+ * Parse comment rules, e.g. "min 20; require #SUI $SUI; ban gm, wagmi; lang en"
+ * @param {string} text - Rules separated by ";" or new lines
+ * @returns {Object} { rules } or { error }
+ */
+const parseCommentRules = (text) => {
+  const parts = (text || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean);
+  const rules = {};
+  
+  if (parts.length === 0) {
+    return { error: `Please give at least one rule:\n${COMMENT_RULES_USAGE}` };
+  }
+  
+  for (const part of parts) {
+    const [keyword, ...rest] = part.split(/\s+/);
+    const value = rest.join(' ');
+    
+    switch (keyword.toLowerCase()) {
+      case 'min': {
+        const minLength = Number(value);
+        
+        if (!Number.isInteger(minLength) || minLength < 1 || minLength > MAX_COMMENT_LENGTH) {
+          return { error: `The minimum length must be a whole number of characters from 1 to ${MAX_COMMENT_LENGTH}.` };
+        }
+        
+        rules.minLength = minLength;
+        break;
+      }
+      case 'require': {
+        const required = value.split(/[\s,]+/).filter(Boolean);
+        
+        if (required.length === 0 || !required.every(tag => /^[#$@]\w+$/.test(tag))) {
+          return { error: 'Required tags must be hashtags, cashtags or mentions, e.g. `require #SUI $SUI @SuiNetwork`.' };
+        }
+        
+        rules.required = required;
+        break;
+      }
+      case 'ban': {
+        const banned = value.split(',').map(phrase => phrase.trim().toLowerCase()).filter(Boolean);
+        
+        if (banned.length === 0) {
+          return { error: 'Please list the banned phrases separated by commas, e.g. `ban gm, wagmi`.' };
+        }
+        
+        rules.banned = banned;
+        break;
+      }
+      case 'lang':
+        if (!/^[a-z]{2,3}$/i.test(value)) {
+          return { error: 'Please give a two-letter language code, e.g. `lang en`.' };
+        }
+        
+        rules.language = value.toLowerCase();
+        break;
+      default:
+        return { error: `Unknown rule "${helpers.escapeMarkdown(keyword)}". Use:\n${COMMENT_RULES_USAGE}` };
+    }
+  }
+  
+  return { rules };
+};
+
+/**
+ * Parse XP per action, e.g. "like=15 retweet=20 comment=25"
+ * @param {string} text - action=XP pairs separated by spaces, commas or ";"
+ * @returns {Object} { weights: partial XP weights (action -> XP) } or { error }
+ */
+const parseXpWeights = (text) => {
+  const pairs = (text || '').split(/[\s,;]+/).filter(Boolean);
+  const weights = {};
+  
+  if (pairs.length === 0) {
+    return { error: `Please give the XP for at least one action:\n${XP_WEIGHTS_USAGE}` };
+  }
+  
+  for (const pair of pairs) {
+    const [name, value, ...rest] = pair.split('=');
+    const action = Object.keys(XP_ACTIONS).find(key => key.toLowerCase() === name.toLowerCase());
+    
+    if (!action || rest.length > 0) {
+      return { error: `Unknown action "${helpers.escapeMarkdown(pair)}". Use:\n${XP_WEIGHTS_USAGE}` };
+    }
+    
+    const xp = /^\d+$/.test(value || '') ? Number(value) : NaN;
+    
+    if (Number.isNaN(xp) || xp > MAX_ACTION_XP) {
+      return { error: `XP for ${action} must be a whole number from 0 to ${MAX_ACTION_XP}.` };
+    }
+    
+    weights[action] = xp;
+  }
+  
+  return { weights };
+};
+
+/**
+ * Parse an XP multiplier, e.g. "2", "1.5" or "2x"
+ * @param {string} text - Multiplier
+ * @returns {number|null} Multiplier, or null if it isn't 0.1-10 with at most two decimals
+ */
+const parseMultiplier = (text) => {
+  const match = (text || '').toLowerCase().match(/^(\d+(?:\.\d{1,2})?)x?$/);
+  const multiplier = match ? Number(match[1]) : NaN;
+  
+  return multiplier >= 0.1 && multiplier <= MAX_XP_MULTIPLIER ? multiplier : null;
+};
+
+/**
+ * Parse an XP multiplier curve, e.g. "10m=2 30m=1.5", "linear 2 60m" or "exp 2 15m"
+ * @param {string} text - Curve (see XP_CURVE_USAGE)
+ * @returns {Object} { curve } or { error }
+ */
+const parseXpCurve = (text) => {
+  const [keyword, ...args] = (text || '').trim().split(/\s+/).filter(Boolean);
+  const invalid = { error: `Please give the curve as one of:\n${XP_CURVE_USAGE}` };
+  const multiplierError = { error: `Multipliers must be from 0.1 to ${MAX_XP_MULTIPLIER}, e.g. \`2\` or \`1.5\`.` };
+  
+  if (!keyword) {
+    return invalid;
+  }
+  
+  const toMinutes = (duration) => {
+    const seconds = helpers.parseDuration(duration);
+    return seconds ? seconds / 60 : null;
+  };
+  
+  const type = { linear: 'linear', exp: 'exponential', exponential: 'exponential' }[keyword.toLowerCase()];
+  
+  if (type) {
+    if (args.length < 2 || args.length > 3) {
+      return invalid;
+    }
+    
+    const multiplier = parseMultiplier(args[0]);
+    const minutes = toMinutes(args[1]);
+    const end = args.length === 3 ? parseMultiplier(args[2]) : 1;
+    
+    if (multiplier === null || end === null) {
+      return multiplierError;
+    }
+    
+    if (!minutes) {
+      return { error: 'Please give how long the decay takes, e.g. `15m` or `1h`.' };
+    }
+    
+    return {
+      curve: type === 'linear' ?
+        { type, multiplier, minutes, end } :
+        { type, multiplier, halfLife: minutes, end }
+    };
+  }
+  
+  const steps = [];
+  
+  for (const pair of [keyword, ...args]) {
+    const [duration, value, ...rest] = pair.split('=');
+    const minutes = toMinutes(duration);
+    
+    if (!minutes || rest.length > 0 || value === undefined) {
+      return invalid;
+    }
+    
+    const multiplier = parseMultiplier(value);
+    
+    if (multiplier === null) {
+      return multiplierError;
+    }
+    
+    if (steps.some(step => step.minutes === minutes)) {
+      return { error: `The ${minutes}m step is given twice.` };
+    }
+    
+    steps.push({ minutes, multiplier });
+  }
+  
+  return { curve: { type: 'steps', steps: steps.sort((a, b) => a.minutes - b.minutes) } };
+};
+
+/**
+ * Label for a raid's follow account
+ * @param {Object|null} account - Follow account ({ id, username })
+ * @returns {string} Escaped handle, or "None"
+ */
+const followLabel = (account) => account ? `@${helpers.escapeMarkdown(account.username)}` : 'None';
+
+/**
+ * Build the /xpweights overview of a group's XP per action
+ * @param {Object} weights - XP per action in force for the group
+ * @param {boolean} custom - Whether the group set any of them
+ * @returns {string} Message text
+ */
+const buildXpWeightsOverview = (weights, custom) => {
+  let text = `⚖️ *XP per action in this group*\n\n`;
+  
+  Object.keys(XP_ACTIONS).forEach(action => {
+    text += `${XP_ACTIONS[action].emoji} ${XP_ACTIONS[action].name} (\`${action}\`): ${weights[action]} XP\n`;
+  });
+  
+  text += custom ? '\nThese are this group\'s defaults for new raids.' : '\nThis group uses the bot\'s defaults.';
+  text += ' Raids that are already running or scheduled keep their XP.\n\n';
+  text += `${XP_WEIGHTS_USAGE}\n\`/xpweights reset\` goes back to the bot's defaults.`;
+  
+  return text;
+};
+
+/**
+ * Describe one recorded change to a raid
+ * @param {Object} edit - { field, oldValue, newValue }
+ * @param {Raid} raid - Raid the change belongs to
+ * @returns {string} One-line description
+ */
+const formatRaidEdit = (edit, raid) => {
+  const targets = (value) => `${value.targetLikes}/${value.targetRetweets}/${value.targetComments}`;
+  
+  switch (edit.field) {
+    case 'end_time':
+      return `⏱ Ends ${helpers.formatDate(edit.newValue, { utc: true })} (was ${helpers.formatDate(edit.oldValue, { utc: true })})`;
+    case 'targets':
+      return `🎯 Targets ${targets(edit.newValue)} likes/retweets/comments${raid.isMultiTweet() ? ' per tweet' : ''} (was ${targets(edit.oldValue)})`;
+    case 'description':
+      return edit.newValue ? '📝 Description updated' : '📝 Description removed';
+    case 'total_reward':
+      return `💰 Reward pool ${edit.newValue} ${raid.tokenSymbol} (was ${edit.oldValue} ${raid.tokenSymbol})`;
+    case 'comment_rules':
+      return `💬 Comment rules: ${formatCommentRules(edit.newValue)} (was ${formatCommentRules(edit.oldValue)})`;
+    case 'follow_account':
+      return `👤 Follow ${followLabel(edit.newValue)} (was ${followLabel(edit.oldValue)})`;
+    default:
+      return `${edit.field} changed`;
+  }
+};
+
+/**
+ * Build the /editraid overview of a raid's editable settings and recent changes
+ * @param {Raid} raid - Active raid
+ * @param {Array} edits - Recent changes, newest first
+ * @returns {string} Message text
+ */
+const buildEditRaidOverview = (raid, edits) => {
+  let text = `✏️ *Edit raid #${raid.id}*\n\n`;
+  
+  text += `⏱ Ends in ${raid.getTimeRemaining()}\n`;
+  text += `🎯 Targets: ${raid.targetLikes}/${raid.targetRetweets}/${raid.targetComments} likes/retweets/comments\n`;
+  
+  if (raid.totalReward && !raid.tokenPerXp) {
+    text += `💰 Reward pool: ${raid.totalReward} ${raid.tokenSymbol}\n`;
+  }
+  
+  text += `💬 Comment rules: ${formatCommentRules(raid.commentRules)}\n`;
+  text += `👤 Follow: ${followLabel(raid.followAccount)}\n`;
+  
+  text += `\n${EDIT_RAID_USAGE}\n`;
+  
+  if (edits.length > 0) {
+    text += `\n*Recent changes:*\n`;
+    edits.forEach(edit => {
+      text += `• ${formatRaidEdit(edit, raid)} – by admin ${edit.editedBy}, ${helpers.formatDate(edit.createdAt, { utc: true })}\n`;
+    });
+  }
+  
+  return text;
+};
+
+module.exports = {
+  EDIT_RAID_USAGE,
+  COMMENT_RULES_USAGE,
+  XP_WEIGHTS_USAGE,
+  XP_CURVE_USAGE,
+  buildEndRaidPicker,
+  buildEndRaidConfirmation,
+  parseRaidEdit,
+  parseCommentRules,
+  parseFollowAccount,
+  parseXpWeights,
+  parseXpCurve,
+  followLabel,
+  formatRaidEdit,
+  buildEditRaidOverview,
+  buildXpWeightsOverview
+};
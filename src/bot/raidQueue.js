@@ -0,0 +1,167 @@
+/**
+ * Raid Queue
+ * Lists scheduled (pending) raids for a chat and lets admins reschedule
+ * or remove them. New start times are entered as a text reply.
+ */
+
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const { Raid, RaidStatus } = require('../models/raidModel');
+const raidService = require('../services/raidServices');
+const { startSession, endSession } = require('../services/sessionService');
+
+// Session type for an admin typing a new start time
+const RESCHEDULE_TYPE = 'queue_reschedule';
+
+// Accepted start time formats, shown in prompts and errors
+const START_TIME_FORMATS =
+  '`YYYY-MM-DD HH:MM`, `HH:MM` (next occurrence) or an offset such as `+2h` or `+1d`. Times are in UTC.';
+
+/**
+ * Format a raid duration in seconds as text
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  
+  if (hours > 0 && minutes > 0) return `${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h`;
+  return `${minutes}m`;
+};
+
+/**
+ * Build the /queue message for a chat
+ * @param {Array<Raid>} raids - Pending raids, soonest first
+ * @returns {Object} { text, reply_markup }
+ */
+const buildQueueMessage = (raids) => {
+  if (raids.length === 0) {
+    return {
+      text: '🗓 *Upcoming raids*\n\nNo raids are scheduled. Use /scheduleraid <tweet\\_url> <start time> [duration] to add one.',
+      reply_markup: { inline_keyboard: [] }
+    };
+  }
+  
+  let text = `🗓 *Upcoming raids* (${raids.length})\n\n`;
+  
+  raids.forEach(raid => {
+    text += `*#${raid.id}* – [tweet](${raid.tweetUrl})\n`;
+    text += `Starts ${helpers.formatDate(raid.startTime, { utc: true })} (in ${helpers.timeUntil(raid.startTime)}), runs ${formatDuration(raid.duration)}\n\n`;
+  });
+  
+  const keyboard = raids.map(raid => [
+    { text: `🕑 Reschedule #${raid.id}`, callback_data: `queue_reschedule_${raid.id}` },
+    { text: `🗑 Delete #${raid.id}`, callback_data: `queue_delete_${raid.id}` }
+  ]);
+  
+  keyboard.push([{ text: '🔄 Refresh', callback_data: 'queue_refresh' }]);
+  
+  return {
+    text,
+    reply_markup: { inline_keyboard: keyboard }
+  };
+};
+
+/**
+ * Send or refresh the queue message for a chat
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} messageId - Existing queue message to edit (sends a new one if omitted)
+ * @returns {Object} Sent or edited message
+ */
+const showQueue = async (bot, chatId, messageId = null) => {
+  const raids = await Raid.findPendingByChatId(chatId);
+  const { text, reply_markup } = buildQueueMessage(raids);
+  const options = {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup
+  };
+  
+  if (messageId) {
+    try {
+      return await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId });
+    } catch (error) {
+      // Telegram rejects edits that change nothing; the queue is already current
+      if (error.message && error.message.includes('message is not modified')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  return await bot.sendMessage(chatId, text, options);
+};
+
+/**
+ * Ask an admin for a new start time for a scheduled raid
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Admin's Telegram user ID
+ * @param {Raid} raid - Pending raid
+ */
+const startReschedule = async (bot, chatId, userId, raid) => {
+  const session = await startSession(chatId, userId, RESCHEDULE_TYPE, 'start_time', { raidId: raid.id });
+  
+  if (!session) {
+    throw new Error('Could not start reschedule session');
+  }
+  
+  await bot.sendMessage(chatId,
+    `🕑 *Reschedule raid #${raid.id}*\n\n` +
+    `Currently starts ${helpers.formatDate(raid.startTime, { utc: true })}.\n\n` +
+    `Reply with the new start time: ${START_TIME_FORMATS}`,
+    { parse_mode: 'Markdown' });
+};
+
+/**
+ * Handle the admin's new start time
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} session - Reschedule session
+ */
+const handleRescheduleText = async (bot, msg, session) => {
+  const chatId = msg.chat.id;
+  
+  if (session.expired) {
+    return bot.sendMessage(chatId, '⌛ That reschedule request has expired. Use /queue to try again.');
+  }
+  
+  const startTime = helpers.parseStartTime(msg.text);
+  
+  if (!startTime || startTime <= new Date()) {
+    return bot.sendMessage(chatId,
+      `⚠️ Please send a future start time: ${START_TIME_FORMATS}`,
+      { parse_mode: 'Markdown' });
+  }
+  
+  const raid = await Raid.findById(session.data.raidId);
+  
+  if (!raid || raid.status !== RaidStatus.PENDING) {
+    await endSession(chatId, msg.from.id);
+    return bot.sendMessage(chatId, '⚠️ That raid is no longer scheduled.');
+  }
+  
+  try {
+    const updated = await raidService.rescheduleRaid(raid, startTime);
+    await endSession(chatId, msg.from.id);
+    
+    logger.info(`User ${msg.from.id} rescheduled raid ${raid.id} to ${startTime.toISOString()}`);
+    await bot.sendMessage(chatId,
+      `✅ Raid #${updated.id} now starts ${helpers.formatDate(updated.startTime, { utc: true })}.`);
+  } catch (error) {
+    logger.error(`Error rescheduling raid ${raid.id} for user ${msg.from.id}: ${error.message}`);
+    await bot.sendMessage(chatId, `❌ Could not reschedule raid #${raid.id}. Please try again.`);
+  }
+};
+
+module.exports = {
+  RESCHEDULE_TYPE,
+  START_TIME_FORMATS,
+  formatDuration,
+  showQueue,
+  startReschedule,
+  handleRescheduleText
+};
@@ -0,0 +1,189 @@
+/**
+ * Raid Templates
+ * Lists a chat's saved raid configurations and lets admins rename them,
+ * pick a default for /dropraid or delete them. New names are entered as
+ * a text reply.
+ */
+
+const logger = require('../utils/logger');
+const templateService = require('../services/templateService');
+const { startSession, endSession } = require('../services/sessionService');
+const { formatDuration } = require('./raidQueue');
+const { followLabel } = require('./raidControls');
+
+// Session type for an admin typing a new template name
+const RENAME_TYPE = 'template_rename';
+
+/**
+ * Describe a template's configuration in one line
+ * @param {Object} template - Template
+ * @returns {string} Summary text
+ */
+const describeTemplate = (template) => {
+  const { config: tpl } = template;
+  const reward = tpl.rewardModel === 'fixed' ?
+    `${tpl.tokenPerXp} ${tpl.tokenSymbol}/XP` :
+    `${tpl.totalReward} ${tpl.tokenSymbol} pool`;
+  const targets = [
+    tpl.targetLikes > 0 ? `${tpl.targetLikes} 👍` : null,
+    tpl.targetRetweets > 0 ? `${tpl.targetRetweets} 🔄` : null,
+    tpl.targetComments > 0 ? `${tpl.targetComments} 💬` : null
+  ].filter(Boolean);
+  
+  let text = `${reward}, ${formatDuration(tpl.duration)}`;
+  
+  if (targets.length > 0) text += `, targets ${targets.join(' ')}`;
+  if (tpl.thresholdXp > 0) text += `, min ${tpl.thresholdXp} XP`;
+  if (tpl.lockChat) text += ', 🔒 lockdown';
+  if (tpl.commentRules) text += ', 💬 comment rules';
+  if (tpl.followAccount) text += `, 👤 follow ${followLabel(tpl.followAccount)}`;
+  if (tpl.xpWeights) text += ', ⚖️ custom XP';
+  if (tpl.xpCurve) text += ', ⚡ time bonus';
+  
+  return text;
+};
+
+/**
+ * Build the /templates message for a chat
+ * @param {Array} templates - Chat's templates
+ * @returns {Object} { text, reply_markup }
+ */
+const buildTemplatesMessage = (templates) => {
+  if (templates.length === 0) {
+    return {
+      text: '💾 *Raid templates*\n\nNo templates saved yet. Finish a /dropraid configuration and press *Save as template* to add one.',
+      reply_markup: { inline_keyboard: [] }
+    };
+  }
+  
+  let text = `💾 *Raid templates* (${templates.length})\n\n`;
+  
+  templates.forEach(template => {
+    text += `${template.isDefault ? '⭐' : '•'} \`${template.name}\` – ${describeTemplate(template)}\n`;
+  });
+  
+  text += '\nUse `/dropraid <tweet_url> tpl=<name>` to launch a raid with a template. ';
+  text += 'The ⭐ default is used when no template is given; add `tpl=none` to open the wizard instead.';
+  
+  text += '\n\nTap a template name to make it the default (tap the ⭐ one again to unset it).';
+  
+  const keyboard = templates.map(template => [
+    { text: `${template.isDefault ? '⭐' : '☆'} ${template.name}`, callback_data: `tpl_default_${template.id}` },
+    { text: '✏️ Rename', callback_data: `tpl_rename_${template.id}` },
+    { text: '🗑 Delete', callback_data: `tpl_delete_${template.id}` }
+  ]);
+  
+  keyboard.push([{ text: '🔄 Refresh', callback_data: 'tpl_refresh' }]);
+  
+  return {
+    text,
+    reply_markup: { inline_keyboard: keyboard }
+  };
+};
+
+/**
+ * Send or refresh the templates message for a chat
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} messageId - Existing templates message to edit (sends a new one if omitted)
+ * @returns {Object} Sent or edited message
+ */
+const showTemplates = async (bot, chatId, messageId = null) => {
+  const templates = await templateService.listTemplates(chatId);
+  const { text, reply_markup } = buildTemplatesMessage(templates);
+  const options = {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup
+  };
+  
+  if (messageId) {
+    try {
+      return await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId });
+    } catch (error) {
+      // Telegram rejects edits that change nothing; the list is already current
+      if (error.message && error.message.includes('message is not modified')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  return await bot.sendMessage(chatId, text, options);
+};
+
+/**
+ * Ask an admin for a new template name
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Admin's Telegram user ID
+ * @param {Object} template - Template to rename
+ */
+const startRename = async (bot, chatId, userId, template) => {
+  const session = await startSession(chatId, userId, RENAME_TYPE, 'name', { templateId: template.id });
+  
+  if (!session) {
+    throw new Error('Could not start rename session');
+  }
+  
+  await bot.sendMessage(chatId,
+    `✏️ *Rename template* \`${template.name}\`\n\n` +
+    'Reply with the new name (up to 32 letters, digits, `-` or `_`).',
+    { parse_mode: 'Markdown' });
+};
+
+/**
+ * Handle the admin's new template name
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} session - Rename session
+ */
+const handleRenameText = async (bot, msg, session) => {
+  const chatId = msg.chat.id;
+  
+  if (session.expired) {
+    return bot.sendMessage(chatId, '⌛ That rename request has expired. Use /templates to try again.');
+  }
+  
+  const name = templateService.normalizeTemplateName(msg.text);
+  
+  if (!name) {
+    return bot.sendMessage(chatId,
+      '⚠️ Template names can only use letters, digits, `-` and `_` (up to 32 characters).',
+      { parse_mode: 'Markdown' });
+  }
+  
+  const template = await templateService.getTemplateById(session.data.templateId);
+  
+  if (!template || String(template.chatId) !== String(chatId)) {
+    await endSession(chatId, msg.from.id);
+    return bot.sendMessage(chatId, '⚠️ That template no longer exists.');
+  }
+  
+  const existing = await templateService.getTemplate(chatId, name);
+  
+  if (existing && existing.id !== template.id) {
+    return bot.sendMessage(chatId,
+      `⚠️ A template called \`${name}\` already exists. Please choose another name.`,
+      { parse_mode: 'Markdown' });
+  }
+  
+  const renamed = await templateService.renameTemplate(template.id, name);
+  await endSession(chatId, msg.from.id);
+  
+  if (!renamed) {
+    return bot.sendMessage(chatId, `❌ Could not rename template \`${template.name}\`. Please try again.`,
+      { parse_mode: 'Markdown' });
+  }
+  
+  logger.info(`User ${msg.from.id} renamed template ${template.name} to ${name} in chat ${chatId}`);
+  await bot.sendMessage(chatId, `✅ Template \`${template.name}\` is now \`${name}\`.`,
+    { parse_mode: 'Markdown' });
+};
+
+module.exports = {
+  RENAME_TYPE,
+  showTemplates,
+  startRename,
+  handleRenameText
+};
@@ -0,0 +1,744 @@
+/**
+ * Raid Configuration Wizard
+ * Stage definitions, rendering and text-input handling for the /dropraid flow.
+ * State lives in the sessions table so the wizard survives restarts and
+ * serverless invocations.
+ */
+
+const logger = require('../utils/logger');
+const { MAX_RAID_TWEETS, formatCommentRules, resolveXpWeights, formatXpWeights, formatXpCurve } = require('../models/raidModel');
+const { startSession, getSession, saveSession, endSession } = require('../services/sessionService');
+const { normalizeTemplateName, saveTemplate } = require('../services/templateService');
+const { getGroupXpWeights } = require('../services/groupSettingsService');
+const { COMMENT_RULES_USAGE, XP_WEIGHTS_USAGE, XP_CURVE_USAGE, parseCommentRules, parseFollowAccount, parseXpWeights, parseXpCurve, followLabel } = require('./raidControls');
+
+// Session type used for the /dropraid wizard
+const WIZARD_TYPE = 'raid_wizard';
+
+// Default raid duration when the admin skips the duration stage (seconds)
+const DEFAULT_DURATION = 3600;
+
+// Longest raid the wizard accepts (one week, in minutes)
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+const replyHint = '\n\n_Reply to this message with your answer._';
+
+// Upper bound for a tweet's XP weight
+const MAX_XP_WEIGHT = 10;
+
+/**
+ * Get the tweet URLs of a wizard session
+ * @param {Object} data - Session data
+ * @returns {Array<string>} Tweet URLs in raid order
+ */
+const getTweetUrls = (data) => data.tweetUrls || [data.tweetUrl];
+
+/**
+ * Get the XP per action the raid being configured will pay
+ * @param {Object} data - Session data
+ * @returns {Object} XP per action: the group's defaults with the raid's overrides
+ */
+const getXpWeights = (data) => resolveXpWeights(data.groupXpWeights, data.xpWeights);
+
+/**
+ * Wizard stages
+ * Button stages define a keyboard; text stages define a parser that
+ * validates the admin's reply and returns { value } or { error }, and
+ * next(data) naming the stage that follows. Stages with skip can be
+ * passed with the "use default" button, which applies skip(data). A text
+ * stage's optional submit(session) runs after parsing and may return { error }.
+ */
+const STAGES = {
+  mode: {
+    prompt: () =>
+      '🚀 *Raid Configuration*\n\n' +
+      'Please choose the reward mode:',
+    keyboard: () => [
+      [
+        { text: 'Single Raid', callback_data: 'raid_mode_single' },
+        { text: 'Campaign', callback_data: 'raid_mode_campaign' }
+      ]
+    ]
+  },
+  token: {
+    prompt: (data) =>
+      '🪙 *Choose Token Type for Rewards*\n\n' +
+      (data.mode === 'campaign'
+        ? 'Select the token type for this campaign:'
+        : 'Select the token type for this single raid:'),
+    keyboard: () => [
+      [
+        { text: 'SUI', callback_data: 'token_type_sui' },
+        { text: 'Custom Token', callback_data: 'token_type_custom' }
+      ]
+    ]
+  },
+  custom_token: {
+    prompt: () =>
+      '🪙 *Custom Token Details*\n\n' +
+      'Please provide the token information in the format:\n' +
+      '`token_type token_symbol`\n\n' +
+      'Example: `0x123456::mycoin::MYCOIN MYCOIN`\n\n' +
+      '*Note:* The token type must be a valid Sui token address.' +
+      replyHint,
+    parse: (text) => {
+      const [tokenType, tokenSymbol, ...rest] = text.trim().split(/\s+/);
+      
+      if (!tokenType || !tokenSymbol || rest.length > 0) {
+        return { error: 'Please send exactly two values: `token_type token_symbol`' };
+      }
+      
+      if (!/^0x[a-fA-F0-9]+::\w+::\w+$/.test(tokenType)) {
+        return { error: 'The token type must look like `0x123456::mycoin::MYCOIN`' };
+      }
+      
+      if (!/^[A-Za-z0-9_]{1,16}$/.test(tokenSymbol)) {
+        return { error: 'The token symbol must be 1-16 letters or digits' };
+      }
+      
+      return { value: { tokenType, tokenSymbol: tokenSymbol.toUpperCase() } };
+    },
+    next: () => 'reward_model'
+  },
+  reward_model: {
+    prompt: () =>
+      '💰 *Choose Reward Model*\n\n' +
+      'Select how rewards will be distributed:',
+    keyboard: () => [
+      [
+        { text: 'Fixed per XP', callback_data: 'reward_model_fixed' },
+        { text: 'Pool Share', callback_data: 'reward_model_pool' }
+      ]
+    ]
+  },
+  token_per_xp: {
+    prompt: () =>
+      '💰 *Token per XP Rate*\n\n' +
+      'How many tokens should users earn per XP point?\n\n' +
+      'Please enter a number (can be a decimal like 0.5):' +
+      replyHint,
+    parse: (text) => parsePositiveNumber(text, 'tokenPerXp'),
+    next: () => 'duration'
+  },
+  total_reward: {
+    prompt: () =>
+      '💰 *Total Reward Pool*\n\n' +
+      'What is the total amount of tokens to distribute?\n\n' +
+      'Please enter a number:' +
+      replyHint,
+    parse: (text) => parsePositiveNumber(text, 'totalReward'),
+    next: () => 'duration'
+  },
+  duration: {
+    prompt: () =>
+      '⏳ *Raid Duration*\n\n' +
+      `How long should the raid run? Enter a number of minutes (1-${MAX_DURATION_MINUTES}).` +
+      replyHint,
+    keyboard: () => [
+      [{ text: `Use default (${DEFAULT_DURATION / 60} minutes)`, callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text) => {
+      const minutes = Number(text.trim());
+      
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+        return { error: `Please enter a whole number of minutes between 1 and ${MAX_DURATION_MINUTES}` };
+      }
+      
+      return { value: { duration: minutes * 60 } };
+    },
+    skip: () => ({ duration: DEFAULT_DURATION }),
+    // Multi-tweet raids get to set weights and targets per tweet
+    next: (data) => (getTweetUrls(data).length > 1 ? 'tweets' : 'confirm')
+  },
+  tweets: {
+    prompt: (data) =>
+      '🧵 *Tweet Weights and Targets*\n\n' +
+      getTweetUrls(data).map((url, index) => `${index + 1}. ${url}`).join('\n') + '\n\n' +
+      'Send one line per tweet, in order:\n' +
+      '`xp_weight likes retweets comments`\n\n' +
+      'Example: `1.5 50 20 10`\n' +
+      'A single line applies to every tweet. Targets are optional.' +
+      replyHint,
+    keyboard: () => [
+      [{ text: 'Equal weights, no targets', callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text, data) => {
+      const tweetCount = getTweetUrls(data).length;
+      const lines = text.trim().split('\n').map(line => line.trim()).filter(Boolean);
+      
+      if (lines.length !== 1 && lines.length !== tweetCount) {
+        return { error: `Please send one line, or one line for each of the ${tweetCount} tweets` };
+      }
+      
+      const settings = [];
+      
+      for (const line of lines) {
+        const [weight, ...targets] = line.split(/\s+/).map(Number);
+        
+        if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_XP_WEIGHT) {
+          return { error: `XP weights must be numbers greater than 0 and at most ${MAX_XP_WEIGHT}` };
+        }
+        
+        if (targets.length > 3 || targets.some(target => !Number.isInteger(target) || target < 0)) {
+          return { error: 'Targets must be up to three whole numbers: `likes retweets comments`' };
+        }
+        
+        const [targetLikes = 0, targetRetweets = 0, targetComments = 0] = targets;
+        settings.push({ xpWeight: weight, targetLikes, targetRetweets, targetComments });
+      }
+      
+      return { value: { tweetSettings: lines.length === 1 ? Array(tweetCount).fill(settings[0]) : settings } };
+    },
+    skip: () => ({ tweetSettings: null }),
+    next: () => 'confirm'
+  },
+  confirm: {
+    prompt: (data) => formatSummary(data),
+    keyboard: (data) => {
+      const keyboard = [
+        [{ text: '🚀 Launch Raid', callback_data: 'raid_wizard_confirm' }],
+        [{ text: data.lockChat ? '🔒 Lock chat during raid: On' : '🔓 Lock chat during raid: Off', callback_data: 'raid_wizard_lockdown' }],
+        [{ text: '💬 Comment rules', callback_data: 'raid_wizard_rules' }],
+        [{ text: '👤 Account to follow', callback_data: 'raid_wizard_follow' }],
+        [{ text: '⚖️ XP per action', callback_data: 'raid_wizard_xpweights' }],
+        [{ text: '⚡ Time bonus', callback_data: 'raid_wizard_xpcurve' }]
+      ];
+      
+      // Templates hold single-raid settings; campaign raids take theirs from the campaign
+      if (data.mode !== 'campaign') {
+        keyboard.push([{ text: '💾 Save as template', callback_data: 'raid_wizard_savetpl' }]);
+      }
+      
+      return keyboard;
+    }
+  },
+  comment_rules: {
+    prompt: (data) =>
+      '💬 *Comment Rules*\n\n' +
+      'Comments that break a rule earn reduced XP. Send the rules for this raid:\n\n' +
+      COMMENT_RULES_USAGE + '\n\n' +
+      `Current rules: ${formatCommentRules(data.commentRules)}` +
+      replyHint,
+    keyboard: () => [
+      [{ text: 'No rules', callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text) => {
+      const { rules, error } = parseCommentRules(text);
+      return error ? { error } : { value: { commentRules: rules } };
+    },
+    skip: () => ({ commentRules: null }),
+    next: () => 'confirm'
+  },
+  follow_account: {
+    prompt: (data) =>
+      '👤 *Account to Follow*\n\n' +
+      `Raiders who follow this account earn ${getXpWeights(data).follow} XP, once per campaign (or group). ` +
+      'Send the Twitter handle to follow, e.g. `@SuiNetwork`.\n\n' +
+      `Current account: ${formatFollowSetting(data.followAccount)}` +
+      replyHint,
+    keyboard: () => [
+      [{ text: 'Tweet author', callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text) => {
+      const { account, error } = parseFollowAccount(text);
+      return error ? { error } : { value: { followAccount: account } };
+    },
+    skip: () => ({ followAccount: null }),
+    next: () => 'confirm'
+  },
+  xp_weights: {
+    prompt: (data) =>
+      '⚖️ *XP per Action*\n\n' +
+      'Set the XP this raid pays for each action. Actions you don\'t set use the group\'s defaults (/xpweights).\n\n' +
+      XP_WEIGHTS_USAGE + '\n\n' +
+      `Current XP: ${formatXpWeights(getXpWeights(data))}` +
+      replyHint,
+    keyboard: () => [
+      [{ text: 'Group defaults', callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text, data) => {
+      const { weights, error } = parseXpWeights(text);
+      return error ? { error } : { value: { xpWeights: { ...data.xpWeights, ...weights } } };
+    },
+    skip: () => ({ xpWeights: null }),
+    next: () => 'confirm'
+  },
+  xp_curve: {
+    prompt: (data) =>
+      '⚡ *Time Bonus*\n\n' +
+      'Multiply the XP of actions by how early in the raid they happen. Replies and quotes count from when they ' +
+      'were posted, other actions from when they are verified.\n\n' +
+      XP_CURVE_USAGE + '\n\n' +
+      `Current bonus: ${formatXpCurve(data.xpCurve)}` +
+      replyHint,
+    keyboard: () => [
+      [{ text: 'No bonus', callback_data: 'raid_wizard_skip' }]
+    ],
+    parse: (text) => {
+      const { curve, error } = parseXpCurve(text);
+      return error ? { error } : { value: { xpCurve: curve } };
+    },
+    skip: () => ({ xpCurve: null }),
+    next: () => 'confirm'
+  },
+  template_name: {
+    prompt: () =>
+      '💾 *Save as Template*\n\n' +
+      'What should this template be called? Use up to 32 letters, digits, `-` or `_`.\n\n' +
+      'Launch raids with it using `/dropraid <tweet_url> tpl=<name>`. ' +
+      'Saving under an existing name replaces that template.' +
+      replyHint,
+    parse: (text) => {
+      const templateName = normalizeTemplateName(text);
+      
+      if (!templateName) {
+        return { error: 'Template names can only use letters, digits, `-` and `_` (up to 32 characters)' };
+      }
+      
+      return { value: { templateName } };
+    },
+    submit: async (session) => {
+      const template = await saveTemplate(session.chatId, session.data.templateName,
+        toTemplateConfig(session.data), session.userId);
+      
+      return template ? {} : { error: 'Could not save the template. Please try again.' };
+    },
+    next: () => 'confirm'
+  }
+};
+
+/**
+ * Build a template configuration from wizard data
+ * Per-tweet targets are kept only when every tweet shares the same targets.
+ * @param {Object} data - Session data
+ * @returns {Object} Template configuration
+ */
+const toTemplateConfig = (data) => {
+  const settings = data.tweetSettings || [];
+  const first = settings[0] || {};
+  const sameTargets = settings.every(tweet =>
+    tweet.targetLikes === first.targetLikes &&
+    tweet.targetRetweets === first.targetRetweets &&
+    tweet.targetComments === first.targetComments);
+  
+  return {
+    tokenType: data.tokenType,
+    tokenSymbol: data.tokenSymbol,
+    rewardModel: data.rewardModel,
+    tokenPerXp: data.rewardModel === 'fixed' ? data.tokenPerXp : null,
+    totalReward: data.rewardModel === 'pool' ? data.totalReward : null,
+    thresholdXp: data.thresholdXp || 0,
+    duration: data.duration || DEFAULT_DURATION,
+    targetLikes: sameTargets ? first.targetLikes || 0 : 0,
+    targetRetweets: sameTargets ? first.targetRetweets || 0 : 0,
+    targetComments: sameTargets ? first.targetComments || 0 : 0,
+    description: data.description || '',
+    requireVerification: data.requireVerification !== false,
+    lockChat: data.lockChat || false,
+    commentRules: data.commentRules || null,
+    followAccount: data.followAccount || null,
+    xpWeights: data.xpWeights || null,
+    xpCurve: data.xpCurve || null
+  };
+};
+
+/**
+ * Parse a positive decimal number from admin input
+ * @param {string} text - Raw text
+ * @param {string} key - Session data key to set
+ * @returns {Object} { value } or { error }
+ */
+const parsePositiveNumber = (text, key) => {
+  const amount = Number(text.trim().replace(/,/g, ''));
+  
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'Please enter a number greater than 0' };
+  }
+  
+  return { value: { [key]: amount } };
+};
+
+/**
+ * Describe the account a wizard raid asks raiders to follow
+ * @param {Object|null} account - Configured account ({ username }), or null for the tweet author
+ * @returns {string} Account label
+ */
+const formatFollowSetting = (account) => account ? followLabel(account) : 'Tweet author';
+
+/**
+ * Format the confirmation summary for a wizard session
+ * @param {Object} data - Session data
+ * @returns {string} Summary message
+ */
+const formatSummary = (data) => {
+  let message = '📝 *Raid Summary*\n\n';
+  
+  const tweetUrls = getTweetUrls(data);
+  
+  if (tweetUrls.length > 1) {
+    message += `*Tweets:*\n`;
+    tweetUrls.forEach((url, index) => {
+      const settings = data.tweetSettings ? data.tweetSettings[index] : null;
+      message += `${index + 1}. ${url}`;
+      
+      if (settings) {
+        message += ` - ×${settings.xpWeight} XP, targets ${settings.targetLikes}/${settings.targetRetweets}/${settings.targetComments}`;
+      }
+      
+      message += '\n';
+    });
+  } else {
+    message += `*Tweet:* ${data.tweetUrl}\n`;
+  }
+  
+  
+  message += `*Mode:* ${data.mode === 'campaign' ? `Campaign (${data.campaignName})` : 'Single raid'}\n`;
+  message += `*Token:* ${data.tokenSymbol}\n`;
+  
+  if (data.rewardModel === 'fixed') {
+    message += `*Reward model:* Fixed - ${data.tokenPerXp} ${data.tokenSymbol} per XP\n`;
+  } else {
+    message += `*Reward model:* Pool - ${data.totalReward} ${data.tokenSymbol} shared by XP\n`;
+  }
+  
+  message += `*Duration:* ${Math.round((data.duration || DEFAULT_DURATION) / 60)} minutes\n`;
+  message += `*Chat lockdown:* ${data.lockChat ? 'On - only admins and allowlisted members can post (allowlisted members are made admins until the raid ends)' : 'Off'}\n`;
+  message += `*Comment rules:* ${formatCommentRules(data.commentRules)}\n`;
+  message += `*Follow:* ${formatFollowSetting(data.followAccount)}\n`;
+  message += `*XP per action:* ${formatXpWeights(getXpWeights(data))}${data.xpWeights ? ' (custom)' : ''}\n`;
+  message += `*Time bonus:* ${formatXpCurve(data.xpCurve)}\n\n`;
+  
+  if (data.templateName) {
+    message += `💾 Saved as template \`${data.templateName}\`\n\n`;
+  }
+  
+  message += 'Launch this raid?';
+  
+  return message;
+};
+
+/**
+ * Build createRaid input from a finished wizard session
+ * @param {Object} session - Wizard session
+ * @returns {Object} Raid data for raidService.createRaid
+ */
+const buildRaidData = (session) => {
+  const { data } = session;
+  const tweetUrls = getTweetUrls(data);
+  
+  return {
+    tweetUrl: tweetUrls[0],
+    tweets: tweetUrls.length > 1 ?
+      tweetUrls.map((tweetUrl, index) => ({
+        tweetUrl,
+        ...(data.tweetSettings ? data.tweetSettings[index] : { xpWeight: 1 })
+      })) :
+      [],
+    adminId: session.userId,
+    chatId: session.chatId,
+    campaignId: data.mode === 'campaign' ? data.campaignId : null,
+    tokenType: data.tokenType,
+    tokenSymbol: data.tokenSymbol,
+    tokenPerXp: data.rewardModel === 'fixed' ? data.tokenPerXp : null,
+    totalReward: data.rewardModel === 'pool' ? data.totalReward : null,
+    duration: data.duration || DEFAULT_DURATION,
+    lockChat: data.lockChat || false,
+    commentRules: data.commentRules || null,
+    followAccount: data.followAccount || null,
+    xpWeights: data.xpWeights || null,
+    xpCurve: data.xpCurve || null
+  };
+};
+
+/**
+ * Check whether a stage expects typed input
+ * @param {string} stage - Stage name
+ * @returns {boolean} True if the stage accepts text
+ */
+const isTextStage = (stage) => !!(STAGES[stage] && STAGES[stage].parse);
+
+/**
+ * Render the current stage of a session and persist the session
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @param {Object} options - { fresh: send a new message instead of editing }
+ * @returns {Object|null} Saved session
+ */
+const showStage = async (bot, session, options = {}) => {
+  const stage = STAGES[session.stage];
+  const keyboard = stage.keyboard ? stage.keyboard(session.data) : [];
+  
+  // Navigation row: Back is only offered once there is somewhere to go back to
+  const navRow = [];
+  if (session.history.length > 0) {
+    navRow.push({ text: '⬅️ Back', callback_data: 'raid_wizard_back' });
+  }
+  navRow.push({ text: '❌ Cancel', callback_data: 'raid_wizard_cancel' });
+  keyboard.push(navRow);
+  
+  const text = stage.prompt(session.data);
+  const messageOptions = {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: keyboard }
+  };
+  
+  if (options.fresh || !session.messageId) {
+    // Remove the previous prompt so only one wizard message is live
+    if (session.messageId) {
+      try {
+        await bot.deleteMessage(session.chatId, session.messageId);
+      } catch (delError) {
+        logger.debug(`Could not delete previous wizard message: ${delError.message}`);
+      }
+    }
+    
+    const sent = await bot.sendMessage(session.chatId, text, messageOptions);
+    session.messageId = sent.message_id;
+  } else {
+    await bot.editMessageText(text, {
+      chat_id: session.chatId,
+      message_id: session.messageId,
+      ...messageOptions
+    });
+  }
+  
+  return await saveSession(session);
+};
+
+/**
+ * Start the raid configuration wizard
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Admin user ID
+ * @param {Array<string>} tweetUrls - Tweet URLs to raid, in order
+ * @returns {Object} Started session
+ */
+const startRaidWizard = async (bot, chatId, userId, tweetUrls) => {
+  if (tweetUrls.length === 0 || tweetUrls.length > MAX_RAID_TWEETS) {
+    throw new Error(`A raid needs between 1 and ${MAX_RAID_TWEETS} tweets`);
+  }
+  
+  const session = await startSession(chatId, userId, WIZARD_TYPE, 'mode', {
+    tweetUrl: tweetUrls[0],
+    tweetUrls,
+    // Shown alongside the raid's own XP settings
+    groupXpWeights: await getGroupXpWeights(chatId)
+  });
+  
+  if (!session) {
+    throw new Error('Failed to start raid configuration session');
+  }
+  
+  logger.info(`Started raid wizard for user ${userId} in chat ${chatId}`);
+  return await showStage(bot, session, { fresh: true });
+};
+
+/**
+ * Move a session to the next stage, remembering the current one for Back
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @param {string} nextStage - Stage to move to
+ * @param {Object} options - Render options passed to showStage
+ * @returns {Object|null} Saved session
+ */
+const advanceStage = async (bot, session, nextStage, options = {}) => {
+  session.history = [...session.history, session.stage];
+  session.stage = nextStage;
+  return await showStage(bot, session, options);
+};
+
+/**
+ * Move a session to the stage that follows the current one
+ * Returning to the stage we came from (e.g. after saving a template or
+ * setting comment rules from the confirm stage) doesn't add a Back step.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @param {string} nextStage - Stage to show
+ * @param {Object} options - Display options (see showStage)
+ * @returns {Object|null} Saved session
+ */
+const moveToStage = async (bot, session, nextStage, options = {}) => {
+  if (session.history[session.history.length - 1] === nextStage) {
+    session.history = session.history.slice(0, -1);
+    session.stage = nextStage;
+    return await showStage(bot, session, options);
+  }
+  
+  return await advanceStage(bot, session, nextStage, options);
+};
+
+/**
+ * Turn chat lockdown on or off for the raid being configured
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session (at the confirm stage)
+ * @returns {Object|null} Saved session
+ */
+const toggleLockdown = async (bot, session) => {
+  session.data = { ...session.data, lockChat: !session.data.lockChat };
+  return await showStage(bot, session);
+};
+
+/**
+ * Go back to the previous stage
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @returns {Object|null} Saved session
+ */
+const goBack = async (bot, session) => {
+  if (session.history.length === 0) {
+    return session;
+  }
+  
+  const history = [...session.history];
+  session.stage = history.pop();
+  session.history = history;
+  return await showStage(bot, session);
+};
+
+/**
+ * Skip the current stage using its default value
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @returns {Object|null} Saved session, or null if the stage can't be skipped
+ */
+const skipStage = async (bot, session) => {
+  const stage = STAGES[session.stage];
+  
+  if (!stage.skip) {
+    return null;
+  }
+  
+  session.data = { ...session.data, ...stage.skip(session.data) };
+  return await moveToStage(bot, session, stage.next(session.data));
+};
+
+/**
+ * Cancel the wizard and close its message
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} session - Wizard session
+ * @param {string} text - Final text for the wizard message
+ */
+const closeWizard = async (bot, session, text) => {
+  await endSession(session.chatId, session.userId);
+  
+  if (!session.messageId) {
+    return;
+  }
+  
+  try {
+    await bot.editMessageText(text, {
+      chat_id: session.chatId,
+      message_id: session.messageId,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    });
+  } catch (editError) {
+    logger.debug(`Could not update wizard message: ${editError.message}`);
+  }
+};
+
+/**
+ * Load the wizard session a callback query belongs to
+ * Answers the query with an alert when the session is missing, belongs to
+ * another admin or has expired.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query
+ * @param {string} expectedStage - Stage the pressed button belongs to (optional)
+ * @returns {Object|null} Session or null if the callback should be ignored
+ */
+const loadWizardSession = async (bot, query, expectedStage = null) => {
+  const { from, message } = query;
+  const session = await getSession(message.chat.id, from.id);
+  
+  if (!session || session.type !== WIZARD_TYPE || session.messageId !== message.message_id) {
+    logger.warn(`User ${from.id} used raid wizard buttons without a matching session in chat ${message.chat.id}`);
+    await bot.answerCallbackQuery(query.id, {
+      text: 'Only the admin who started this configuration can set options.',
+      show_alert: true
+    });
+    return null;
+  }
+  
+  if (session.expired) {
+    await closeWizard(bot, session,
+      '⌛ *Raid configuration expired*\n\nPlease start again with /dropraid.');
+    return null;
+  }
+  
+  // Ignore buttons from a stage the wizard has already left
+  if (expectedStage && session.stage !== expectedStage) {
+    logger.debug(`Ignoring stale raid wizard button for stage ${expectedStage} (current: ${session.stage})`);
+    return null;
+  }
+  
+  return session;
+};
+
+/**
+ * Handle a text reply for the current wizard stage
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} session - Wizard session
+ * @returns {boolean} True if the message was consumed by the wizard
+ */
+const handleWizardText = async (bot, msg, session) => {
+  if (!isTextStage(session.stage)) {
+    return false;
+  }
+  
+  if (session.expired) {
+    await bot.sendMessage(msg.chat.id,
+      '⌛ Your raid configuration expired. Please start again with /dropraid.',
+      { reply_to_message_id: msg.message_id });
+    return true;
+  }
+  
+  const stage = STAGES[session.stage];
+  const result = stage.parse(msg.text, session.data);
+  
+  if (result.error) {
+    logger.debug(`Invalid ${session.stage} input from user ${msg.from.id}: ${msg.text}`);
+    await bot.sendMessage(msg.chat.id, `⚠️ ${result.error}`, {
+      parse_mode: 'Markdown',
+      reply_to_message_id: msg.message_id
+    });
+    return true;
+  }
+  
+  session.data = { ...session.data, ...result.value };
+  
+  if (stage.submit) {
+    const submitted = await stage.submit(session);
+    
+    if (submitted.error) {
+      await bot.sendMessage(msg.chat.id, `⚠️ ${submitted.error}`, {
+        reply_to_message_id: msg.message_id
+      });
+      return true;
+    }
+  }
+  
+  const nextStage = stage.next(session.data);
+  
+  logger.info(`Raid wizard for user ${msg.from.id} in chat ${msg.chat.id} moved from ${session.stage} to ${nextStage}`);
+  
+  // Send a fresh prompt so it appears below the admin's reply
+  await moveToStage(bot, session, nextStage, { fresh: true });
+  return true;
+};
+
+module.exports = {
+  WIZARD_TYPE,
+  DEFAULT_DURATION,
+  MAX_DURATION_MINUTES,
+  startRaidWizard,
+  loadWizardSession,
+  advanceStage,
+  skipStage,
+  toggleLockdown,
+  goBack,
+  closeWizard,
+  buildRaidData,
+  handleWizardText
+};
@@ -16,6 +16,7 @@ const helpers = require('../utils/helpers');
  */
 const CampaignStatus = {
   ACTIVE: 'active',       // Currently active
+  ENDING: 'ending',       // Ended, final checks and payout still under way
   COMPLETED: 'completed', // Finished and rewards distributed
   CANCELLED: 'cancelled'  // Cancelled by admin
 };
@@ -166,6 +167,33 @@ class Campaign {
     }
   }
   
+  /**
+   * Update only some columns of this campaign
+   * Unlike save(), columns changed elsewhere since the campaign was loaded are left alone.
+   * @param {Object} columns - New values keyed by column name
+   * @returns {Campaign} Updated campaign instance
+   */
+  async updateColumns(columns) {
+    const supabase = getSupabase();
+    
+    try {
+      const { data, error } = await supabase
+        .from('campaigns')
+        .update(columns)
+        .eq('id', this.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      logger.debug(`Updated campaign ${this.id}: ${Object.keys(columns).join(', ')}`);
+      return new Campaign(data);
+    } catch (error) {
+      logger.error('Error updating campaign:', error.message);
+      throw new Error(`Failed to update campaign: ${error.message}`);
+    }
+  }
+  
   /**
    * Find a campaign by ID
    * @param {number} id - Campaign ID
@@ -230,11 +258,39 @@ class Campaign {
   }
   
   /**
-   * End the campaign
+   * Claim the end of the campaign
+   * Only one caller can claim it, so the scheduled end and the hourly check
+   * ending the campaign at the same time can't both go on to pay out. The
+   * campaign stays 'ending' until end() saves its final status, so an end that
+   * fails part way can be told apart from a finished one and resumed.
+   * @returns {Campaign|null} Claimed campaign instance, or null if the campaign had already ended
+   */
+  async claimEnd() {
+    const supabase = getSupabase();
+    
+    try {
+      const { data, error } = await supabase
+        .from('campaigns')
+        .update({ is_active: false, status: CampaignStatus.ENDING })
+        .eq('id', this.id)
+        .eq('is_active', true)
+        .select();
+      
+      if (error) throw error;
+      
+      return data.length > 0 ? new Campaign(data[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming campaign end:', error.message);
+      throw new Error(`Failed to claim campaign end: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Settle how the campaign ended, without saving it
    * @param {Object} options - End options
-   * @returns {Campaign} Updated campaign instance
+   * @returns {Campaign} This campaign instance
    */
-  async end(options = {}) {
+  settleEnd(options = {}) {
     // Set status based on options
     if (options.cancelled) {
       this.status = CampaignStatus.CANCELLED;
@@ -243,9 +299,18 @@ class Campaign {
     }
     
     this.isActive = false;
+    return this;
+  }
+  
+  /**
+   * End the campaign
+   * @param {Object} options - End options
+   * @returns {Campaign} Updated campaign instance
+   */
+  async end(options = {}) {
+    this.settleEnd(options);
     
-    // Save changes
-    return await this.save();
+    return await this.updateColumns({ is_active: false, status: this.status });
   }
   
   /**
@@ -590,7 +655,7 @@ class Campaign {
    */
   async markRewardsDistributed() {
     this.rewardsDistributed = true;
-    return await this.save();
+    return await this.updateColumns({ rewards_distributed: true });
   }
   
   /**
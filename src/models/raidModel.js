@@ -16,11 +16,244 @@ const helpers = require('../utils/helpers');
 const RaidStatus = {
   PENDING: 'pending',    // Created but not started
   ACTIVE: 'active',      // Currently active
+  ENDING: 'ending',      // Ended, final checks and payout still under way
   COMPLETED: 'completed', // Finished successfully
   FAILED: 'failed',      // Finished but didn't meet targets
   CANCELLED: 'cancelled'  // Cancelled by admin
 };
 
+// Most tweets a single raid can target (e.g. a thread)
+const MAX_RAID_TWEETS = 10;
+
+// Actions whose XP can be set per group and per raid (the keys of config.xp.actions)
+const XP_ACTIONS = {
+  like: { emoji: '👍', name: 'Like' },
+  retweet: { emoji: '🔄', name: 'Retweet' },
+  comment: { emoji: '💬', name: 'Comment' },
+  commentWithImage: { emoji: '📸', name: 'Comment with image' },
+  commentWithGif: { emoji: '🎞', name: 'Comment with GIF' },
+  quote: { emoji: '🗣', name: 'Quote tweet' },
+  quoteWithMedia: { emoji: '🖼', name: 'Quote tweet with media' },
+  bookmark: { emoji: '📌', name: 'Bookmark' },
+  follow: { emoji: '👤', name: 'Follow' }
+};
+
+/**
+ * Remove the handles a reply starts with, leaving the text the raider wrote
+ * @param {string} text - Reply text
+ * @returns {string} Reply body
+ */
+const stripReplyMentions = (text) => (text || '').replace(/^(@\w+\s+)+/, '').trim();
+
+/**
+ * Record an action and credit its XP in one database transaction
+ * Actions already recorded for the same raid, user, type and tweet are skipped, so
+ * concurrent verifications (or a sweep running alongside one) can't credit twice.
+ * @param {Object} action - user_actions row to insert
+ * @returns {boolean} True if the action was recorded, false if it already had been
+ */
+const insertActionWithXp = async (action) => {
+  const supabase = getSupabase();
+  
+  const { data, error } = await supabase.rpc('record_user_action', {
+    p_user_id: action.user_id,
+    p_raid_id: action.raid_id,
+    p_tweet_id: action.tweet_id,
+    p_action_type: action.action_type,
+    p_xp_earned: action.xp_earned,
+    p_verified: action.verified || false,
+    p_comment_text: action.comment_text || null,
+    p_comment_has_media: action.comment_has_media || false,
+    p_comment_is_gif: action.comment_is_gif || false,
+    p_twitter_action_id: action.twitter_action_id || null,
+    p_xp_multiplier: action.xp_multiplier || 1,
+    p_acted_at: action.acted_at || null
+  });
+  
+  if (error) throw error;
+  
+  return data.length > 0;
+};
+
+/**
+ * Work out the XP paid per action
+ * Starts from config.xp.actions, with each layer overriding the ones before it.
+ * @param {...Object|null} layers - Partial XP weights (action -> XP), e.g. group defaults then raid overrides
+ * @returns {Object} XP for every action in XP_ACTIONS
+ */
+const resolveXpWeights = (...layers) => {
+  const weights = {};
+  
+  Object.keys(XP_ACTIONS).forEach(action => {
+    const layer = [...layers].reverse().find(candidate => candidate && Number.isInteger(candidate[action]));
+    weights[action] = layer ? layer[action] : config.xp.actions[action];
+  });
+  
+  return weights;
+};
+
+/**
+ * Describe XP weights in one line, e.g. "👍 10 · 🔄 10 · 💬 15"
+ * @param {Object} weights - XP per action
+ * @returns {string} Description
+ */
+const formatXpWeights = (weights) =>
+  Object.keys(XP_ACTIONS)
+    .map(action => `${XP_ACTIONS[action].emoji} ${weights[action]}`)
+    .join(' · ');
+
+/**
+ * Work out a raid's XP multiplier some time into the raid
+ * Curves:
+ *   { type: 'steps', steps: [{ minutes, multiplier }] } – each multiplier applies until its minute mark, 1x after the last
+ *   { type: 'linear', multiplier, minutes, end } – falls evenly from multiplier to end (default 1) over minutes
+ *   { type: 'exponential', multiplier, halfLife, end } – the gap to end (default 1) halves every halfLife minutes
+ * @param {Object|null} curve - Multiplier curve, or null for a flat 1x
+ * @param {number} minutes - Minutes since the raid started
+ * @returns {number} Multiplier, rounded to two decimals
+ */
+const getCurveMultiplier = (curve, minutes) => {
+  if (!curve) {
+    return 1;
+  }
+  
+  const elapsed = Math.max(minutes, 0);
+  const end = typeof curve.end === 'number' ? curve.end : 1;
+  let multiplier;
+  
+  switch (curve.type) {
+    case 'steps': {
+      const step = curve.steps.find(candidate => elapsed < candidate.minutes);
+      multiplier = step ? step.multiplier : 1;
+      break;
+    }
+    case 'linear':
+      multiplier = elapsed >= curve.minutes ?
+        end :
+        curve.multiplier + (end - curve.multiplier) * elapsed / curve.minutes;
+      break;
+    case 'exponential':
+      multiplier = end + (curve.multiplier - end) * Math.pow(0.5, elapsed / curve.halfLife);
+      break;
+    default:
+      multiplier = 1;
+  }
+  
+  return Math.round(multiplier * 100) / 100;
+};
+
+/**
+ * Describe an XP multiplier curve in one line
+ * @param {Object|null} curve - Multiplier curve
+ * @returns {string} Description, or "None"
+ */
+const formatXpCurve = (curve) => {
+  if (!curve) {
+    return 'None';
+  }
+  
+  const end = typeof curve.end === 'number' ? curve.end : 1;
+  
+  switch (curve.type) {
+    case 'steps':
+      return curve.steps
+        .map((step, index) => `${step.multiplier}x ${index === 0 ? 'for the first' : 'until'} ${step.minutes}m`)
+        .join(', ') + ', then 1x';
+    case 'linear':
+      return `${curve.multiplier}x at the start, falling evenly to ${end}x at ${curve.minutes}m`;
+    case 'exponential':
+      return `${curve.multiplier}x at the start, decaying toward ${end}x (halfway every ${curve.halfLife}m)`;
+    default:
+      return 'None';
+  }
+};
+
+/**
+ * Describe comment rules in one line
+ * @param {Object|null} rules - Comment rules
+ * @returns {string} Description (Markdown-escaped), or "None"
+ */
+const formatCommentRules = (rules) => {
+  if (!rules) {
+    return 'None';
+  }
+  
+  const parts = [];
+  
+  if (rules.minLength) parts.push(`at least ${rules.minLength} characters`);
+  if (rules.required) parts.push(`must include ${rules.required.join(' ')}`);
+  if (rules.banned) parts.push(`banned: ${rules.banned.map(phrase => `"${phrase}"`).join(', ')}`);
+  if (rules.language) parts.push(`language ${rules.language}`);
+  
+  return helpers.escapeMarkdown(parts.join('; '));
+};
+
+/**
+ * Convert a stored or submitted target tweet into the model format
+ * @param {Object} tweet - Tweet entry (snake_case or camelCase)
+ * @returns {Object} Target tweet
+ */
+const toRaidTweet = (tweet = {}) => ({
+  tweetId: tweet.tweet_id || tweet.tweetId || null,
+  tweetUrl: tweet.tweet_url || tweet.tweetUrl || null,
+  targetLikes: tweet.target_likes || tweet.targetLikes || 0,
+  targetRetweets: tweet.target_retweets || tweet.targetRetweets || 0,
+  targetComments: tweet.target_comments || tweet.targetComments || 0,
+  actualLikes: tweet.actual_likes || tweet.actualLikes || 0,
+  actualRetweets: tweet.actual_retweets || tweet.actualRetweets || 0,
+  actualComments: tweet.actual_comments || tweet.actualComments || 0,
+  xpWeight: Number(tweet.xp_weight || tweet.xpWeight || 1)
+});
+
+/**
+ * Convert a target tweet into its stored format
+ * @param {Object} tweet - Target tweet
+ * @returns {Object} Tweet entry for the raids.tweets column
+ */
+const fromRaidTweet = (tweet) => ({
+  tweet_id: tweet.tweetId,
+  tweet_url: tweet.tweetUrl,
+  target_likes: tweet.targetLikes,
+  target_retweets: tweet.targetRetweets,
+  target_comments: tweet.targetComments,
+  actual_likes: tweet.actualLikes,
+  actual_retweets: tweet.actualRetweets,
+  actual_comments: tweet.actualComments,
+  xp_weight: tweet.xpWeight
+});
+
+/**
+ * Calculate completion for a set of targets
+ * @param {Object} counts - Object with target* and actual* counts
+ * @returns {number} Percentage complete (0-100)
+ */
+const completionPercentage = (counts) => {
+  let totalTargets = 0;
+  let completedTargets = 0;
+  
+  if (counts.targetLikes > 0) {
+    totalTargets += counts.targetLikes;
+    completedTargets += Math.min(counts.actualLikes, counts.targetLikes);
+  }
+  
+  if (counts.targetRetweets > 0) {
+    totalTargets += counts.targetRetweets;
+    completedTargets += Math.min(counts.actualRetweets, counts.targetRetweets);
+  }
+  
+  if (counts.targetComments > 0) {
+    totalTargets += counts.targetComments;
+    completedTargets += Math.min(counts.actualComments, counts.targetComments);
+  }
+  
+  // If no targets set, consider it 100%
+  if (totalTargets === 0) {
+    return 100;
+  }
+  
+  return Math.round((completedTargets / totalTargets) * 100);
+};
+
 /**
  * Raid class representing a Twitter raid campaign
  */
@@ -42,7 +275,7 @@ class Raid {
     // Targets
     this.targetLikes = raidData.target_likes || raidData.targetLikes || 0;
     this.targetRetweets = raidData.target_retweets || raidData.targetRetweets || 0;
-    this.targetComments = raidData.target_comments || raidData.targetComments || a0;
+    this.targetComments = raidData.target_comments || raidData.targetComments || 0;
     
     // Actual counts
     this.actualLikes = raidData.actual_likes || raidData.actualLikes || 0;
@@ -55,6 +288,7 @@ class Raid {
     this.totalReward = raidData.total_reward || raidData.totalReward || null;
     this.tokenPerXp = raidData.token_per_xp || raidData.tokenPerXp || null;
     this.thresholdXp = raidData.threshold_xp || raidData.thresholdXp || 0;
+    this.rewardsDistributed = raidData.rewards_distributed || raidData.rewardsDistributed || false;
     
     // Campaign relationship
     this.campaignId = raidData.campaign_id || raidData.campaignId || null;
@@ -62,9 +296,77 @@ class Raid {
     // Additional properties
     this.status = raidData.status || RaidStatus.ACTIVE;
     this.messageId = raidData.message_id || raidData.messageId || null;
+    this.statusUpdatedAt = raidData.status_updated_at || raidData.statusUpdatedAt || null;
+    this.announcementPinned = raidData.announcement_pinned || raidData.announcementPinned || false;
     this.duration = raidData.duration || 3600; // Default 1 hour in seconds
     this.requireVerification = raidData.require_verification || raidData.requireVerification || true;
     this.description = raidData.description || '';
+    
+    // Chat lockdown: whether to lock the chat while the raid runs, and the
+    // saved permissions ({ permissions, promotedUserIds }) while it is locked
+    this.lockChat = raidData.lock_chat || raidData.lockChat || false;
+    this.lockdown = raidData.lockdown || null;
+    
+    // Comment rules ({ minLength, required, banned, language }), or null for none
+    this.commentRules = raidData.comment_rules || raidData.commentRules || null;
+    
+    // Account raiders are asked to follow ({ id, username }); defaults to the first tweet's author
+    this.followAccount = raidData.follow_account || raidData.followAccount || null;
+    
+    // XP per action: overrides for a new raid, then the full weights snapshotted when it's
+    // launched or scheduled so later config changes don't alter it. Older raids have none.
+    this.xpWeights = raidData.xp_weights || raidData.xpWeights || null;
+    
+    // XP multiplier curve over the raid's time (see getCurveMultiplier), or null for a flat 1x
+    this.xpCurve = raidData.xp_curve || raidData.xpCurve || null;
+    
+    // Ordered target tweets; single-tweet raids get one entry built from the fields above
+    const tweets = raidData.tweets || [];
+    this.tweets = tweets.length > 0 ? tweets.map(toRaidTweet) : [toRaidTweet(this)];
+  }
+  
+  /**
+   * Check if this raid targets more than one tweet
+   * @returns {boolean} True for multi-tweet and thread raids
+   */
+  isMultiTweet() {
+    return this.tweets.length > 1;
+  }
+  
+  /**
+   * Get a target tweet by ID
+   * @param {string} tweetId - Tweet ID (defaults to the first tweet)
+   * @returns {Object|null} Target tweet or null if not part of this raid
+   */
+  getTweet(tweetId = null) {
+    if (!tweetId) {
+      return this.tweets[0];
+    }
+    
+    return this.tweets.find(tweet => tweet.tweetId === tweetId) || null;
+  }
+  
+  /**
+   * Keep the raid-level fields and the tweet list consistent before saving
+   * Single-tweet raids are edited through the raid-level fields; multi-tweet
+   * raids through their tweets, with raid-level counts holding the totals.
+   */
+  syncTweets() {
+    if (!this.isMultiTweet()) {
+      this.tweets = [toRaidTweet({ ...this, xpWeight: this.tweets[0] && this.tweets[0].xpWeight })];
+      return;
+    }
+    
+    const sum = (key) => this.tweets.reduce((total, tweet) => total + tweet[key], 0);
+    
+    this.tweetId = this.tweets[0].tweetId;
+    this.tweetUrl = this.tweets[0].tweetUrl;
+    this.targetLikes = sum('targetLikes');
+    this.targetRetweets = sum('targetRetweets');
+    this.targetComments = sum('targetComments');
+    this.actualLikes = sum('actualLikes');
+    this.actualRetweets = sum('actualRetweets');
+    this.actualComments = sum('actualComments');
   }
   
   /**
@@ -90,7 +392,7 @@ class Raid {
     // Extract tweet ID from URL if not provided
     if (!this.tweetId && this.tweetUrl) {
       try {
-        const tweetIdMatch = this.tweetUrl.match(/twitter\.com\/\w+\/status\/(\d+)/);
+        const tweetIdMatch = this.tweetUrl.match(/(?:twitter|x)\.com\/\w+\/status\/(\d+)/);
         if (tweetIdMatch) {
           this.tweetId = tweetIdMatch[1];
         } else {
@@ -101,6 +403,27 @@ class Raid {
       }
     }
     
+    // Target tweet validation
+    if (this.tweets.length > MAX_RAID_TWEETS) {
+      errors.push(`A raid can target at most ${MAX_RAID_TWEETS} tweets`);
+    }
+    
+    if (this.isMultiTweet()) {
+      const tweetIds = this.tweets.map(tweet => tweet.tweetId);
+      
+      if (tweetIds.some(id => !id)) {
+        errors.push('Every target tweet needs a tweet ID');
+      }
+      
+      if (new Set(tweetIds).size !== tweetIds.length) {
+        errors.push('Target tweets must be different tweets');
+      }
+      
+      if (this.tweets.some(tweet => !(tweet.xpWeight > 0))) {
+        errors.push('Tweet XP weights must be greater than 0');
+      }
+    }
+    
     // Reward configuration validation
     if (this.totalReward && (!this.tokenType || !this.tokenSymbol)) {
       errors.push('Token type and symbol are required for rewards');
@@ -113,20 +436,13 @@ class Raid {
   }
   
   /**
-   * Save raid to database (create or update)
-   * @returns {Raid} Updated raid instance
+   * Get the raid's database columns
+   * @returns {Object} Column values keyed by column name
    */
-  async save() {
-    const supabase = getSupabase();
-    
-    // Validate raid data
-    const { isValid, errors } = this.validate();
-    if (!isValid) {
-      throw new Error(`Raid validation failed: ${errors.join(', ')}`);
-    }
+  toColumns() {
+    this.syncTweets();
     
-    // Prepare data for database
-    const raidData = {
+    return {
       tweet_id: this.tweetId,
       tweet_url: this.tweetUrl,
       admin_id: this.adminId,
@@ -145,13 +461,40 @@ class Raid {
       total_reward: this.totalReward,
       token_per_xp: this.tokenPerXp,
       threshold_xp: this.thresholdXp,
+      rewards_distributed: this.rewardsDistributed,
       campaign_id: this.campaignId,
       status: this.status,
       message_id: this.messageId,
+      status_updated_at: this.statusUpdatedAt,
+      announcement_pinned: this.announcementPinned,
       duration: this.duration,
       require_verification: this.requireVerification,
-      description: this.description
+      lock_chat: this.lockChat,
+      lockdown: this.lockdown,
+      comment_rules: this.commentRules,
+      follow_account: this.followAccount,
+      xp_weights: this.xpWeights,
+      xp_curve: this.xpCurve,
+      description: this.description,
+      tweets: this.tweets.map(fromRaidTweet)
     };
+  }
+  
+  /**
+   * Save raid to database (create or update)
+   * @returns {Raid} Updated raid instance
+   */
+  async save() {
+    const supabase = getSupabase();
+    
+    // Validate raid data
+    const { isValid, errors } = this.validate();
+    if (!isValid) {
+      throw new Error(`Raid validation failed: ${errors.join(', ')}`);
+    }
+    
+    // Prepare data for database
+    const raidData = this.toColumns();
     
     try {
       let result;
@@ -189,6 +532,33 @@ class Raid {
     }
   }
   
+  /**
+   * Update only some columns of this raid
+   * Unlike save(), columns changed elsewhere since the raid was loaded are left alone.
+   * @param {Object} columns - New values keyed by column name
+   * @returns {Raid} Updated raid instance
+   */
+  async updateColumns(columns) {
+    const supabase = getSupabase();
+    
+    try {
+      const { data, error } = await supabase
+        .from('raids')
+        .update(columns)
+        .eq('id', this.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      logger.debug(`Updated raid ${this.id}: ${Object.keys(columns).join(', ')}`);
+      return new Raid(data);
+    } catch (error) {
+      logger.error('Error updating raid:', error.message);
+      throw new Error(`Failed to update raid: ${error.message}`);
+    }
+  }
+  
   /**
    * Find a raid by ID
    * @param {number} id - Raid ID
@@ -253,13 +623,138 @@ class Raid {
   }
   
   /**
-   * End the raid
+   * Find all active raids for a specific chat
+   * @param {number} chatId - Telegram chat ID
+   * @returns {Array<Raid>} Array of Raid instances, newest first
+   */
+  static async findAllActiveByChatId(chatId) {
+    try {
+      const supabase = getSupabase();
+      
+      const { data, error } = await supabase
+        .from('raids')
+        .select('*')
+        .eq('chat_id', chatId)
+        .eq('is_active', true)
+        .order('start_time', { ascending: false });
+      
+      if (error) throw error;
+      
+      return data.map(raidData => new Raid(raidData));
+    } catch (error) {
+      logger.error('Error finding active raids for chat:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Find scheduled (pending) raids for a specific chat
+   * @param {number} chatId - Telegram chat ID
+   * @returns {Array<Raid>} Array of Raid instances, soonest first
+   */
+  static async findPendingByChatId(chatId) {
+    try {
+      const supabase = getSupabase();
+      
+      const { data, error } = await supabase
+        .from('raids')
+        .select('*')
+        .eq('chat_id', chatId)
+        .eq('status', RaidStatus.PENDING)
+        .order('start_time', { ascending: true });
+      
+      if (error) throw error;
+      
+      return data.map(raidData => new Raid(raidData));
+    } catch (error) {
+      logger.error('Error finding pending raids for chat:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Find all active raids across all chats
+   * @returns {Array<Raid>} Array of Raid instances
+   */
+  static async findAllActive() {
+    try {
+      const supabase = getSupabase();
+      
+      const { data, error } = await supabase
+        .from('raids')
+        .select('*')
+        .eq('is_active', true);
+      
+      if (error) throw error;
+      
+      return data.map(raidData => new Raid(raidData));
+    } catch (error) {
+      logger.error('Error finding active raids:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Find raids whose chat is still locked down
+   * @returns {Array<Raid>} Array of Raid instances
+   */
+  static async findLockedDown() {
+    try {
+      const supabase = getSupabase();
+      
+      const { data, error } = await supabase
+        .from('raids')
+        .select('*')
+        .not('lockdown', 'is', null);
+      
+      if (error) throw error;
+      
+      return data.map(raidData => new Raid(raidData));
+    } catch (error) {
+      logger.error('Error finding locked down raids:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Claim the end of the raid
+   * Only one caller can claim it, so the scheduled end and an admin ending the
+   * raid at the same time can't both go on to pay out. The raid stays 'ending'
+   * until end() saves its final status, so an end that fails part way can be
+   * told apart from a finished one and resumed.
+   * @returns {Raid|null} Claimed raid instance, or null if the raid had already ended
+   */
+  async claimEnd() {
+    const supabase = getSupabase();
+    
+    // Raids ended early end now
+    const endTime = !this.endTime || new Date(this.endTime) > new Date() ? new Date() : new Date(this.endTime);
+    
+    try {
+      const { data, error } = await supabase
+        .from('raids')
+        .update({ is_active: false, status: RaidStatus.ENDING, end_time: endTime.toISOString() })
+        .eq('id', this.id)
+        .eq('is_active', true)
+        .select();
+      
+      if (error) throw error;
+      
+      return data.length > 0 ? new Raid(data[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming raid end:', error.message);
+      throw new Error(`Failed to claim raid end: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Settle how the raid ended, without saving it
    * @param {Object} options - End options
-   * @returns {Raid} Updated raid instance
+   * @returns {Raid} This raid instance
    */
-  async end(options = {}) {
-    // Set end time if not already set
-    if (!this.endTime) {
+  settleEnd(options = {}) {
+    // Set end time if not already set, or if the raid is ending early
+    if (!this.endTime || new Date(this.endTime) > new Date()) {
       this.endTime = new Date();
     }
     
@@ -272,9 +767,22 @@ class Raid {
     }
     
     this.isActive = false;
+    return this;
+  }
+  
+  /**
+   * End the raid
+   * @param {Object} options - End options
+   * @returns {Raid} Updated raid instance
+   */
+  async end(options = {}) {
+    this.settleEnd(options);
     
-    // Save changes
-    return await this.save();
+    return await this.updateColumns({
+      end_time: this.endTime instanceof Date ? this.endTime.toISOString() : this.endTime,
+      status: this.status,
+      is_active: false
+    });
   }
   
   /**
@@ -282,79 +790,71 @@ class Raid {
    * @returns {boolean} True if target is met
    */
   isTargetMet() {
-    // If no targets set, consider it met
-    if (this.targetLikes === 0 && this.targetRetweets === 0 && this.targetComments === 0) {
-      return true;
-    }
-    
-    // Check if actual values meet or exceed targets
-    const likesOk = this.actualLikes >= this.targetLikes;
-    const retweetsOk = this.actualRetweets >= this.targetRetweets;
-    const commentsOk = this.actualComments >= this.targetComments;
-    
-    return likesOk && retweetsOk && commentsOk;
+    // Every target tweet has to meet its own targets
+    return this.tweets.every(tweet => {
+      const likesOk = tweet.actualLikes >= tweet.targetLikes;
+      const retweetsOk = tweet.actualRetweets >= tweet.targetRetweets;
+      const commentsOk = tweet.actualComments >= tweet.targetComments;
+      
+      return likesOk && retweetsOk && commentsOk;
+    });
   }
   
   /**
-   * Calculate completion percentage
+   * Calculate combined completion percentage across all target tweets
    * @returns {number} Percentage complete (0-100)
    */
   getCompletionPercentage() {
-    // If no targets set, consider it 100%
-    if (this.targetLikes === 0 && this.targetRetweets === 0 && this.targetComments === 0) {
-      return 100;
-    }
-    
-    let totalTargets = 0;
-    let completedTargets = 0;
-    
-    if (this.targetLikes > 0) {
-      totalTargets += this.targetLikes;
-      completedTargets += Math.min(this.actualLikes, this.targetLikes);
-    }
-    
-    if (this.targetRetweets > 0) {
-      totalTargets += this.targetRetweets;
-      completedTargets += Math.min(this.actualRetweets, this.targetRetweets);
-    }
-    
-    if (this.targetComments > 0) {
-      totalTargets += this.targetComments;
-      completedTargets += Math.min(this.actualComments, this.targetComments);
-    }
-    
-    if (totalTargets === 0) {
-      return 100;
-    }
-    
-    return Math.round((completedTargets / totalTargets) * 100);
+    return completionPercentage(this);
+  }
+  
+  /**
+   * Calculate completion percentage for a single target tweet
+   * @param {Object} tweet - Target tweet (from this.tweets)
+   * @returns {number} Percentage complete (0-100)
+   */
+  getTweetCompletionPercentage(tweet) {
+    return completionPercentage(tweet);
   }
   
   /**
    * Record a user action for this raid
    * @param {number} telegramId - User's Telegram ID
-   * @param {string} actionType - Action type (like, retweet, comment, bookmark)
-   * @param {Object} actionData - Additional action data
+   * @param {string} actionType - Action type (like, retweet, comment, quote, bookmark)
+   * @param {Object} actionData - Additional action data (tweetId defaults to the first target tweet;
+   *   actedAt is when the action was done, if known)
    * @returns {Object} Result of the action recording
    */
   async recordUserAction(telegramId, actionType, actionData = {}) {
     try {
-      if (!this.isActive) {
+      // The final sweep still credits actions while the raid is ending
+      if (!this.isActive && this.status !== RaidStatus.ENDING) {
         return { success: false, error: 'Raid is not active' };
       }
       
+      const tweet = this.getTweet(actionData.tweetId);
+      
+      if (!tweet) {
+        return { success: false, error: 'Tweet is not part of this raid' };
+      }
+      
       const supabase = getSupabase();
       
-      // Check if user has already performed this action
-      const { data: existingAction, error: checkError } = await supabase
+      // Get the user's earlier like and this action for the raid, unless they were revoked
+      // Actions recorded before multi-tweet raids have no tweet_id and belong to the first tweet
+      const { data: previousActions, error: checkError } = await supabase
         .from('user_actions')
-        .select('*')
+        .select('action_type, tweet_id')
         .eq('user_id', telegramId)
         .eq('raid_id', this.id)
-        .eq('action_type', actionType)
-        .single();
+        .in('action_type', [actionType, 'like'])
+        .eq('revoked', false);
       
-      if (!checkError && existingAction) {
+      if (checkError) throw checkError;
+      
+      const onTweet = previousActions.filter(action => (action.tweet_id || this.tweetId) === tweet.tweetId);
+      
+      if (onTweet.some(action => action.action_type === actionType)) {
         return { 
           success: false, 
           error: 'You have already performed this action',
@@ -362,19 +862,20 @@ class Raid {
         };
       }
       
-      // Calculate XP based on action type and data
-      let xpEarned = this.getXpForAction(actionType, actionData);
+      // Calculate XP based on action type and data, weighted per tweet
+      let xpEarned = Math.round(this.getXpForAction(actionType, actionData) * tweet.xpWeight);
+      
+      // Comments that break the raid's comment rules earn less, or nothing
+      let commentCheck = null;
+      if (actionType === 'comment') {
+        commentCheck = await this.checkComment(telegramId, actionData);
+        xpEarned = Math.round(xpEarned * commentCheck.xpMultiplier);
+      }
       
       // Check if user has completed previous actions
       // e.g., if they haven't liked the tweet, they get less XP for a retweet
       if (actionType !== 'like') {
-        const { data: hasLiked } = await supabase
-          .from('user_actions')
-          .select('*')
-          .eq('user_id', telegramId)
-          .eq('raid_id', this.id)
-          .eq('action_type', 'like')
-          .single();
+        const hasLiked = onTweet.some(action => action.action_type === 'like');
           
         if (!hasLiked) {
           // Apply penalty for not completing core actions first
@@ -382,26 +883,34 @@ class Raid {
         }
       }
       
-      // Record the action
-      const { error } = await supabase
-        .from('user_actions')
-        .insert({
-          user_id: telegramId,
-          raid_id: this.id,
-          action_type: actionType,
-          xp_earned: xpEarned,
-          verified: actionData.verified || false,
-          comment_text: actionData.commentText || null,
-          comment_has_media: actionData.hasMedia || false,
-          twitter_action_id: actionData.twitterActionId || null
-        });
+      // Raids with a multiplier curve pay more (or less) depending on when the action was done:
+      // when the reply or quote was posted where Twitter says, otherwise now
+      const actedAt = actionData.actedAt ? new Date(actionData.actedAt) : new Date();
+      const xpMultiplier = this.getXpMultiplier(actedAt);
+      xpEarned = Math.round(xpEarned * xpMultiplier);
       
-      if (error) throw error;
+      // Record the action and add XP to the user, unless a concurrent verification got there first
+      const recorded = await insertActionWithXp({
+        user_id: telegramId,
+        raid_id: this.id,
+        tweet_id: tweet.tweetId,
+        action_type: actionType,
+        xp_earned: xpEarned,
+        verified: actionData.verified || false,
+        comment_text: actionData.commentText || null,
+        comment_has_media: actionData.hasMedia || false,
+        comment_is_gif: actionData.isGif || false,
+        twitter_action_id: actionData.twitterActionId || null,
+        xp_multiplier: xpMultiplier,
+        acted_at: actedAt.toISOString()
+      });
       
-      // Add XP to user
-      const user = await User.findByTelegramId(telegramId);
-      if (user) {
-        await user.addXp(xpEarned, 'raid', this.id);
+      if (!recorded) {
+        return { 
+          success: false, 
+          error: 'You have already performed this action',
+          existing: true
+        };
       }
       
       // Update raid statistics
@@ -410,7 +919,10 @@ class Raid {
       return {
         success: true,
         xpEarned,
-        action: actionType
+        action: actionType,
+        tweetId: tweet.tweetId,
+        commentCheck,
+        xpMultiplier
       };
     } catch (error) {
       logger.error('Error recording user action:', error.message);
@@ -418,14 +930,235 @@ class Raid {
     }
   }
   
+  /**
+   * Check a comment against this raid's comment rules and other raiders' comments
+   * Comments that break a rule keep config.xp.commentRuleMultiplier of their XP;
+   * banned phrases and near-copies of another raider's comment earn none.
+   * @param {number} telegramId - Commenter's Telegram ID
+   * @param {Object} comment - Comment data ({ commentText, lang })
+   * @returns {Object} Check result {passed, xpMultiplier, reasons}
+   */
+  async checkComment(telegramId, comment) {
+    const rules = this.commentRules || {};
+    const body = stripReplyMentions(comment.commentText);
+    const reasons = [];
+    let xpMultiplier = 1;
+    
+    const breakRule = (reason) => {
+      reasons.push(reason);
+      xpMultiplier = Math.min(xpMultiplier, config.xp.commentRuleMultiplier);
+    };
+    
+    const disqualify = (reason) => {
+      reasons.push(reason);
+      xpMultiplier = 0;
+    };
+    
+    if (rules.minLength && body.length < rules.minLength) {
+      breakRule(`shorter than ${rules.minLength} characters`);
+    }
+    
+    if (rules.required && rules.required.length > 0) {
+      const tags = new Set((body.match(/[#$@]\w+/g) || []).map(tag => tag.toLowerCase()));
+      const missing = rules.required.filter(tag => !tags.has(tag.toLowerCase()));
+      
+      if (missing.length > 0) {
+        breakRule(`missing ${missing.join(' ')}`);
+      }
+    }
+    
+    // Twitter detects each tweet's language ("und" when it can't tell)
+    if (rules.language && comment.lang !== rules.language) {
+      breakRule(`not written in language "${rules.language}"`);
+    }
+    
+    if (rules.banned && rules.banned.length > 0) {
+      const banned = rules.banned.find(phrase => {
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(body);
+      });
+      
+      if (banned) {
+        disqualify(`contains the banned phrase "${banned}"`);
+      }
+    }
+    
+    // Compare with the comments other raiders posted on this raid (and haven't deleted)
+    const threshold = config.xp.duplicateCommentSimilarity;
+    
+    if (threshold > 0) {
+      const supabase = getSupabase();
+      
+      const { data: otherComments, error } = await supabase
+        .from('user_actions')
+        .select('comment_text')
+        .eq('raid_id', this.id)
+        .eq('action_type', 'comment')
+        .eq('revoked', false)
+        .neq('user_id', telegramId)
+        .not('comment_text', 'is', null);
+      
+      if (error) throw error;
+      
+      const isCopy = otherComments.some(other =>
+        helpers.textSimilarity(body, stripReplyMentions(other.comment_text)) >= threshold);
+      
+      if (isCopy) {
+        disqualify('nearly identical to another raider\'s comment');
+      }
+    }
+    
+    return {
+      passed: reasons.length === 0,
+      xpMultiplier,
+      reasons
+    };
+  }
+  
+  /**
+   * Get the scope follow XP is paid once in
+   * Raids in a campaign share one reward per followed account; other raids share one per group.
+   * @returns {string} Scope key ("campaign:<id>" or "chat:<id>")
+   */
+  getFollowRewardScope() {
+    return this.campaignId ? `campaign:${this.campaignId}` : `chat:${this.chatId}`;
+  }
+  
+  /**
+   * Check if a user has already been paid for following this raid's account
+   * @param {number} telegramId - User's Telegram ID
+   * @returns {boolean} True if the follow was rewarded in this raid's scope
+   */
+  async hasFollowReward(telegramId) {
+    if (!this.followAccount || !this.followAccount.id) return false;
+    
+    const supabase = getSupabase();
+    
+    const { data, error } = await supabase
+      .from('follow_rewards')
+      .select('id')
+      .eq('user_id', telegramId)
+      .eq('target_twitter_id', this.followAccount.id)
+      .eq('scope', this.getFollowRewardScope())
+      .limit(1);
+    
+    if (error) throw error;
+    
+    return data.length > 0;
+  }
+  
+  /**
+   * Record that a user follows this raid's account
+   * XP is paid once per account per campaign (or group), so repeat raids can't farm it.
+   * @param {number} telegramId - User's Telegram ID
+   * @returns {Object} Result of the follow recording
+   */
+  async recordFollow(telegramId) {
+    try {
+      // The final sweep still credits actions while the raid is ending
+      if (!this.isActive && this.status !== RaidStatus.ENDING) {
+        return { success: false, error: 'Raid is not active' };
+      }
+      
+      if (!this.followAccount || !this.followAccount.id) {
+        return { success: false, error: 'Raid has no account to follow' };
+      }
+      
+      const supabase = getSupabase();
+      const xpEarned = this.getXpForAction('follow');
+      
+      // The reward and the follow action (shown in the raid's XP and leaderboard) are written together;
+      // the unique (user, account, scope) key makes the reward one-time even across concurrent checks
+      const { data: rewarded, error } = await supabase.rpc('record_follow_reward', {
+        p_user_id: telegramId,
+        p_target_twitter_id: this.followAccount.id,
+        p_scope: this.getFollowRewardScope(),
+        p_raid_id: this.id,
+        p_tweet_id: this.tweetId,
+        p_xp_earned: xpEarned
+      });
+      
+      if (error) throw error;
+      
+      if (!rewarded) {
+        return {
+          success: false,
+          error: 'You have already been rewarded for this follow',
+          existing: true
+        };
+      }
+      
+      return {
+        success: true,
+        xpEarned,
+        action: 'follow'
+      };
+    } catch (error) {
+      logger.error('Error recording follow:', error.message);
+      return { success: false, error: 'Failed to record follow' };
+    }
+  }
+  
+  /**
+   * Revoke a recorded action that was undone on Twitter, reversing its XP
+   * The reversal is a negative raid XP transaction, so raid and campaign totals only count surviving actions.
+   * @param {Object} action - Recorded action (user_actions row)
+   * @returns {Object} Result ({ success, xpRevoked })
+   */
+  async revokeUserAction(action) {
+    try {
+      const supabase = getSupabase();
+      
+      // Revoke and take back the XP in one transaction; actions already revoked return no rows,
+      // so overlapping re-checks reverse XP once
+      const { data, error } = await supabase.rpc('revoke_user_action', {
+        p_action_id: action.id
+      });
+      
+      if (error) throw error;
+      
+      if (data.length === 0) {
+        return { success: false, error: 'Action has already been revoked', existing: true };
+      }
+      
+      return {
+        success: true,
+        xpRevoked: data[0].revoked_xp,
+        action: action.action_type
+      };
+    } catch (error) {
+      logger.error('Error revoking user action:', error.message);
+      return { success: false, error: 'Failed to revoke action' };
+    }
+  }
+  
+  /**
+   * Get the XP this raid pays per action
+   * Raids from before XP weights were snapshotted use the current config.
+   * @returns {Object} XP for every action in XP_ACTIONS
+   */
+  getXpWeights() {
+    return resolveXpWeights(this.xpWeights);
+  }
+  
+  /**
+   * Get the XP multiplier for an action done at a given time
+   * @param {Date|string} actedAt - When the action was done
+   * @returns {number} Multiplier from this raid's curve (1 without one)
+   */
+  getXpMultiplier(actedAt) {
+    const minutes = (new Date(actedAt).getTime() - new Date(this.startTime).getTime()) / 60000;
+    return Number.isNaN(minutes) ? 1 : getCurveMultiplier(this.xpCurve, minutes);
+  }
+  
   /**
    * Get XP for a specific action
-   * @param {string} actionType - Action type (like, retweet, comment, bookmark)
+   * @param {string} actionType - Action type (like, retweet, comment, quote, bookmark, follow)
    * @param {Object} actionData - Additional action data
    * @returns {number} XP amount
    */
   getXpForAction(actionType, actionData = {}) {
-    const xpConfig = config.xp.actions;
+    const xpConfig = this.getXpWeights();
     
     switch (actionType) {
       case 'like':
@@ -441,8 +1174,12 @@ class Raid {
           return xpConfig.commentWithImage;
         }
         return xpConfig.comment;
+      case 'quote':
+        return actionData.hasMedia ? xpConfig.quoteWithMedia : xpConfig.quote;
       case 'bookmark':
         return xpConfig.bookmark;
+      case 'follow':
+        return xpConfig.follow;
       default:
         return 0;
     }
@@ -450,38 +1187,55 @@ class Raid {
   
   /**
    * Update raid statistics based on user actions
+   * Only the counts are written, onto the raid as stored now, so edits and the
+   * end of the raid made since this instance was loaded are kept.
    * @returns {Raid} Updated raid instance
    */
   async updateStatistics() {
     try {
       const supabase = getSupabase();
       
-      // Get count of each action type
+      // Get actions recorded for this raid that weren't revoked
       const { data, error } = await supabase
         .from('user_actions')
-        .select('action_type, count')
+        .select('action_type, tweet_id')
         .eq('raid_id', this.id)
-        .group('action_type');
+        .eq('revoked', false);
       
       if (error) throw error;
       
-      // Update actual counts
-      let likes = 0;
-      let retweets = 0;
-      let comments = 0;
+      // Targets live next to the counts in the tweets column and may have been edited
+      const raid = await Raid.findById(this.id);
+      
+      if (!raid) {
+        throw new Error(`Raid ${this.id} not found`);
+      }
+      
+      // Count each action type per tweet
+      raid.tweets.forEach(tweet => {
+        tweet.actualLikes = 0;
+        tweet.actualRetweets = 0;
+        tweet.actualComments = 0;
+      });
       
       data.forEach(item => {
-        if (item.action_type === 'like') likes = item.count;
-        if (item.action_type === 'retweet') retweets = item.count;
-        if (item.action_type === 'comment') comments = item.count;
+        const tweet = raid.getTweet(item.tweet_id);
+        if (!tweet) return;
+        
+        if (item.action_type === 'like') tweet.actualLikes++;
+        if (item.action_type === 'retweet') tweet.actualRetweets++;
+        if (item.action_type === 'comment') tweet.actualComments++;
       });
       
-      this.actualLikes = likes;
-      this.actualRetweets = retweets;
-      this.actualComments = comments;
+      // Raid-level counts are the totals across tweets
+      const sum = (key) => raid.tweets.reduce((total, tweet) => total + tweet[key], 0);
       
-      // Save changes
-      return await this.save();
+      return await raid.updateColumns({
+        actual_likes: sum('actualLikes'),
+        actual_retweets: sum('actualRetweets'),
+        actual_comments: sum('actualComments'),
+        tweets: raid.tweets.map(fromRaidTweet)
+      });
     } catch (error) {
       logger.error('Error updating raid statistics:', error.message);
       throw new Error('Failed to update raid statistics');
@@ -490,6 +1244,7 @@ class Raid {
   
   /**
    * Get user actions for this raid
+   * Revoked actions are left out.
    * @returns {Array} Array of user actions
    */
   async getUserActions() {
@@ -510,6 +1265,7 @@ class Raid {
           )
         `)
         .eq('raid_id', this.id)
+        .eq('revoked', false)
         .order('timestamp', { ascending: false });
       
       if (error) throw error;
@@ -521,31 +1277,154 @@ class Raid {
     }
   }
   
+  /**
+   * Record changes made to this raid by an admin
+   * @param {number} editedBy - Admin's Telegram ID
+   * @param {Array} edits - Changes ({ field, oldValue, newValue })
+   * @returns {boolean} Success status
+   */
+  async recordEdits(editedBy, edits) {
+    try {
+      const supabase = getSupabase();
+      
+      const { error } = await supabase
+        .from('raid_edits')
+        .insert(edits.map(edit => ({
+          raid_id: this.id,
+          edited_by: editedBy,
+          field: edit.field,
+          old_value: edit.oldValue,
+          new_value: edit.newValue,
+          created_at: new Date().toISOString()
+        })));
+      
+      if (error) throw error;
+      
+      return true;
+    } catch (error) {
+      logger.error('Error recording raid edits:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the most recent changes made to this raid
+   * @param {number} limit - Maximum number of changes to return
+   * @returns {Array} Changes, newest first ({ field, oldValue, newValue, editedBy, createdAt })
+   */
+  async getEdits(limit = 10) {
+    try {
+      const supabase = getSupabase();
+      
+      const { data, error } = await supabase
+        .from('raid_edits')
+        .select('*')
+        .eq('raid_id', this.id)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      
+      return data.map(row => ({
+        field: row.field,
+        oldValue: row.old_value,
+        newValue: row.new_value,
+        editedBy: row.edited_by,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      logger.error('Error getting raid edits:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Get total XP earned per user in this raid
+   * @returns {Map} Telegram ID -> total XP
+   */
+  async getXpByUser() {
+    const supabase = getSupabase();
+    
+    const { data: transactions, error } = await supabase
+      .from('xp_transactions')
+      .select('user_id, amount')
+      .eq('source_type', 'raid')
+      .eq('source_id', this.id);
+    
+    if (error) throw error;
+    
+    const xpByUser = new Map();
+    transactions.forEach(tx => {
+      xpByUser.set(tx.user_id, (xpByUser.get(tx.user_id) || 0) + tx.amount);
+    });
+    
+    return xpByUser;
+  }
+  
   /**
    * Get leaderboard for this raid
    * @param {number} limit - Maximum number of users to return
-   * @returns {Array} Leaderboard entries
+   * @returns {Array} Leaderboard entries ({ telegram_id, username, first_name, total_xp: XP in this raid, user_total_xp })
    */
   async getLeaderboard(limit = 10) {
     try {
       const supabase = getSupabase();
       
       // Get total XP per user for this raid
-      const { data, error } = await supabase
-        .rpc('get_raid_leaderboard', {
-          raid_id_param: this.id,
-          limit_param: limit
-        });
+      const xpByUser = await this.getXpByUser();
+      const top = Array.from(xpByUser.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+      
+      if (top.length === 0) {
+        return [];
+      }
+      
+      const { data: users, error } = await supabase
+        .from('users')
+        .select('telegram_id, username, first_name, total_xp')
+        .in('telegram_id', top.map(([telegramId]) => telegramId));
       
       if (error) throw error;
       
-      return data;
+      return top.map(([telegramId, totalXp]) => {
+        const user = users.find(u => String(u.telegram_id) === String(telegramId)) || {};
+        
+        return {
+          telegram_id: telegramId,
+          username: user.username || null,
+          first_name: user.first_name || null,
+          total_xp: totalXp,
+          user_total_xp: user.total_xp || 0
+        };
+      });
     } catch (error) {
       logger.error('Error getting raid leaderboard:', error.message);
       return [];
     }
   }
   
+  /**
+   * Get a user's position on this raid's leaderboard
+   * @param {number} telegramId - User's Telegram ID
+   * @returns {number|null} 1-based rank, or null if the user has no XP in this raid
+   */
+  async getUserRank(telegramId) {
+    try {
+      const xpByUser = await this.getXpByUser();
+      const userXp = xpByUser.get(telegramId);
+      
+      if (!userXp) {
+        return null;
+      }
+      
+      return Array.from(xpByUser.values()).filter(xp => xp > userXp).length + 1;
+    } catch (error) {
+      logger.error('Error getting raid rank:', error.message);
+      return null;
+    }
+  }
+  
   /**
    * Calculate reward for a user
    * @param {number} telegramId - User's Telegram ID
@@ -615,24 +1494,24 @@ class Raid {
     try {
       const supabase = getSupabase();
       
-      // Get all users who participated in this raid
-      const { data, error } = await supabase
-        .from('xp_transactions')
-        .select(`
-          user_id,
-          sum(amount) as total_xp,
-          users!inner (
-            telegram_id,
-            sui_wallet_address,
-            sui_wallet_connected
-          )
-        `)
-        .eq('source_type', 'raid')
-        .eq('source_id', this.id)
-        .group('user_id, users.telegram_id, users.sui_wallet_address, users.sui_wallet_connected')
-        .order('total_xp', { ascending: false });
+      // Total XP per user
+      const xpByUser = await this.getXpByUser();
       
-      if (error) throw error;
+      if (xpByUser.size === 0) {
+        return [];
+      }
+      
+      // Get wallet details for participants
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('telegram_id, sui_wallet_address, sui_wallet_connected')
+        .in('telegram_id', Array.from(xpByUser.keys()));
+      
+      if (usersError) throw usersError;
+      
+      const data = users
+        .map(user => ({ users: user, total_xp: xpByUser.get(user.telegram_id) || 0 }))
+        .sort((a, b) => b.total_xp - a.total_xp);
       
       const rewards = [];
       let totalEligibleXp = 0;
@@ -694,14 +1573,13 @@ class Raid {
       
       const { data, error } = await supabase
         .from('xp_transactions')
-        .select('sum(amount)')
+        .select('amount')
         .eq('source_type', 'raid')
-        .eq('source_id', this.id)
-        .single();
+        .eq('source_id', this.id);
       
       if (error) throw error;
       
-      return data.sum || 0;
+      return data.reduce((sum, tx) => sum + tx.amount, 0);
     } catch (error) {
       logger.error('Error getting total raid XP:', error.message);
       return 0;
@@ -762,6 +1640,13 @@ class Raid {
 }
 
 module.exports = {
+  MAX_RAID_TWEETS,
+  XP_ACTIONS,
+  resolveXpWeights,
+  formatXpWeights,
+  getCurveMultiplier,
+  formatXpCurve,
+  formatCommentRules,
   Raid,
   RaidStatus
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
 const logger = require('../utils/logger');
 const { getSupabase } = require('../services/supabaseService');
 const helpers = require('../utils/helpers');
+const { getLevelInfo, getLevelXp, getRankLevel, formatLevel } = require('../services/levelService');
 
 /**
  * User class representing a user in the system
@@ -37,6 +38,7 @@ class User {
     this.twitterTokenExpiresAt = userData.twitter_token_expires_at || userData.twitterTokenExpiresAt || null;
     this.twitterConnected = userData.twitter_connected || userData.twitterConnected || false;
     this.twitterConnectedAt = userData.twitter_connected_at || userData.twitterConnectedAt || null;
+    this.twitterScopes = userData.twitter_scopes || userData.twitterScopes || [];
     
     // Sui wallet-related fields
     this.suiWalletAddress = userData.sui_wallet_address || userData.suiWalletAddress || null;
@@ -95,6 +97,7 @@ class User {
       twitter_token_expires_at: this.twitterTokenExpiresAt,
       twitter_connected: this.twitterConnected,
       twitter_connected_at: this.twitterConnectedAt,
+      twitter_scopes: this.twitterScopes,
       sui_wallet_address: this.suiWalletAddress,
       sui_wallet_connected: this.suiWalletConnected,
       sui_wallet_connected_at: this.suiWalletConnectedAt,
@@ -313,6 +316,7 @@ class User {
     this.twitterRefreshToken = twitterData.refreshToken || null;
     this.twitterTokenExpiresAt = twitterData.expiresAt ? 
       new Date(twitterData.expiresAt).toISOString() : null;
+    this.twitterScopes = twitterData.scopes || [];
     
     this.twitterConnected = true;
     this.twitterConnectedAt = new Date().toISOString();
@@ -348,6 +352,16 @@ class User {
     return this.twitterConnected && !!this.twitterToken;
   }
   
+  /**
+   * Check if the user granted a Twitter OAuth scope when connecting
+   * Accounts connected before scopes were recorded have none.
+   * @param {string} scope - OAuth scope (e.g. bookmark.read)
+   * @returns {boolean} True if the scope was granted
+   */
+  hasTwitterScope(scope) {
+    return this.hasTwitterConnected() && this.twitterScopes.includes(scope);
+  }
+  
   /**
    * Check if user has connected their Sui wallet
    * @returns {boolean} True if Sui wallet is connected
@@ -356,9 +370,17 @@ class User {
     return this.suiWalletConnected && !!this.suiWalletAddress;
   }
   
+  /**
+   * Get user's level, rank and progress to the next level
+   * @returns {Object} { level, rank, levelXp, nextLevelXp, xpIntoLevel, xpForNext }
+   */
+  getLevel() {
+    return getLevelInfo(this.totalXp);
+  }
+  
   /**
    * Check if user is eligible for a raid or campaign
-   * @param {Object} requirements - Eligibility requirements
+   * @param {Object} requirements - Eligibility requirements (minRank is a rank name from config.levels.ranks)
    * @returns {Object} Eligibility result {eligible, reasons}
    */
   checkEligibility(requirements = {}) {
@@ -384,6 +406,21 @@ class User {
       reasons.push(`You need at least ${requirements.minXp} XP (you have ${this.totalXp})`);
     }
     
+    // Check minimum level, or the lowest level of the minimum rank, if specified
+    if (requirements.minLevel || requirements.minRank) {
+      const rankLevel = requirements.minRank ? getRankLevel(requirements.minRank) : null;
+      const minLevel = Math.max(requirements.minLevel || 1, rankLevel || 1);
+      const { level } = this.getLevel();
+      
+      // A misspelt rank must not open the gate to everyone
+      if (requirements.minRank && rankLevel === null) {
+        logger.warn(`Unknown rank "${requirements.minRank}" in eligibility requirements`);
+        reasons.push(`The required rank "${requirements.minRank}" does not exist`);
+      } else if (level < minLevel) {
+        reasons.push(`You need to reach ${formatLevel(minLevel)} (${getLevelXp(minLevel)} XP, you are at ${formatLevel(level)})`);
+      }
+    }
+    
     // Check minimum Twitter age if specified
     if (requirements.minTwitterAge && this.twitterConnectedAt) {
       const twitterAge = new Date() - new Date(this.twitterConnectedAt);
@@ -0,0 +1,520 @@
+/**
+ * Achievement Service
+ * Unlocks badges for reaching milestones such as a first raid or a long streak.
+ * Achievements are data: a metric, a threshold, a name and an emoji. The
+ * built-in ones apply in every group, and group admins add their own with
+ * /badges add. They are checked whenever a raider is credited XP and when a
+ * raid ends, and each is unlocked once per user.
+ */
+
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const { getSupabase } = require('./supabaseService');
+const { getUsersByTelegramIds } = require('./userService');
+const { getStreakSummary } = require('./streakService');
+const { getLevelInfo } = require('./levelService');
+
+// user_achievements.chat_id of the built-in achievements
+const BUILT_IN_SCOPE = 0;
+
+// What an achievement can measure. Action counts and streaks are counted in
+// the achievement's group (all groups for built-in ones); XP and level are
+// the user's totals. raid_top is the user's place in a raid that just ended.
+const ACHIEVEMENT_METRICS = {
+  raids: { describe: n => n === 1 ? 'Take part in a raid' : `Take part in ${n} raids` },
+  likes: { describe: n => n === 1 ? 'Like a raid tweet' : `Like ${n} raid tweets` },
+  retweets: { describe: n => n === 1 ? 'Retweet a raid tweet' : `Retweet ${n} raid tweets` },
+  comments: { describe: n => n === 1 ? 'Comment on a raid tweet' : `Comment on ${n} raid tweets` },
+  gif_comments: { describe: n => n === 1 ? 'Comment with a GIF' : `Comment with a GIF ${n} times` },
+  quotes: { describe: n => n === 1 ? 'Quote a raid tweet' : `Quote ${n} raid tweets` },
+  bookmarks: { describe: n => n === 1 ? 'Bookmark a raid tweet' : `Bookmark ${n} raid tweets` },
+  raid_top: { describe: n => n === 1 ? 'Finish first in a raid' : `Finish in the top ${n} of a raid`, atMost: true },
+  day_streak: { describe: n => `Keep a ${n}-day streak` },
+  raid_streak: { describe: n => `Take part in ${n} raids in a row` },
+  xp: { describe: n => `Earn ${n} XP` },
+  level: { describe: n => `Reach level ${n}` }
+};
+
+// Metrics read from get_user_action_stats
+const STAT_METRICS = ['raids', 'likes', 'retweets', 'comments', 'gif_comments', 'quotes', 'bookmarks'];
+
+// Achievements every group's raiders can unlock
+const BUILT_IN_ACHIEVEMENTS = [
+  { key: 'first_raid', emoji: '🚀', name: 'First Raid', metric: 'raids', threshold: 1 },
+  { key: 'ten_raids', emoji: '🔟', name: 'Raid Regular', metric: 'raids', threshold: 10 },
+  { key: 'first_gif', emoji: '🎞', name: 'GIF Slinger', metric: 'gif_comments', threshold: 1 },
+  { key: 'raid_podium', emoji: '🏅', name: 'Podium', metric: 'raid_top', threshold: 3 },
+  { key: 'day_streak_30', emoji: '📅', name: 'Month of Raids', metric: 'day_streak', threshold: 30 }
+];
+
+// Most badges shown next to a name on a leaderboard
+const MAX_LEADERBOARD_BADGES = 5;
+
+const ACHIEVEMENT_NAME_MAX_LENGTH = 40;
+
+const BADGES_USAGE =
+  '*Add a badge to this group:*\n' +
+  '`/badges add <emoji> <metric>=<number> <name>`\n' +
+  'e.g. `/badges add 🦈 raids=50 Shark`\n\n' +
+  `*Metrics:* ${Object.keys(ACHIEVEMENT_METRICS).map(metric => metric.replace(/_/g, '\\_')).join(', ')}\n` +
+  '`raid_top=3` means finishing in the top 3 of a raid.\n\n' +
+  '*Remove one:* `/badges remove <name>`';
+
+/**
+ * Convert a built-in achievement or an achievements row into an achievement object
+ * @param {Object} row - Achievement data
+ * @returns {Object} { key, chatId, emoji, name, metric, threshold, description }
+ */
+const toAchievement = (row) => ({
+  key: row.key,
+  chatId: row.chat_id || BUILT_IN_SCOPE,
+  emoji: row.emoji,
+  name: row.name,
+  metric: row.metric,
+  threshold: row.threshold,
+  description: ACHIEVEMENT_METRICS[row.metric] ? ACHIEVEMENT_METRICS[row.metric].describe(row.threshold) : ''
+});
+
+/**
+ * Turn an achievement name into its key, e.g. "Shark Raider" -> "shark_raider"
+ * @param {string} name - Achievement name
+ * @returns {string} Key
+ */
+const toAchievementKey = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Get the achievements raiders of a group can unlock
+ * @param {number|null} chatId - Telegram chat ID of the group, or null for the built-in ones only
+ * @returns {Array<Object>} Built-in achievements followed by the group's own
+ */
+const getAchievements = async (chatId) => {
+  const achievements = BUILT_IN_ACHIEVEMENTS.map(toAchievement);
+  
+  if (!chatId) {
+    return achievements;
+  }
+  
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get achievements of chat ${chatId}: Supabase is not connected`);
+      return achievements;
+    }
+    
+    const { data, error } = await supabase
+      .from('achievements')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    
+    return achievements.concat(data.filter(row => ACHIEVEMENT_METRICS[row.metric]).map(toAchievement));
+  } catch (error) {
+    logger.error(`Error getting achievements of chat ${chatId}: ${error.message}`);
+    return achievements;
+  }
+};
+
+/**
+ * Parse the arguments of /badges add
+ * @param {string} text - e.g. "🦈 raids=50 Shark"
+ * @returns {Object} { achievement } (not yet tied to a group) or { error }
+ */
+const parseAchievement = (text) => {
+  const match = (text || '').trim().match(/^(\S+)\s+([a-z_]+)\s*=\s*(\d+)\s+(.+)$/i);
+  
+  if (!match) {
+    return { error: 'Use `/badges add <emoji> <metric>=<number> <name>`.' };
+  }
+  
+  const [, emoji, rawMetric, rawThreshold, rawName] = match;
+  const metric = rawMetric.toLowerCase();
+  const threshold = parseInt(rawThreshold, 10);
+  const name = rawName.trim();
+  
+  if (/[a-z0-9=_*`[\]]/i.test(emoji)) {
+    return { error: 'Start with the badge\'s emoji, e.g. `/badges add 🦈 raids=50 Shark`.' };
+  }
+  
+  if (!ACHIEVEMENT_METRICS[metric]) {
+    return { error: `Unknown metric "${helpers.escapeMarkdown(rawMetric)}".` };
+  }
+  
+  if (threshold < 1) {
+    return { error: 'The number must be at least 1.' };
+  }
+  
+  if (name.length > ACHIEVEMENT_NAME_MAX_LENGTH || !toAchievementKey(name)) {
+    return { error: `The name needs a letter or digit and at most ${ACHIEVEMENT_NAME_MAX_LENGTH} characters.` };
+  }
+  
+  return {
+    achievement: toAchievement({ key: toAchievementKey(name), emoji, name, metric, threshold })
+  };
+};
+
+/**
+ * Add an achievement to a group, or replace the group's achievement of the same name
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {Object} achievement - { key, emoji, name, metric, threshold } from parseAchievement
+ * @param {number} createdBy - Admin's Telegram user ID
+ * @returns {boolean} Success status
+ */
+const saveGroupAchievement = async (chatId, achievement, createdBy) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot save achievement of chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('achievements')
+      .upsert({
+        chat_id: chatId,
+        key: achievement.key,
+        name: achievement.name,
+        emoji: achievement.emoji,
+        metric: achievement.metric,
+        threshold: achievement.threshold,
+        created_by: createdBy
+      }, { onConflict: 'chat_id,key' });
+    
+    if (error) throw error;
+    
+    logger.info(`User ${createdBy} saved achievement "${achievement.key}" in chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving achievement of chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Remove one of a group's achievements
+ * Users who unlocked it keep the unlock, but it is no longer shown.
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {string} name - Achievement name or key
+ * @returns {boolean} True if the achievement was removed
+ */
+const removeGroupAchievement = async (chatId, name) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot remove achievement of chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { data, error } = await supabase
+      .from('achievements')
+      .delete()
+      .eq('chat_id', chatId)
+      .eq('key', toAchievementKey(name))
+      .select('id');
+    
+    if (error) throw error;
+    
+    return data.length > 0;
+  } catch (error) {
+    logger.error(`Error removing achievement of chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get the achievements a user has unlocked
+ * @param {number} telegramId - User's Telegram ID
+ * @returns {Array<Object>} user_achievements rows ({ chat_id, achievement_key, unlocked_at })
+ */
+const getUnlocked = async (telegramId) => {
+  const supabase = getSupabase();
+  
+  const { data, error } = await supabase
+    .from('user_achievements')
+    .select('chat_id, achievement_key, unlocked_at')
+    .eq('user_id', telegramId)
+    .order('unlocked_at', { ascending: true });
+  
+  if (error) throw error;
+  
+  return data;
+};
+
+/**
+ * Work out a user's value of a metric
+ * Values are cached per scope, so each query runs at most once per evaluation.
+ * @param {string} metric - Metric name
+ * @param {number} telegramId - User's Telegram ID
+ * @param {number} chatId - Group to count in, or BUILT_IN_SCOPE for all groups
+ * @param {Object} context - { raidRank } when a raid just ended
+ * @param {Map} cache - Values already worked out in this evaluation
+ * @returns {number|null} Value, or null if it isn't known
+ */
+const getMetricValue = async (metric, telegramId, chatId, context, cache) => {
+  const scope = chatId === BUILT_IN_SCOPE ? null : chatId;
+  
+  if (metric === 'raid_top') {
+    return context.raidRank || null;
+  }
+  
+  if (STAT_METRICS.includes(metric)) {
+    const cacheKey = `stats:${scope}`;
+    
+    if (!cache.has(cacheKey)) {
+      const { data, error } = await getSupabase().rpc('get_user_action_stats', {
+        p_user_id: telegramId,
+        p_chat_id: scope
+      });
+      
+      if (error) throw error;
+      
+      cache.set(cacheKey, data[0] || {});
+    }
+    
+    return Number(cache.get(cacheKey)[metric] || 0);
+  }
+  
+  if (metric === 'day_streak' || metric === 'raid_streak') {
+    const cacheKey = `streaks:${scope}`;
+    
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, await getStreakSummary(telegramId, scope));
+    }
+    
+    return cache.get(cacheKey)[metric === 'day_streak' ? 'day' : 'raid'].best;
+  }
+  
+  if (!cache.has('total_xp')) {
+    const [user] = await getUsersByTelegramIds([telegramId]);
+    cache.set('total_xp', user ? user.total_xp || 0 : 0);
+  }
+  
+  return metric === 'level' ? getLevelInfo(cache.get('total_xp')).level : cache.get('total_xp');
+};
+
+/**
+ * Check a user's achievements in a group and unlock the ones they have reached
+ * @param {number} telegramId - User's Telegram ID
+ * @param {number} chatId - Telegram chat ID of the group the user was active in
+ * @param {Object} context - { raidId, raidRank } of the raid that triggered the check
+ * @returns {Array<Object>} Achievements unlocked just now
+ */
+const evaluateAchievements = async (telegramId, chatId, context = {}) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot check achievements of user ${telegramId}: Supabase is not connected`);
+      return [];
+    }
+    
+    const unlocked = new Set((await getUnlocked(telegramId)).map(row => `${row.chat_id}:${row.achievement_key}`));
+    const pending = (await getAchievements(chatId))
+      .filter(achievement => !unlocked.has(`${achievement.chatId}:${achievement.key}`));
+    
+    const cache = new Map();
+    const reached = [];
+    
+    for (const achievement of pending) {
+      const value = await getMetricValue(achievement.metric, telegramId, achievement.chatId, context, cache);
+      
+      if (value === null) continue;
+      
+      const met = ACHIEVEMENT_METRICS[achievement.metric].atMost ?
+        value <= achievement.threshold :
+        value >= achievement.threshold;
+      
+      if (met) reached.push(achievement);
+    }
+    
+    if (reached.length === 0) {
+      return [];
+    }
+    
+    // Only rows inserted now come back, so a concurrent check can't unlock the same achievement twice
+    const { data, error } = await supabase
+      .from('user_achievements')
+      .upsert(reached.map(achievement => ({
+        user_id: telegramId,
+        chat_id: achievement.chatId,
+        achievement_key: achievement.key,
+        raid_id: context.raidId || null
+      })), { onConflict: 'user_id,chat_id,achievement_key', ignoreDuplicates: true })
+      .select('chat_id, achievement_key');
+    
+    if (error) throw error;
+    
+    const inserted = new Set(data.map(row => `${row.chat_id}:${row.achievement_key}`));
+    const unlockedNow = reached.filter(achievement => inserted.has(`${achievement.chatId}:${achievement.key}`));
+    
+    if (unlockedNow.length > 0) {
+      logger.info(`User ${telegramId} unlocked achievements: ${unlockedNow.map(achievement => achievement.key).join(', ')}`);
+    }
+    
+    return unlockedNow;
+  } catch (error) {
+    logger.error(`Error checking achievements of user ${telegramId}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Check the achievements of every raider of a raid that just ended, with their place in it
+ * @param {Raid} raid - Ended raid
+ * @returns {Array<Object>} { telegramId, achievements } per raider who unlocked something
+ */
+const evaluateRaidEnd = async (raid) => {
+  try {
+    const ranked = Array.from((await raid.getXpByUser()).entries())
+      .filter(([, xp]) => xp > 0)
+      .sort((a, b) => b[1] - a[1]);
+    
+    const unlocks = [];
+    
+    for (let index = 0; index < ranked.length; index++) {
+      const telegramId = ranked[index][0];
+      const achievements = await evaluateAchievements(telegramId, raid.chatId, {
+        raidId: raid.id,
+        raidRank: index + 1
+      });
+      
+      if (achievements.length > 0) {
+        unlocks.push({ telegramId, achievements });
+      }
+    }
+    
+    return unlocks;
+  } catch (error) {
+    logger.error(`Error checking achievements for the end of raid ${raid.id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Describe achievements one per line, e.g. "🚀 First Raid: Take part in a raid"
+ * @param {Array<Object>} achievements - Achievements
+ * @returns {string} Lines (Markdown-escaped)
+ */
+const formatAchievements = (achievements) =>
+  achievements
+    .map(achievement => `${achievement.emoji} ${helpers.escapeMarkdown(achievement.name)}: ${achievement.description}\n`)
+    .join('');
+
+/**
+ * DM raiders the achievements they just unlocked
+ * @param {Array<Object>} unlocks - { telegramId, achievements } per raider
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const announceUnlocks = async (unlocks, bot) => {
+  for (const { telegramId, achievements } of unlocks) {
+    try {
+      await bot.sendMessage(telegramId,
+        `🏅 *Achievement${achievements.length > 1 ? 's' : ''} unlocked!*\n\n` +
+        formatAchievements(achievements) +
+        '\nSee all your badges with /badges.',
+        { parse_mode: 'Markdown' });
+    } catch (error) {
+      // Users who never started the bot can't be messaged
+      logger.warn(`Could not send achievements to user ${telegramId}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Get a user's badges and the ones they have yet to unlock
+ * @param {number} telegramId - User's Telegram ID
+ * @param {number|null} chatId - Group to list the achievements of, or null for the built-in ones
+ * @returns {Object} { unlocked, locked } lists of achievements; unlocked ones have unlockedAt
+ */
+const getUserBadges = async (telegramId, chatId) => {
+  const badges = { unlocked: [], locked: [] };
+  
+  try {
+    if (!getSupabase()) {
+      logger.error(`Cannot get badges of user ${telegramId}: Supabase is not connected`);
+      return badges;
+    }
+    
+    const unlockedAt = new Map((await getUnlocked(telegramId))
+      .map(row => [`${row.chat_id}:${row.achievement_key}`, row.unlocked_at]));
+    
+    (await getAchievements(chatId)).forEach(achievement => {
+      const at = unlockedAt.get(`${achievement.chatId}:${achievement.key}`);
+      
+      if (at) {
+        badges.unlocked.push({ ...achievement, unlockedAt: at });
+      } else {
+        badges.locked.push(achievement);
+      }
+    });
+    
+    return badges;
+  } catch (error) {
+    logger.error(`Error getting badges of user ${telegramId}: ${error.message}`);
+    return badges;
+  }
+};
+
+/**
+ * Get the badge emojis to show next to users' names on a leaderboard
+ * @param {Array<number>} telegramIds - Telegram IDs of the users listed
+ * @param {number|null} chatId - Group whose own achievements are shown too, or null for the built-in ones only
+ * @returns {Map<string, string>} Telegram ID (as a string) -> emojis, for users with badges
+ */
+const getBadgeEmojis = async (telegramIds, chatId) => {
+  const shown = new Map();
+  
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase || telegramIds.length === 0) {
+      return new Map();
+    }
+    
+    const achievements = await getAchievements(chatId);
+    const byKey = new Map(achievements.map(achievement => [`${achievement.chatId}:${achievement.key}`, achievement.emoji]));
+    
+    const { data, error } = await supabase
+      .from('user_achievements')
+      .select('user_id, chat_id, achievement_key')
+      .in('user_id', telegramIds)
+      .in('chat_id', chatId ? [BUILT_IN_SCOPE, chatId] : [BUILT_IN_SCOPE])
+      .order('unlocked_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    data.forEach(row => {
+      const emoji = byKey.get(`${row.chat_id}:${row.achievement_key}`);
+      const userEmojis = shown.get(String(row.user_id)) || [];
+      
+      if (emoji && userEmojis.length < MAX_LEADERBOARD_BADGES) {
+        shown.set(String(row.user_id), userEmojis.concat(emoji));
+      }
+    });
+    
+    return new Map(Array.from(shown, ([userId, userEmojis]) => [userId, userEmojis.join('')]));
+  } catch (error) {
+    logger.error(`Error getting leaderboard badges: ${error.message}`);
+    return new Map();
+  }
+};
+
+module.exports = {
+  ACHIEVEMENT_METRICS,
+  BUILT_IN_ACHIEVEMENTS,
+  BADGES_USAGE,
+  getAchievements,
+  parseAchievement,
+  saveGroupAchievement,
+  removeGroupAchievement,
+  evaluateAchievements,
+  evaluateRaidEnd,
+  formatAchievements,
+  announceUnlocks,
+  getUserBadges,
+  getBadgeEmojis
+};
@@ -0,0 +1,124 @@
+/**
+ * Engagement Provider
+ * Raids read tweets and engagement through a provider instead of calling
+ * Twitter directly, so the whole raid lifecycle can also run against an
+ * in-memory mock (CI, local demos). The provider is chosen with
+ * ENGAGEMENT_PROVIDER.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const twitterEngagementProvider = require('./twitterEngagementProvider');
+const { createMockEngagementProvider } = require('./mockEngagementProvider');
+
+/**
+ * Methods every engagement provider implements
+ * @typedef {Object} EngagementProvider
+ * @property {string} name - Provider name
+ * @property {Function} getTweet - (tweetId, options) => tweet ({ id, text, author_id, public_metrics, author })
+ * @property {Function} getTweets - (tweetIds, options) => tweets in the same order, failing if one is unavailable
+ * @property {Function} getUser - (username) => account ({ id, username, name })
+ * @property {Function} getLikers - (tweetId, options) => { likers: user IDs, complete }
+ * @property {Function} getRetweeters - (tweetId, options) => { retweeters: user IDs, complete }
+ * @property {Function} getReplies - (tweetId, options) => { replies: ({ id, authorId, text, lang, hasMedia, isGif, createdAt }), complete }
+ * @property {Function} getTweetEngagers - (tweetId, options) => { likers, retweeters, replies, quotes, complete }
+ * @property {Function} getUserEngagement - (user, tweetIds, options) => engagement keyed by tweet ID
+ *   ({ liked, retweeted, replies, quotes, bookmarked, complete }), or null if the user's activity can't be read at all
+ *   (e.g. no Twitter client); failed lookups, such as rate limits, throw
+ * @property {Function} hasLiked - (user, tweetId, options) => { liked, complete }
+ * @property {Function} isFollowing - (user, accountId, options) => { following, complete }, or null like getUserEngagement
+ * @property {Function} canReadBookmarks - (user) => whether the user's bookmarks can be checked
+ */
+const PROVIDER_METHODS = [
+  'getTweet',
+  'getTweets',
+  'getUser',
+  'getLikers',
+  'getRetweeters',
+  'getReplies',
+  'getTweetEngagers',
+  'getUserEngagement',
+  'hasLiked',
+  'isFollowing',
+  'canReadBookmarks'
+];
+
+// Provider in use, created on first use
+let provider = null;
+
+/**
+ * Check that a provider implements every method
+ * @param {EngagementProvider} candidate - Provider to check
+ * @returns {EngagementProvider} The provider
+ */
+const validateProvider = (candidate) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof candidate[method] !== 'function');
+  
+  if (missing.length > 0) {
+    throw new Error(`Engagement provider "${candidate.name}" is missing ${missing.join(', ')}`);
+  }
+  
+  return candidate;
+};
+
+/**
+ * Read the mock provider's fixture file
+ * @param {string|null} file - Path to a JSON fixture file, relative to the working directory
+ * @returns {Object|null} Fixtures, or null to use the built-in demo data
+ */
+const loadFixtures = (file) => {
+  if (!file) return null;
+  
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load engagement fixtures from ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Create the provider with the given name
+ * @param {string} name - Provider name (twitter, mock)
+ * @returns {EngagementProvider} Provider
+ */
+const createProvider = (name) => {
+  switch (name) {
+    case 'twitter':
+      return twitterEngagementProvider;
+    case 'mock':
+      return createMockEngagementProvider(loadFixtures(config.engagement.mockFixtures));
+    default:
+      throw new Error(`Unknown engagement provider "${name}" (use twitter or mock)`);
+  }
+};
+
+/**
+ * Get the configured engagement provider
+ * @returns {EngagementProvider} Provider
+ */
+const getEngagementProvider = () => {
+  if (!provider) {
+    provider = validateProvider(createProvider(config.engagement.provider));
+    logger.info(`Using the ${provider.name} engagement provider`);
+  }
+  
+  return provider;
+};
+
+/**
+ * Replace the engagement provider, e.g. with a mock holding a test's fixtures
+ * @param {EngagementProvider|null} candidate - Provider, or null to go back to the configured one
+ * @returns {EngagementProvider|null} Provider in use
+ */
+const setEngagementProvider = (candidate) => {
+  provider = candidate ? validateProvider(candidate) : null;
+  return provider;
+};
+
+module.exports = {
+  PROVIDER_METHODS,
+  getEngagementProvider,
+  setEngagementProvider
+};
@@ -0,0 +1,233 @@
+/**
+ * Group Settings Service
+ * Stores per-group defaults admins set for the raids in their group,
+ * such as the XP paid per action
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getSupabase } = require('./supabaseService');
+
+/**
+ * Get the XP per action a group pays by default
+ * @param {number} chatId - Telegram chat ID of the group
+ * @returns {Object|null} Partial XP weights (action -> XP), or null if the group uses the global defaults
+ */
+const getGroupXpWeights = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get XP weights of chat ${chatId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data, error } = await supabase
+      .from('group_settings')
+      .select('xp_weights')
+      .eq('chat_id', chatId)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting XP weights of chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    return data ? data.xp_weights : null;
+  } catch (error) {
+    logger.error(`Error getting XP weights of chat ${chatId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Set the XP per action a group pays by default
+ * Raids already launched or scheduled keep the weights they were created with.
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {Object|null} weights - Partial XP weights (action -> XP), or null to go back to the global defaults
+ * @param {number} updatedBy - Admin's Telegram user ID
+ * @returns {boolean} Success status
+ */
+const setGroupXpWeights = async (chatId, weights, updatedBy) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot set XP weights of chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('group_settings')
+      .upsert({
+        chat_id: chatId,
+        xp_weights: weights,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id' });
+    
+    if (error) {
+      logger.error(`Error setting XP weights of chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    logger.info(`User ${updatedBy} ${weights ? 'set' : 'reset'} the XP weights of chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error setting XP weights of chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Check whether a group gets level-up announcements
+ * @param {number} chatId - Telegram chat ID of the group
+ * @returns {boolean} The group's choice, or config.levels.announcements if it hasn't made one
+ */
+const getGroupLevelUpAnnouncements = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get level-up announcements of chat ${chatId}: Supabase is not connected`);
+      return config.levels.announcements;
+    }
+    
+    const { data, error } = await supabase
+      .from('group_settings')
+      .select('level_up_announcements')
+      .eq('chat_id', chatId)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting level-up announcements of chat ${chatId}: ${error.message}`);
+      return config.levels.announcements;
+    }
+    
+    if (!data || data.level_up_announcements === null) {
+      return config.levels.announcements;
+    }
+    
+    return data.level_up_announcements;
+  } catch (error) {
+    logger.error(`Error getting level-up announcements of chat ${chatId}: ${error.message}`);
+    return config.levels.announcements;
+  }
+};
+
+/**
+ * Turn a group's level-up announcements on or off
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {boolean} enabled - Whether level-ups are announced in the group
+ * @param {number} updatedBy - Admin's Telegram user ID
+ * @returns {boolean} Success status
+ */
+const setGroupLevelUpAnnouncements = async (chatId, enabled, updatedBy) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot set level-up announcements of chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('group_settings')
+      .upsert({
+        chat_id: chatId,
+        level_up_announcements: enabled,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id' });
+    
+    if (error) {
+      logger.error(`Error setting level-up announcements of chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    logger.info(`User ${updatedBy} turned level-up announcements ${enabled ? 'on' : 'off'} in chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error setting level-up announcements of chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get the rank a group's raiders need to earn XP in its raids
+ * @param {number} chatId - Telegram chat ID of the group
+ * @returns {string|null} Rank name, or null if anyone can take part
+ */
+const getGroupMinRank = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get minimum rank of chat ${chatId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data, error } = await supabase
+      .from('group_settings')
+      .select('min_rank')
+      .eq('chat_id', chatId)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting minimum rank of chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    return data ? data.min_rank : null;
+  } catch (error) {
+    logger.error(`Error getting minimum rank of chat ${chatId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Set the rank a group's raiders need to earn XP in its raids
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {string|null} rank - Rank name from config.levels.ranks, or null to let anyone take part
+ * @param {number} updatedBy - Admin's Telegram user ID
+ * @returns {boolean} Success status
+ */
+const setGroupMinRank = async (chatId, rank, updatedBy) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot set minimum rank of chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('group_settings')
+      .upsert({
+        chat_id: chatId,
+        min_rank: rank,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id' });
+    
+    if (error) {
+      logger.error(`Error setting minimum rank of chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    logger.info(`User ${updatedBy} set the minimum rank of chat ${chatId} to ${rank || 'none'}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error setting minimum rank of chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  getGroupXpWeights,
+  setGroupXpWeights,
+  getGroupLevelUpAnnouncements,
+  setGroupLevelUpAnnouncements,
+  getGroupMinRank,
+  setGroupMinRank
+};
@@ -0,0 +1,385 @@
+/**
+ * Job Service
+ * Persists scheduled work (raid ends, campaign checks, reminders) in Supabase
+ * so it survives restarts and can be run by any worker or cron invocation
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getSupabase } = require('./supabaseService');
+
+/**
+ * Job statuses
+ * @enum {string}
+ */
+const JobStatus = {
+  PENDING: 'pending',     // Waiting for its run time
+  RUNNING: 'running',     // Claimed by a worker (leased until locked_until)
+  COMPLETED: 'completed', // Finished successfully
+  FAILED: 'failed'        // Gave up after max_attempts
+};
+
+/**
+ * Convert a database row into a job object
+ * @param {Object} row - Row from the jobs table
+ * @returns {Object} Job object
+ */
+const toJob = (row) => ({
+  id: row.id,
+  type: row.type,
+  payload: row.payload || {},
+  uniqueKey: row.unique_key,
+  runAt: row.run_at,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  intervalSeconds: row.interval_seconds,
+  lockedBy: row.locked_by,
+  lockedUntil: row.locked_until,
+  lastError: row.last_error
+});
+
+/**
+ * Generate an identifier for this worker process
+ * @returns {string} Worker ID
+ */
+const createWorkerId = () => `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Schedule a job
+ * Jobs with a uniqueKey are upserted, so scheduling the same key again
+ * simply moves the existing job to the new run time. With keepExisting,
+ * an existing job with the same key is left untouched instead.
+ * @param {string} type - Job type (e.g. 'raid_end')
+ * @param {Date|string} runAt - When the job should run
+ * @param {Object} payload - Data passed to the job handler
+ * @param {Object} options - { uniqueKey, intervalSeconds, maxAttempts, keepExisting }
+ * @returns {Object|null} Scheduled job, or null on failure or when an existing job was kept
+ */
+const scheduleJob = async (type, runAt, payload = {}, options = {}) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot schedule ${type} job: Supabase is not connected`);
+      return null;
+    }
+    
+    const jobData = {
+      type,
+      payload,
+      unique_key: options.uniqueKey || null,
+      run_at: new Date(runAt).toISOString(),
+      status: JobStatus.PENDING,
+      attempts: 0,
+      max_attempts: options.maxAttempts || 5,
+      interval_seconds: options.intervalSeconds || null,
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      updated_at: new Date().toISOString()
+    };
+    
+    const query = options.uniqueKey ?
+      supabase.from('jobs').upsert(jobData, {
+        onConflict: 'unique_key',
+        ignoreDuplicates: options.keepExisting || false
+      }) :
+      supabase.from('jobs').insert(jobData);
+    
+    const { data: rows, error } = await query.select();
+    
+    if (error) {
+      logger.error(`Error scheduling ${type} job: ${error.message}`);
+      return null;
+    }
+    
+    const row = rows[0];
+    
+    if (!row) {
+      logger.debug(`Kept existing ${type} job ${options.uniqueKey}`);
+      return null;
+    }
+    
+    logger.debug(`Scheduled ${type} job ${row.id} for ${row.run_at}`);
+    return toJob(row);
+  } catch (error) {
+    logger.error(`Error scheduling ${type} job: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Cancel a pending job by its unique key
+ * @param {string} uniqueKey - Job unique key
+ * @returns {boolean} Success status
+ */
+const cancelJob = async (uniqueKey) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot cancel job ${uniqueKey}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('jobs')
+      .delete()
+      .eq('unique_key', uniqueKey)
+      .eq('status', JobStatus.PENDING);
+    
+    if (error) {
+      logger.error(`Error cancelling job ${uniqueKey}: ${error.message}`);
+      return false;
+    }
+    
+    logger.debug(`Cancelled job ${uniqueKey}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error cancelling job ${uniqueKey}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Claim due jobs for a worker
+ * A job is due when it is pending and its run time has passed, or when a
+ * previous worker's lease on it has expired. Each claim is a conditional
+ * update, so a job is only ever handed to one worker at a time.
+ * @param {string} workerId - ID of the claiming worker
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Array} Claimed jobs
+ */
+const claimDueJobs = async (workerId, limit = config.jobs.batchSize) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot claim jobs: Supabase is not connected');
+      return [];
+    }
+    
+    const now = new Date().toISOString();
+    
+    const { data: candidates, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .or(`and(status.eq.${JobStatus.PENDING},run_at.lte."${now}"),and(status.eq.${JobStatus.RUNNING},locked_until.lt."${now}")`)
+      .order('run_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      logger.error(`Error finding due jobs: ${error.message}`);
+      return [];
+    }
+    
+    const claimed = [];
+    const lockedUntil = new Date(Date.now() + config.jobs.leaseDuration).toISOString();
+    
+    for (const row of candidates) {
+      let claim = supabase
+        .from('jobs')
+        .update({
+          status: JobStatus.RUNNING,
+          attempts: row.attempts + 1,
+          locked_by: workerId,
+          locked_until: lockedUntil,
+          updated_at: now
+        })
+        .eq('id', row.id)
+        .eq('status', row.status)
+        .eq('attempts', row.attempts);
+      
+      // Re-check the due condition so a job rescheduled meanwhile is not claimed
+      claim = row.status === JobStatus.PENDING ?
+        claim.lte('run_at', now) :
+        claim.lt('locked_until', now);
+      
+      const { data: updated, error: claimError } = await claim.select();
+      
+      if (claimError) {
+        logger.error(`Error claiming job ${row.id}: ${claimError.message}`);
+        continue;
+      }
+      
+      // Another worker got there first
+      if (updated.length === 0) {
+        continue;
+      }
+      
+      if (row.status === JobStatus.RUNNING) {
+        logger.warn(`Recovered ${row.type} job ${row.id} after lease held by ${row.locked_by} expired`);
+      }
+      
+      claimed.push(toJob(updated[0]));
+    }
+    
+    return claimed;
+  } catch (error) {
+    logger.error(`Error claiming jobs: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Mark a claimed job as done
+ * Recurring jobs are rescheduled for their next run instead of completed.
+ * @param {Object} job - Claimed job
+ * @returns {boolean} Success status
+ */
+const completeJob = async (job) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot complete job ${job.id}: Supabase is not connected`);
+      return false;
+    }
+    
+    const update = job.intervalSeconds ? {
+      status: JobStatus.PENDING,
+      run_at: new Date(Date.now() + job.intervalSeconds * 1000).toISOString(),
+      attempts: 0,
+      last_error: null
+    } : {
+      status: JobStatus.COMPLETED
+    };
+    
+    const { error } = await supabase
+      .from('jobs')
+      .update({
+        ...update,
+        locked_by: null,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', job.lockedBy);
+    
+    if (error) {
+      logger.error(`Error completing job ${job.id}: ${error.message}`);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error completing job ${job.id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Record a failed job run and schedule a retry with exponential backoff
+ * One-off jobs are marked failed once they reach max_attempts; recurring
+ * jobs move on to their next scheduled run.
+ * @param {Object} job - Claimed job
+ * @param {Error} jobError - Error thrown by the handler
+ * @returns {boolean} Success status
+ */
+const failJob = async (job, jobError) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot record failure for job ${job.id}: Supabase is not connected`);
+      return false;
+    }
+    
+    let update;
+    
+    if (job.attempts < job.maxAttempts) {
+      const delay = config.jobs.retryDelay * Math.pow(2, job.attempts - 1);
+      update = {
+        status: JobStatus.PENDING,
+        run_at: new Date(Date.now() + delay).toISOString()
+      };
+    } else if (job.intervalSeconds) {
+      update = {
+        status: JobStatus.PENDING,
+        run_at: new Date(Date.now() + job.intervalSeconds * 1000).toISOString(),
+        attempts: 0
+      };
+    } else {
+      update = { status: JobStatus.FAILED };
+      logger.error(`Giving up on ${job.type} job ${job.id} after ${job.attempts} attempts`);
+    }
+    
+    const { error } = await supabase
+      .from('jobs')
+      .update({
+        ...update,
+        last_error: jobError.message,
+        locked_by: null,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', job.lockedBy);
+    
+    if (error) {
+      logger.error(`Error recording failure for job ${job.id}: ${error.message}`);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error recording failure for job ${job.id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Return jobs whose worker died mid-run to the pending queue
+ * @returns {number} Number of jobs released
+ */
+const releaseExpiredLeases = async () => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot release job leases: Supabase is not connected');
+      return 0;
+    }
+    
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({
+        status: JobStatus.PENDING,
+        locked_by: null,
+        locked_until: null,
+        updated_at: now
+      })
+      .eq('status', JobStatus.RUNNING)
+      .lt('locked_until', now)
+      .select('id');
+    
+    if (error) {
+      logger.error(`Error releasing expired job leases: ${error.message}`);
+      return 0;
+    }
+    
+    if (data.length > 0) {
+      logger.warn(`Released ${data.length} jobs with expired leases`);
+    }
+    
+    return data.length;
+  } catch (error) {
+    logger.error(`Error releasing expired job leases: ${error.message}`);
+    return 0;
+  }
+};
+
+module.exports = {
+  JobStatus,
+  createWorkerId,
+  scheduleJob,
+  cancelJob,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  releaseExpiredLeases
+};
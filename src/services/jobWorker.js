@@ -0,0 +1,263 @@
+/**
+ * Job Worker
+ * Runs due jobs from the jobs table, either in a polling loop (long-running
+ * bot process) or on demand from the cron endpoint (serverless deployments)
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const jobService = require('./jobService');
+const raidService = require('./raidServices');
+const lockdownService = require('./lockdownService');
+const sessionService = require('./sessionService');
+const { Raid, RaidStatus } = require('../models/raidModel');
+const { Campaign, CampaignStatus } = require('../models/campaignModel');
+
+// Identifies this process when claiming jobs
+const workerId = jobService.createWorkerId();
+
+// Handle of the pending poll, if the loop is running
+let pollTimer = null;
+
+/**
+ * Job handlers keyed by job type
+ * Each handler receives (payload, bot) and should throw to trigger a retry.
+ */
+const jobHandlers = {
+  raid_start: async ({ raidId }, bot) => {
+    await raidService.startScheduledRaid(raidId, bot);
+  },
+  
+  // Also finishes raids left 'ending' by an end that failed part way
+  raid_end: async ({ raidId, cancelled }, bot) => {
+    const raid = await Raid.findById(raidId);
+    
+    // Already ended manually (or deleted)
+    if (!raid || (!raid.isActive && raid.status !== RaidStatus.ENDING)) {
+      logger.debug(`Skipping scheduled end of raid ${raidId}: raid is no longer active`);
+      return;
+    }
+    
+    const { alreadyEnded } = await raidService.endRaid(raid, bot, { cancelled, resume: true });
+    
+    if (!alreadyEnded) {
+      logger.info(`Automatically ended raid: ${raidId}`);
+    }
+  },
+  
+  raid_status: async ({ raidId }, bot) => {
+    await raidService.refreshRaidStatus(raidId, bot);
+  },
+  
+  raid_reminder: async ({ raidId, reminder }, bot) => {
+    await raidService.sendRaidReminder(raidId, reminder, bot);
+  },
+  
+  raid_sweep: async ({ raidId }, bot) => {
+    await raidService.sweepRaidActions(raidId, bot);
+  },
+  
+  raid_unlock: async ({ raidId }, bot) => {
+    const raid = await Raid.findById(raidId);
+    
+    // Chat is only unlocked here once the raid is over; active raids unlock when they end
+    if (!raid || raid.isActive) {
+      return;
+    }
+    
+    await lockdownService.unlockChat(raid, bot);
+  },
+  
+  // Also finishes campaigns left 'ending' by an end that failed part way
+  campaign_end: async ({ campaignId, cancelled }, bot) => {
+    const campaign = await Campaign.findById(campaignId);
+    
+    if (!campaign || (!campaign.isActive && campaign.status !== CampaignStatus.ENDING)) {
+      logger.debug(`Skipping scheduled end of campaign ${campaignId}: campaign is no longer active`);
+      return;
+    }
+    
+    const { alreadyEnded } = await raidService.endCampaign(campaignId, bot, { cancelled, resume: true });
+    
+    if (!alreadyEnded) {
+      logger.info(`Automatically ended campaign: ${campaignId}`);
+    }
+  },
+  
+  check_campaigns: async (payload, bot) => {
+    await raidService.checkForEndedCampaigns(bot);
+  },
+  
+  streak_reminders: async (payload, bot) => {
+    await raidService.sendDayStreakReminders(bot);
+  },
+  
+  session_purge: async () => {
+    await sessionService.purgeExpiredSessions();
+  }
+};
+
+/**
+ * Run a single claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {boolean} True if the job succeeded
+ */
+const runJob = async (job, bot) => {
+  const handler = jobHandlers[job.type];
+  
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    
+    await handler(job.payload, bot);
+    await jobService.completeJob(job);
+    return true;
+  } catch (error) {
+    logger.error(`Error running ${job.type} job ${job.id} (attempt ${job.attempts}): ${error.message}`);
+    await jobService.failJob(job, error);
+    return false;
+  }
+};
+
+/**
+ * Claim and run all currently due jobs
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} options - { maxBatches } upper bound on claim rounds
+ * @returns {Object} { processed, failed }
+ */
+const runDueJobs = async (bot, options = {}) => {
+  const maxBatches = options.maxBatches || 5;
+  let processed = 0;
+  let failed = 0;
+  
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const jobs = await jobService.claimDueJobs(workerId, config.jobs.batchSize);
+    
+    for (const job of jobs) {
+      const succeeded = await runJob(job, bot);
+      processed++;
+      if (!succeeded) failed++;
+    }
+    
+    // Nothing more is due
+    if (jobs.length < config.jobs.batchSize) {
+      break;
+    }
+  }
+  
+  if (processed > 0) {
+    logger.info(`Processed ${processed} jobs (${failed} failed)`);
+  }
+  
+  return { processed, failed };
+};
+
+/**
+ * Bring the job queue up to date after a restart
+ * Releases jobs left running by a dead worker, makes sure recurring tasks
+ * exist and schedules an end for any active raid that lost its job.
+ * Overdue jobs are then picked up by the next run of runDueJobs.
+ * @returns {Object} { released, rescheduledRaids }
+ */
+const recoverJobs = async () => {
+  const released = await jobService.releaseExpiredLeases();
+  
+  await raidService.setupScheduledTasks();
+  
+  // Raids created before jobs existed, or whose job could not be saved
+  let rescheduledRaids = 0;
+  const activeRaids = await Raid.findAllActive();
+  
+  for (const raid of activeRaids) {
+    if (!raid.endTime) continue;
+    
+    const job = await jobService.scheduleJob('raid_end', raid.endTime, { raidId: raid.id }, {
+      uniqueKey: `raid_end:${raid.id}`,
+      keepExisting: true
+    });
+    
+    if (job) rescheduledRaids++;
+    
+    await raidService.scheduleRaidReminders(raid, { keepExisting: true });
+    
+    if (config.raids.sweepInterval > 0) {
+      await raidService.scheduleRaidSweep(raid, new Date(), { keepExisting: true });
+    }
+  }
+  
+  // Live announcements of raids started before status refreshes existed
+  for (const raid of activeRaids) {
+    if (!raid.messageId) continue;
+    
+    await jobService.scheduleJob('raid_status', new Date(), { raidId: raid.id }, {
+      uniqueKey: `raid_status:${raid.id}`,
+      keepExisting: true
+    });
+  }
+  
+  if (rescheduledRaids > 0) {
+    logger.warn(`Scheduled missing end jobs for ${rescheduledRaids} active raids`);
+  }
+  
+  // Chats left locked by raids that ended while the bot was down or couldn't reach Telegram
+  const lockedRaids = await Raid.findLockedDown();
+  
+  for (const raid of lockedRaids) {
+    if (raid.isActive) continue;
+    
+    await jobService.scheduleJob('raid_unlock', new Date(), { raidId: raid.id }, {
+      uniqueKey: `raid_unlock:${raid.id}`,
+      keepExisting: true
+    });
+  }
+  
+  return { released, rescheduledRaids };
+};
+
+/**
+ * Start the polling worker loop
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const startJobWorker = async (bot) => {
+  if (pollTimer) {
+    return;
+  }
+  
+  await recoverJobs();
+  
+  const poll = async () => {
+    try {
+      await runDueJobs(bot);
+    } catch (error) {
+      logger.error(`Error in job worker loop: ${error.message}`);
+    }
+    
+    // Schedule the next poll only after this one has finished, so runs never overlap
+    if (pollTimer) {
+      pollTimer = setTimeout(poll, config.jobs.pollInterval);
+    }
+  };
+  
+  pollTimer = setTimeout(poll, 0);
+  logger.info(`Job worker ${workerId} started (polling every ${config.jobs.pollInterval}ms)`);
+};
+
+/**
+ * Stop the polling worker loop
+ */
+const stopJobWorker = () => {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    logger.info(`Job worker ${workerId} stopped`);
+  }
+};
+
+module.exports = {
+  runDueJobs,
+  recoverJobs,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,192 @@
+/**
+ * Level Service
+ * Turns a user's total XP into a level on the curve in config.levels and the
+ * rank named for that level, and announces level-ups in the group.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const helpers = require('../utils/helpers');
+const { getUsersByTelegramIds } = require('./userService');
+const { getGroupLevelUpAnnouncements } = require('./groupSettingsService');
+
+/**
+ * Get the XP needed to go from a level to the next one
+ * @param {number} level - Level (1 or more)
+ * @returns {number} XP between the level and the next
+ */
+const getLevelStepXp = (level) => {
+  const { baseXp, growth } = config.levels;
+  
+  return Math.max(Math.round(baseXp * Math.pow(Math.max(growth, 1), level - 1)), 1);
+};
+
+/**
+ * Get the total XP needed to reach a level
+ * @param {number} level - Level (1 or more)
+ * @returns {number} Total XP at which the level starts
+ */
+const getLevelXp = (level) => {
+  let xp = 0;
+  
+  for (let current = 1; current < level; current++) {
+    xp += getLevelStepXp(current);
+  }
+  
+  return xp;
+};
+
+/**
+ * Get the rank named for a level
+ * @param {number} level - Level
+ * @returns {string|null} Rank name, or null if no ranks are configured
+ */
+const getRankForLevel = (level) => {
+  const rank = [...config.levels.ranks].reverse().find(candidate => candidate.level <= level);
+  
+  if (rank) return rank.name;
+  
+  return config.levels.ranks.length > 0 ? config.levels.ranks[0].name : null;
+};
+
+/**
+ * Get the lowest level of a rank
+ * @param {string} name - Rank name, in any case
+ * @returns {number|null} Level the rank starts at, or null if there is no such rank
+ */
+const getRankLevel = (name) => {
+  const rank = config.levels.ranks.find(candidate => candidate.name.toLowerCase() === String(name).trim().toLowerCase());
+  
+  return rank ? rank.level : null;
+};
+
+/**
+ * Work out a user's level from their total XP
+ * @param {number} totalXp - User's total XP
+ * @returns {Object} { level, rank, levelXp, nextLevelXp, xpIntoLevel, xpForNext }
+ */
+const getLevelInfo = (totalXp) => {
+  const xp = Math.max(totalXp || 0, 0);
+  let level = 1;
+  let levelXp = 0;
+  let step = getLevelStepXp(level);
+  
+  while (xp >= levelXp + step) {
+    levelXp += step;
+    level++;
+    step = getLevelStepXp(level);
+  }
+  
+  return {
+    level,
+    rank: getRankForLevel(level),
+    levelXp,
+    nextLevelXp: levelXp + step,
+    xpIntoLevel: xp - levelXp,
+    xpForNext: step
+  };
+};
+
+/**
+ * Describe a level, e.g. "Level 5 · Striker"
+ * @param {number} level - Level
+ * @returns {string} Level and its rank (not Markdown-escaped)
+ */
+const formatLevel = (level) => {
+  const rank = getRankForLevel(level);
+  
+  return rank ? `Level ${level} · ${rank}` : `Level ${level}`;
+};
+
+/**
+ * Describe a user's level and their progress to the next one in one line
+ * e.g. "Lv 5 · Striker [████░░░░░░] 40%"
+ * @param {number} totalXp - User's total XP
+ * @param {number} barLength - Length of the progress bar
+ * @returns {string} Level, rank and progress (rank Markdown-escaped)
+ */
+const formatLevelProgress = (totalXp, barLength = 10) => {
+  const info = getLevelInfo(totalXp);
+  const rank = info.rank ? ` · ${helpers.escapeMarkdown(info.rank)}` : '';
+  
+  return `Lv ${info.level}${rank} ${helpers.progressBar(info.xpIntoLevel, info.xpForNext, barLength)}`;
+};
+
+/**
+ * Find the users who reached a new level with the XP just credited to them
+ * @param {Map<number, number>} creditedXp - Telegram ID -> XP credited since their total was last seen
+ * @returns {Array<Object>} { telegramId, name, level, rank, rankChanged } per user who levelled up
+ */
+const getLevelUps = async (creditedXp) => {
+  const telegramIds = Array.from(creditedXp.keys()).filter(telegramId => creditedXp.get(telegramId) > 0);
+  
+  if (telegramIds.length === 0) {
+    return [];
+  }
+  
+  const users = await getUsersByTelegramIds(telegramIds);
+  const levelUps = [];
+  
+  users.forEach(user => {
+    const totalXp = user.total_xp || 0;
+    const credited = telegramIds.find(telegramId => String(telegramId) === String(user.telegram_id));
+    const previous = getLevelInfo(totalXp - creditedXp.get(credited));
+    const current = getLevelInfo(totalXp);
+    
+    if (current.level <= previous.level) return;
+    
+    levelUps.push({
+      telegramId: user.telegram_id,
+      name: user.username ? `@${user.username}` : user.first_name || `User${user.telegram_id}`,
+      level: current.level,
+      rank: current.rank,
+      rankChanged: current.rank !== previous.rank
+    });
+  });
+  
+  return levelUps;
+};
+
+/**
+ * Announce level-ups in a group, unless the group turned announcements off
+ * @param {number} chatId - Telegram chat ID of the group the XP was earned in
+ * @param {Array<Object>} levelUps - Level-ups from getLevelUps
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {boolean} True if an announcement was sent
+ */
+const announceLevelUps = async (chatId, levelUps, bot) => {
+  if (levelUps.length === 0) {
+    return false;
+  }
+  
+  try {
+    if (!(await getGroupLevelUpAnnouncements(chatId))) {
+      return false;
+    }
+    
+    const lines = levelUps.map(levelUp => {
+      const rank = levelUp.rankChanged && levelUp.rank ? ` and the rank of ${helpers.escapeMarkdown(levelUp.rank)}` : '';
+      
+      return `${helpers.escapeMarkdown(levelUp.name)} reached level ${levelUp.level}${rank}`;
+    });
+    
+    await bot.sendMessage(chatId, `🎉 *Level up!*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+    
+    logger.info(`Announced ${levelUps.length} level-ups in chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error announcing level-ups in chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  getLevelXp,
+  getRankForLevel,
+  getRankLevel,
+  getLevelInfo,
+  formatLevel,
+  formatLevelProgress,
+  getLevelUps,
+  announceLevelUps
+};
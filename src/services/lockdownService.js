@@ -0,0 +1,183 @@
+/**
+ * Lockdown Service
+ * Locks a group while a raid runs so members stay focused on the tweet,
+ * and restores the group's exact permissions when the raid is over.
+ *
+ * The group's permissions are saved on the raid before anything changes,
+ * so they can be restored even if the bot restarts mid-raid. Telegram
+ * admins are never affected by chat permissions. Allowlisted members who
+ * aren't admins are temporarily promoted (with no admin rights beyond
+ * managing the chat) so they can keep posting, and demoted afterwards.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getGroupAdminIds } = require('./userService');
+
+// Chat permissions that allow posting; all of them are switched off during a lockdown
+const POSTING_PERMISSIONS = [
+  'can_send_messages',
+  'can_send_audios',
+  'can_send_documents',
+  'can_send_photos',
+  'can_send_videos',
+  'can_send_video_notes',
+  'can_send_voice_notes',
+  'can_send_polls',
+  'can_send_other_messages',
+  'can_add_web_page_previews'
+];
+
+// Member statuses that already bypass (or can't use) chat permissions
+const SKIPPED_MEMBER_STATUSES = ['creator', 'administrator', 'left', 'kicked'];
+
+/**
+ * Build the locked version of a chat's permissions
+ * Non-posting permissions (invites, pins, ...) are left as they were.
+ * @param {Object} permissions - Current chat permissions
+ * @returns {Object} Permissions with posting disabled
+ */
+const toLockedPermissions = (permissions) => {
+  const locked = { ...permissions };
+  POSTING_PERMISSIONS.forEach(permission => {
+    locked[permission] = false;
+  });
+  return locked;
+};
+
+/**
+ * Get the members who may keep posting during a lockdown
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Array<number>} Telegram user IDs
+ */
+const getAllowlist = async (chatId) => {
+  const groupAdminIds = await getGroupAdminIds(chatId);
+  return [...new Set([...config.raids.lockdownAllowlist, ...groupAdminIds].map(Number))];
+};
+
+/**
+ * Temporarily promote allowlisted members so they can post while the chat is locked
+ * Telegram applies a member's own restrictions on top of the chat's, so
+ * restrictChatMember can't let one member post in a locked chat; only admins
+ * can. The promotion grants can_manage_chat alone, the least an admin can have,
+ * which still lets them see the admin log and member lists until demoted.
+ * Promoted IDs are saved on the raid as they are promoted.
+ * @param {Raid} raid - Raid with a lockdown snapshot
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const exemptAllowlist = async (raid, bot) => {
+  const allowlist = await getAllowlist(raid.chatId);
+  
+  for (const userId of allowlist) {
+    try {
+      const member = await bot.getChatMember(raid.chatId, userId);
+      
+      // Admins are exempt anyway; individually restricted members stay restricted
+      if (SKIPPED_MEMBER_STATUSES.includes(member.status) || member.status === 'restricted') {
+        continue;
+      }
+      
+      await bot.promoteChatMember(raid.chatId, userId, { can_manage_chat: true });
+      
+      raid.lockdown.promotedUserIds.push(userId);
+      await raid.updateColumns({ lockdown: raid.lockdown });
+    } catch (error) {
+      logger.warn(`Could not exempt user ${userId} from lockdown of chat ${raid.chatId}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Demote the members promoted for a lockdown
+ * @param {Raid} raid - Raid with a lockdown snapshot
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const demoteAllowlist = async (raid, bot) => {
+  for (const userId of raid.lockdown.promotedUserIds) {
+    try {
+      await bot.promoteChatMember(raid.chatId, userId, { can_manage_chat: false });
+    } catch (error) {
+      // Members who left (or were demoted by hand) need no demotion
+      logger.warn(`Could not demote user ${userId} after lockdown of chat ${raid.chatId}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Lock a raid's chat
+ * @param {Raid} raid - Saved raid with lockChat set
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {boolean} True if the chat was locked
+ */
+const lockChat = async (raid, bot) => {
+  if (raid.lockdown) {
+    return true;
+  }
+  
+  try {
+    const chat = await bot.getChat(raid.chatId);
+    
+    if (!chat.permissions) {
+      logger.warn(`Not locking chat ${raid.chatId}: its permissions are not available`);
+      return false;
+    }
+    
+    // Save the snapshot before changing anything, so a restart can always restore it
+    raid.lockdown = {
+      permissions: chat.permissions,
+      promotedUserIds: [],
+      lockedAt: new Date().toISOString()
+    };
+    await raid.updateColumns({ lockdown: raid.lockdown });
+    
+    await exemptAllowlist(raid, bot);
+    
+    try {
+      await bot.setChatPermissions(raid.chatId, toLockedPermissions(chat.permissions), {
+        use_independent_chat_permissions: true
+      });
+    } catch (error) {
+      // Nothing was locked; undo the promotions
+      await demoteAllowlist(raid, bot);
+      raid.lockdown = null;
+      await raid.updateColumns({ lockdown: raid.lockdown });
+      throw error;
+    }
+    
+    logger.info(`Locked chat ${raid.chatId} for raid ${raid.id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error locking chat ${raid.chatId} for raid ${raid.id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Restore a raid's chat to the permissions it had before the lockdown
+ * Throws if the permissions could not be restored, so callers can retry.
+ * @param {Raid} raid - Raid instance
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {boolean} True if a lockdown was lifted, false if the chat wasn't locked
+ */
+const unlockChat = async (raid, bot) => {
+  if (!raid.lockdown) {
+    return false;
+  }
+  
+  await bot.setChatPermissions(raid.chatId, raid.lockdown.permissions, {
+    use_independent_chat_permissions: true
+  });
+  
+  await demoteAllowlist(raid, bot);
+  
+  raid.lockdown = null;
+  await raid.updateColumns({ lockdown: raid.lockdown });
+  
+  logger.info(`Restored permissions of chat ${raid.chatId} after raid ${raid.id}`);
+  return true;
+};
+
+module.exports = {
+  lockChat,
+  unlockChat
+};
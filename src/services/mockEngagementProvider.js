@@ -0,0 +1,233 @@
+/**
+ * Mock Engagement Provider
+ * Deterministic, in-memory engagement provider for CI and local demos.
+ * Nothing is fetched: tweets, accounts and engagement come from fixtures,
+ * and tweets missing from them are made up from their ID.
+ *
+ * Fixture format (all keys optional):
+ * {
+ *   "tweets": { "<tweetId>": { "text", "authorId", "createdAt" } },
+ *   "users": { "<twitterId>": { "username", "name", "following": ["<twitterId>"] } },
+ *   "engagement": {
+ *     "<tweetId>": {
+ *       "likers": ["<twitterId>"], "retweeters": [...], "bookmarkers": [...],
+ *       "replies": [{ "id", "authorId", "text", "lang", "hasMedia", "isGif", "createdAt" }], "quotes": [...]
+ *     }
+ *   },
+ *   "defaultActions": ["like", "retweet", "comment", "quote", "bookmark", "follow"]
+ * }
+ * defaultActions are treated as done by every user on every tweet (and every
+ * followed account), on top of what the fixtures list.
+ */
+
+// Used without a fixture file, so demo raids get likes, retweets, comments and follows
+const DEMO_FIXTURES = {
+  defaultActions: ['like', 'retweet', 'comment', 'follow']
+};
+
+// Author of tweets that aren't in the fixtures
+const MOCK_AUTHOR = {
+  id: '1000000000',
+  username: 'mock_author',
+  name: 'Mock Author'
+};
+
+/**
+ * Create a mock engagement provider
+ * @param {Object|null} fixtures - Fixtures (see above), or null for the demo data
+ * @returns {EngagementProvider} Mock provider; addEngagement adds to its fixtures
+ */
+const createMockEngagementProvider = (fixtures = null) => {
+  const data = fixtures || DEMO_FIXTURES;
+  const tweets = data.tweets || {};
+  const users = data.users || {};
+  const engagement = data.engagement || {};
+  const defaultActions = new Set(data.defaultActions || []);
+  
+  // A tweet's engagement, with every list present
+  const getEngagement = (tweetId) => {
+    engagement[tweetId] = {
+      likers: [],
+      retweeters: [],
+      bookmarkers: [],
+      replies: [],
+      quotes: [],
+      ...engagement[tweetId]
+    };
+    
+    return engagement[tweetId];
+  };
+  
+  const getAccount = (twitterId) => {
+    const account = users[twitterId];
+    if (twitterId === MOCK_AUTHOR.id && !account) return MOCK_AUTHOR;
+    
+    return {
+      id: twitterId,
+      username: account && account.username ? account.username : `mock_${twitterId}`,
+      name: account && account.name ? account.name : `Mock User ${twitterId}`
+    };
+  };
+  
+  const toPost = (post, fallbackId) => ({
+    id: post.id || fallbackId,
+    authorId: post.authorId,
+    text: post.text || '',
+    lang: post.lang || 'en',
+    hasMedia: post.hasMedia || false,
+    isGif: post.isGif || false,
+    createdAt: post.createdAt || null
+  });
+  
+  // Everyone the fixtures know about, for engagement done by default
+  const knownUserIds = () => Object.keys(users);
+  
+  // Replies or quotes of a tweet, plus a made-up one from each known user when the action is done by default
+  const getPosts = (tweetId, list, action) => {
+    const posts = getEngagement(tweetId)[list].map((post, index) => toPost(post, `mock-${list}-${tweetId}-${index}`));
+    
+    if (!defaultActions.has(action)) return posts;
+    
+    const authors = new Set(posts.map(post => post.authorId));
+    const madeUp = knownUserIds()
+      .filter(twitterId => !authors.has(twitterId))
+      .map(twitterId => madeUpPost(tweetId, list, action, twitterId));
+    
+    return [...posts, ...madeUp];
+  };
+  
+  // One user's replies or quotes of a tweet
+  const getUserPosts = (tweetId, list, action, twitterId) => {
+    const posts = getEngagement(tweetId)[list]
+      .map((post, index) => toPost(post, `mock-${list}-${tweetId}-${index}`))
+      .filter(post => post.authorId === twitterId);
+    
+    return posts.length === 0 && defaultActions.has(action) ?
+      [madeUpPost(tweetId, list, action, twitterId)] :
+      posts;
+  };
+  
+  const madeUpPost = (tweetId, list, action, twitterId) => toPost({
+    authorId: twitterId,
+    text: `@${getTweet(tweetId).author.username} Mock ${action} from @${getAccount(twitterId).username}`
+  }, `mock-${list}-${tweetId}-${twitterId}`);
+  
+  const listed = (tweetId, list, action) => {
+    const ids = new Set(getEngagement(tweetId)[list]);
+    if (defaultActions.has(action)) knownUserIds().forEach(id => ids.add(id));
+    return [...ids];
+  };
+  
+  const getTweet = (tweetId) => {
+    const tweet = tweets[tweetId] || {};
+    const tweetEngagement = getEngagement(tweetId);
+    const author = getAccount(tweet.authorId || MOCK_AUTHOR.id);
+    
+    return {
+      id: tweetId,
+      text: tweet.text || `Mock tweet ${tweetId}`,
+      author_id: author.id,
+      created_at: tweet.createdAt || new Date(0).toISOString(),
+      public_metrics: {
+        like_count: tweetEngagement.likers.length,
+        retweet_count: tweetEngagement.retweeters.length,
+        reply_count: tweetEngagement.replies.length,
+        quote_count: tweetEngagement.quotes.length,
+        bookmark_count: tweetEngagement.bookmarkers.length
+      },
+      author
+    };
+  };
+  
+  const getTweetEngagers = async (tweetId) => ({
+    likers: listed(tweetId, 'likers', 'like'),
+    retweeters: listed(tweetId, 'retweeters', 'retweet'),
+    replies: getPosts(tweetId, 'replies', 'comment'),
+    quotes: getPosts(tweetId, 'quotes', 'quote'),
+    complete: true
+  });
+  
+  const getUserEngagement = async (user, tweetIds, options = {}) => {
+    if (!user.twitterId) return null;
+    
+    const has = (tweetId, list, action) =>
+      getEngagement(tweetId)[list].includes(user.twitterId) || defaultActions.has(action);
+    
+    const result = {};
+    
+    tweetIds.forEach(tweetId => {
+      result[tweetId] = {
+        liked: has(tweetId, 'likers', 'like'),
+        retweeted: has(tweetId, 'retweeters', 'retweet'),
+        replies: getUserPosts(tweetId, 'replies', 'comment', user.twitterId),
+        quotes: getUserPosts(tweetId, 'quotes', 'quote', user.twitterId),
+        bookmarked: options.bookmarks ? has(tweetId, 'bookmarkers', 'bookmark') : null,
+        complete: {
+          like: true,
+          retweet: true,
+          comment: true,
+          quote: true,
+          bookmark: options.bookmarks ? true : null
+        }
+      };
+    });
+    
+    return result;
+  };
+  
+  return {
+    name: 'mock',
+    
+    getTweet: async (tweetId) => getTweet(tweetId),
+    
+    getTweets: async (tweetIds) => tweetIds.map(getTweet),
+    
+    getUser: async (username) => {
+      const handle = username.replace(/^@/, '').toLowerCase();
+      const twitterId = Object.keys(users).find(id => (users[id].username || '').toLowerCase() === handle);
+      
+      return twitterId ? getAccount(twitterId) : { id: `mock-${handle}`, username: handle, name: handle };
+    },
+    
+    getLikers: async (tweetId) => ({ likers: listed(tweetId, 'likers', 'like'), complete: true }),
+    
+    getRetweeters: async (tweetId) => ({ retweeters: listed(tweetId, 'retweeters', 'retweet'), complete: true }),
+    
+    getReplies: async (tweetId) => ({ replies: getPosts(tweetId, 'replies', 'comment'), complete: true }),
+    
+    getTweetEngagers,
+    
+    getUserEngagement,
+    
+    hasLiked: async (user, tweetId) => {
+      const result = await getUserEngagement(user, [tweetId]);
+      return { liked: result ? result[tweetId].liked : false, complete: true };
+    },
+    
+    isFollowing: async (user, accountId) => {
+      if (!user.twitterId) return null;
+      
+      const account = users[user.twitterId];
+      const following = ((account && account.following) || []).includes(accountId) || defaultActions.has('follow');
+      
+      return { following, complete: true };
+    },
+    
+    canReadBookmarks: () => true,
+    
+    /**
+     * Add engagement, e.g. to simulate a raider acting mid-raid
+     * @param {string} tweetId - Tweet ID
+     * @param {string} list - likers, retweeters, bookmarkers, replies or quotes
+     * @param {string|Object} entry - Twitter user ID, or a post for replies and quotes
+     */
+    addEngagement: (tweetId, list, entry) => {
+      getEngagement(tweetId)[list].push(entry);
+    }
+  };
+};
+
+module.exports = {
+  MOCK_AUTHOR,
+  createMockEngagementProvider
+};
@@ -0,0 +1,144 @@
+/**
+ * Nudge Service
+ * Tracks which group members asked to be reminded by DM about raids they
+ * haven't taken part in yet, and finds who to nudge for a raid
+ */
+
+const logger = require('../utils/logger');
+const { getSupabase } = require('./supabaseService');
+
+/**
+ * Turn raid nudges on or off for a member of a group
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {number} telegramId - Member's Telegram ID
+ * @param {boolean} enabled - Whether to send nudges
+ * @returns {boolean} Success status
+ */
+const setNudgeOptIn = async (chatId, telegramId, enabled) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot update nudges for user ${telegramId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = enabled ?
+      await supabase
+        .from('raid_nudge_optins')
+        .upsert({ chat_id: chatId, telegram_id: telegramId }, { onConflict: 'chat_id,telegram_id' }) :
+      await supabase
+        .from('raid_nudge_optins')
+        .delete()
+        .eq('chat_id', chatId)
+        .eq('telegram_id', telegramId);
+    
+    if (error) {
+      logger.error(`Error updating nudges for user ${telegramId} in chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    logger.info(`User ${telegramId} turned raid nudges ${enabled ? 'on' : 'off'} in chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error updating nudges for user ${telegramId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Check whether a member gets raid nudges in a group
+ * @param {number} chatId - Telegram chat ID of the group
+ * @param {number} telegramId - Member's Telegram ID
+ * @returns {boolean} True if opted in
+ */
+const isNudgeOptedIn = async (chatId, telegramId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot check nudges for user ${telegramId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { data, error } = await supabase
+      .from('raid_nudge_optins')
+      .select('id')
+      .eq('chat_id', chatId)
+      .eq('telegram_id', telegramId)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error checking nudges for user ${telegramId} in chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    return !!data;
+  } catch (error) {
+    logger.error(`Error checking nudges for user ${telegramId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get the members to nudge about a raid
+ * These are members of the raid's group who opted in, have linked Twitter
+ * and have no recorded actions for the raid yet.
+ * @param {Raid} raid - Active raid
+ * @returns {Array<number>} Telegram IDs to nudge
+ */
+const getNudgeRecipients = async (raid) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get nudge recipients for raid ${raid.id}: Supabase is not connected`);
+      return [];
+    }
+    
+    const { data: optIns, error: optInError } = await supabase
+      .from('raid_nudge_optins')
+      .select('telegram_id')
+      .eq('chat_id', raid.chatId);
+    
+    if (optInError) throw optInError;
+    
+    if (optIns.length === 0) {
+      return [];
+    }
+    
+    const { data: linkedUsers, error: userError } = await supabase
+      .from('users')
+      .select('telegram_id')
+      .in('telegram_id', optIns.map(row => row.telegram_id))
+      .eq('twitter_connected', true);
+    
+    if (userError) throw userError;
+    
+    const candidateIds = linkedUsers.map(user => user.telegram_id);
+    
+    if (candidateIds.length === 0) {
+      return [];
+    }
+    
+    const { data: actions, error: actionError } = await supabase
+      .from('user_actions')
+      .select('user_id')
+      .eq('raid_id', raid.id)
+      .in('user_id', candidateIds);
+    
+    if (actionError) throw actionError;
+    
+    const participantIds = new Set(actions.map(action => String(action.user_id)));
+    return candidateIds.filter(telegramId => !participantIds.has(String(telegramId)));
+  } catch (error) {
+    logger.error(`Error getting nudge recipients for raid ${raid.id}: ${error.message}`);
+    return [];
+  }
+};
+
+module.exports = {
+  setNudgeOptIn,
+  isNudgeOptedIn,
+  getNudgeRecipients
+};
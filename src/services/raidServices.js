@@ -5,14 +5,248 @@
 
 const logger = require('../utils/logger');
 const { getSupabase } = require('./supabaseService');
-const { Raid, RaidStatus } = require('../models/raidModel');
+const { Raid, RaidStatus, formatCommentRules, formatXpCurve, resolveXpWeights } = require('../models/raidModel');
 const { Campaign, CampaignStatus } = require('../models/campaignModel');
 const User = require('../models/userModel');
 const twitterService = require('./twitterService');
+const { RequestPriority } = require('./twitterScheduler');
+const { getEngagementProvider } = require('./engagementProvider');
 const suiService = require('./suiService');
+const lockdownService = require('./lockdownService');
+const nudgeService = require('./nudgeService');
+const streakService = require('./streakService');
+const levelService = require('./levelService');
+const achievementService = require('./achievementService');
+const { getGroupXpWeights, getGroupMinRank } = require('./groupSettingsService');
+const sweepService = require('./sweepService');
+const { scheduleJob, cancelJob } = require('./jobService');
 const config = require('../../config/config');
 const helpers = require('../utils/helpers');
 
+// Telegram IDs of users with a verification running in this process
+// Only spares the Twitter rate limit a double tap; credit is kept to once per action
+// by the database (see record_user_action and follow_rewards), across processes too
+const verifyingUsers = new Set();
+
+/**
+ * Build an unsaved Raid instance from raid configuration data
+ * @param {Object} raidData - Raid configuration data
+ * @returns {Raid} Raid instance
+ */
+const buildRaid = (raidData) => {
+  // Extract tweet IDs from URLs if not already provided
+  const withTweetId = (tweet) => {
+    if (tweet.tweetId || !tweet.tweetUrl) {
+      return tweet;
+    }
+    
+    const tweetId = twitterService.extractTweetId(tweet.tweetUrl);
+    if (!tweetId) {
+      throw new Error(`Invalid tweet URL: ${tweet.tweetUrl}`);
+    }
+    
+    return { ...tweet, tweetId };
+  };
+  
+  Object.assign(raidData, withTweetId(raidData));
+  
+  // Multi-tweet raids list their tweets; the first one is the raid's primary tweet
+  const tweets = (raidData.tweets || []).map(withTweetId);
+  
+  if (tweets.length > 0) {
+    raidData.tweetId = tweets[0].tweetId;
+    raidData.tweetUrl = tweets[0].tweetUrl;
+  }
+  
+  return new Raid({
+    tweetId: raidData.tweetId,
+    tweetUrl: raidData.tweetUrl,
+    adminId: raidData.adminId,
+    chatId: raidData.chatId,
+    startTime: new Date(),
+    isActive: true,
+    targetLikes: raidData.targetLikes || 0,
+    targetRetweets: raidData.targetRetweets || 0,
+    targetComments: raidData.targetComments || 0,
+    tokenType: raidData.tokenType || null,
+    tokenSymbol: raidData.tokenSymbol || null,
+    totalReward: raidData.totalReward || null,
+    tokenPerXp: raidData.tokenPerXp || null,
+    thresholdXp: raidData.thresholdXp || 0,
+    campaignId: raidData.campaignId || null,
+    duration: raidData.duration || 3600, // Default 1 hour
+    requireVerification: raidData.requireVerification !== undefined ? raidData.requireVerification : true,
+    description: raidData.description || '',
+    lockChat: raidData.lockChat || false,
+    commentRules: raidData.commentRules || null,
+    followAccount: raidData.followAccount || null,
+    xpWeights: raidData.xpWeights || null,
+    xpCurve: raidData.xpCurve || null,
+    tweets
+  });
+};
+
+/**
+ * Fetch tweet info for every tweet in a raid, failing if any can't be loaded
+ * All tweets are looked up in a single request.
+ * @param {Raid} raid - Raid instance
+ * @param {Object} options - { priority: scheduler priority (RequestPriority, default NORMAL) }
+ * @returns {Array<Object>} Tweet information, in the raid's tweet order
+ */
+const fetchTweetInfos = async (raid, options = {}) => {
+  return await getEngagementProvider().getTweets(raid.tweets.map(tweet => tweet.tweetId), options);
+};
+
+/**
+ * Look up the account a raid asks raiders to follow
+ * A configured handle ({ username }) is resolved to its user ID; without one the
+ * first tweet's author is used. Accounts that already have an ID are kept.
+ * @param {Raid} raid - Raid instance
+ * @param {Array<Object>} tweetInfos - Tweet information for each raid tweet
+ * @returns {Object|null} Follow account ({ id, username })
+ */
+const resolveFollowAccount = async (raid, tweetInfos) => {
+  if (raid.followAccount && raid.followAccount.id) {
+    return raid.followAccount;
+  }
+  
+  if (raid.followAccount && raid.followAccount.username) {
+    const user = await getEngagementProvider().getUser(raid.followAccount.username);
+    raid.followAccount = { id: user.id, username: user.username };
+  } else {
+    const author = tweetInfos[0] && tweetInfos[0].author;
+    raid.followAccount = author ? { id: author.id, username: author.username } : null;
+  }
+  
+  return raid.followAccount;
+};
+
+/**
+ * Snapshot the XP a raid pays per action onto it
+ * The group's defaults apply under the raid's own overrides, so later changes to
+ * either (or to the config) don't alter the raid. Complete snapshots are kept as they are.
+ * @param {Raid} raid - Raid instance
+ * @returns {Object} XP per action
+ */
+const snapshotXpWeights = async (raid) => {
+  raid.xpWeights = resolveXpWeights(await getGroupXpWeights(raid.chatId), raid.xpWeights);
+  return raid.xpWeights;
+};
+
+/**
+ * Format the follow action's line for raid announcements
+ * @param {Raid} raid - Raid instance
+ * @returns {string} Follow line, or an empty string when follows earn no XP
+ */
+const formatFollowAction = (raid) => {
+  const followXp = raid.getXpWeights().follow;
+  
+  if (followXp <= 0 || !raid.followAccount) {
+    return '';
+  }
+  
+  const scope = raid.campaignId ? 'campaign' : 'group';
+  return `👤 Follow @${helpers.escapeMarkdown(raid.followAccount.username)}: ${followXp} XP (once per ${scope})\n`;
+};
+
+/**
+ * Format the XP a raid pays per action for raid announcements
+ * @param {Raid} raid - Raid instance
+ * @returns {string} One line per action
+ */
+const formatActionXp = (raid) => {
+  const xp = raid.getXpWeights();
+  
+  let message = `👍 Like: ${xp.like} XP\n`;
+  message += `🔄 Retweet: ${xp.retweet} XP\n`;
+  message += `💬 Comment: ${xp.comment} XP\n`;
+  message += `📸 Comment with image: ${xp.commentWithImage} XP (${xp.commentWithGif} XP with a GIF)\n`;
+  message += `🗣 Quote tweet: ${xp.quote} XP (${xp.quoteWithMedia} XP with media)\n`;
+  message += `📌 Bookmark: ${xp.bookmark} XP\n`;
+  message += formatFollowAction(raid);
+  
+  return message;
+};
+
+/**
+ * Start a raid now: mark it active, announce it and schedule its end
+ * @param {Raid} raid - Raid instance (new or pending)
+ * @param {Array<Object>} tweetInfos - Tweet information for each raid tweet
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object} Started raid and announcement message
+ */
+const launchRaid = async (raid, tweetInfos, bot) => {
+  raid.status = RaidStatus.ACTIVE;
+  raid.isActive = true;
+  raid.startTime = new Date();
+  
+  await resolveFollowAccount(raid, tweetInfos);
+  await snapshotXpWeights(raid);
+  
+  // Save the raid to get an ID
+  const savedRaid = await raid.save();
+  
+  // Send raid announcement to chat
+  const message = await sendRaidAnnouncement(savedRaid, tweetInfos, bot);
+  
+  // Update raid with message ID for later reference
+  savedRaid.messageId = message.message_id;
+  savedRaid.statusUpdatedAt = new Date();
+  
+  // Keep the announcement on top of the chat while the raid runs
+  if (config.raids.pinAnnouncements) {
+    try {
+      await bot.pinChatMessage(savedRaid.chatId, message.message_id, { disable_notification: true });
+      savedRaid.announcementPinned = true;
+    } catch (error) {
+      logger.warn(`Could not pin announcement of raid ${savedRaid.id}: ${error.message}`);
+    }
+  }
+  
+  if (savedRaid.duration) {
+    const endTime = new Date(savedRaid.startTime);
+    endTime.setSeconds(endTime.getSeconds() + savedRaid.duration);
+    savedRaid.endTime = endTime;
+  }
+  
+  // Raiders can verify as soon as the announcement is up, so only write the columns set here
+  await savedRaid.updateColumns({
+    message_id: savedRaid.messageId,
+    status_updated_at: savedRaid.statusUpdatedAt.toISOString(),
+    announcement_pinned: savedRaid.announcementPinned,
+    end_time: savedRaid.endTime instanceof Date ? savedRaid.endTime.toISOString() : savedRaid.endTime
+  });
+  
+  // Schedule end of raid and reminders
+  if (savedRaid.duration) {
+    await scheduleRaidEnd(savedRaid);
+    await scheduleRaidReminders(savedRaid);
+  }
+  
+  // Lock the chat for the raid if configured
+  if (savedRaid.lockChat) {
+    const locked = await lockdownService.lockChat(savedRaid, bot);
+    
+    if (!locked) {
+      await bot.sendMessage(savedRaid.chatId,
+        '⚠️ Could not lock the chat for this raid. Make sure the bot is an admin allowed to restrict and promote members.');
+    }
+  }
+  
+  // Keep the announcement's progress up to date
+  await scheduleRaidStatusRefresh(savedRaid, new Date(Date.now() + config.raids.statusRefreshInterval));
+  
+  // Credit linked users' actions without them having to press Verify
+  if (config.raids.sweepInterval > 0) {
+    await scheduleRaidSweep(savedRaid, new Date(Date.now() + config.raids.sweepInterval));
+  }
+  
+  return {
+    raid: savedRaid,
+    message
+  };
+};
+
 /**
  * Create a new raid
  * @param {Object} raidData - Raid configuration data
@@ -21,122 +255,420 @@ const helpers = require('../utils/helpers');
  */
 const createRaid = async (raidData, bot) => {
   try {
-    // Extract tweet ID from URL if not already provided
-    if (!raidData.tweetId && raidData.tweetUrl) {
-      const tweetId = twitterService.extractTweetId(raidData.tweetUrl);
-      if (!tweetId) {
-        throw new Error('Invalid tweet URL');
-      }
-      raidData.tweetId = tweetId;
-    }
+    const raid = buildRaid(raidData);
     
     // Fetch tweet info to validate and get details
-    const tweetInfo = await twitterService.getTweetInfo(raidData.tweetUrl);
+    const tweetInfos = await fetchTweetInfos(raid);
     
-    if (!tweetInfo) {
-      throw new Error('Failed to fetch tweet information');
+    return await launchRaid(raid, tweetInfos, bot);
+  } catch (error) {
+    logger.error('Error creating raid:', error.message);
+    throw new Error(`Failed to create raid: ${error.message}`);
+  }
+};
+
+/**
+ * Schedule a raid to start later
+ * The raid is stored as pending and announced by a raid_start job.
+ * @param {Object} raidData - Raid configuration data
+ * @param {Date} startTime - When the raid should start
+ * @returns {Raid} Pending raid
+ */
+const scheduleRaid = async (raidData, startTime) => {
+  try {
+    if (new Date(startTime) <= new Date()) {
+      throw new Error('Start time must be in the future');
     }
     
-    // Create a new Raid instance
-    const raid = new Raid({
-      tweetId: raidData.tweetId,
-      tweetUrl: raidData.tweetUrl,
-      adminId: raidData.adminId,
-      chatId: raidData.chatId,
-      startTime: new Date(),
-      isActive: true,
-      targetLikes: raidData.targetLikes || 0,
-      targetRetweets: raidData.targetRetweets || 0,
-      targetComments: raidData.targetComments || 0,
-      tokenType: raidData.tokenType || null,
-      tokenSymbol: raidData.tokenSymbol || null,
-      totalReward: raidData.totalReward || null,
-      tokenPerXp: raidData.tokenPerXp || null,
-      thresholdXp: raidData.thresholdXp || 0,
-      campaignId: raidData.campaignId || null,
-      duration: raidData.duration || 3600, // Default 1 hour
-      requireVerification: raidData.requireVerification !== undefined ? raidData.requireVerification : true,
-      description: raidData.description || ''
-    });
+    const raid = buildRaid(raidData);
+    
+    // Validate the tweets and the account to follow now rather than at start time
+    const tweetInfos = await fetchTweetInfos(raid);
+    await resolveFollowAccount(raid, tweetInfos);
+    await snapshotXpWeights(raid);
+    
+    raid.status = RaidStatus.PENDING;
+    raid.isActive = false;
+    raid.startTime = new Date(startTime);
     
-    // Save the raid to get an ID
     const savedRaid = await raid.save();
     
-    // Send raid announcement to chat
-    const message = await sendRaidAnnouncement(savedRaid, tweetInfo, bot);
+    const job = await scheduleJob('raid_start', savedRaid.startTime, { raidId: savedRaid.id }, {
+      uniqueKey: `raid_start:${savedRaid.id}`
+    });
+    
+    if (!job) {
+      // Don't leave a pending raid that would never start
+      savedRaid.status = RaidStatus.CANCELLED;
+      await savedRaid.updateColumns({ status: savedRaid.status });
+      throw new Error('Could not schedule raid start');
+    }
+    
+    logger.info(`Scheduled raid ${savedRaid.id} in chat ${savedRaid.chatId} for ${savedRaid.startTime}`);
+    return savedRaid;
+  } catch (error) {
+    logger.error('Error scheduling raid:', error.message);
+    throw new Error(`Failed to schedule raid: ${error.message}`);
+  }
+};
+
+/**
+ * Start a scheduled raid (called by the raid_start job)
+ * @param {number} raidId - Raid ID
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object|null} Started raid and message, or null if no longer pending
+ */
+const startScheduledRaid = async (raidId, bot) => {
+  try {
+    const raid = await Raid.findById(raidId);
+    
+    // Deleted or already started
+    if (!raid || raid.status !== RaidStatus.PENDING) {
+      logger.debug(`Skipping start of raid ${raidId}: raid is no longer pending`);
+      return null;
+    }
+    
+    const tweetInfos = await fetchTweetInfos(raid);
+    const result = await launchRaid(raid, tweetInfos, bot);
+    
+    logger.info(`Started scheduled raid ${raidId} in chat ${raid.chatId}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error starting scheduled raid ${raidId}:`, error.message);
+    throw new Error(`Failed to start scheduled raid: ${error.message}`);
+  }
+};
+
+/**
+ * Move a scheduled raid to a new start time
+ * @param {Raid} raid - Pending raid
+ * @param {Date} startTime - New start time
+ * @returns {Raid} Updated raid
+ */
+const rescheduleRaid = async (raid, startTime) => {
+  try {
+    if (raid.status !== RaidStatus.PENDING) {
+      throw new Error('Only scheduled raids can be rescheduled');
+    }
+    
+    if (new Date(startTime) <= new Date()) {
+      throw new Error('Start time must be in the future');
+    }
+    
+    raid.startTime = new Date(startTime);
+    const savedRaid = await raid.updateColumns({ start_time: raid.startTime.toISOString() });
+    
+    // Same unique key, so this moves the existing job
+    const job = await scheduleJob('raid_start', savedRaid.startTime, { raidId: savedRaid.id }, {
+      uniqueKey: `raid_start:${savedRaid.id}`
+    });
+    
+    if (!job) {
+      throw new Error('Could not update raid start job');
+    }
+    
+    logger.info(`Rescheduled raid ${savedRaid.id} to ${savedRaid.startTime}`);
+    return savedRaid;
+  } catch (error) {
+    logger.error('Error rescheduling raid:', error.message);
+    throw new Error(`Failed to reschedule raid: ${error.message}`);
+  }
+};
+
+/**
+ * Remove a scheduled raid from the queue before it starts
+ * @param {Raid} raid - Pending raid
+ * @returns {Raid} Cancelled raid
+ */
+const cancelScheduledRaid = async (raid) => {
+  try {
+    if (raid.status !== RaidStatus.PENDING) {
+      throw new Error('Only scheduled raids can be removed from the queue');
+    }
+    
+    await cancelJob(`raid_start:${raid.id}`);
+    
+    raid.status = RaidStatus.CANCELLED;
+    const savedRaid = await raid.updateColumns({ status: raid.status });
+    
+    logger.info(`Removed scheduled raid ${raid.id} from the queue`);
+    return savedRaid;
+  } catch (error) {
+    logger.error('Error cancelling scheduled raid:', error.message);
+    throw new Error(`Failed to remove scheduled raid: ${error.message}`);
+  }
+};
+
+// Columns written for each field editRaid records
+const EDITED_COLUMNS = {
+  end_time: ['end_time', 'duration'],
+  targets: ['target_likes', 'target_retweets', 'target_comments', 'tweets'],
+  description: ['description'],
+  total_reward: ['total_reward'],
+  comment_rules: ['comment_rules'],
+  follow_account: ['follow_account']
+};
+
+/**
+ * Change an active raid's end time, targets, description, reward pool, comment rules or follow account
+ * Each change is recorded with the admin who made it, the end job is moved
+ * and the announcement is refreshed.
+ * @param {Raid} raid - Active raid
+ * @param {Object} changes - { extendBy (seconds), targets: { targetLikes, targetRetweets, targetComments }, description,
+ *   totalReward, commentRules (null clears them), followAccount ({ username }, or null for the tweet author) }
+ * @param {number} editedBy - Admin's Telegram ID
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object} Updated raid and the recorded edits ({ field, oldValue, newValue })
+ */
+const editRaid = async (raid, changes, editedBy, bot) => {
+  try {
+    if (!raid.isActive) {
+      throw new Error('Only active raids can be edited');
+    }
+    
+    const edits = [];
+    let sentReminders = [];
     
-    // Update raid with message ID for later reference
-    savedRaid.messageId = message.message_id;
-    await savedRaid.save();
+    if (changes.extendBy) {
+      if (!raid.endTime) {
+        throw new Error('This raid has no end time to extend');
+      }
+      
+      // Reminders due before the extension went out already and aren't sent again
+      sentReminders = config.raids.reminders.filter(reminder => {
+        const runAt = getReminderTime(raid, reminder);
+        return runAt && runAt <= new Date();
+      });
+      
+      const oldEndTime = new Date(raid.endTime);
+      const newEndTime = new Date(oldEndTime.getTime() + changes.extendBy * 1000);
+      
+      raid.endTime = newEndTime;
+      raid.duration += changes.extendBy;
+      edits.push({ field: 'end_time', oldValue: oldEndTime.toISOString(), newValue: newEndTime.toISOString() });
+    }
     
-    // Schedule raid completion
-    if (savedRaid.duration) {
-      const endTime = new Date(savedRaid.startTime);
-      endTime.setSeconds(endTime.getSeconds() + savedRaid.duration);
-      savedRaid.endTime = endTime;
-      await savedRaid.save();
+    if (changes.targets) {
+      // Multi-tweet raids keep targets per tweet; the raid's targets are their sums
+      const targetHolders = raid.isMultiTweet() ? raid.tweets : [raid];
+      const { targetLikes, targetRetweets, targetComments } = targetHolders[0];
+      const unchanged = targetHolders.every(holder =>
+        holder.targetLikes === changes.targets.targetLikes &&
+        holder.targetRetweets === changes.targets.targetRetweets &&
+        holder.targetComments === changes.targets.targetComments);
       
-      // Schedule end of raid
-      scheduleRaidEnd(savedRaid.id, bot, savedRaid.duration * 1000);
+      if (!unchanged) {
+        targetHolders.forEach(holder => Object.assign(holder, changes.targets));
+        edits.push({ field: 'targets', oldValue: { targetLikes, targetRetweets, targetComments }, newValue: changes.targets });
+      }
+    }
+    
+    if (changes.description !== undefined && changes.description !== raid.description) {
+      edits.push({ field: 'description', oldValue: raid.description, newValue: changes.description });
+      raid.description = changes.description;
+    }
+    
+    if (changes.totalReward !== undefined) {
+      if (raid.campaignId) {
+        throw new Error('Rewards of campaign raids are set by the campaign');
+      }
+      
+      if (raid.tokenPerXp || !raid.totalReward) {
+        throw new Error('Only raids with a reward pool can change it');
+      }
+      
+      if (raid.totalReward !== changes.totalReward) {
+        edits.push({ field: 'total_reward', oldValue: raid.totalReward, newValue: changes.totalReward });
+        raid.totalReward = changes.totalReward;
+      }
+    }
+    
+    // Rules apply to comments verified from now on
+    if (changes.commentRules !== undefined &&
+        JSON.stringify(changes.commentRules) !== JSON.stringify(raid.commentRules)) {
+      edits.push({ field: 'comment_rules', oldValue: raid.commentRules, newValue: changes.commentRules });
+      raid.commentRules = changes.commentRules;
+    }
+    
+    // Follows already rewarded for the old account keep their XP
+    if (changes.followAccount !== undefined) {
+      const oldAccount = raid.followAccount;
+      raid.followAccount = changes.followAccount;
+      
+      const tweetInfos = changes.followAccount ? [] : await fetchTweetInfos(raid);
+      const newAccount = await resolveFollowAccount(raid, tweetInfos);
+      
+      if (!oldAccount || !newAccount || oldAccount.id !== newAccount.id) {
+        edits.push({ field: 'follow_account', oldValue: oldAccount, newValue: newAccount });
+      }
+    }
+    
+    if (edits.length === 0) {
+      throw new Error('Nothing to change');
+    }
+    
+    const { isValid, errors } = raid.validate();
+    
+    if (!isValid) {
+      throw new Error(`Raid validation failed: ${errors.join(', ')}`);
+    }
+    
+    // Only the edited columns are written, so counts and the lockdown changed meanwhile are kept
+    const allColumns = raid.toColumns();
+    const columns = {};
+    
+    edits.forEach(edit => {
+      EDITED_COLUMNS[edit.field].forEach(column => {
+        columns[column] = allColumns[column];
+      });
+    });
+    
+    const savedRaid = await raid.updateColumns(columns);
+    
+    // Same unique keys, so this moves the existing end and reminder jobs
+    if (changes.extendBy) {
+      await scheduleRaidEnd(savedRaid);
+      await scheduleRaidReminders(savedRaid, { skip: sentReminders });
+    }
+    
+    await savedRaid.recordEdits(editedBy, edits);
+    logger.info(`User ${editedBy} edited raid ${savedRaid.id}: ${edits.map(edit => edit.field).join(', ')}`);
+    
+    try {
+      await updateRaidStatusMessage(savedRaid.id, bot);
+    } catch (updateError) {
+      logger.error(`Error refreshing announcement of edited raid ${savedRaid.id}: ${updateError.message}`);
     }
     
     return {
       raid: savedRaid,
-      message
+      edits
     };
   } catch (error) {
-    logger.error('Error creating raid:', error.message);
-    throw new Error(`Failed to create raid: ${error.message}`);
+    logger.error('Error editing raid:', error.message);
+    throw new Error(`Failed to edit raid: ${error.message}`);
   }
 };
 
+/**
+ * Build link buttons for each tweet of a multi-tweet raid, two per row
+ * @param {Raid} raid - Raid instance
+ * @param {string} label - Button label, followed by the tweet number
+ * @returns {Array} Inline keyboard rows
+ */
+const buildTweetButtons = (raid, label) => {
+  const buttons = raid.tweets.map((tweet, index) => ({ text: `${label} ${index + 1}`, url: tweet.tweetUrl }));
+  const rows = [];
+  
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  
+  return rows;
+};
+
+/**
+ * Build the inline keyboard shown under a raid announcement
+ * @param {Raid} raid - Raid instance
+ * @returns {Array} Inline keyboard rows
+ */
+const buildRaidKeyboard = (raid) => {
+  const keyboard = raid.isMultiTweet() ?
+    buildTweetButtons(raid, '🚀 Tweet') :
+    [[{ text: '🚀 Raid Now', url: raid.tweetUrl }]];
+  
+  // Add additional buttons for verified users
+  if (raid.requireVerification) {
+    keyboard.push([
+      { text: '🔄 Verify Actions', callback_data: `verify_${raid.id}` }
+    ]);
+  }
+  
+  // Add raid info button
+  keyboard.push([
+    { text: '📊 Raid Stats', callback_data: `stats_${raid.id}` },
+    { text: '🏆 Leaderboard', callback_data: `leaderboard_raid_${raid.id}` }
+  ]);
+  
+  return keyboard;
+};
+
+/**
+ * Format a tweet's counts as a single line, e.g. "👍 4/10 · 🔄 2/5 · 💬 1"
+ * @param {Object} tweet - Target tweet (from raid.tweets)
+ * @param {boolean} showActual - Include current counts, not just targets
+ * @returns {string} Formatted counts (empty if nothing to show)
+ */
+const formatTweetCounts = (tweet, showActual) => {
+  const counts = [
+    ['👍', tweet.actualLikes, tweet.targetLikes],
+    ['🔄', tweet.actualRetweets, tweet.targetRetweets],
+    ['💬', tweet.actualComments, tweet.targetComments]
+  ];
+  
+  return counts
+    .filter(([, , target]) => showActual || target > 0)
+    .map(([emoji, actual, target]) => {
+      if (!showActual) return `${emoji} ${target}`;
+      return `${emoji} ${actual}${target > 0 ? `/${target}` : ''}`;
+    })
+    .join(' · ');
+};
+
+/**
+ * Format the tweet list of a multi-tweet raid
+ * @param {Raid} raid - Raid instance
+ * @param {Array<Object>} tweetInfos - Tweet information for each raid tweet
+ * @param {boolean} showProgress - Show current progress instead of targets
+ * @returns {string} Formatted tweet list
+ */
+const formatRaidTweets = (raid, tweetInfos, showProgress) => {
+  let message = `*${raid.tweets.length} tweets to raid:*\n\n`;
+  
+  raid.tweets.forEach((tweet, index) => {
+    const tweetInfo = tweetInfos[index] || {};
+    const weight = tweet.xpWeight !== 1 ? ` (×${tweet.xpWeight} XP)` : '';
+    
+    message += `*${index + 1}.* [@${tweetInfo.author?.username || 'Unknown'}](${tweet.tweetUrl})${weight}\n`;
+    
+    if (tweetInfo.text) {
+      message += `${helpers.truncateText(tweetInfo.text, 100)}\n`;
+    }
+    
+    const counts = formatTweetCounts(tweet, showProgress);
+    
+    if (showProgress) {
+      const hasTargets = tweet.targetLikes > 0 || tweet.targetRetweets > 0 || tweet.targetComments > 0;
+      message += hasTargets ? `${counts} (${raid.getTweetCompletionPercentage(tweet)}%)\n\n` : `${counts}\n\n`;
+    } else {
+      message += counts ? `🎯 ${counts}\n\n` : '\n';
+    }
+  });
+  
+  return message;
+};
+
 /**
  * Send raid announcement message
  * @param {Raid} raid - Raid instance
- * @param {Object} tweetInfo - Tweet information
+ * @param {Array<Object>} tweetInfos - Tweet information for each raid tweet
  * @param {TelegramBot} bot - Telegram bot instance
  * @returns {Object} Sent message
  */
-const sendRaidAnnouncement = async (raid, tweetInfo, bot) => {
+const sendRaidAnnouncement = async (raid, tweetInfos, bot) => {
   try {
     // Prepare raid announcement message
-    const messageText = formatRaidAnnouncement(raid, tweetInfo);
-    
-    // Prepare inline keyboard for raid actions
-    const keyboard = [
-      [{ text: '🚀 Raid Now', url: raid.tweetUrl }]
-    ];
-    
-    // Add additional buttons for verified users
-    if (raid.requireVerification) {
-      keyboard.push([
-        { text: '🔄 Verify Actions', callback_data: `verify_${raid.id}` }
-      ]);
-    }
-    
-    // Add raid info button
-    keyboard.push([
-      { text: '📊 Raid Stats', callback_data: `stats_${raid.id}` },
-      { text: '🏆 Leaderboard', callback_data: `leaderboard_raid_${raid.id}` }
-    ]);
+    const messageText = formatRaidAnnouncement(raid, tweetInfos);
     
     // Send message with inline keyboard
     const message = await bot.sendMessage(raid.chatId, messageText, {
       parse_mode: 'Markdown',
       disable_web_page_preview: false, // Show tweet preview
       reply_markup: {
-        inline_keyboard: keyboard
+        inline_keyboard: buildRaidKeyboard(raid)
       }
     });
     
-    // Lock chat if configured
-    if (raid.lockChat) {
-      await bot.restrictChatMember(raid.chatId, 'all_members', {
-        can_send_messages: false,
-        until_date: Math.floor(new Date(raid.endTime).getTime() / 1000)
-      });
-    }
-    
     return message;
   } catch (error) {
     logger.error('Error sending raid announcement:', error.message);
@@ -147,30 +679,44 @@ const sendRaidAnnouncement = async (raid, tweetInfo, bot) => {
 /**
  * Format raid announcement message
  * @param {Raid} raid - Raid instance
- * @param {Object} tweetInfo - Tweet information
+ * @param {Array<Object>} tweetInfos - Tweet information for each raid tweet
  * @returns {string} Formatted message
  */
-const formatRaidAnnouncement = (raid, tweetInfo) => {
+const formatRaidAnnouncement = (raid, tweetInfos) => {
   // Format header with emoji and raid info
   let message = `🚀 *RAID ALERT!* 🚀\n\n`;
   
   // Add tweet author and content preview
-  message += `*Tweet by @${tweetInfo.author?.username || 'Unknown'}*\n\n`;
-  message += `${helpers.truncateText(tweetInfo.text, 200)}\n\n`;
+  if (raid.isMultiTweet()) {
+    message += formatRaidTweets(raid, tweetInfos, false);
+  } else {
+    message += `*Tweet by @${tweetInfos[0].author?.username || 'Unknown'}*\n\n`;
+    message += `${helpers.truncateText(tweetInfos[0].text, 200)}\n\n`;
+  }
   
   // Add actions and XP values
   message += `*Actions and XP Rewards:*\n`;
-  message += `👍 Like: ${config.xp.actions.like} XP\n`;
-  message += `🔄 Retweet: ${config.xp.actions.retweet} XP\n`;
-  message += `💬 Comment: ${config.xp.actions.comment} XP\n`;
-  message += `📸 Comment with image: ${config.xp.actions.commentWithImage} XP\n`;
-  message += `📌 Bookmark: ${config.xp.actions.bookmark} XP\n\n`;
+  message += formatActionXp(raid);
+  
+  if (raid.tweets.some(tweet => tweet.xpWeight !== 1)) {
+    message += `_XP is multiplied by each tweet's weight_\n`;
+  }
+  
+  if (raid.commentRules) {
+    message += `📏 Comment rules: ${formatCommentRules(raid.commentRules)}\n`;
+  }
+  
+  if (raid.xpCurve) {
+    message += `⚡ Time bonus: ${formatXpCurve(raid.xpCurve)}\n`;
+  }
+  
+  message += `\n`;
   
   // Add targets if set
   const hasTargets = raid.targetLikes > 0 || raid.targetRetweets > 0 || raid.targetComments > 0;
   
   if (hasTargets) {
-    message += `*Targets:*\n`;
+    message += raid.isMultiTweet() ? `*Combined Targets:*\n` : `*Targets:*\n`;
     if (raid.targetLikes > 0) message += `👍 ${raid.targetLikes} Likes\n`;
     if (raid.targetRetweets > 0) message += `🔄 ${raid.targetRetweets} Retweets\n`;
     if (raid.targetComments > 0) message += `💬 ${raid.targetComments} Comments\n\n`;
@@ -220,77 +766,597 @@ const formatRaidAnnouncement = (raid, tweetInfo) => {
   }
   
   // Add call to action
-  message += `\nClick "Raid Now" to participate! 👇`;
+  message += raid.isMultiTweet() ?
+    `\nOpen each tweet below to participate! 👇` :
+    `\nClick "Raid Now" to participate! 👇`;
   
   return message;
 };
 
 /**
  * Schedule automatic raid end
+ * The end is stored as a job so it survives restarts; scheduling the same
+ * raid again moves the existing job to the new end time.
+ * @param {Raid} raid - Raid instance with an end time
+ * @returns {Object|null} Scheduled job
+ */
+const scheduleRaidEnd = async (raid) => {
+  const job = await scheduleJob('raid_end', raid.endTime, { raidId: raid.id }, {
+    uniqueKey: `raid_end:${raid.id}`
+  });
+  
+  if (!job) {
+    logger.error(`Could not schedule end of raid ${raid.id}; it will be ended by /endraid or at the next recovery`);
+  }
+  
+  return job;
+};
+
+/**
+ * Schedule the next refresh of a raid's announcement
+ * @param {Raid} raid - Active raid instance
+ * @param {Date} runAt - When to refresh
+ * @returns {Object|null} Scheduled job
+ */
+const scheduleRaidStatusRefresh = async (raid, runAt) => {
+  const job = await scheduleJob('raid_status', runAt, { raidId: raid.id }, {
+    uniqueKey: `raid_status:${raid.id}`
+  });
+  
+  if (!job) {
+    logger.warn(`Could not schedule status refresh of raid ${raid.id}`);
+  }
+  
+  return job;
+};
+
+/**
+ * Schedule the next verification sweep of a raid
+ * @param {Raid} raid - Active raid instance
+ * @param {Date} runAt - When to sweep
+ * @param {Object} options - { keepExisting: leave an already scheduled sweep alone }
+ * @returns {Object|null} Scheduled job
+ */
+const scheduleRaidSweep = async (raid, runAt, options = {}) => {
+  const job = await scheduleJob('raid_sweep', runAt, { raidId: raid.id }, {
+    uniqueKey: `raid_sweep:${raid.id}`,
+    keepExisting: options.keepExisting || false
+  });
+  
+  if (!job) {
+    logger.warn(`Could not schedule verification sweep of raid ${raid.id}`);
+  }
+  
+  return job;
+};
+
+/**
+ * Sweep an active raid for actions by linked users and schedule the next sweep
+ * Run by the raid_sweep job; stops once the raid has ended.
  * @param {number} raidId - Raid ID
  * @param {TelegramBot} bot - Telegram bot instance
- * @param {number} duration - Duration in milliseconds
  */
-const scheduleRaidEnd = (raidId, bot, duration) => {
-  setTimeout(async () => {
+const sweepRaidActions = async (raidId, bot) => {
+  const raid = await Raid.findById(raidId);
+  
+  if (!raid || !raid.isActive) {
+    logger.debug(`Skipping sweep of raid ${raidId}: raid is no longer active`);
+    return;
+  }
+  
+  try {
+    const { recorded, levelUps, unlocks } = await sweepService.sweepRaid(raid);
+    
+    await levelService.announceLevelUps(raid.chatId, levelUps, bot);
+    await achievementService.announceUnlocks(unlocks, bot);
+    
+    if (recorded > 0 && raid.messageId) {
+      await updateRaidStatusMessage(raid.id, bot);
+    }
+  } finally {
+    // Keep sweeping even if this one failed (e.g. rate limited)
+    await scheduleRaidSweep(raid, new Date(Date.now() + config.raids.sweepInterval));
+  }
+};
+
+/**
+ * Get when a configured reminder is due for a raid
+ * @param {Raid} raid - Raid with a start and end time
+ * @param {string} reminder - Share of the raid elapsed (e.g. "50%") or time left (e.g. "10m")
+ * @returns {Date|null} Reminder time, or null if the reminder is not valid
+ */
+const getReminderTime = (raid, reminder) => {
+  const endTime = new Date(raid.endTime).getTime();
+  
+  if (reminder.endsWith('%')) {
+    const percent = Number(reminder.slice(0, -1));
+    
+    if (!(percent > 0 && percent < 100)) {
+      return null;
+    }
+    
+    const startTime = new Date(raid.startTime).getTime();
+    return new Date(startTime + (endTime - startTime) * percent / 100);
+  }
+  
+  const secondsLeft = helpers.parseDuration(reminder);
+  return secondsLeft ? new Date(endTime - secondsLeft * 1000) : null;
+};
+
+/**
+ * Schedule a raid's reminders (RAID_REMINDERS)
+ * Reminders that are already due are skipped. Scheduling again after the
+ * raid is extended moves each reminder to its new time.
+ * @param {Raid} raid - Active raid with an end time
+ * @param {Object} options - { keepExisting: leave already scheduled or sent reminders alone,
+ *   skip: reminders not to schedule, e.g. ones already sent }
+ * @returns {number} Number of reminders scheduled
+ */
+const scheduleRaidReminders = async (raid, options = {}) => {
+  if (!raid.endTime) {
+    return 0;
+  }
+  
+  let scheduled = 0;
+  
+  for (const reminder of config.raids.reminders) {
+    if (options.skip && options.skip.includes(reminder)) {
+      continue;
+    }
+    
+    const runAt = getReminderTime(raid, reminder);
+    
+    if (!runAt) {
+      logger.warn(`Ignoring invalid raid reminder "${reminder}"`);
+      continue;
+    }
+    
+    if (runAt <= new Date()) {
+      continue;
+    }
+    
+    const job = await scheduleJob('raid_reminder', runAt, { raidId: raid.id, reminder }, {
+      uniqueKey: `raid_reminder:${raid.id}:${reminder}`,
+      keepExisting: options.keepExisting || false
+    });
+    
+    if (job) scheduled++;
+  }
+  
+  return scheduled;
+};
+
+/**
+ * Drop a raid's reminders that haven't been sent
+ * @param {Raid} raid - Raid instance
+ */
+const cancelRaidReminders = async (raid) => {
+  for (const reminder of config.raids.reminders) {
+    await cancelJob(`raid_reminder:${raid.id}:${reminder}`);
+  }
+};
+
+/**
+ * Post a reminder as a reply to a raid's announcement and nudge opted-in members
+ * Run by the raid_reminder job.
+ * @param {number} raidId - Raid ID
+ * @param {string} reminder - Reminder that is due (e.g. "50%" or "10m")
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const sendRaidReminder = async (raidId, reminder, bot) => {
+  const raid = await Raid.findById(raidId);
+  
+  if (!raid || !raid.isActive) {
+    logger.debug(`Skipping reminder ${reminder} of raid ${raidId}: raid is no longer active`);
+    return;
+  }
+  
+  const updatedRaid = await raid.updateStatistics();
+  const timeRemaining = updatedRaid.getTimeRemaining();
+  
+  // Reminders given as time left are the last call
+  let message = reminder.endsWith('%') ?
+    `⏰ *Raid #${updatedRaid.id} is ${reminder} through* – ${timeRemaining} left\n\n` :
+    `⏰ *Last call!* Raid #${updatedRaid.id} ends in ${timeRemaining}\n\n`;
+  
+  message += `*Progress:* ${formatTweetCounts(updatedRaid, true)}\n\n`;
+  message += `Haven't joined yet? Raid ${updatedRaid.isMultiTweet() ? 'the tweets' : 'the tweet'} and verify your actions to earn XP 👇`;
+  
+  await bot.sendMessage(updatedRaid.chatId, message, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_to_message_id: updatedRaid.messageId || undefined,
+    allow_sending_without_reply: true,
+    reply_markup: {
+      inline_keyboard: buildRaidKeyboard(updatedRaid)
+    }
+  });
+  
+  await sendRaidNudges(updatedRaid, bot);
+  
+  // Streaks are only at risk at the last call, so their holders get one DM per raid
+  if (config.streaks.reminders && !reminder.endsWith('%')) {
+    await sendRaidStreakReminders(updatedRaid, bot);
+  }
+};
+
+/**
+ * Build the buttons of a DM about a raid: the tweets and Verify Actions
+ * @param {Raid} raid - Active raid
+ * @returns {Array} Inline keyboard rows
+ */
+const buildRaidDmKeyboard = (raid) => {
+  const keyboard = raid.isMultiTweet() ?
+    buildTweetButtons(raid, '🚀 Tweet') :
+    [[{ text: '🚀 Raid Now', url: raid.tweetUrl }]];
+  keyboard.push([{ text: '🔄 Verify Actions', callback_data: `verify_${raid.id}` }]);
+  
+  return keyboard;
+};
+
+/**
+ * DM members who opted in to nudges and haven't taken part in a raid yet
+ * @param {Raid} raid - Active raid
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {number} Number of nudges sent
+ */
+const sendRaidNudges = async (raid, bot) => {
+  const recipients = await nudgeService.getNudgeRecipients(raid);
+  
+  if (recipients.length === 0) {
+    return 0;
+  }
+  
+  const message =
+    `👋 *Raid #${raid.id} ends in ${raid.getTimeRemaining()}*\n\n` +
+    `You haven't verified any actions for it yet. Like, retweet or comment, then tap *Verify Actions* to earn XP.\n\n` +
+    `Send /nudges off in the group to stop these reminders.`;
+  
+  const keyboard = buildRaidDmKeyboard(raid);
+  
+  let sent = 0;
+  
+  for (const telegramId of recipients) {
+    try {
+      // Only nudge people who are still in the group
+      const member = await bot.getChatMember(raid.chatId, telegramId);
+      
+      if (['left', 'kicked'].includes(member.status) || member.is_member === false) {
+        continue;
+      }
+      
+      await bot.sendMessage(telegramId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      sent++;
+    } catch (error) {
+      // Members who never started a private chat with the bot can't be messaged
+      logger.debug(`Could not nudge user ${telegramId} about raid ${raid.id}: ${error.message}`);
+    }
+  }
+  
+  logger.info(`Nudged ${sent} of ${recipients.length} opted-in members about raid ${raid.id}`);
+  return sent;
+};
+
+/**
+ * DM members whose raid streak in the group ends if they sit out a raid
+ * @param {Raid} raid - Active raid
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {number} Number of reminders sent
+ */
+const sendRaidStreakReminders = async (raid, bot) => {
+  const streaks = await streakService.getRaidStreaksAtRisk(raid);
+  
+  if (streaks.length === 0) {
+    return 0;
+  }
+  
+  const keyboard = buildRaidDmKeyboard(raid);
+  let sent = 0;
+  
+  for (const streak of streaks) {
+    const bonusXp = streakService.getStreakBonus('raid', streak.current + 1);
+    
+    const message =
+      `🔥 *Your ${streak.current}-raid streak is at risk*\n\n` +
+      `Raid #${raid.id} ends in ${raid.getTimeRemaining()} and you haven't verified any actions for it yet. ` +
+      `Sit it out and your streak starts over.` +
+      (bonusXp > 0 ? `\n\nKeep it going to earn ${bonusXp} bonus XP.` : '');
+    
+    try {
+      await bot.sendMessage(streak.telegramId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      sent++;
+    } catch (error) {
+      // Members who never started a private chat with the bot can't be messaged
+      logger.debug(`Could not remind user ${streak.telegramId} about their raid streak: ${error.message}`);
+    }
+  }
+  
+  logger.info(`Reminded ${sent} of ${streaks.length} members about their raid streak for raid ${raid.id}`);
+  return sent;
+};
+
+/**
+ * DM members whose day streak in a group ends at midnight UTC unless they take part in a raid today
+ * Runs hourly, and only sends in the last config.streaks.reminderHoursLeft hours of the UTC day;
+ * each streak is reminded at most once a day.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {number} Number of reminders sent
+ */
+const sendDayStreakReminders = async (bot) => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  
+  if (!config.streaks.reminders || midnight - now.getTime() > config.streaks.reminderHoursLeft * 60 * 60 * 1000) {
+    return 0;
+  }
+  
+  const streaks = await streakService.getDayStreaksAtRisk();
+  
+  if (streaks.length === 0) {
+    return 0;
+  }
+  
+  // Group title and active raids, looked up once per group
+  const groups = new Map();
+  let sent = 0;
+  
+  for (const streak of streaks) {
     try {
-      // Get the raid
-      const raid = await Raid.findById(raidId);
+      if (!groups.has(streak.chatId)) {
+        const chat = await bot.getChat(streak.chatId).catch(() => null);
+        
+        groups.set(streak.chatId, {
+          title: chat && chat.title ? helpers.escapeMarkdown(chat.title) : 'your group',
+          raids: await Raid.findAllActiveByChatId(streak.chatId)
+        });
+      }
       
-      // Skip if raid doesn't exist or is already ended
-      if (!raid || !raid.isActive) {
-        return;
+      const { title, raids } = groups.get(streak.chatId);
+      const bonusXp = streakService.getStreakBonus('day', streak.current + 1);
+      
+      let message = `🔥 *Your ${streak.current}-day streak ends at midnight UTC*\n\n`;
+      message += `You haven't taken part in a raid in ${title} today. ` +
+        `Verify your actions in ${raids.length > 0 ? 'one' : 'its next raid'} before the day ends to keep it going.`;
+      
+      if (bonusXp > 0) {
+        message += `\n\nKeeping it earns ${bonusXp} bonus XP.`;
       }
       
-      // End the raid
-      await endRaid(raid, bot);
+      const keyboard = raids.slice(0, 3).map(raid => [
+        { text: `🚀 Raid #${raid.id}`, url: raid.tweetUrl },
+        { text: '🔄 Verify', callback_data: `verify_${raid.id}` }
+      ]);
+      
+      await bot.sendMessage(streak.telegramId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      sent++;
+    } catch (error) {
+      // Members who never started a private chat with the bot can't be messaged
+      logger.debug(`Could not remind user ${streak.telegramId} about their day streak: ${error.message}`);
+    }
+  }
+  
+  // Failed DMs aren't retried every hour either
+  await streakService.markDayStreaksReminded(streaks.map(streak => streak.id));
+  
+  logger.info(`Reminded ${sent} of ${streaks.length} members about their day streak`);
+  return sent;
+};
+
+/**
+ * Unpin a raid's announcement
+ * @param {Raid} raid - Raid whose announcement was pinned
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const unpinRaidAnnouncement = async (raid, bot) => {
+  try {
+    await bot.unpinChatMessage(raid.chatId, { message_id: raid.messageId });
+  } catch (error) {
+    logger.warn(`Could not unpin announcement of raid ${raid.id}: ${error.message}`);
+  }
+  
+  raid.announcementPinned = false;
+  await raid.updateColumns({ announcement_pinned: false });
+};
+
+/**
+ * Restore a raid's chat permissions after a lockdown
+ * If Telegram rejects the restore, it is retried as a job.
+ * @param {Raid} raid - Ended raid
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const restoreChatPermissions = async (raid, bot) => {
+  if (!raid.lockdown) {
+    return;
+  }
+  
+  try {
+    await lockdownService.unlockChat(raid, bot);
+  } catch (error) {
+    logger.error(`Could not restore permissions of chat ${raid.chatId} after raid ${raid.id}: ${error.message}`);
+    await scheduleJob('raid_unlock', new Date(), { raidId: raid.id }, {
+      uniqueKey: `raid_unlock:${raid.id}`
+    });
+  }
+};
+
+// How revoked actions are described to the raider
+const REVOKED_ACTION_LABELS = {
+  like: '👍 Like removed',
+  retweet: '🔄 Retweet undone',
+  comment: '💬 Comment deleted',
+  quote: '🗣 Quote tweet deleted'
+};
+
+/**
+ * Re-check a raid's verified actions, reverse the XP of undone ones and tell the raiders
+ * @param {Raid} raid - Raid instance
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Array} Revoked actions ({ telegramId, tweetId, action, xpRevoked })
+ */
+const recheckRaidActions = async (raid, bot) => {
+  try {
+    const { revoked } = await sweepService.recheckRaid(raid);
+    await notifyRevokedActions(raid, revoked, bot);
+    return revoked;
+  } catch (error) {
+    logger.error(`Final re-check of raid ${raid.id} failed: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * DM raiders whose actions were revoked, with the XP each one cost them
+ * @param {Raid} raid - Raid instance
+ * @param {Array} revoked - Revoked actions ({ telegramId, tweetId, action, xpRevoked })
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const notifyRevokedActions = async (raid, revoked, bot) => {
+  const byUser = new Map();
+  
+  revoked.forEach(item => {
+    byUser.set(item.telegramId, [...(byUser.get(item.telegramId) || []), item]);
+  });
+  
+  for (const [telegramId, items] of byUser) {
+    const totalXp = items.reduce((total, item) => total + item.xpRevoked, 0);
+    
+    let message = `⚠️ *XP reversed for Raid #${raid.id}*\n\n` +
+      `These actions were undone before the raid's final check, so their XP was taken back:\n`;
+    
+    items.forEach(item => {
+      // Say which tweet each action was on for multi-tweet raids
+      const tweetLabel = raid.isMultiTweet() ?
+        ` on tweet ${raid.tweets.findIndex(tweet => tweet.tweetId === item.tweetId) + 1}` :
+        '';
+      message += `${REVOKED_ACTION_LABELS[item.action]}${tweetLabel} (-${item.xpRevoked} XP)\n`;
+    });
+    
+    message += `\n*Total:* -${totalXp} XP`;
+    
+    try {
+      await bot.sendMessage(telegramId, message, { parse_mode: 'Markdown' });
     } catch (error) {
-      logger.error(`Error in scheduled raid end for raid ${raidId}:`, error.message);
+      // Members who never started a private chat with the bot can't be messaged
+      logger.debug(`Could not tell user ${telegramId} about revoked actions in raid ${raid.id}: ${error.message}`);
     }
-  }, duration);
+  }
 };
 
 /**
  * End a raid
+ * The raid is claimed as 'ending' first and only gets its final status once
+ * it has paid out. If a step in between fails, the raid_end job resumes it:
+ * sweeps and re-checks credit and revoke each action once, and rewards that
+ * went out are not paid again.
  * @param {Raid} raid - Raid instance
  * @param {TelegramBot} bot - Telegram bot instance
  * @param {Object} options - Additional options
- * @returns {Object} Updated raid and results
+ * @param {boolean} options.cancelled - Whether an admin cancelled the raid
+ * @param {boolean} options.resume - Whether to pick up a raid left 'ending' by a failed end (the raid_end job)
+ * @returns {Object} Updated raid and results (alreadyEnded if another caller ended the raid first)
  */
 const endRaid = async (raid, bot, options = {}) => {
+  let claimedRaid = null;
+  
   try {
-    // Update raid status
-    const endedRaid = await raid.end({
+    // Claim the end before anything slow, so a scheduled end and an admin's
+    // /endraid can't both sweep and pay out
+    claimedRaid = await raid.claimEnd();
+    
+    if (!claimedRaid && options.resume && raid.status === RaidStatus.ENDING) {
+      logger.info(`Resuming the end of raid ${raid.id}`);
+      claimedRaid = raid;
+    }
+    
+    if (!claimedRaid) {
+      logger.info(`Raid ${raid.id} has already ended`);
+      return {
+        raid,
+        rewards: [],
+        completionMessage: null,
+        alreadyEnded: true
+      };
+    }
+    
+    // Credit actions made since the last sweep
+    if (config.raids.sweepInterval > 0) {
+      try {
+        const { levelUps, unlocks } = await sweepService.sweepRaid(claimedRaid);
+        await levelService.announceLevelUps(claimedRaid.chatId, levelUps, bot);
+        await achievementService.announceUnlocks(unlocks, bot);
+      } catch (sweepError) {
+        logger.error(`Final sweep of raid ${raid.id} failed: ${sweepError.message}`);
+      }
+    }
+    
+    // Take back the XP of likes, retweets and posts undone during the raid
+    if (config.raids.finalRecheck) {
+      await recheckRaidActions(claimedRaid, bot);
+    }
+    
+    // Get final statistics so target checks use up-to-date counts
+    const updatedRaid = await claimedRaid.updateStatistics();
+    
+    // Settle the status now, but only save it once everything below is done
+    const endedRaid = updatedRaid.settleEnd({
       cancelled: options.cancelled || false
     });
     
-    // Get final statistics
-    await endedRaid.updateStatistics();
+    logger.info(`Raid ${endedRaid.id} ending with status ${endedRaid.status}`);
     
-    // Calculate rewards if applicable
+    // Raiders who sat this raid out lose their raid streak, and final places can unlock
+    // achievements such as finishing in the top 3; cancelled raids don't count
+    if (endedRaid.status !== RaidStatus.CANCELLED) {
+      await streakService.breakRaidStreaks(endedRaid);
+      await achievementService.announceUnlocks(await achievementService.evaluateRaidEnd(endedRaid), bot);
+    }
+    
+    // Drop the scheduled end if the raid was ended early, and stop refreshing the announcement
+    await cancelJob(`raid_end:${endedRaid.id}`);
+    await cancelJob(`raid_status:${endedRaid.id}`);
+    await cancelRaidReminders(endedRaid);
+    await cancelJob(`raid_sweep:${endedRaid.id}`);
+    
+    // Give the chat its permissions back
+    await restoreChatPermissions(endedRaid, bot);
+    
+    // Calculate rewards if applicable (cancelled raids never pay out)
     let rewards = [];
     
     if (endedRaid.status === RaidStatus.COMPLETED && 
-        (endedRaid.totalReward || endedRaid.tokenPerXp) && 
-        !endedRaid.rewardsDistributed) {
+        (endedRaid.totalReward || endedRaid.tokenPerXp)) {
       rewards = await endedRaid.calculateAllRewards();
     }
     
-    // Send raid completion message
-    const completionMessage = await sendRaidCompletionMessage(endedRaid, rewards, bot);
-    
-    // Distribute rewards if applicable and not part of a campaign
-    if (rewards.length > 0 && !endedRaid.campaignId) {
+    // Distribute rewards if applicable, not part of a campaign and not already paid by an end that failed later on
+    if (rewards.length > 0 && !endedRaid.campaignId && !endedRaid.rewardsDistributed) {
       await distributeRewards(rewards, endedRaid, bot);
     }
     
-    // Unlock chat if it was locked
-    if (raid.lockChat) {
-      await bot.restrictChatMember(raid.chatId, 'all_members', {
-        can_send_messages: true
-      });
+    // Send raid completion message and close the original announcement
+    const completionMessage = await sendRaidCompletionMessage(endedRaid, rewards, bot);
+    await closeRaidAnnouncement(endedRaid, bot);
+    
+    // Unpin the announcement if we pinned it
+    if (endedRaid.announcementPinned) {
+      await unpinRaidAnnouncement(endedRaid, bot);
     }
     
+    await endedRaid.end({
+      cancelled: options.cancelled || false
+    });
+    
+    logger.info(`Raid ${endedRaid.id} ended with status ${endedRaid.status}`);
+    
     return {
       raid: endedRaid,
       rewards,
@@ -298,6 +1364,14 @@ const endRaid = async (raid, bot, options = {}) => {
     };
   } catch (error) {
     logger.error('Error ending raid:', error.message);
+    
+    // The raid is no longer active, so have the raid_end job finish it (the job retries itself)
+    if (claimedRaid && !options.resume) {
+      await scheduleJob('raid_end', new Date(), { raidId: raid.id, cancelled: options.cancelled || false }, {
+        uniqueKey: `raid_end:${raid.id}`
+      });
+    }
+    
     throw new Error(`Failed to end raid: ${error.message}`);
   }
 };
@@ -311,8 +1385,12 @@ const endRaid = async (raid, bot, options = {}) => {
  */
 const sendRaidCompletionMessage = async (raid, rewards, bot) => {
   try {
+    const cancelled = raid.status === RaidStatus.CANCELLED;
+    
     // Format completion message
-    let message = `🏁 *Raid Completed!*\n\n`;
+    let message = cancelled ? 
+      `🛑 *Raid Cancelled*\n\nThis raid was cancelled by an admin. No rewards will be paid.\n\n` : 
+      `🏁 *Raid Completed!*\n\n`;
     
     // Add statistics
     message += `*Final Results:*\n`;
@@ -320,10 +1398,17 @@ const sendRaidCompletionMessage = async (raid, rewards, bot) => {
     message += `🔄 ${raid.actualRetweets} Retweets\n`;
     message += `💬 ${raid.actualComments} Comments\n\n`;
     
+    if (raid.isMultiTweet()) {
+      raid.tweets.forEach((tweet, index) => {
+        message += `*Tweet ${index + 1}:* ${formatTweetCounts(tweet, true)}\n`;
+      });
+      message += `\n`;
+    }
+    
     // Add target completion info
     const hasTargets = raid.targetLikes > 0 || raid.targetRetweets > 0 || raid.targetComments > 0;
     
-    if (hasTargets) {
+    if (hasTargets && !cancelled) {
       const targetMet = raid.isTargetMet();
       message += targetMet ? 
         `✅ *All targets met successfully!*\n\n` : 
@@ -378,9 +1463,11 @@ const sendRaidCompletionMessage = async (raid, rewards, bot) => {
       ]);
     }
     
-    // Send message with inline keyboard
+    // Send message with inline keyboard, as a reply to the announcement
     return await bot.sendMessage(raid.chatId, message, {
       parse_mode: 'Markdown',
+      reply_to_message_id: raid.messageId || undefined,
+      allow_sending_without_reply: true,
       reply_markup: {
         inline_keyboard: keyboard
       }
@@ -391,6 +1478,64 @@ const sendRaidCompletionMessage = async (raid, rewards, bot) => {
   }
 };
 
+/**
+ * Edit the original raid announcement to show that the raid is over
+ * @param {Raid} raid - Ended raid instance
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object|null} Edited message or null if it could not be edited
+ */
+const closeRaidAnnouncement = async (raid, bot) => {
+  if (!raid.messageId) {
+    return null;
+  }
+  
+  try {
+    let message = raid.status === RaidStatus.CANCELLED ? 
+      `🛑 *RAID CANCELLED* 🛑\n\n` : 
+      `🏁 *RAID ENDED* 🏁\n\n`;
+    
+    message += `This raid is closed and no longer accepts actions.\n\n`;
+    message += `*Final Results:*\n`;
+    message += `👍 ${raid.actualLikes} Likes\n`;
+    message += `🔄 ${raid.actualRetweets} Retweets\n`;
+    message += `💬 ${raid.actualComments} Comments\n`;
+    
+    if (raid.isMultiTweet()) {
+      message += `\n`;
+      raid.tweets.forEach((tweet, index) => {
+        message += `*Tweet ${index + 1}:* ${formatTweetCounts(tweet, true)}\n`;
+      });
+    }
+    
+    if (raid.endTime) {
+      message += `\n⏱ *Ended:* ${helpers.formatDate(raid.endTime)}\n`;
+    }
+    
+    // Verification is no longer possible, so only keep the info buttons
+    return await bot.editMessageText(message, {
+      chat_id: raid.chatId,
+      message_id: raid.messageId,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [
+          ...(raid.isMultiTweet() ?
+            buildTweetButtons(raid, '🔗 Tweet') :
+            [[{ text: '🔗 View Tweet', url: raid.tweetUrl }]]),
+          [
+            { text: '📊 Raid Stats', callback_data: `stats_${raid.id}` },
+            { text: '🏆 Leaderboard', callback_data: `leaderboard_raid_${raid.id}` }
+          ]
+        ]
+      }
+    });
+  } catch (error) {
+    // The announcement may have been deleted; the completion message still stands
+    logger.warn(`Could not update announcement for raid ${raid.id}: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Distribute rewards to users
  * @param {Array} rewards - Calculated rewards
@@ -405,7 +1550,7 @@ const distributeRewards = async (rewards, raid, bot) => {
     
     // Update raid to mark rewards as distributed
     raid.rewardsDistributed = true;
-    await raid.save();
+    await raid.updateColumns({ rewards_distributed: true });
     
     // Notify users about their rewards
     for (const reward of results.successful) {
@@ -433,7 +1578,7 @@ const distributeRewards = async (rewards, raid, bot) => {
  * Record a user action for a raid
  * @param {number} raidId - Raid ID
  * @param {number} telegramId - User's Telegram ID
- * @param {string} actionType - Action type (like, retweet, comment, bookmark)
+ * @param {string} actionType - Action type (like, retweet, comment, quote, bookmark)
  * @param {Object} actionData - Additional action data
  * @returns {Object} Result of the action recording
  */
@@ -466,15 +1611,8 @@ const recordUserAction = async (raidId, telegramId, actionType, actionData = {})
       };
     }
     
-    // Record the action
-    const result = await raid.recordUserAction(telegramId, actionType, actionData);
-    
-    if (result.success) {
-      // Update raid statistics
-      await raid.updateStatistics();
-    }
-    
-    return result;
+    // Record the action (the raid's statistics are updated with it)
+    return await raid.recordUserAction(telegramId, actionType, actionData);
   } catch (error) {
     logger.error('Error recording user action:', error.message);
     return { success: false, error: 'Failed to record action' };
@@ -485,9 +1623,21 @@ const recordUserAction = async (raidId, telegramId, actionType, actionData = {})
  * Verify user actions for a raid
  * @param {number} raidId - Raid ID
  * @param {number} telegramId - User's Telegram ID
+ * @param {Object} options - { onQueued: called with the user's queue position if Twitter is busy }
  * @returns {Object} Verification results
  */
-const verifyUserActions = async (raidId, telegramId) => {
+const verifyUserActions = async (raidId, telegramId, options = {}) => {
+  // One verification per user at a time here, so a double tap doesn't read their activity twice
+  if (verifyingUsers.has(telegramId)) {
+    return {
+      success: false,
+      error: 'Your actions are already being verified. Please wait for the result.',
+      inProgress: true
+    };
+  }
+  
+  verifyingUsers.add(telegramId);
+  
   try {
     // Get the raid
     const raid = await Raid.findById(raidId);
@@ -511,69 +1661,205 @@ const verifyUserActions = async (raidId, telegramId) => {
       };
     }
     
-    // Get user's actions from Twitter
-    const hasLiked = await twitterService.hasUserLikedTweet(telegramId, raid.tweetId);
-    const hasRetweeted = await twitterService.hasUserRetweetedTweet(telegramId, raid.tweetId);
-    const replies = await twitterService.getUserRepliesToTweet(telegramId, raid.tweetId);
+    // Groups can keep their raids' XP for raiders who have reached a rank
+    const eligibility = user.checkEligibility({ minRank: await getGroupMinRank(raid.chatId) });
+    
+    if (!eligibility.eligible) {
+      return {
+        success: false,
+        error: eligibility.reasons.join('\n'),
+        ineligible: true
+      };
+    }
+    
+    const provider = getEngagementProvider();
+    
+    // Bookmarks can only be read if the user granted access to them
+    const canReadBookmarks = provider.canReadBookmarks(user);
+    
+    // Get user's actions for every tweet in the raid
+    // Only activity since the raid started can count, so the search stops there
+    let engagement;
+    
+    try {
+      engagement = await provider.getUserEngagement(user, raid.tweets.map(tweet => tweet.tweetId), {
+        since: raid.startTime,
+        bookmarks: canReadBookmarks,
+        onQueued: options.onQueued
+      });
+    } catch (engagementError) {
+      // Rate limits and network failures pass, so the user is asked to try again
+      logger.warn(`Could not read Twitter activity of user ${telegramId}: ${engagementError.message}`);
+      return {
+        success: false,
+        error: engagementError.code === 429 ?
+          'Twitter is rate limiting us right now. Please try again in a few minutes.' :
+          'Could not read your Twitter activity. Please try again later.'
+      };
+    }
+    
+    // No client to read with, e.g. the user's token expired and could not be refreshed
+    if (!engagement) {
+      return {
+        success: false,
+        error: 'Could not use your Twitter connection. If this keeps happening, connect your Twitter account again with /login.'
+      };
+    }
     
     // Record verified actions
     const results = {
-      like: null,
-      retweet: null,
-      comment: null,
-      actions: []
+      tweets: [],
+      actions: [],
+      follow: null,
+      streaks: [],
+      xpWeights: raid.getXpWeights(),
+      needsBookmarkConsent: !canReadBookmarks
     };
     
-    // Record like if verified
-    if (hasLiked) {
-      results.like = await recordUserAction(raidId, telegramId, 'like', { verified: true });
-      if (results.like.success) {
-        results.actions.push({
-          type: 'like',
-          xp: results.like.xpEarned,
-          verified: true
+    for (const [index, tweet] of raid.tweets.entries()) {
+      const { liked, retweeted, replies, quotes, bookmarked, complete } = engagement[tweet.tweetId];
+      const detected = {
+        like: liked,
+        retweet: retweeted,
+        comment: replies.length > 0,
+        quote: quotes.length > 0,
+        bookmark: bookmarked
+      };
+      const tweetResults = {
+        tweetId: tweet.tweetId,
+        index: index + 1,
+        detected,
+        // Actions not found because the search stopped at the page limit, rather than confirmed missing
+        unconfirmed: Object.keys(detected).filter(type => detected[type] === false && complete[type] === false),
+        like: null,
+        retweet: null,
+        comment: null,
+        quote: null,
+        bookmark: null
+      };
+      
+      const record = async (type, actionData = {}) => {
+        const result = await recordUserAction(raidId, telegramId, type, {
+          ...actionData,
+          verified: true,
+          tweetId: tweet.tweetId
         });
+        
+        if (result.success) {
+          results.actions.push({
+            type,
+            xp: result.xpEarned,
+            verified: true,
+            tweetId: tweet.tweetId,
+            tweetIndex: index + 1,
+            hasMedia: actionData.hasMedia,
+            isGif: actionData.isGif,
+            commentCheck: result.commentCheck,
+            xpMultiplier: result.xpMultiplier
+          });
+        }
+        
+        return result;
+      };
+      
+      // Record like if verified
+      if (liked) {
+        tweetResults.like = await record('like');
       }
-    }
-    
-    // Record retweet if verified
-    if (hasRetweeted) {
-      results.retweet = await recordUserAction(raidId, telegramId, 'retweet', { verified: true });
-      if (results.retweet.success) {
-        results.actions.push({
-          type: 'retweet',
-          xp: results.retweet.xpEarned,
-          verified: true
+      
+      // Record retweet if verified
+      if (retweeted) {
+        tweetResults.retweet = await record('retweet');
+      }
+      
+      // Record comment if verified
+      if (replies.length > 0) {
+        const reply = replies[0]; // Take the first reply
+        
+        tweetResults.comment = await record('comment', {
+          commentText: reply.text,
+          lang: reply.lang,
+          hasMedia: reply.hasMedia,
+          isGif: reply.isGif,
+          twitterActionId: reply.id,
+          actedAt: reply.createdAt
+        });
+      }
+      
+      // Record quote tweet if verified
+      if (quotes.length > 0) {
+        const quote = quotes[0]; // Take the first quote tweet
+        
+        tweetResults.quote = await record('quote', {
+          commentText: quote.text,
+          hasMedia: quote.hasMedia,
+          isGif: quote.isGif,
+          twitterActionId: quote.id,
+          actedAt: quote.createdAt
         });
       }
+      
+      // Record bookmark if verified
+      if (bookmarked) {
+        tweetResults.bookmark = await record('bookmark');
+      }
+      
+      results.tweets.push(tweetResults);
     }
     
-    // Record comment if verified
-    if (replies.length > 0) {
-      const reply = replies[0]; // Take the first reply
+    // Follow XP is paid once per campaign (or group), so users already paid aren't checked again
+    const followAccount = raid.followAccount;
+    
+    if (raid.getXpWeights().follow > 0 && followAccount && followAccount.id && !(await raid.hasFollowReward(telegramId))) {
+      let follow = null;
       
-      const commentData = {
-        verified: true,
-        commentText: reply.text,
-        hasMedia: reply.attachments && reply.attachments.media_keys && reply.attachments.media_keys.length > 0,
-        isGif: reply.attachments && reply.attachments.media_keys && 
-               reply.attachments.media_keys.some(key => reply.includes.media.find(m => m.media_key === key && m.type === 'animated_gif')),
-        twitterActionId: reply.id
-      };
+      // A failed follow check leaves the follow unconfirmed rather than losing the actions credited above
+      try {
+        follow = await provider.isFollowing(user, followAccount.id, {
+          onQueued: options.onQueued
+        });
+      } catch (followError) {
+        logger.warn(`Could not check if user ${telegramId} follows ${followAccount.username}: ${followError.message}`);
+      }
       
-      results.comment = await recordUserAction(raidId, telegramId, 'comment', commentData);
+      results.follow = {
+        account: followAccount.username,
+        detected: follow ? follow.following : false,
+        complete: follow ? follow.complete : false,
+        result: null
+      };
       
-      if (results.comment.success) {
-        results.actions.push({
-          type: 'comment',
-          xp: results.comment.xpEarned,
-          verified: true,
-          hasMedia: commentData.hasMedia,
-          isGif: commentData.isGif
-        });
+      if (results.follow.detected) {
+        results.follow.result = await raid.recordFollow(telegramId);
+        
+        if (results.follow.result.success) {
+          results.actions.push({
+            type: 'follow',
+            xp: results.follow.result.xpEarned,
+            verified: true,
+            account: followAccount.username
+          });
+        }
       }
     }
     
+    // Newly credited actions keep the user's streaks in the group going
+    results.streaks = results.actions.length > 0 ?
+      await streakService.recordParticipation(telegramId, raid) :
+      [];
+    
+    // The XP just credited may have taken the user to a new level
+    const creditedXp = results.actions.reduce((sum, action) => sum + action.xp, 0) +
+      results.streaks.reduce((sum, streak) => sum + streak.bonusXp, 0);
+    const [levelUp] = await levelService.getLevelUps(new Map([[telegramId, creditedXp]]));
+    
+    results.levelUp = levelUp || null;
+    
+    // Achievements unlocked now are listed in the verification results
+    results.achievements = results.actions.length > 0 ?
+      await achievementService.evaluateAchievements(telegramId, raid.chatId, { raidId: raid.id }) :
+      [];
+    
     return {
       success: true,
       results
@@ -581,14 +1867,76 @@ const verifyUserActions = async (raidId, telegramId) => {
   } catch (error) {
     logger.error('Error verifying user actions:', error.message);
     return { success: false, error: 'Failed to verify actions' };
+  } finally {
+    verifyingUsers.delete(telegramId);
+  }
+};
+
+/**
+ * Edit a raid's announcement with its current progress
+ * @param {Raid} raid - Active raid instance with an announcement
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object|null} Edited message, or null if nothing changed or the raid has ended
+ */
+const editRaidStatusMessage = async (raid, bot) => {
+  // Live tweet metrics first: they can wait on the rate limit for minutes
+  const tweetInfos = await fetchTweetInfos(raid, { priority: RequestPriority.BACKGROUND });
+  
+  // Verified counts, read after the wait so an end or edit made meanwhile is seen
+  const updatedRaid = await raid.updateStatistics();
+  
+  if (!updatedRaid.isActive) {
+    return null;
+  }
+  
+  const topRaiders = await updatedRaid.getLeaderboard(3);
+  
+  const messageText = formatRaidStatusUpdate(updatedRaid, tweetInfos, topRaiders);
+  
+  let message = null;
+  
+  try {
+    message = await bot.editMessageText(messageText, {
+      chat_id: updatedRaid.chatId,
+      message_id: updatedRaid.messageId,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: false,
+      reply_markup: {
+        inline_keyboard: buildRaidKeyboard(updatedRaid)
+      }
+    });
+  } catch (error) {
+    // Telegram rejects edits that change nothing; the announcement is already current
+    if (!error.message || !error.message.includes('message is not modified')) {
+      throw error;
+    }
+  }
+  
+  await updatedRaid.updateColumns({ status_updated_at: new Date().toISOString() });
+  
+  return message;
+};
+
+/**
+ * Get the earliest time a raid's announcement may be edited again
+ * @param {Raid} raid - Raid instance
+ * @returns {Date} Next allowed edit time (may be in the past)
+ */
+const getNextStatusEditTime = (raid) => {
+  if (!raid.statusUpdatedAt) {
+    return new Date(0);
   }
+  
+  return new Date(new Date(raid.statusUpdatedAt).getTime() + config.raids.statusMinEditInterval);
 };
 
 /**
  * Update raid status message
+ * Edits are debounced: if the announcement was edited recently, the
+ * update is deferred to the raid's next status refresh instead.
  * @param {number} raidId - Raid ID
  * @param {TelegramBot} bot - Telegram bot instance
- * @returns {Object} Updated message
+ * @returns {Object|null} Updated message, or null if the update was deferred
  */
 const updateRaidStatusMessage = async (raidId, bot) => {
   try {
@@ -599,81 +1947,144 @@ const updateRaidStatusMessage = async (raidId, bot) => {
       throw new Error('Raid or message ID not found');
     }
     
-    // Get tweet info
-    const tweetInfo = await twitterService.getTweetInfo(raid.tweetUrl);
-    
-    // Update the message text
-    const messageText = formatRaidStatusUpdate(raid, tweetInfo);
-    
-    // Prepare inline keyboard for raid actions
-    const keyboard = [
-      [{ text: '🚀 Raid Now', url: raid.tweetUrl }]
-    ];
+    const nextEditTime = getNextStatusEditTime(raid);
     
-    // Add additional buttons for verified users
-    if (raid.requireVerification) {
-      keyboard.push([
-        { text: '🔄 Verify Actions', callback_data: `verify_${raid.id}` }
-      ]);
+    if (nextEditTime > new Date()) {
+      await scheduleRaidStatusRefresh(raid, nextEditTime);
+      return null;
     }
     
-    // Add raid info button
-    keyboard.push([
-      { text: '📊 Raid Stats', callback_data: `stats_${raid.id}` },
-      { text: '🏆 Leaderboard', callback_data: `leaderboard_raid_${raid.id}` }
-    ]);
-    
-    // Update the message
-    return await bot.editMessageText(messageText, {
-      chat_id: raid.chatId,
-      message_id: raid.messageId,
-      parse_mode: 'Markdown',
-      disable_web_page_preview: false,
-      reply_markup: {
-        inline_keyboard: keyboard
-      }
-    });
+    return await editRaidStatusMessage(raid, bot);
   } catch (error) {
     logger.error('Error updating raid status message:', error.message);
     throw new Error('Failed to update raid status message');
   }
 };
 
+/**
+ * Refresh an active raid's announcement and schedule the next refresh
+ * Run by the raid_status job; stops once the raid has ended.
+ * @param {number} raidId - Raid ID
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+const refreshRaidStatus = async (raidId, bot) => {
+  const raid = await Raid.findById(raidId);
+  
+  if (!raid || !raid.isActive || !raid.messageId) {
+    logger.debug(`Skipping status refresh of raid ${raidId}: raid is no longer active`);
+    return;
+  }
+  
+  const nextEditTime = getNextStatusEditTime(raid);
+  
+  // Edited moments ago (e.g. after a verification); try again when allowed
+  if (nextEditTime > new Date()) {
+    await scheduleRaidStatusRefresh(raid, nextEditTime);
+    return;
+  }
+  
+  try {
+    await editRaidStatusMessage(raid, bot);
+  } finally {
+    // Keep refreshing even if this edit failed (the tweet may be briefly unavailable)
+    await scheduleRaidStatusRefresh(raid, new Date(Date.now() + config.raids.statusRefreshInterval));
+  }
+};
+
+/**
+ * Format a tweet's public metrics, e.g. "❤️ 120 · 🔁 30 · 💬 12 · 🗣 3"
+ * @param {Object} tweetInfo - Tweet information with public_metrics
+ * @returns {string} Formatted metrics (empty if unavailable)
+ */
+const formatPublicMetrics = (tweetInfo) => {
+  const metrics = tweetInfo && tweetInfo.public_metrics;
+  
+  if (!metrics) {
+    return '';
+  }
+  
+  return [
+    `❤️ ${metrics.like_count || 0}`,
+    `🔁 ${metrics.retweet_count || 0}`,
+    `💬 ${metrics.reply_count || 0}`,
+    `🗣 ${metrics.quote_count || 0}`
+  ].join(' · ');
+};
+
+/**
+ * Format a progress line for one target, with a bar when a target is set
+ * @param {string} label - Emoji and name, e.g. "👍 Likes"
+ * @param {number} actual - Current count
+ * @param {number} target - Target count (0 for none)
+ * @returns {string} Formatted progress
+ */
+const formatTargetProgress = (label, actual, target) => {
+  if (!target) {
+    return `${label}: ${actual}\n`;
+  }
+  
+  return `${label}: ${actual}/${target}\n${helpers.progressBar(Math.min(actual, target), target, 10)}\n`;
+};
+
 /**
  * Format raid status update message
  * @param {Raid} raid - Raid instance
- * @param {Object} tweetInfo - Tweet information
+ * @param {Array<Object>} tweetInfos - Tweet information (with live metrics) for each raid tweet
+ * @param {Array} topRaiders - Leaderboard entries to show (empty to omit)
  * @returns {string} Formatted message
  */
-const formatRaidStatusUpdate = (raid, tweetInfo) => {
+const formatRaidStatusUpdate = (raid, tweetInfos, topRaiders = []) => {
   // Format header with emoji and raid info
   let message = `🚀 *RAID ALERT!* 🚀\n\n`;
   
-  // Add tweet author and content preview
-  message += `*Tweet by @${tweetInfo.author?.username || 'Unknown'}*\n\n`;
-  message += `${helpers.truncateText(tweetInfo.text, 200)}\n\n`;
-  
-  // Add current progress
-  message += `*Current Progress:*\n`;
-  message += `👍 ${raid.actualLikes}${raid.targetLikes > 0 ? `/${raid.targetLikes}` : ''} Likes\n`;
-  message += `🔄 ${raid.actualRetweets}${raid.targetRetweets > 0 ? `/${raid.targetRetweets}` : ''} Retweets\n`;
-  message += `💬 ${raid.actualComments}${raid.targetComments > 0 ? `/${raid.targetComments}` : ''} Comments\n\n`;
+  // Add tweet author and content preview (with per-tweet progress for multi-tweet raids)
+  if (raid.isMultiTweet()) {
+    message += formatRaidTweets(raid, tweetInfos, true);
+  } else {
+    message += `*Tweet by @${tweetInfos[0].author?.username || 'Unknown'}*\n\n`;
+    message += `${helpers.truncateText(tweetInfos[0].text, 200)}\n\n`;
+    
+    const metrics = formatPublicMetrics(tweetInfos[0]);
+    if (metrics) message += `📈 *Live:* ${metrics}\n\n`;
+  }
   
-  // Add progress bar if targets exist
-  const hasTargets = raid.targetLikes > 0 || raid.targetRetweets > 0 || raid.targetComments > 0;
+  // Add current progress, with a bar for each target
+  message += raid.isMultiTweet() ? `*Combined Progress:*\n` : `*Current Progress:*\n`;
+  message += formatTargetProgress('👍 Likes', raid.actualLikes, raid.targetLikes);
+  message += formatTargetProgress('🔄 Retweets', raid.actualRetweets, raid.targetRetweets);
+  message += formatTargetProgress('💬 Comments', raid.actualComments, raid.targetComments);
+  message += `\n`;
   
-  if (hasTargets) {
-    const completionPercentage = raid.getCompletionPercentage();
-    message += `${helpers.progressBar(completionPercentage, 100)}\n\n`;
+  // Add top raiders
+  if (topRaiders.length > 0) {
+    const medals = ['🥇', '🥈', '🥉'];
+    
+    message += `*Top Raiders:*\n`;
+    topRaiders.forEach((entry, index) => {
+      const displayName = entry.username || entry.first_name || `User${entry.telegram_id}`;
+      message += `${medals[index] || `${index + 1}.`} ${helpers.escapeMarkdown(displayName)}: ${entry.total_xp} XP\n`;
+    });
+    message += `\n`;
   }
   
   // Add actions and XP values
   message += `*Actions and XP Rewards:*\n`;
-  message += `👍 Like: ${config.xp.actions.like} XP\n`;
-  message += `🔄 Retweet: ${config.xp.actions.retweet} XP\n`;
-  message += `💬 Comment: ${config.xp.actions.comment} XP\n`;
-  message += `📸 Comment with image: ${config.xp.actions.commentWithImage} XP\n`;
-  message += `📌 Bookmark: ${config.xp.actions.bookmark} XP\n\n`;
+  message += formatActionXp(raid);
+  
+  if (raid.tweets.some(tweet => tweet.xpWeight !== 1)) {
+    message += `_XP is multiplied by each tweet's weight_\n`;
+  }
+  
+  if (raid.commentRules) {
+    message += `📏 Comment rules: ${formatCommentRules(raid.commentRules)}\n`;
+  }
+  
+  // Raiders see what acting now is worth
+  if (raid.xpCurve) {
+    message += `⚡ Time bonus: ${raid.getXpMultiplier(new Date())}x right now (${formatXpCurve(raid.xpCurve)})\n`;
+  }
+  
+  message += `\n`;
   
   // Add reward information
   if (raid.totalReward && raid.tokenSymbol) {
@@ -690,13 +2101,11 @@ const formatRaidStatusUpdate = (raid, tweetInfo) => {
     }
   }
   
-  // Add time information
-  if (raid.endTime) {
-    if (new Date() < new Date(raid.endTime)) {
-      message += `\n⏱ *Time Remaining:* ${helpers.timeUntil(raid.endTime)}\n`;
-    } else {
-      message += `\n⏱ *Ended:* ${helpers.formatDate(raid.endTime)}\n`;
-    }
+  // Add countdown
+  if (raid.isActive && (raid.endTime || raid.duration)) {
+    message += `\n⏱ *Time Remaining:* ${raid.getTimeRemaining()}\n`;
+  } else if (raid.endTime) {
+    message += `\n⏱ *Ended:* ${helpers.formatDate(raid.endTime)}\n`;
   }
   
   // Add verification requirement
@@ -710,7 +2119,9 @@ const formatRaidStatusUpdate = (raid, tweetInfo) => {
   }
   
   // Add call to action
-  message += `\nClick "Raid Now" to participate! 👇`;
+  message += raid.isMultiTweet() ?
+    `\nOpen each tweet below to participate! 👇` :
+    `\nClick "Raid Now" to participate! 👇`;
   
   return message;
 };
@@ -744,9 +2155,31 @@ const getRaidStatistics = async (raidId) => {
       like: actions.filter(a => a.action_type === 'like').length,
       retweet: actions.filter(a => a.action_type === 'retweet').length,
       comment: actions.filter(a => a.action_type === 'comment').length,
-      bookmark: actions.filter(a => a.action_type === 'bookmark').length
+      quote: actions.filter(a => a.action_type === 'quote').length,
+      bookmark: actions.filter(a => a.action_type === 'bookmark').length,
+      follow: actions.filter(a => a.action_type === 'follow').length
     };
     
+    // Per-tweet counts and completion (actions without a tweet_id belong to the first tweet)
+    const tweets = raid.tweets.map((tweet, index) => {
+      const tweetActions = actions.filter(a => (a.tweet_id || raid.tweetId) === tweet.tweetId);
+      
+      return {
+        index: index + 1,
+        tweetId: tweet.tweetId,
+        tweetUrl: tweet.tweetUrl,
+        xpWeight: tweet.xpWeight,
+        actionCounts: {
+          like: tweetActions.filter(a => a.action_type === 'like').length,
+          retweet: tweetActions.filter(a => a.action_type === 'retweet').length,
+          comment: tweetActions.filter(a => a.action_type === 'comment').length,
+          quote: tweetActions.filter(a => a.action_type === 'quote').length,
+          bookmark: tweetActions.filter(a => a.action_type === 'bookmark').length
+        },
+        completionPercentage: raid.getTweetCompletionPercentage(tweet)
+      };
+    });
+    
     // Get total XP
     const totalXp = await raid.getTotalXp();
     
@@ -773,6 +2206,7 @@ const getRaidStatistics = async (raidId) => {
       status: raid.status,
       participants: uniqueParticipants.size,
       actionCounts,
+      tweets,
       totalXp,
       completionPercentage,
       duration,
@@ -809,7 +2243,16 @@ const createCampaign = async (campaignData) => {
     });
     
     // Save the campaign
-    return await campaign.save();
+    const savedCampaign = await campaign.save();
+    
+    // Schedule end of campaign
+    if (savedCampaign.endDate) {
+      await scheduleJob('campaign_end', savedCampaign.endDate, { campaignId: savedCampaign.id }, {
+        uniqueKey: `campaign_end:${savedCampaign.id}`
+      });
+    }
+    
+    return savedCampaign;
   } catch (error) {
     logger.error('Error creating campaign:', error.message);
     throw new Error(`Failed to create campaign: ${error.message}`);
@@ -818,12 +2261,19 @@ const createCampaign = async (campaignData) => {
 
 /**
  * End a campaign and distribute rewards
+ * Like raids, the campaign is claimed as 'ending' and only gets its final
+ * status once it has paid out, so the campaign_end job can resume an end
+ * that failed part way.
  * @param {number} campaignId - Campaign ID
  * @param {TelegramBot} bot - Telegram bot instance
  * @param {Object} options - Additional options
- * @returns {Object} Campaign completion results
+ * @param {boolean} options.cancelled - Whether the campaign was cancelled
+ * @param {boolean} options.resume - Whether to pick up a campaign left 'ending' by a failed end (the campaign_end job)
+ * @returns {Object} Campaign completion results (alreadyEnded if another caller ended the campaign first)
  */
 const endCampaign = async (campaignId, bot, options = {}) => {
+  let claimedCampaign = null;
+  
   try {
     // Get the campaign
     const campaign = await Campaign.findById(campaignId);
@@ -832,8 +2282,33 @@ const endCampaign = async (campaignId, bot, options = {}) => {
       throw new Error('Campaign not found');
     }
     
-    // End the campaign
-    const endedCampaign = await campaign.end({
+    // Claim the end; only the caller that claims it goes on to pay out
+    claimedCampaign = await campaign.claimEnd();
+    
+    if (!claimedCampaign && options.resume && campaign.status === CampaignStatus.ENDING) {
+      logger.info(`Resuming the end of campaign ${campaignId}`);
+      claimedCampaign = campaign;
+    }
+    
+    if (!claimedCampaign) {
+      logger.info(`Campaign ${campaignId} has already ended`);
+      return {
+        campaign,
+        rewards: [],
+        completionMessage: null,
+        alreadyEnded: true
+      };
+    }
+    
+    // Check the campaign's raids again, since actions can be undone after a raid ends
+    if (config.raids.campaignFinalRecheck) {
+      for (const raid of await claimedCampaign.getRaids()) {
+        await recheckRaidActions(raid, bot);
+      }
+    }
+    
+    // Settle the status now, but only save it once the rewards are out
+    const endedCampaign = claimedCampaign.settleEnd({
       cancelled: options.cancelled || false
     });
     
@@ -841,20 +2316,23 @@ const endCampaign = async (campaignId, bot, options = {}) => {
     let rewards = [];
     
     if (endedCampaign.status === CampaignStatus.COMPLETED && 
-        (endedCampaign.totalBudget || endedCampaign.tokenPerXp) && 
-        !endedCampaign.rewardsDistributed) {
+        (endedCampaign.totalBudget || endedCampaign.tokenPerXp)) {
       rewards = await endedCampaign.calculateAllRewards();
     }
     
-    // Send campaign completion message
-    const completionMessage = await sendCampaignCompletionMessage(endedCampaign, rewards, bot);
-    
-    // Distribute rewards if applicable
-    if (rewards.length > 0) {
+    // Distribute rewards if applicable and not already paid by an end that failed later on
+    if (rewards.length > 0 && !endedCampaign.rewardsDistributed) {
       await distributeRewards(rewards, endedCampaign, bot);
       await endedCampaign.markRewardsDistributed();
     }
     
+    // Send campaign completion message
+    const completionMessage = await sendCampaignCompletionMessage(endedCampaign, rewards, bot);
+    
+    await endedCampaign.end({
+      cancelled: options.cancelled || false
+    });
+    
     return {
       campaign: endedCampaign,
       rewards,
@@ -862,6 +2340,14 @@ const endCampaign = async (campaignId, bot, options = {}) => {
     };
   } catch (error) {
     logger.error('Error ending campaign:', error.message);
+    
+    // The campaign is no longer active, so have the campaign_end job finish it (the job retries itself)
+    if (claimedCampaign && !options.resume) {
+      await scheduleJob('campaign_end', new Date(), { campaignId, cancelled: options.cancelled || false }, {
+        uniqueKey: `campaign_end:${campaignId}`
+      });
+    }
+    
     throw new Error(`Failed to end campaign: ${error.message}`);
   }
 };
@@ -964,8 +2450,11 @@ const checkForEndedCampaigns = async (bot) => {
     // End each campaign
     for (const item of data) {
       try {
-        await endCampaign(item.id, bot);
-        logger.info(`Automatically ended campaign: ${item.id}`);
+        const { alreadyEnded } = await endCampaign(item.id, bot);
+        
+        if (!alreadyEnded) {
+          logger.info(`Automatically ended campaign: ${item.id}`);
+        }
       } catch (err) {
         logger.error(`Error ending campaign ${item.id}:`, err.message);
       }
@@ -977,23 +2466,52 @@ const checkForEndedCampaigns = async (bot) => {
 
 /**
  * Set up scheduled tasks
- * @param {TelegramBot} bot - Telegram bot instance
+ * Recurring work is stored as jobs; existing jobs keep their next run time.
  */
-const setupScheduledTasks = (bot) => {
+const setupScheduledTasks = async () => {
   // Check for ended campaigns every hour
-  setInterval(() => {
-    checkForEndedCampaigns(bot);
-  }, 60 * 60 * 1000); // 1 hour
+  await scheduleJob('check_campaigns', new Date(), {}, {
+    uniqueKey: 'check_campaigns',
+    intervalSeconds: 60 * 60,
+    keepExisting: true
+  });
+  
+  // Remind members of day streaks about to end every hour
+  await scheduleJob('streak_reminders', new Date(), {}, {
+    uniqueKey: 'streak_reminders',
+    intervalSeconds: 60 * 60,
+    keepExisting: true
+  });
+  
+  // Clear out abandoned wizards and prompts every hour
+  await scheduleJob('session_purge', new Date(), {}, {
+    uniqueKey: 'session_purge',
+    intervalSeconds: 60 * 60,
+    keepExisting: true
+  });
 };
 
 module.exports = {
   createRaid,
+  scheduleRaid,
+  startScheduledRaid,
+  rescheduleRaid,
+  cancelScheduledRaid,
+  editRaid,
   endRaid,
   recordUserAction,
   verifyUserActions,
   updateRaidStatusMessage,
+  refreshRaidStatus,
+  scheduleRaidReminders,
+  scheduleRaidSweep,
+  sweepRaidActions,
+  sendRaidReminder,
   getRaidStatistics,
   createCampaign,
   endCampaign,
+  scheduleRaidEnd,
+  checkForEndedCampaigns,
+  sendDayStreakReminders,
   setupScheduledTasks
 };
\ No newline at end of file
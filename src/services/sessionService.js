@@ -0,0 +1,242 @@
+/**
+ * Session Service
+ * Persists multi-step conversation state (wizards, prompts awaiting text input)
+ * in Supabase so it survives restarts and stateless serverless invocations
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getSupabase } = require('./supabaseService');
+
+/**
+ * Compute a fresh expiry timestamp for a session
+ * @returns {string} ISO timestamp
+ */
+const nextExpiry = () => new Date(Date.now() + config.sessions.timeout).toISOString();
+
+/**
+ * Convert a database row into a session object
+ * @param {Object} row - Row from the sessions table
+ * @returns {Object} Session object
+ */
+const toSession = (row) => ({
+  chatId: row.chat_id,
+  userId: row.user_id,
+  type: row.type,
+  stage: row.stage,
+  data: row.data || {},
+  history: row.history || [],
+  messageId: row.message_id,
+  expiresAt: row.expires_at
+});
+
+/**
+ * Start (or restart) a conversation session for a user in a chat
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {string} type - Conversation type (e.g. 'raid_wizard')
+ * @param {string} stage - Initial stage
+ * @param {Object} data - Initial session data
+ * @returns {Object|null} Created session or null on failure
+ */
+const startSession = async (chatId, userId, type, stage, data = {}) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot start session for user ${userId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('sessions')
+      .upsert({
+        chat_id: chatId,
+        user_id: userId,
+        type,
+        stage,
+        data,
+        history: [],
+        message_id: null,
+        expires_at: nextExpiry(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id,user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(`Error starting ${type} session for user ${userId} in chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    logger.debug(`Started ${type} session for user ${userId} in chat ${chatId} at stage ${stage}`);
+    return toSession(row);
+  } catch (error) {
+    logger.error(`Error starting session for user ${userId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get the active session for a user in a chat
+ * Expired sessions are removed and reported as { expired: true }
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @returns {Object|null} Session object, { expired: true } or null if none
+ */
+const getSession = async (chatId, userId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get session for user ${userId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('sessions')
+      .select('*')
+      .eq('chat_id', chatId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting session for user ${userId} in chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    if (!row) {
+      return null;
+    }
+    
+    if (new Date(row.expires_at) < new Date()) {
+      logger.debug(`Session for user ${userId} in chat ${chatId} has expired`);
+      await endSession(chatId, userId);
+      return { ...toSession(row), expired: true };
+    }
+    
+    return toSession(row);
+  } catch (error) {
+    logger.error(`Error getting session for user ${userId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Persist changes to a session and extend its expiry
+ * @param {Object} session - Session object (as returned by getSession)
+ * @returns {Object|null} Updated session or null on failure
+ */
+const saveSession = async (session) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot save session for user ${session.userId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('sessions')
+      .update({
+        stage: session.stage,
+        data: session.data,
+        history: session.history,
+        message_id: session.messageId,
+        expires_at: nextExpiry(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('chat_id', session.chatId)
+      .eq('user_id', session.userId)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(`Error saving session for user ${session.userId} in chat ${session.chatId}: ${error.message}`);
+      return null;
+    }
+    
+    return toSession(row);
+  } catch (error) {
+    logger.error(`Error saving session for user ${session.userId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * End a user's session in a chat
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} Success status
+ */
+const endSession = async (chatId, userId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot end session for user ${userId}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('sessions')
+      .delete()
+      .eq('chat_id', chatId)
+      .eq('user_id', userId);
+    
+    if (error) {
+      logger.error(`Error ending session for user ${userId} in chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    logger.debug(`Ended session for user ${userId} in chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error ending session for user ${userId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Remove all expired sessions
+ * @returns {number} Number of sessions removed
+ */
+const purgeExpiredSessions = async () => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot purge sessions: Supabase is not connected');
+      return 0;
+    }
+    
+    const { data, error } = await supabase
+      .from('sessions')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+    
+    if (error) {
+      logger.error(`Error purging expired sessions: ${error.message}`);
+      return 0;
+    }
+    
+    if (data.length > 0) {
+      logger.info(`Purged ${data.length} expired sessions`);
+    }
+    
+    return data.length;
+  } catch (error) {
+    logger.error(`Error purging expired sessions: ${error.message}`);
+    return 0;
+  }
+};
+
+module.exports = {
+  startSession,
+  getSession,
+  saveSession,
+  endSession,
+  purgeExpiredSessions
+};
@@ -0,0 +1,285 @@
+/**
+ * Streak Service
+ * Tracks participation streaks per user and group: consecutive days (UTC)
+ * and consecutive raids in which the user had an action recorded. Growing a
+ * streak pays bonus XP, and users about to lose one can be reminded.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getSupabase } = require('./supabaseService');
+const { addUserXp } = require('./userService');
+
+// XP transaction source types of streak bonuses; the source ID is the raid that grew the streak
+const STREAK_BONUS_SOURCES = {
+  day: 'streak_day',
+  raid: 'streak_raid'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTC calendar day of a date
+ * @param {Date} date - Date
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const toUtcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Work out the bonus XP for a streak that just grew
+ * @param {string} kind - Streak kind ('day' or 'raid')
+ * @param {number} length - Streak length after growing
+ * @returns {number} Bonus XP (0 for the first day or raid)
+ */
+const getStreakBonus = (kind, length) => {
+  const { dayBonusXp, dayBonusMax, raidBonusXp, raidBonusMax } = config.streaks;
+  const [perStep, max] = kind === 'day' ? [dayBonusXp, dayBonusMax] : [raidBonusXp, raidBonusMax];
+  
+  return Math.max(Math.min((length - 1) * perStep, max), 0);
+};
+
+/**
+ * Count a user's participation in a raid toward their streaks in its group
+ * Safe to call for every recorded action: each day and raid only counts once.
+ * @param {number} telegramId - User's Telegram ID
+ * @param {Raid} raid - Raid the user had an action recorded in
+ * @returns {Array<Object>} Streaks that grew ({ kind, current, best, bonusXp })
+ */
+const recordParticipation = async (telegramId, raid) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot update streaks of user ${telegramId}: Supabase is not connected`);
+      return [];
+    }
+    
+    const { data, error } = await supabase.rpc('advance_streaks', {
+      p_user_id: telegramId,
+      p_chat_id: raid.chatId,
+      p_raid_id: raid.id,
+      p_day: toUtcDay(new Date())
+    });
+    
+    if (error) throw error;
+    
+    const grown = [];
+    
+    for (const row of data) {
+      const bonusXp = getStreakBonus(row.streak_kind, row.streak_current);
+      
+      if (bonusXp > 0) {
+        await addUserXp(telegramId, bonusXp, STREAK_BONUS_SOURCES[row.streak_kind], raid.id);
+      }
+      
+      grown.push({ kind: row.streak_kind, current: row.streak_current, best: row.streak_best, bonusXp });
+    }
+    
+    if (grown.length > 0) {
+      logger.info(`Streaks of user ${telegramId} in chat ${raid.chatId}: ` +
+        grown.map(streak => `${streak.kind} ${streak.current} (+${streak.bonusXp} XP)`).join(', '));
+    }
+    
+    return grown;
+  } catch (error) {
+    logger.error(`Error updating streaks of user ${telegramId} for raid ${raid.id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Get a user's current and best streaks
+ * Day streaks whose last day is before yesterday have ended, even if nothing reset them yet.
+ * @param {number} telegramId - User's Telegram ID
+ * @param {number|null} chatId - Group to get the streaks of, or null for the longest across groups
+ * @returns {Object} { day: { current, best }, raid: { current, best } }
+ */
+const getStreakSummary = async (telegramId, chatId = null) => {
+  const summary = {
+    day: { current: 0, best: 0 },
+    raid: { current: 0, best: 0 }
+  };
+  
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get streaks of user ${telegramId}: Supabase is not connected`);
+      return summary;
+    }
+    
+    let query = supabase
+      .from('user_streaks')
+      .select('kind, current_streak, best_streak, last_day')
+      .eq('user_id', telegramId);
+    
+    if (chatId) {
+      query = query.eq('chat_id', chatId);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    
+    const yesterday = toUtcDay(new Date(Date.now() - DAY_MS));
+    
+    data.forEach(row => {
+      const streak = summary[row.kind];
+      if (!streak) return;
+      
+      const ended = row.kind === 'day' && (!row.last_day || row.last_day < yesterday);
+      
+      streak.current = Math.max(streak.current, ended ? 0 : row.current_streak);
+      streak.best = Math.max(streak.best, row.best_streak);
+    });
+    
+    return summary;
+  } catch (error) {
+    logger.error(`Error getting streaks of user ${telegramId}: ${error.message}`);
+    return summary;
+  }
+};
+
+/**
+ * End the raid streaks of a group's members who sat out a raid
+ * Members who took part in a newer raid of the group keep their streak.
+ * @param {Raid} raid - Raid that just ended
+ * @returns {number} Number of streaks ended
+ */
+const breakRaidStreaks = async (raid) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot end raid streaks for raid ${raid.id}: Supabase is not connected`);
+      return 0;
+    }
+    
+    const { data, error } = await supabase
+      .from('user_streaks')
+      .update({ current_streak: 0, updated_at: new Date().toISOString() })
+      .eq('chat_id', raid.chatId)
+      .eq('kind', 'raid')
+      .gt('current_streak', 0)
+      .lt('last_raid_id', raid.id)
+      .select('id');
+    
+    if (error) throw error;
+    
+    if (data.length > 0) {
+      logger.info(`Raid ${raid.id} ended ${data.length} raid streaks in chat ${raid.chatId}`);
+    }
+    
+    return data.length;
+  } catch (error) {
+    logger.error(`Error ending raid streaks for raid ${raid.id}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Get the members whose raid streak ends if they sit out a raid
+ * @param {Raid} raid - Active raid
+ * @returns {Array<Object>} { telegramId, current } for streaks of at least config.streaks.reminderMinStreak
+ */
+const getRaidStreaksAtRisk = async (raid) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get raid streaks at risk for raid ${raid.id}: Supabase is not connected`);
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('user_streaks')
+      .select('user_id, current_streak')
+      .eq('chat_id', raid.chatId)
+      .eq('kind', 'raid')
+      .gte('current_streak', config.streaks.reminderMinStreak)
+      .lt('last_raid_id', raid.id);
+    
+    if (error) throw error;
+    
+    return data.map(row => ({ telegramId: row.user_id, current: row.current_streak }));
+  } catch (error) {
+    logger.error(`Error getting raid streaks at risk for raid ${raid.id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Get the day streaks that end at midnight UTC unless kept today, and haven't been reminded today
+ * @returns {Array<Object>} { id, telegramId, chatId, current } for streaks of at least config.streaks.reminderMinStreak
+ */
+const getDayStreaksAtRisk = async () => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot get day streaks at risk: Supabase is not connected');
+      return [];
+    }
+    
+    const today = toUtcDay(new Date());
+    
+    const { data, error } = await supabase
+      .from('user_streaks')
+      .select('id, user_id, chat_id, current_streak')
+      .eq('kind', 'day')
+      .eq('last_day', toUtcDay(new Date(Date.now() - DAY_MS)))
+      .gte('current_streak', config.streaks.reminderMinStreak)
+      .or(`reminded_on.is.null,reminded_on.lt.${today}`);
+    
+    if (error) throw error;
+    
+    return data.map(row => ({
+      id: row.id,
+      telegramId: row.user_id,
+      chatId: row.chat_id,
+      current: row.current_streak
+    }));
+  } catch (error) {
+    logger.error(`Error getting day streaks at risk: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Record that day streaks were reminded today, so they aren't reminded again
+ * @param {Array<number>} ids - user_streaks row IDs
+ * @returns {boolean} Success status
+ */
+const markDayStreaksReminded = async (ids) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot mark day streaks reminded: Supabase is not connected');
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('user_streaks')
+      .update({ reminded_on: toUtcDay(new Date()) })
+      .in('id', ids);
+    
+    if (error) throw error;
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error marking day streaks reminded: ${error.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  STREAK_BONUS_SOURCES,
+  getStreakBonus,
+  recordParticipation,
+  getStreakSummary,
+  breakRaidStreaks,
+  getRaidStreaksAtRisk,
+  getDayStreaksAtRisk,
+  markDayStreaksReminded
+};
@@ -107,11 +107,13 @@ const initializeDatabase = async () => {
         twitter_token_expires_at TIMESTAMPTZ,
         twitter_connected BOOLEAN NOT NULL DEFAULT FALSE,
         twitter_connected_at TIMESTAMPTZ,
+        twitter_scopes TEXT[],
         sui_wallet_address TEXT,
         sui_wallet_connected BOOLEAN NOT NULL DEFAULT FALSE,
         sui_wallet_connected_at TIMESTAMPTZ,
         sui_wallet_generated BOOLEAN NOT NULL DEFAULT FALSE
       );
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS twitter_scopes TEXT[];
     `;
     
     // Create raids table
@@ -142,8 +144,26 @@ const initializeDatabase = async () => {
         duration INTEGER NOT NULL DEFAULT 3600,
         require_verification BOOLEAN NOT NULL DEFAULT TRUE,
         description TEXT,
-        rewards_distributed BOOLEAN NOT NULL DEFAULT FALSE
+        rewards_distributed BOOLEAN NOT NULL DEFAULT FALSE,
+        tweets JSONB NOT NULL DEFAULT '[]',
+        status_updated_at TIMESTAMPTZ,
+        announcement_pinned BOOLEAN NOT NULL DEFAULT FALSE,
+        lock_chat BOOLEAN NOT NULL DEFAULT FALSE,
+        lockdown JSONB,
+        comment_rules JSONB,
+        follow_account JSONB,
+        xp_weights JSONB,
+        xp_curve JSONB
       );
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS tweets JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS announcement_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS lock_chat BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS lockdown JSONB;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS comment_rules JSONB;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS follow_account JSONB;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS xp_weights JSONB;
+      ALTER TABLE raids ADD COLUMN IF NOT EXISTS xp_curve JSONB;
     `;
     
     // Create campaigns table
@@ -178,9 +198,140 @@ const initializeDatabase = async () => {
         verified BOOLEAN NOT NULL DEFAULT FALSE,
         comment_text TEXT,
         comment_has_media BOOLEAN NOT NULL DEFAULT FALSE,
+        comment_is_gif BOOLEAN NOT NULL DEFAULT FALSE,
         twitter_action_id TEXT,
+        tweet_id TEXT,
+        revoked BOOLEAN NOT NULL DEFAULT FALSE,
+        revoked_at TIMESTAMPTZ,
+        xp_multiplier NUMERIC NOT NULL DEFAULT 1,
+        acted_at TIMESTAMPTZ,
         timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS tweet_id TEXT;
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS revoked BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS xp_multiplier NUMERIC NOT NULL DEFAULT 1;
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS acted_at TIMESTAMPTZ;
+      ALTER TABLE user_actions ADD COLUMN IF NOT EXISTS comment_is_gif BOOLEAN NOT NULL DEFAULT FALSE;
+      
+      -- Actions recorded before multi-tweet raids have no tweet_id and belong to the raid's first tweet
+      UPDATE user_actions SET tweet_id = raids.tweet_id
+        FROM raids
+        WHERE raids.id = user_actions.raid_id AND user_actions.tweet_id IS NULL;
+      
+      -- Record an action and credit its XP in one transaction
+      -- Actions already recorded and not revoked are skipped (no rows returned), so concurrent verifications credit once
+      -- (older versions are dropped first, as they have other parameters)
+      DROP FUNCTION IF EXISTS record_user_action(BIGINT, INTEGER, TEXT, TEXT, INTEGER, BOOLEAN, TEXT, BOOLEAN, TEXT);
+      DROP FUNCTION IF EXISTS record_user_action(BIGINT, INTEGER, TEXT, TEXT, INTEGER, BOOLEAN, TEXT, BOOLEAN, TEXT, NUMERIC, TIMESTAMPTZ);
+      CREATE OR REPLACE FUNCTION record_user_action(
+        p_user_id BIGINT,
+        p_raid_id INTEGER,
+        p_tweet_id TEXT,
+        p_action_type TEXT,
+        p_xp_earned INTEGER,
+        p_verified BOOLEAN,
+        p_comment_text TEXT,
+        p_comment_has_media BOOLEAN,
+        p_comment_is_gif BOOLEAN,
+        p_twitter_action_id TEXT,
+        p_xp_multiplier NUMERIC,
+        p_acted_at TIMESTAMPTZ
+      ) RETURNS TABLE (recorded_action_id INTEGER, user_total_xp INTEGER) AS $$
+      DECLARE
+        v_action_id INTEGER;
+        v_previous_total INTEGER;
+      BEGIN
+        INSERT INTO user_actions (
+          user_id, raid_id, tweet_id, action_type, xp_earned,
+          verified, comment_text, comment_has_media, comment_is_gif, twitter_action_id, xp_multiplier, acted_at
+        ) VALUES (
+          p_user_id, p_raid_id, p_tweet_id, p_action_type, p_xp_earned,
+          p_verified, p_comment_text, p_comment_has_media, p_comment_is_gif, p_twitter_action_id, p_xp_multiplier, p_acted_at
+        )
+        ON CONFLICT (raid_id, user_id, action_type, tweet_id) WHERE NOT revoked DO NOTHING
+        RETURNING id INTO v_action_id;
+        
+        IF v_action_id IS NULL THEN
+          RETURN;
+        END IF;
+        
+        UPDATE users SET total_xp = total_xp + p_xp_earned
+          WHERE telegram_id = p_user_id
+          RETURNING total_xp - p_xp_earned INTO v_previous_total;
+        
+        IF FOUND THEN
+          INSERT INTO xp_transactions (user_id, amount, source_type, source_id, previous_total, new_total)
+            VALUES (p_user_id, p_xp_earned, 'raid', p_raid_id, v_previous_total, v_previous_total + p_xp_earned);
+        END IF;
+        
+        RETURN QUERY SELECT v_action_id, v_previous_total + p_xp_earned;
+      END;
+      $$ LANGUAGE plpgsql;
+      
+      -- Revoke an action undone on Twitter and take back its XP in one transaction
+      -- Actions already revoked are skipped (no rows returned), so overlapping re-checks reverse XP once
+      CREATE OR REPLACE FUNCTION revoke_user_action(
+        p_action_id INTEGER
+      ) RETURNS TABLE (revoked_xp INTEGER) AS $$
+      DECLARE
+        v_user_id BIGINT;
+        v_raid_id INTEGER;
+        v_xp_earned INTEGER;
+        v_previous_total INTEGER;
+      BEGIN
+        UPDATE user_actions SET revoked = TRUE, revoked_at = NOW()
+          WHERE id = p_action_id AND NOT revoked
+          RETURNING user_id, raid_id, xp_earned INTO v_user_id, v_raid_id, v_xp_earned;
+        
+        IF NOT FOUND THEN
+          RETURN;
+        END IF;
+        
+        IF v_xp_earned > 0 THEN
+          UPDATE users SET total_xp = total_xp - v_xp_earned
+            WHERE telegram_id = v_user_id
+            RETURNING total_xp + v_xp_earned INTO v_previous_total;
+          
+          IF FOUND THEN
+            INSERT INTO xp_transactions (user_id, amount, source_type, source_id, previous_total, new_total)
+              VALUES (v_user_id, -v_xp_earned, 'raid', v_raid_id, v_previous_total, v_previous_total - v_xp_earned);
+          END IF;
+        END IF;
+        
+        RETURN QUERY SELECT v_xp_earned;
+      END;
+      $$ LANGUAGE plpgsql;
+      
+      -- Revoke the later copies of actions recorded twice before each action could only be recorded once,
+      -- which takes back the XP they paid
+      DO $$
+      DECLARE
+        v_duplicate_id INTEGER;
+      BEGIN
+        FOR v_duplicate_id IN
+          SELECT duplicate.id FROM user_actions duplicate
+            WHERE NOT duplicate.revoked
+              AND EXISTS (
+                SELECT 1 FROM user_actions original
+                  WHERE original.raid_id = duplicate.raid_id
+                    AND original.user_id = duplicate.user_id
+                    AND original.action_type = duplicate.action_type
+                    AND original.tweet_id = duplicate.tweet_id
+                    AND NOT original.revoked
+                    AND original.id < duplicate.id
+              )
+        LOOP
+          PERFORM revoke_user_action(v_duplicate_id);
+        END LOOP;
+      END;
+      $$;
+      
+      -- Each action is recorded once, apart from revoked copies, so an action undone and done again counts again
+      DROP INDEX IF EXISTS user_actions_raid_user_action_tweet;
+      CREATE UNIQUE INDEX IF NOT EXISTS user_actions_raid_user_action_tweet_active
+        ON user_actions (raid_id, user_id, action_type, tweet_id)
+        WHERE NOT revoked;
     `;
     
     // Create XP transactions table
@@ -239,6 +390,248 @@ const initializeDatabase = async () => {
       );
     `;
     
+    // Create sessions table for multi-step conversations (e.g. the /dropraid wizard)
+    const createSessionsTable = `
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT NOT NULL,
+        user_id BIGINT NOT NULL,
+        type TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        history JSONB NOT NULL DEFAULT '[]',
+        message_id BIGINT,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(chat_id, user_id)
+      );
+    `;
+    
+    // Create jobs table for durable scheduled work (raid ends, campaign checks, reminders)
+    const createJobsTable = `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        unique_key TEXT UNIQUE,
+        run_at TIMESTAMPTZ NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        interval_seconds INTEGER,
+        locked_by TEXT,
+        locked_until TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status_run_at_idx ON jobs (status, run_at);
+    `;
+    
+    // Create raid_templates table for saved raid configurations per chat
+    const createRaidTemplatesTable = `
+      CREATE TABLE IF NOT EXISTS raid_templates (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT NOT NULL,
+        name TEXT NOT NULL,
+        config JSONB NOT NULL DEFAULT '{}',
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by BIGINT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(chat_id, name)
+      );
+    `;
+    
+    // Create raid_edits table as an audit trail of changes to running raids
+    const createRaidEditsTable = `
+      CREATE TABLE IF NOT EXISTS raid_edits (
+        id SERIAL PRIMARY KEY,
+        raid_id INTEGER NOT NULL,
+        edited_by BIGINT NOT NULL,
+        field TEXT NOT NULL,
+        old_value JSONB,
+        new_value JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS raid_edits_raid_id_idx ON raid_edits (raid_id, created_at);
+    `;
+    
+    // Create raid_nudge_optins table for members who want DM reminders about raids in a group
+    const createRaidNudgeOptinsTable = `
+      CREATE TABLE IF NOT EXISTS raid_nudge_optins (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT NOT NULL,
+        telegram_id BIGINT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(chat_id, telegram_id)
+      );
+    `;
+    
+    // Create follow_rewards table so follow XP is paid once per account per campaign (or group)
+    const createFollowRewardsTable = `
+      CREATE TABLE IF NOT EXISTS follow_rewards (
+        id SERIAL PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        target_twitter_id TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        raid_id INTEGER,
+        xp_earned INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(user_id, target_twitter_id, scope)
+      );
+      
+      -- Reward a follow and record it as an action of the raid (crediting its XP) in one transaction
+      -- Returns false if the follow was rewarded already in this scope
+      CREATE OR REPLACE FUNCTION record_follow_reward(
+        p_user_id BIGINT,
+        p_target_twitter_id TEXT,
+        p_scope TEXT,
+        p_raid_id INTEGER,
+        p_tweet_id TEXT,
+        p_xp_earned INTEGER
+      ) RETURNS BOOLEAN AS $$
+      BEGIN
+        INSERT INTO follow_rewards (user_id, target_twitter_id, scope, raid_id, xp_earned)
+          VALUES (p_user_id, p_target_twitter_id, p_scope, p_raid_id, p_xp_earned)
+          ON CONFLICT (user_id, target_twitter_id, scope) DO NOTHING;
+        
+        IF NOT FOUND THEN
+          RETURN FALSE;
+        END IF;
+        
+        PERFORM record_user_action(p_user_id, p_raid_id, p_tweet_id, 'follow', p_xp_earned, TRUE,
+          NULL, FALSE, FALSE, NULL, 1, NULL);
+        
+        RETURN TRUE;
+      END;
+      $$ LANGUAGE plpgsql;
+    `;
+    
+    // Create group_settings table for per-group defaults, such as the XP paid per action
+    const createGroupSettingsTable = `
+      CREATE TABLE IF NOT EXISTS group_settings (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT UNIQUE NOT NULL,
+        xp_weights JSONB,
+        level_up_announcements BOOLEAN,
+        min_rank TEXT,
+        updated_by BIGINT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS level_up_announcements BOOLEAN;
+      ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS min_rank TEXT;
+    `;
+    
+    // Create user_streaks table for consecutive-day and consecutive-raid participation per group
+    const createUserStreaksTable = `
+      CREATE TABLE IF NOT EXISTS user_streaks (
+        id SERIAL PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        chat_id BIGINT NOT NULL,
+        kind TEXT NOT NULL,
+        current_streak INTEGER NOT NULL DEFAULT 0,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        last_day DATE,
+        last_raid_id INTEGER,
+        reminded_on DATE,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(user_id, chat_id, kind)
+      );
+      
+      -- Count a user's participation in a raid toward their day and raid streaks in its group
+      -- Returns the streaks that grew; a second call for the same day or raid changes nothing
+      CREATE OR REPLACE FUNCTION advance_streaks(
+        p_user_id BIGINT,
+        p_chat_id BIGINT,
+        p_raid_id INTEGER,
+        p_day DATE
+      ) RETURNS TABLE (streak_kind TEXT, streak_current INTEGER, streak_best INTEGER) AS $$
+      BEGIN
+        RETURN QUERY
+        INSERT INTO user_streaks AS streak (user_id, chat_id, kind, current_streak, best_streak, last_day)
+          VALUES (p_user_id, p_chat_id, 'day', 1, 1, p_day)
+          ON CONFLICT (user_id, chat_id, kind) DO UPDATE SET
+            current_streak = CASE WHEN streak.last_day = p_day - 1 THEN streak.current_streak + 1 ELSE 1 END,
+            best_streak = GREATEST(streak.best_streak,
+              CASE WHEN streak.last_day = p_day - 1 THEN streak.current_streak + 1 ELSE 1 END),
+            last_day = p_day,
+            updated_at = NOW()
+          WHERE streak.last_day IS NULL OR streak.last_day < p_day
+          RETURNING streak.kind, streak.current_streak, streak.best_streak;
+        
+        -- Raid streaks are reset when a raid of the group ends without the user (see breakRaidStreaks),
+        -- so any other raid continues them
+        RETURN QUERY
+        INSERT INTO user_streaks AS streak (user_id, chat_id, kind, current_streak, best_streak, last_raid_id)
+          VALUES (p_user_id, p_chat_id, 'raid', 1, 1, p_raid_id)
+          ON CONFLICT (user_id, chat_id, kind) DO UPDATE SET
+            current_streak = streak.current_streak + 1,
+            best_streak = GREATEST(streak.best_streak, streak.current_streak + 1),
+            last_raid_id = GREATEST(streak.last_raid_id, p_raid_id),
+            updated_at = NOW()
+          WHERE streak.last_raid_id IS DISTINCT FROM p_raid_id
+          RETURNING streak.kind, streak.current_streak, streak.best_streak;
+      END;
+      $$ LANGUAGE plpgsql;
+    `;
+    
+    // Create achievements table for the achievements groups add on top of the built-in ones,
+    // and user_achievements for unlocks (chat_id 0 for built-in achievements)
+    const createAchievementsTables = `
+      CREATE TABLE IF NOT EXISTS achievements (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT NOT NULL,
+        key TEXT NOT NULL,
+        name TEXT NOT NULL,
+        emoji TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        threshold INTEGER NOT NULL,
+        created_by BIGINT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(chat_id, key)
+      );
+      
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id SERIAL PRIMARY KEY,
+        user_id BIGINT NOT NULL,
+        chat_id BIGINT NOT NULL DEFAULT 0,
+        achievement_key TEXT NOT NULL,
+        raid_id INTEGER,
+        unlocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(user_id, chat_id, achievement_key)
+      );
+      
+      -- Count a user's raids and surviving actions, in one group or (p_chat_id NULL) in all of them
+      CREATE OR REPLACE FUNCTION get_user_action_stats(
+        p_user_id BIGINT,
+        p_chat_id BIGINT
+      ) RETURNS TABLE (
+        raids BIGINT,
+        likes BIGINT,
+        retweets BIGINT,
+        comments BIGINT,
+        gif_comments BIGINT,
+        quotes BIGINT,
+        bookmarks BIGINT
+      ) AS $$
+        SELECT
+          COUNT(DISTINCT action.raid_id),
+          COUNT(*) FILTER (WHERE action.action_type = 'like'),
+          COUNT(*) FILTER (WHERE action.action_type = 'retweet'),
+          COUNT(*) FILTER (WHERE action.action_type = 'comment'),
+          COUNT(*) FILTER (WHERE action.action_type = 'comment' AND action.comment_is_gif),
+          COUNT(*) FILTER (WHERE action.action_type = 'quote'),
+          COUNT(*) FILTER (WHERE action.action_type = 'bookmark')
+        FROM user_actions action
+        JOIN raids raid ON raid.id = action.raid_id
+        WHERE action.user_id = p_user_id
+          AND NOT action.revoked
+          AND (p_chat_id IS NULL OR raid.chat_id = p_chat_id);
+      $$ LANGUAGE sql STABLE;
+    `;
+    
     // Execute all table creation queries
     try {
       // We'll use raw query since it's more reliable than RPC for table creation
@@ -268,7 +661,16 @@ const initializeDatabase = async () => {
       { name: 'xp_transactions', sql: createXpTransactionsTable },
       { name: 'analytics', sql: createAnalyticsTable },
       { name: 'group_admins', sql: createGroupAdminsTable },
-      { name: 'twitter_accounts', sql: createTwitterAccountsTable }
+      { name: 'twitter_accounts', sql: createTwitterAccountsTable },
+      { name: 'sessions', sql: createSessionsTable },
+      { name: 'jobs', sql: createJobsTable },
+      { name: 'raid_templates', sql: createRaidTemplatesTable },
+      { name: 'raid_edits', sql: createRaidEditsTable },
+      { name: 'raid_nudge_optins', sql: createRaidNudgeOptinsTable },
+      { name: 'follow_rewards', sql: createFollowRewardsTable },
+      { name: 'group_settings', sql: createGroupSettingsTable },
+      { name: 'user_streaks', sql: createUserStreaksTable },
+      { name: 'achievements', sql: createAchievementsTables }
     ];
     
     // Create each table
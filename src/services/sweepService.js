@@ -0,0 +1,315 @@
+/**
+ * Sweep Service
+ * Verifies a raid's actions in bulk: instead of every raider checking
+ * their own activity, the raid's tweets are read once through the engagement
+ * provider (the app client, for Twitter) and every linked user found among
+ * the engagers is credited. The same reads back the final re-check, which
+ * revokes actions that were undone before the raid ended.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getSupabase } = require('./supabaseService');
+const User = require('../models/userModel');
+const { getTelegramIdsByTwitterIds, getUsersByTelegramIds } = require('./userService');
+const { getEngagementProvider } = require('./engagementProvider');
+const { recordParticipation } = require('./streakService');
+const { getLevelUps } = require('./levelService');
+const { evaluateAchievements } = require('./achievementService');
+const { getGroupMinRank } = require('./groupSettingsService');
+
+// Actions the final re-check can see again: bookmarks are private, and follows pay once per campaign
+const RECHECKED_ACTIONS = ['like', 'retweet', 'comment', 'quote'];
+
+// Replies are found with Twitter's recent search, which only looks back 7 days
+const REPLY_SEARCH_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the actions already recorded for a raid
+ * Revoked actions are left out, so they are credited again if they are redone.
+ * @param {Raid} raid - Raid instance
+ * @returns {Set<string>} Keys of recorded actions ("<user>:<tweet>:<type>")
+ */
+const getRecordedActions = async (raid) => {
+  const supabase = getSupabase();
+  
+  const { data, error } = await supabase
+    .from('user_actions')
+    .select('user_id, action_type, tweet_id')
+    .eq('raid_id', raid.id)
+    .eq('revoked', false);
+  
+  if (error) throw error;
+  
+  // Actions recorded before multi-tweet raids have no tweet_id and belong to the first tweet
+  return new Set(data.map(action => `${action.user_id}:${action.tweet_id || raid.tweetId}:${action.action_type}`));
+};
+
+/**
+ * Index posts by author, keeping each author's first post
+ * @param {Array<Object>} posts - Replies or quote tweets ({ id, authorId, text, lang, hasMedia, isGif, createdAt })
+ * @returns {Map<string, Object>} First post per Twitter user ID
+ */
+const firstPostByAuthor = (posts) => {
+  const byAuthor = new Map();
+  
+  posts.forEach(post => {
+    if (!byAuthor.has(post.authorId)) byAuthor.set(post.authorId, post);
+  });
+  
+  return byAuthor;
+};
+
+/**
+ * Get the action data recorded for a reply or quote tweet
+ * @param {Object} post - Reply or quote tweet
+ * @returns {Object} Action data for recordUserAction
+ */
+const toActionData = (post) => ({
+  commentText: post.text,
+  lang: post.lang,
+  hasMedia: post.hasMedia,
+  isGif: post.isGif,
+  twitterActionId: post.id,
+  actedAt: post.createdAt
+});
+
+/**
+ * Keep the linked users who may earn XP in a raid's group
+ * @param {Map<string, number>} linkedUsers - Twitter user ID -> Telegram ID
+ * @param {string|null} minRank - Rank the group requires, if any
+ * @returns {Map<string, number>} Linked users who meet the group's requirements
+ */
+const filterEligibleUsers = async (linkedUsers, minRank) => {
+  if (!minRank || linkedUsers.size === 0) {
+    return linkedUsers;
+  }
+  
+  const users = await getUsersByTelegramIds(Array.from(linkedUsers.values()));
+  const eligible = new Set(users
+    .filter(user => new User(user).checkEligibility({ minRank }).eligible)
+    .map(user => String(user.telegram_id)));
+  
+  return new Map(Array.from(linkedUsers).filter(([, telegramId]) => eligible.has(String(telegramId))));
+};
+
+/**
+ * Record every action by linked users on a raid's tweets
+ * Likes are recorded first so later actions aren't penalised for a missing like.
+ * A user's first reply counts as their comment and their first quote tweet as their quote.
+ * Users below the group's minimum rank are left out.
+ * @param {Raid} raid - Active raid
+ * @returns {Object} { recorded: number of new actions, complete: false if a page limit was hit, levelUps, unlocks }
+ */
+const sweepRaid = async (raid) => {
+  if (!getSupabase()) {
+    logger.error(`Cannot sweep raid ${raid.id}: Supabase is not connected`);
+    return { recorded: 0, complete: false, levelUps: [], unlocks: [] };
+  }
+  
+  const recordedActions = await getRecordedActions(raid);
+  const minRank = await getGroupMinRank(raid.chatId);
+  // XP credited per user, to tell who reached a new level
+  const creditedXp = new Map();
+  let recorded = 0;
+  let complete = true;
+  
+  for (const tweet of raid.tweets) {
+    const engagers = await getEngagementProvider().getTweetEngagers(tweet.tweetId, {
+      since: raid.startTime,
+      maxPages: config.raids.sweepMaxPages
+    });
+    
+    complete = complete && engagers.complete;
+    
+    const likers = new Set(engagers.likers);
+    const retweeters = new Set(engagers.retweeters);
+    const comments = firstPostByAuthor(engagers.replies);
+    const quotes = firstPostByAuthor(engagers.quotes);
+    
+    const linkedUsers = await filterEligibleUsers(await getTelegramIdsByTwitterIds([
+      ...new Set([...likers, ...retweeters, ...comments.keys(), ...quotes.keys()])
+    ]), minRank);
+    
+    for (const [twitterId, telegramId] of linkedUsers) {
+      const actions = [];
+      
+      if (likers.has(twitterId)) actions.push(['like', {}]);
+      if (retweeters.has(twitterId)) actions.push(['retweet', {}]);
+      if (comments.has(twitterId)) actions.push(['comment', toActionData(comments.get(twitterId))]);
+      if (quotes.has(twitterId)) actions.push(['quote', toActionData(quotes.get(twitterId))]);
+      
+      for (const [actionType, actionData] of actions) {
+        const key = `${telegramId}:${tweet.tweetId}:${actionType}`;
+        
+        if (recordedActions.has(key)) continue;
+        
+        const result = await raid.recordUserAction(telegramId, actionType, {
+          ...actionData,
+          verified: true,
+          tweetId: tweet.tweetId
+        });
+        
+        if (result.success) {
+          recordedActions.add(key);
+          creditedXp.set(telegramId, (creditedXp.get(telegramId) || 0) + result.xpEarned);
+          recorded++;
+        }
+      }
+    }
+  }
+  
+  // Credited raiders keep their streaks going as if they had verified
+  for (const telegramId of creditedXp.keys()) {
+    const streaks = await recordParticipation(telegramId, raid);
+    const bonusXp = streaks.reduce((sum, streak) => sum + streak.bonusXp, 0);
+    
+    creditedXp.set(telegramId, creditedXp.get(telegramId) + bonusXp);
+  }
+  
+  const levelUps = await getLevelUps(creditedXp);
+  const unlocks = [];
+  
+  for (const telegramId of creditedXp.keys()) {
+    const achievements = await evaluateAchievements(telegramId, raid.chatId, { raidId: raid.id });
+    
+    if (achievements.length > 0) {
+      unlocks.push({ telegramId, achievements });
+    }
+  }
+  
+  logger.info(`Swept raid ${raid.id}: recorded ${recorded} actions${complete ? '' : ' (page limit reached)'}`);
+  return { recorded, complete, levelUps, unlocks };
+};
+
+/**
+ * Get the verified actions of a raid that haven't been revoked, with the raider's Twitter ID
+ * @param {Raid} raid - Raid instance
+ * @returns {Array<Object>} user_actions rows ({ id, user_id, action_type, tweet_id, xp_earned, twitter_action_id, user })
+ */
+const getRecheckableActions = async (raid) => {
+  const supabase = getSupabase();
+  
+  const { data, error } = await supabase
+    .from('user_actions')
+    .select(`
+      id,
+      user_id,
+      action_type,
+      tweet_id,
+      xp_earned,
+      twitter_action_id,
+      user:user_id (
+        twitter_id
+      )
+    `)
+    .eq('raid_id', raid.id)
+    .eq('verified', true)
+    .eq('revoked', false)
+    .in('action_type', RECHECKED_ACTIONS);
+  
+  if (error) throw error;
+  
+  return data;
+};
+
+/**
+ * Check if a recorded action can still be seen on its tweet
+ * Comments and quotes are matched by the post recorded for them, or by author for older actions.
+ * @param {Object} action - Recorded action
+ * @param {string} twitterId - Raider's Twitter user ID
+ * @param {Object} engagers - The tweet's engagers, as sets ({ likers, retweeters, replyIds, replyAuthors, quoteIds, quoteAuthors })
+ * @returns {boolean} True if the action is still there
+ */
+const isStillThere = (action, twitterId, engagers) => {
+  switch (action.action_type) {
+    case 'like':
+      return engagers.likers.has(twitterId);
+    case 'retweet':
+      return engagers.retweeters.has(twitterId);
+    case 'comment':
+      return action.twitter_action_id ?
+        engagers.replyIds.has(action.twitter_action_id) :
+        engagers.replyAuthors.has(twitterId);
+    case 'quote':
+      return action.twitter_action_id ?
+        engagers.quoteIds.has(action.twitter_action_id) :
+        engagers.quoteAuthors.has(twitterId);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Re-check a raid's verified actions and revoke the ones that were undone
+ * Unliked and un-retweeted tweets and deleted comments and quote tweets lose their XP.
+ * Nothing is revoked on a tweet whose engagement couldn't be read in full, for raiders
+ * who unlinked their Twitter account, or for comments older than the reply search reaches.
+ * @param {Raid} raid - Raid instance (active or ended)
+ * @returns {Object} { revoked: revoked actions ({ telegramId, tweetId, action, xpRevoked }),
+ *   complete: false if a tweet was skipped }
+ */
+const recheckRaid = async (raid) => {
+  if (!getSupabase()) {
+    logger.error(`Cannot re-check raid ${raid.id}: Supabase is not connected`);
+    return { revoked: [], complete: false };
+  }
+  
+  const actions = await getRecheckableActions(raid);
+  const checkReplies = Date.now() - new Date(raid.startTime).getTime() < REPLY_SEARCH_WINDOW;
+  const revoked = [];
+  let complete = true;
+  
+  for (const tweet of raid.tweets) {
+    // Actions recorded before multi-tweet raids have no tweet_id and belong to the first tweet
+    const tweetActions = actions.filter(action =>
+      (action.tweet_id || raid.tweetId) === tweet.tweetId &&
+      action.user && action.user.twitter_id &&
+      (checkReplies || action.action_type !== 'comment'));
+    
+    if (tweetActions.length === 0) continue;
+    
+    const engagers = await getEngagementProvider().getTweetEngagers(tweet.tweetId, {
+      since: raid.startTime,
+      maxPages: config.raids.recheckMaxPages
+    });
+    
+    if (!engagers.complete) {
+      logger.warn(`Skipped the re-check of tweet ${tweet.tweetId} in raid ${raid.id}: page limit reached`);
+      complete = false;
+      continue;
+    }
+    
+    const current = {
+      likers: new Set(engagers.likers.map(String)),
+      retweeters: new Set(engagers.retweeters.map(String)),
+      replyIds: new Set(engagers.replies.map(post => post.id)),
+      replyAuthors: new Set(engagers.replies.map(post => String(post.authorId))),
+      quoteIds: new Set(engagers.quotes.map(post => post.id)),
+      quoteAuthors: new Set(engagers.quotes.map(post => String(post.authorId)))
+    };
+    
+    for (const action of tweetActions) {
+      if (isStillThere(action, String(action.user.twitter_id), current)) continue;
+      
+      const result = await raid.revokeUserAction(action);
+      
+      if (result.success) {
+        revoked.push({
+          telegramId: action.user_id,
+          tweetId: tweet.tweetId,
+          action: action.action_type,
+          xpRevoked: result.xpRevoked
+        });
+      }
+    }
+  }
+  
+  logger.info(`Re-checked raid ${raid.id}: revoked ${revoked.length} of ${actions.length} actions${complete ? '' : ' (some tweets skipped)'}`);
+  return { revoked, complete };
+};
+
+module.exports = {
+  sweepRaid,
+  recheckRaid
+};
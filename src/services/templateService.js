@@ -0,0 +1,376 @@
+/**
+ * Template Service
+ * Stores named raid configurations per chat so admins can launch raids
+ * without going through the /dropraid wizard every time
+ */
+
+const logger = require('../utils/logger');
+const { getSupabase } = require('./supabaseService');
+
+// Template names are short, case-insensitive identifiers
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Normalize a template name typed by an admin
+ * @param {string} name - Raw name
+ * @returns {string|null} Lowercase name, or null if it isn't a valid name
+ */
+const normalizeTemplateName = (name) => {
+  const normalized = (name || '').trim().toLowerCase();
+  return TEMPLATE_NAME_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Convert a database row into a template object
+ * @param {Object} row - Row from the raid_templates table
+ * @returns {Object} Template object
+ */
+const toTemplate = (row) => ({
+  id: row.id,
+  chatId: row.chat_id,
+  name: row.name,
+  config: row.config || {},
+  isDefault: row.is_default,
+  createdBy: row.created_by
+});
+
+/**
+ * Save a raid configuration as a named template
+ * Saving under an existing name replaces that template's configuration.
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} name - Normalized template name
+ * @param {Object} templateConfig - Raid configuration (token, reward model, duration, targets, ...)
+ * @param {number} createdBy - Admin's Telegram user ID
+ * @returns {Object|null} Saved template or null on failure
+ */
+const saveTemplate = async (chatId, name, templateConfig, createdBy) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot save template ${name}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('raid_templates')
+      .upsert({
+        chat_id: chatId,
+        name,
+        config: templateConfig,
+        created_by: createdBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id,name' })
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(`Error saving template ${name} in chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    logger.info(`Saved raid template ${name} in chat ${chatId}`);
+    return toTemplate(row);
+  } catch (error) {
+    logger.error(`Error saving template ${name}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get a chat's template by name
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} name - Normalized template name
+ * @returns {Object|null} Template or null if not found
+ */
+const getTemplate = async (chatId, name) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get template ${name}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('raid_templates')
+      .select('*')
+      .eq('chat_id', chatId)
+      .eq('name', name)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting template ${name} in chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    return row ? toTemplate(row) : null;
+  } catch (error) {
+    logger.error(`Error getting template ${name}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get a template by ID
+ * @param {number} id - Template ID
+ * @returns {Object|null} Template or null if not found
+ */
+const getTemplateById = async (id) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get template ${id}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('raid_templates')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting template ${id}: ${error.message}`);
+      return null;
+    }
+    
+    return row ? toTemplate(row) : null;
+  } catch (error) {
+    logger.error(`Error getting template ${id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get the default template for a chat
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object|null} Default template or null if none is set
+ */
+const getDefaultTemplate = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get default template for chat ${chatId}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('raid_templates')
+      .select('*')
+      .eq('chat_id', chatId)
+      .eq('is_default', true)
+      .maybeSingle();
+    
+    if (error) {
+      logger.error(`Error getting default template for chat ${chatId}: ${error.message}`);
+      return null;
+    }
+    
+    return row ? toTemplate(row) : null;
+  } catch (error) {
+    logger.error(`Error getting default template for chat ${chatId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * List a chat's templates
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Array} Templates sorted by name
+ */
+const listTemplates = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot list templates for chat ${chatId}: Supabase is not connected`);
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('raid_templates')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('name', { ascending: true });
+    
+    if (error) {
+      logger.error(`Error listing templates for chat ${chatId}: ${error.message}`);
+      return [];
+    }
+    
+    return data.map(toTemplate);
+  } catch (error) {
+    logger.error(`Error listing templates for chat ${chatId}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Rename a template
+ * @param {number} id - Template ID
+ * @param {string} name - New normalized name (must not be taken in the chat)
+ * @returns {Object|null} Renamed template or null on failure
+ */
+const renameTemplate = async (id, name) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot rename template ${id}: Supabase is not connected`);
+      return null;
+    }
+    
+    const { data: row, error } = await supabase
+      .from('raid_templates')
+      .update({ name, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(`Error renaming template ${id} to ${name}: ${error.message}`);
+      return null;
+    }
+    
+    return toTemplate(row);
+  } catch (error) {
+    logger.error(`Error renaming template ${id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Make a template the chat's default, or clear the default
+ * @param {number} chatId - Telegram chat ID
+ * @param {number|null} id - Template ID, or null to clear the default
+ * @returns {boolean} Success status
+ */
+const setDefaultTemplate = async (chatId, id) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot set default template for chat ${chatId}: Supabase is not connected`);
+      return false;
+    }
+    
+    // Only one default per chat
+    const { error: clearError } = await supabase
+      .from('raid_templates')
+      .update({ is_default: false, updated_at: new Date().toISOString() })
+      .eq('chat_id', chatId)
+      .eq('is_default', true);
+    
+    if (clearError) {
+      logger.error(`Error clearing default template for chat ${chatId}: ${clearError.message}`);
+      return false;
+    }
+    
+    if (id === null) {
+      return true;
+    }
+    
+    const { error } = await supabase
+      .from('raid_templates')
+      .update({ is_default: true, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('chat_id', chatId);
+    
+    if (error) {
+      logger.error(`Error setting default template ${id} for chat ${chatId}: ${error.message}`);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error setting default template for chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Delete a template
+ * @param {number} id - Template ID
+ * @returns {boolean} Success status
+ */
+const deleteTemplate = async (id) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot delete template ${id}: Supabase is not connected`);
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('raid_templates')
+      .delete()
+      .eq('id', id);
+    
+    if (error) {
+      logger.error(`Error deleting template ${id}: ${error.message}`);
+      return false;
+    }
+    
+    logger.info(`Deleted raid template ${id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting template ${id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Build createRaid input from a template
+ * Template targets apply to every tweet of a multi-tweet raid.
+ * @param {Object} template - Template
+ * @param {Object} raidInfo - { tweetUrls, chatId, adminId }
+ * @returns {Object} Raid data for raidService.createRaid
+ */
+const templateToRaidData = (template, { tweetUrls, chatId, adminId }) => {
+  const { config: tpl } = template;
+  const targets = {
+    targetLikes: tpl.targetLikes || 0,
+    targetRetweets: tpl.targetRetweets || 0,
+    targetComments: tpl.targetComments || 0
+  };
+  
+  return {
+    tweetUrl: tweetUrls[0],
+    tweets: tweetUrls.length > 1 ?
+      tweetUrls.map(tweetUrl => ({ tweetUrl, xpWeight: 1, ...targets })) :
+      [],
+    ...targets,
+    adminId,
+    chatId,
+    tokenType: tpl.tokenType,
+    tokenSymbol: tpl.tokenSymbol,
+    tokenPerXp: tpl.rewardModel === 'fixed' ? tpl.tokenPerXp : null,
+    totalReward: tpl.rewardModel === 'pool' ? tpl.totalReward : null,
+    thresholdXp: tpl.thresholdXp || 0,
+    duration: tpl.duration,
+    description: tpl.description || '',
+    requireVerification: tpl.requireVerification !== false,
+    lockChat: tpl.lockChat || false,
+    commentRules: tpl.commentRules || null,
+    followAccount: tpl.followAccount || null,
+    xpWeights: tpl.xpWeights || null,
+    xpCurve: tpl.xpCurve || null
+  };
+};
+
+module.exports = {
+  normalizeTemplateName,
+  saveTemplate,
+  getTemplate,
+  getTemplateById,
+  getDefaultTemplate,
+  listTemplates,
+  renameTemplate,
+  setDefaultTemplate,
+  deleteTemplate,
+  templateToRaidData
+};
@@ -0,0 +1,136 @@
+/**
+ * Twitter Engagement Provider
+ * Engagement provider backed by the Twitter API: tweets and public engagement
+ * are read with the app client, a user's own activity with their token.
+ */
+
+const twitterService = require('./twitterService');
+
+/**
+ * Get a tweet with its author
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { priority }
+ * @returns {Object} Tweet data
+ */
+const getTweet = async (tweetId, options = {}) => {
+  const [tweet] = await twitterService.getTweetsInfo([tweetId], options);
+  return tweet;
+};
+
+/**
+ * Get several tweets with their authors
+ * @param {Array<string>} tweetIds - Tweet IDs (up to 100)
+ * @param {Object} options - { priority }
+ * @returns {Array<Object>} Tweet data in the same order
+ */
+const getTweets = async (tweetIds, options = {}) => {
+  return await twitterService.getTweetsInfo(tweetIds, options);
+};
+
+/**
+ * Look up an account by its handle
+ * @param {string} username - Handle, with or without the leading @
+ * @returns {Object} Account ({ id, username, name })
+ */
+const getUser = async (username) => {
+  return await twitterService.getUserByUsername(username);
+};
+
+/**
+ * Get the users who liked a tweet
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { maxPages, priority }
+ * @returns {Object} { likers, complete }
+ */
+const getLikers = async (tweetId, options = {}) => {
+  const { likers, complete } = await twitterService.getTweetEngagers(tweetId, { ...options, lists: ['likers'] });
+  return { likers, complete };
+};
+
+/**
+ * Get the users who retweeted a tweet
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { maxPages, priority }
+ * @returns {Object} { retweeters, complete }
+ */
+const getRetweeters = async (tweetId, options = {}) => {
+  const { retweeters, complete } = await twitterService.getTweetEngagers(tweetId, { ...options, lists: ['retweeters'] });
+  return { retweeters, complete };
+};
+
+/**
+ * Get the direct replies to a tweet
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { since, maxPages, priority }
+ * @returns {Object} { replies, complete }
+ */
+const getReplies = async (tweetId, options = {}) => {
+  const { replies, complete } = await twitterService.getTweetEngagers(tweetId, { ...options, lists: ['replies'] });
+  return { replies, complete };
+};
+
+/**
+ * Get everyone who engaged with a tweet
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { since, maxPages, priority }
+ * @returns {Object} { likers, retweeters, replies, quotes, complete }
+ */
+const getTweetEngagers = async (tweetId, options = {}) => {
+  return await twitterService.getTweetEngagers(tweetId, options);
+};
+
+/**
+ * Get a user's engagement with tweets, read with their own token
+ * @param {User} user - User with a connected Twitter account
+ * @param {Array<string>} tweetIds - Tweet IDs to check
+ * @param {Object} options - { since, maxPages, bookmarks, priority, onQueued }
+ * @returns {Object|null} Engagement keyed by tweet ID, or null without a Twitter client (Twitter errors are thrown)
+ */
+const getUserEngagement = async (user, tweetIds, options = {}) => {
+  return await twitterService.getUserEngagement(user.telegramId, tweetIds, options);
+};
+
+/**
+ * Check if a user liked a tweet
+ * @param {User} user - User with a connected Twitter account
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { since, maxPages }
+ * @returns {Object} { liked, complete }
+ */
+const hasLiked = async (user, tweetId, options = {}) => {
+  return await twitterService.hasUserLikedTweet(user.telegramId, tweetId, options);
+};
+
+/**
+ * Check if a user follows an account
+ * @param {User} user - User with a connected Twitter account
+ * @param {string} accountId - Twitter user ID of the account
+ * @param {Object} options - { maxPages, priority, onQueued }
+ * @returns {Object|null} { following, complete }, or null without a Twitter client (Twitter errors are thrown)
+ */
+const isFollowing = async (user, accountId, options = {}) => {
+  return await twitterService.isUserFollowing(user.telegramId, accountId, options);
+};
+
+/**
+ * Check if a user's bookmarks can be read
+ * Bookmarks are private and need the bookmark.read scope.
+ * @param {User} user - User
+ * @returns {boolean} True if the user granted the scope
+ */
+const canReadBookmarks = (user) => user.hasTwitterScope(twitterService.BOOKMARK_SCOPE);
+
+module.exports = {
+  name: 'twitter',
+  getTweet,
+  getTweets,
+  getUser,
+  getLikers,
+  getRetweeters,
+  getReplies,
+  getTweetEngagers,
+  getUserEngagement,
+  hasLiked,
+  isFollowing,
+  canReadBookmarks
+};
@@ -0,0 +1,243 @@
+/**
+ * Twitter Scheduler
+ * Sits in front of every Twitter client. Rate limits are tracked per endpoint
+ * and token from the x-rate-limit-* headers, requests wait for an exhausted
+ * window to reset instead of failing, rate-limited requests are retried, and
+ * Twitter work is queued so user-facing requests run before background ones.
+ */
+
+const { TwitterApiPluginResponseOverride } = require('twitter-api-v2');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { sleep } = require('../utils/helpers');
+
+/**
+ * Queue priorities (lower runs first)
+ * @enum {number}
+ */
+const RequestPriority = {
+  INTERACTIVE: 0, // A user is waiting on the result (Verify, actions)
+  NORMAL: 1,      // Admin actions (launching and editing raids)
+  BACKGROUND: 2   // Sweeps and announcement refreshes
+};
+
+// Extra wait after a window's reset time, for clock drift between us and Twitter
+const RESET_MARGIN = 1000;
+
+// Last known rate limit per "<token> <method> <endpoint>" ({ limit, remaining, reset })
+const rateLimits = new Map();
+
+// Retries made so far per request, keyed by the request's params object
+const retries = new WeakMap();
+
+// Tasks waiting for a free slot, ordered by priority then arrival
+const queue = [];
+let running = 0;
+let runningBackground = 0;
+let sequence = 0;
+
+/**
+ * Get the rate limit key for a request
+ * Path IDs and usernames are replaced so every call to an endpoint shares its window.
+ * @param {string} tokenKey - Token the request is made with ("app" or "user:<telegramId>")
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @returns {string} Rate limit key
+ */
+const getRateLimitKey = (tokenKey, method, url) => {
+  const endpoint = url.pathname
+    .replace(/\/by\/username\/[^/]+/, '/by/username/:username')
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+  
+  return `${tokenKey} ${(method || 'GET').toUpperCase()} ${endpoint}`;
+};
+
+/**
+ * Create the error thrown when a request can't be made inside the allowed wait
+ * Uses code 429 like Twitter's own rate limit errors, so callers handle both the same way.
+ * @param {string} key - Rate limit key
+ * @param {number} wait - Time until the window resets (ms)
+ * @returns {Error} Rate limit error
+ */
+const rateLimitError = (key, wait) => {
+  const error = new Error(`Twitter rate limit exceeded, resets in ${Math.ceil(wait / 1000)}s`);
+  error.code = 429;
+  logger.warn(`Rate limit for ${key} resets in ${Math.ceil(wait / 1000)}s, longer than the allowed wait`);
+  return error;
+};
+
+/**
+ * Wait until a request fits in its endpoint's rate limit window
+ * Counts the request against the window so concurrent requests see it.
+ * @param {string} key - Rate limit key
+ */
+const waitForWindow = async (key) => {
+  const rateLimit = rateLimits.get(key);
+  
+  if (!rateLimit) return;
+  
+  if (rateLimit.remaining > 0) {
+    rateLimit.remaining--;
+    return;
+  }
+  
+  const wait = rateLimit.reset * 1000 - Date.now();
+  
+  if (wait > 0) {
+    if (wait > config.twitter.maxRateLimitWait) {
+      throw rateLimitError(key, wait);
+    }
+    
+    logger.info(`Rate limit for ${key} reached, waiting ${Math.ceil(wait / 1000)}s for the window to reset`);
+    await sleep(wait + RESET_MARGIN);
+  }
+  
+  // The new window's size is unknown until the next response
+  rateLimits.delete(key);
+};
+
+/**
+ * Remember the rate limit Twitter reported for an endpoint
+ * @param {string} key - Rate limit key
+ * @param {Object} rateLimit - Parsed x-rate-limit-* headers ({ limit, remaining, reset })
+ */
+const saveRateLimit = (key, rateLimit) => {
+  if (rateLimit && rateLimit.reset) {
+    rateLimits.set(key, { ...rateLimit });
+  }
+};
+
+/**
+ * Get how long to wait before retrying a rate-limited request
+ * Waits for the window's reset when Twitter sent one, otherwise backs off exponentially.
+ * @param {Object} rateLimit - Rate limit from the 429 response, if any
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (rateLimit, attempt) => {
+  if (rateLimit && rateLimit.reset) {
+    return Math.max(rateLimit.reset * 1000 - Date.now(), 0) + RESET_MARGIN;
+  }
+  
+  return config.twitter.retryBaseDelay * Math.pow(2, attempt - 1);
+};
+
+/**
+ * Create the plugin that applies rate limits to a Twitter client
+ * Pass it in the client settings: new TwitterApi(token, { plugins: [createRateLimitPlugin(key)] })
+ * @param {string} tokenKey - Token the client uses ("app" or "user:<telegramId>")
+ * @returns {Object} twitter-api-v2 client plugin
+ */
+const createRateLimitPlugin = (tokenKey) => ({
+  onBeforeRequestConfig: async ({ url, params }) => {
+    await waitForWindow(getRateLimitKey(tokenKey, params.method, url));
+  },
+  
+  onAfterRequest: ({ url, params, response }) => {
+    saveRateLimit(getRateLimitKey(tokenKey, params.method, url), response.rateLimit);
+  },
+  
+  onResponseError: async ({ client, url, params, error }) => {
+    const key = getRateLimitKey(tokenKey, params.method, url);
+    saveRateLimit(key, error.rateLimit);
+    
+    if (!error.rateLimitError) return;
+    
+    const attempt = (retries.get(params) || 0) + 1;
+    const delay = getRetryDelay(error.rateLimit, attempt);
+    
+    // Give up and let the caller report the rate limit
+    if (attempt > config.twitter.maxRetries || delay > config.twitter.maxRateLimitWait) return;
+    
+    retries.set(params, attempt);
+    logger.info(`Rate limited on ${key}, retry ${attempt} in ${Math.ceil(delay / 1000)}s`);
+    await sleep(delay);
+    
+    // The window has reset (or the backoff passed), so the retry shouldn't wait again
+    rateLimits.delete(key);
+    return new TwitterApiPluginResponseOverride(await client.send(params));
+  }
+});
+
+/**
+ * Get how many slots background tasks may hold at once
+ * Background tasks can wait minutes on a rate limit window while holding their
+ * slot, so at least one slot is always left for interactive and admin work
+ * (config requires two or more slots), and background work always gets one.
+ * @returns {number} Background slots
+ */
+const getBackgroundSlots = () => Math.max(
+  Math.min(config.twitter.maxBackgroundRequests, config.twitter.maxConcurrentRequests - 1),
+  1
+);
+
+/**
+ * Check if a queued task may take a free slot
+ * @param {Object} entry - Queued task
+ * @returns {boolean} True unless it's a background task and the background slots are taken
+ */
+const canStart = (entry) =>
+  entry.priority < RequestPriority.BACKGROUND || runningBackground < getBackgroundSlots();
+
+/**
+ * Start queued tasks while there are free slots
+ */
+const runQueued = () => {
+  while (running < config.twitter.maxConcurrentRequests) {
+    const index = queue.findIndex(canStart);
+    
+    if (index === -1) break;
+    
+    const [entry] = queue.splice(index, 1);
+    const background = entry.priority >= RequestPriority.BACKGROUND;
+    
+    running++;
+    if (background) runningBackground++;
+    
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        running--;
+        if (background) runningBackground--;
+        runQueued();
+      });
+  }
+};
+
+/**
+ * Run Twitter work when a slot is free, in priority order
+ * Tasks shouldn't schedule further work themselves, or they could wait on a slot they hold.
+ * @param {Function} task - Async function making the Twitter requests
+ * @param {Object} options - { priority (RequestPriority, default NORMAL),
+ *   onQueued: called with the task's 1-based queue position if it has to wait }
+ * @returns {Promise} The task's result
+ */
+const schedule = (task, options = {}) => new Promise((resolve, reject) => {
+  const entry = {
+    task,
+    priority: options.priority !== undefined ? options.priority : RequestPriority.NORMAL,
+    order: sequence++,
+    resolve,
+    reject
+  };
+  
+  queue.push(entry);
+  queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+  
+  if (running >= config.twitter.maxConcurrentRequests && options.onQueued) {
+    const position = queue.indexOf(entry) + 1;
+    
+    Promise.resolve()
+      .then(() => options.onQueued(position))
+      .catch(error => logger.warn(`Error reporting queue position: ${error.message}`));
+  }
+  
+  runQueued();
+});
+
+module.exports = {
+  RequestPriority,
+  createRateLimitPlugin,
+  schedule
+};
@@ -9,10 +9,38 @@ const logger = require('../utils/logger');
 const config = require('../../config/config');
 const { getSupabase } = require('./supabaseService');
 const { linkTwitterAccount } = require('./userService');
+const { RequestPriority, createRateLimitPlugin, schedule } = require('./twitterScheduler');
 
 // Store OAuth states temporarily (should move to database in production)
 const oauthStates = {};
 
+// Lists getTweetEngagers can read
+const ENGAGER_LISTS = ['likers', 'retweeters', 'replies', 'quotes'];
+
+// Scope needed to read a user's bookmarks; accounts connected without it must reconnect
+const BOOKMARK_SCOPE = 'bookmark.read';
+
+// OAuth2 scopes requested when a user connects their account
+const TWITTER_SCOPES = [
+  'tweet.read',
+  'users.read',
+  'like.read',
+  'like.write',
+  'follows.read',
+  'follows.write',
+  BOOKMARK_SCOPE,
+  'offline.access'
+];
+
+/**
+ * Get client settings that route a client's requests through the scheduler
+ * @param {string} tokenKey - Token the client uses ("app" or "user:<telegramId>"), for per-token rate limits
+ * @returns {Object} twitter-api-v2 client settings
+ */
+const getClientSettings = (tokenKey) => ({
+  plugins: [createRateLimitPlugin(tokenKey)]
+});
+
 /**
  * Initialize Twitter client with app credentials
  * @returns {TwitterApi} Twitter API client
@@ -32,13 +60,26 @@ const getTwitterClient = () => {
     return new TwitterApi({
       clientId: clientId,
       clientSecret: clientSecret
-    });
+    }, getClientSettings('app'));
   } catch (error) {
     logger.error(`Error initializing Twitter client: ${error.message}`);
     throw new Error(`Failed to initialize Twitter client: ${error.message}`);
   }
 };
 
+/**
+ * Get a client for read-only lookups made on behalf of the app
+ * Uses the app-only bearer token when one is configured.
+ * @returns {TwitterApi} Twitter API client
+ */
+const getAppClient = () => {
+  if (process.env.TWITTER_BEARER_TOKEN) {
+    return new TwitterApi(process.env.TWITTER_BEARER_TOKEN, getClientSettings('app'));
+  }
+  
+  return getTwitterClient();
+};
+
 /**
  * Generate Twitter authentication URL
  * @param {number} telegramId - User's Telegram ID
@@ -72,15 +113,7 @@ const generateTwitterAuthUrl = async (telegramId) => {
     const authClient = client.generateOAuth2AuthLink(
       callbackUrl,
       {
-        scope: [
-          'tweet.read',
-          'users.read',
-          'like.read',
-          'like.write',
-          'follows.read',
-          'follows.write',
-          'offline.access'
-        ],
+        scope: TWITTER_SCOPES,
         state
       }
     );
@@ -136,7 +169,7 @@ const handleTwitterCallback = async (code, state) => {
     }
     
     // Get access token using PKCE codeVerifier
-    const { client: userClient, accessToken, refreshToken, expiresIn } = await client.loginWithOAuth2({
+    const { client: userClient, accessToken, refreshToken, expiresIn, scope } = await client.loginWithOAuth2({
       code,
       redirectUri: callbackUrl,
       codeVerifier // Use stored PKCE codeVerifier
@@ -155,7 +188,8 @@ const handleTwitterCallback = async (code, state) => {
       username: twitterUser.username,
       accessToken,
       refreshToken,
-      expiresAt: Date.now() + expiresIn * 1000
+      expiresAt: Date.now() + expiresIn * 1000,
+      scopes: scope
     });
     
     // Store additional Twitter user info
@@ -194,11 +228,13 @@ const handleTwitterCallback = async (code, state) => {
 };
 
 /**
- * Get a user-authenticated Twitter client
+ * Get a user-authenticated Twitter client with the user's Twitter ID
+ * The ID is the one stored when the account was linked, since the client
+ * only knows its user after a users/me request.
  * @param {number} telegramId - User's Telegram ID
- * @returns {TwitterApi|null} Authenticated Twitter client or null if not authenticated
+ * @returns {Object|null} { client, twitterId } or null if not authenticated
  */
-const getUserTwitterClient = async (telegramId) => {
+const getUserTwitterAccount = async (telegramId) => {
   try {
     // Get user's Twitter tokens
     const supabase = getSupabase();
@@ -236,7 +272,7 @@ const getUserTwitterClient = async (telegramId) => {
       logger.debug(`Refreshing Twitter token for user ${telegramId}`);
       const client = getTwitterClient();
       try {
-        const { client: refreshedClient, accessToken, refreshToken, expiresIn } = 
+        const { accessToken, refreshToken, expiresIn, scope } = 
           await client.refreshOAuth2Token(user.twitter_refresh_token);
         
         // Update tokens in database
@@ -245,12 +281,16 @@ const getUserTwitterClient = async (telegramId) => {
           .update({
             twitter_token: accessToken,
             twitter_refresh_token: refreshToken,
-            twitter_token_expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
+            twitter_token_expires_at: new Date(Date.now() + expiresIn * 1000).toISOString(),
+            twitter_scopes: scope
           })
           .eq('telegram_id', telegramId);
         
         logger.info(`Twitter token refreshed for user ${telegramId}`);
-        return refreshedClient;
+        return {
+          client: new TwitterApi(accessToken, getClientSettings(`user:${telegramId}`)),
+          twitterId: user.twitter_id
+        };
       } catch (refreshError) {
         logger.error(`Error refreshing Twitter token: ${refreshError.message}`);
         return null;
@@ -259,63 +299,253 @@ const getUserTwitterClient = async (telegramId) => {
     
     // Create client with existing token
     logger.debug(`Creating Twitter client for user ${telegramId} with existing token`);
-    return new TwitterApi(user.twitter_token);
+    return {
+      client: new TwitterApi(user.twitter_token, getClientSettings(`user:${telegramId}`)),
+      twitterId: user.twitter_id
+    };
   } catch (error) {
     logger.error(`Error getting user Twitter client: ${error.message}`);
     return null;
   }
 };
 
+/**
+ * Get a user-authenticated Twitter client
+ * @param {number} telegramId - User's Telegram ID
+ * @returns {TwitterApi|null} Authenticated Twitter client or null if not authenticated
+ */
+const getUserTwitterClient = async (telegramId) => {
+  const account = await getUserTwitterAccount(telegramId);
+  return account ? account.client : null;
+};
+
 /**
  * Get tweet information
  * @param {string} tweetUrl - URL of the tweet
+ * @param {Object} options - { priority: scheduler priority (RequestPriority, default NORMAL) }
  * @returns {Object} Tweet data
  */
-const getTweetInfo = async (tweetUrl) => {
-  try {
-    // Extract tweet ID from URL
-    const tweetId = extractTweetId(tweetUrl);
-    if (!tweetId) {
-      logger.error(`Invalid tweet URL: ${tweetUrl}`);
-      throw new Error('Invalid tweet URL');
+const getTweetInfo = async (tweetUrl, options = {}) => {
+  return await schedule(async () => {
+    try {
+      // Extract tweet ID from URL
+      const tweetId = extractTweetId(tweetUrl);
+      if (!tweetId) {
+        logger.error(`Invalid tweet URL: ${tweetUrl}`);
+        throw new Error('Invalid tweet URL');
+      }
+      
+      logger.info(`Fetching info for tweet ID: ${tweetId}`);
+      const client = getAppClient();
+      
+      try {
+        const { data: tweet, includes } = await client.v2.singleTweet(tweetId, {
+          'tweet.fields': [
+            'created_at',
+            'author_id',
+            'public_metrics',
+            'entities',
+            'attachments'
+          ],
+          'user.fields': ['username', 'name', 'profile_image_url'],
+          'expansions': ['author_id', 'attachments.media_keys'],
+          'media.fields': ['type', 'url', 'preview_image_url']
+        });
+        
+        logger.debug(`Tweet info fetched successfully for ID: ${tweetId}`);
+        
+        // Attach the expanded author so callers can show who posted the tweet
+        const author = includes && includes.users ?
+          includes.users.find(user => user.id === tweet.author_id) :
+          null;
+        
+        return { ...tweet, author: author || null };
+      } catch (tweetError) {
+        // Handle Twitter API errors more specifically
+        if (tweetError.code === 429) {
+          logger.error('Twitter rate limit exceeded, please try again later');
+          throw new Error('Twitter rate limit exceeded, please try again later');
+        } else if (tweetError.code === 401) {
+          logger.error('Twitter authentication error, token may be invalid');
+          throw new Error('Twitter authentication error, please reconnect your account');
+        } else {
+          logger.error(`Twitter API error: ${tweetError.message}`);
+          throw new Error(`Twitter API error: ${tweetError.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error getting tweet info: ${error.message}`);
+      throw new Error(`Failed to fetch tweet information: ${error.message}`);
+    }
+  }, { priority: options.priority });
+};
+
+/**
+ * Get information for several tweets in one request
+ * @param {Array<string>} tweetIds - Tweet IDs (up to 100)
+ * @param {Object} options - { priority: scheduler priority (RequestPriority, default NORMAL) }
+ * @returns {Array<Object>} Tweet data in the same order as tweetIds
+ */
+const getTweetsInfo = async (tweetIds, options = {}) => {
+  return await schedule(async () => {
+    try {
+      const client = getAppClient();
+      
+      try {
+        const { data: tweets, includes, errors } = await client.v2.tweets(tweetIds, {
+          'tweet.fields': ['created_at', 'author_id', 'public_metrics'],
+          'user.fields': ['username', 'name'],
+          'expansions': ['author_id']
+        });
+        
+        const users = includes && includes.users ? includes.users : [];
+        
+        return tweetIds.map(tweetId => {
+          const tweet = (tweets || []).find(t => t.id === tweetId);
+          
+          if (!tweet) {
+            const tweetError = (errors || []).find(e => e.value === tweetId || e.resource_id === tweetId);
+            throw new Error(`Tweet ${tweetId} is unavailable${tweetError ? `: ${tweetError.detail}` : ''}`);
+          }
+          
+          const author = users.find(user => user.id === tweet.author_id);
+          return { ...tweet, author: author || null };
+        });
+      } catch (tweetError) {
+        if (tweetError.code === 429) {
+          logger.error('Twitter rate limit exceeded, please try again later');
+          throw new Error('Twitter rate limit exceeded, please try again later');
+        }
+        throw tweetError;
+      }
+    } catch (error) {
+      logger.error(`Error getting info for tweets ${tweetIds.join(', ')}: ${error.message}`);
+      throw new Error(`Failed to fetch tweet information: ${error.message}`);
     }
+  }, { priority: options.priority });
+};
+
+/**
+ * Look up a Twitter account by its handle
+ * @param {string} username - Handle, with or without the leading @
+ * @returns {Object} User data ({ id, username, name })
+ */
+const getUserByUsername = async (username) => {
+  return await schedule(async () => {
+    const handle = username.replace(/^@/, '');
     
-    logger.info(`Fetching info for tweet ID: ${tweetId}`);
-    const client = getTwitterClient();
+    try {
+      const client = getAppClient();
+      const { data: user, errors } = await client.v2.userByUsername(handle);
+      
+      if (!user) {
+        throw new Error(errors && errors.length ? errors[0].detail : `@${handle} was not found`);
+      }
+      
+      return user;
+    } catch (error) {
+      logger.error(`Error looking up Twitter user @${handle}: ${error.message}`);
+      throw new Error(`Failed to find Twitter account @${handle}: ${error.message}`);
+    }
+  }, { priority: RequestPriority.NORMAL });
+};
+
+/**
+ * Read further pages of a paginator, up to a page limit
+ * @param {Object} paginator - twitter-api-v2 paginator (first page already fetched)
+ * @param {number} maxPages - Maximum number of pages to hold, including the first
+ * @param {Function} isFinished - Optional check that ends the search early once it has what it needs
+ * @returns {boolean} True if the search ran to completion, false if it stopped at the page limit
+ */
+const readPages = async (paginator, maxPages, isFinished = () => false) => {
+  let pages = 1;
+  
+  while (!paginator.done && !isFinished() && pages < maxPages) {
+    await paginator.fetchNext();
+    pages++;
+  }
+  
+  return paginator.done || isFinished();
+};
+
+/**
+ * Get everyone who engaged with a tweet, using the app client
+ * Pages through liking users, retweeters, direct replies and quote tweets.
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} options - { since: only replies after this time, maxPages: page limit per list,
+ *   lists: which of ENGAGER_LISTS to read (default all; the others come back empty), priority (default BACKGROUND) }
+ * @returns {Object} { likers, retweeters, replies, quotes, complete } where likers and
+ *   retweeters are Twitter user IDs, replies and quotes are { id, authorId, text, lang, hasMedia, isGif, createdAt },
+ *   and complete is false if a page limit cut a list short
+ */
+const getTweetEngagers = async (tweetId, options = {}) => {
+  return await schedule(async () => {
+    const maxPages = options.maxPages || 1;
     
     try {
-      const { data: tweet } = await client.v2.singleTweet(tweetId, {
-        'tweet.fields': [
-          'created_at',
-          'author_id',
-          'public_metrics',
-          'entities',
-          'attachments'
-        ],
-        'user.fields': ['username', 'name', 'profile_image_url'],
-        'expansions': ['author_id', 'attachments.media_keys'],
-        'media.fields': ['type', 'url', 'preview_image_url']
-      });
+      const client = getAppClient();
+      const tweetOptions = {
+        max_results: 100,
+        'tweet.fields': ['author_id', 'referenced_tweets', 'attachments', 'lang', 'created_at'],
+        expansions: ['attachments.media_keys'],
+        'media.fields': ['type']
+      };
+      
+      const readers = {
+        likers: () => client.v2.tweetLikedBy(tweetId, { asPaginator: true, max_results: 100 }),
+        retweeters: () => client.v2.tweetRetweetedBy(tweetId, { asPaginator: true, max_results: 100 }),
+        replies: () => client.v2.search(`conversation_id:${tweetId} is:reply`, {
+          ...tweetOptions,
+          start_time: options.since ? new Date(options.since).toISOString() : undefined
+        }),
+        quotes: () => client.v2.quotes(tweetId, tweetOptions)
+      };
+      
+      const paginators = {};
+      let complete = true;
+      
+      for (const list of options.lists || ENGAGER_LISTS) {
+        paginators[list] = await readers[list]();
+        complete = await readPages(paginators[list], maxPages) && complete;
+      }
+      
+      const { likers: likedBy, retweeters: retweetedBy, replies: replySearch, quotes: quoteTimeline } = paginators;
       
-      logger.debug(`Tweet info fetched successfully for ID: ${tweetId}`);
-      return tweet;
-    } catch (tweetError) {
-      // Handle Twitter API errors more specifically
-      if (tweetError.code === 429) {
+      const toPost = (paginator) => (tweet) => {
+        const media = paginator.includes.medias(tweet);
+        return {
+          id: tweet.id,
+          authorId: tweet.author_id,
+          text: tweet.text,
+          lang: tweet.lang,
+          hasMedia: media.length > 0,
+          isGif: media.some(item => item.type === 'animated_gif'),
+          createdAt: tweet.created_at
+        };
+      };
+      
+      // The conversation also holds replies to replies; only direct replies count
+      const isDirectReply = (tweet) =>
+        tweet.referenced_tweets &&
+        tweet.referenced_tweets.some(ref => ref.type === 'replied_to' && ref.id === tweetId);
+      
+      return {
+        likers: likedBy ? likedBy.users.map(user => user.id) : [],
+        retweeters: retweetedBy ? retweetedBy.users.map(user => user.id) : [],
+        replies: replySearch ? replySearch.tweets.filter(isDirectReply).map(toPost(replySearch)) : [],
+        quotes: quoteTimeline ? quoteTimeline.tweets.map(toPost(quoteTimeline)) : [],
+        complete
+      };
+    } catch (error) {
+      if (error.code === 429) {
         logger.error('Twitter rate limit exceeded, please try again later');
         throw new Error('Twitter rate limit exceeded, please try again later');
-      } else if (tweetError.code === 401) {
-        logger.error('Twitter authentication error, token may be invalid');
-        throw new Error('Twitter authentication error, please reconnect your account');
-      } else {
-        logger.error(`Twitter API error: ${tweetError.message}`);
-        throw new Error(`Twitter API error: ${tweetError.message}`);
       }
+      
+      logger.error(`Error getting engagers of tweet ${tweetId}: ${error.message}`);
+      throw new Error(`Failed to fetch tweet engagement: ${error.message}`);
     }
-  } catch (error) {
-    logger.error(`Error getting tweet info: ${error.message}`);
-    throw new Error(`Failed to fetch tweet information: ${error.message}`);
-  }
+  }, { priority: options.priority !== undefined ? options.priority : RequestPriority.BACKGROUND });
 };
 
 /**
@@ -353,20 +583,22 @@ const extractTweetId = (url) => {
  * @returns {boolean} Success status
  */
 const likeTweet = async (telegramId, tweetId) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot like tweet: No Twitter client for user ${telegramId}`);
+  return await schedule(async () => {
+    try {
+      const account = await getUserTwitterAccount(telegramId);
+      if (!account) {
+        logger.warn(`Cannot like tweet: No Twitter client for user ${telegramId}`);
+        return false;
+      }
+      
+      logger.info(`User ${telegramId} liking tweet ${tweetId}`);
+      await account.client.v2.like(account.twitterId, tweetId);
+      return true;
+    } catch (error) {
+      logger.error(`Error liking tweet: ${error.message}`);
       return false;
     }
-    
-    logger.info(`User ${telegramId} liking tweet ${tweetId}`);
-    await userClient.v2.like(userClient.currentUser.id, tweetId);
-    return true;
-  } catch (error) {
-    logger.error(`Error liking tweet: ${error.message}`);
-    return false;
-  }
+  }, { priority: RequestPriority.INTERACTIVE });
 };
 
 /**
@@ -376,20 +608,22 @@ const likeTweet = async (telegramId, tweetId) => {
  * @returns {boolean} Success status
  */
 const retweetTweet = async (telegramId, tweetId) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot retweet: No Twitter client for user ${telegramId}`);
+  return await schedule(async () => {
+    try {
+      const account = await getUserTwitterAccount(telegramId);
+      if (!account) {
+        logger.warn(`Cannot retweet: No Twitter client for user ${telegramId}`);
+        return false;
+      }
+      
+      logger.info(`User ${telegramId} retweeting tweet ${tweetId}`);
+      await account.client.v2.retweet(account.twitterId, tweetId);
+      return true;
+    } catch (error) {
+      logger.error(`Error retweeting tweet: ${error.message}`);
       return false;
     }
-    
-    logger.info(`User ${telegramId} retweeting tweet ${tweetId}`);
-    await userClient.v2.retweet(userClient.currentUser.id, tweetId);
-    return true;
-  } catch (error) {
-    logger.error(`Error retweeting tweet: ${error.message}`);
-    return false;
-  }
+  }, { priority: RequestPriority.INTERACTIVE });
 };
 
 /**
@@ -401,124 +635,272 @@ const retweetTweet = async (telegramId, tweetId) => {
  * @returns {Object|null} Created tweet or null on failure
  */
 const replyToTweet = async (telegramId, tweetId, text, mediaIds = []) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot reply to tweet: No Twitter client for user ${telegramId}`);
+  return await schedule(async () => {
+    try {
+      const userClient = await getUserTwitterClient(telegramId);
+      if (!userClient) {
+        logger.warn(`Cannot reply to tweet: No Twitter client for user ${telegramId}`);
+        return null;
+      }
+      
+      logger.info(`User ${telegramId} replying to tweet ${tweetId}`);
+      const { data } = await userClient.v2.reply(
+        text,
+        tweetId,
+        {
+          media: { media_ids: mediaIds.length > 0 ? mediaIds : undefined }
+        }
+      );
+      
+      return data;
+    } catch (error) {
+      logger.error(`Error replying to tweet: ${error.message}`);
       return null;
     }
+  }, { priority: RequestPriority.INTERACTIVE });
+};
+
+/**
+ * Get a user's engagement with one or more tweets
+ * Reads the user's likes and timeline once and checks every tweet against
+ * them, so multi-tweet raids cost the same API calls as one tweet.
+ * The timeline is read back to options.since; likes and bookmarks carry no
+ * timestamps, so they are read until every tweet is found. Either way no
+ * more than options.maxPages pages (of 100) are read per list, and each
+ * result reports whether its search ran to completion, so a miss in a
+ * search cut short can be told apart from a confirmed miss.
+ * Bookmarks are private and are only read when asked for, since they need
+ * the user to have granted the bookmark.read scope.
+ * Twitter errors, such as a rate limit (code 429) or a network failure, are
+ * thrown, so callers can tell a failed lookup from a user with no client.
+ * @param {number} telegramId - User's Telegram ID
+ * @param {Array<string>} tweetIds - Tweet IDs to check
+ * @param {Object} options - Lookup options
+ * @param {Date|string} options.since - Only look at tweets posted after this time (usually the raid's start)
+ * @param {number} options.maxPages - Page limit per list (defaults to config.raids.verifyMaxPages)
+ * @param {boolean} options.bookmarks - Whether to check the user's bookmarks
+ * @param {number} options.priority - Scheduler priority (RequestPriority, default INTERACTIVE)
+ * @param {Function} options.onQueued - Called with the queue position if the lookup has to wait for a slot
+ * @returns {Object|null} Engagement keyed by tweet ID ({ liked, retweeted, replies, quotes, bookmarked, complete }),
+ *   where complete holds a flag per action type, or null if the user has no Twitter client
+ */
+const getUserEngagement = async (telegramId, tweetIds, options = {}) => {
+  return await schedule(async () => {
+    const maxPages = options.maxPages || config.raids.verifyMaxPages;
     
-    logger.info(`User ${telegramId} replying to tweet ${tweetId}`);
-    const { data } = await userClient.v2.reply(
-      text,
-      tweetId,
-      {
-        media: { media_ids: mediaIds.length > 0 ? mediaIds : undefined }
+    try {
+      const account = await getUserTwitterAccount(telegramId);
+      if (!account) {
+        logger.warn(`Cannot check engagement: No Twitter client for user ${telegramId}`);
+        return null;
       }
-    );
-    
-    return data;
-  } catch (error) {
-    logger.error(`Error replying to tweet: ${error.message}`);
-    return null;
-  }
+      
+      const { client: userClient, twitterId: userId } = account;
+      logger.debug(`Checking engagement of user ${telegramId} with tweets ${tweetIds.join(', ')}`);
+      
+      const includesAll = (paginator) => () => {
+        const ids = new Set(paginator.tweets.map(tweet => tweet.id));
+        return tweetIds.every(tweetId => ids.has(tweetId));
+      };
+      
+      // Get user's liked tweets
+      const likedPages = await userClient.v2.userLikedTweets(userId, {
+        max_results: 100
+      });
+      const likesComplete = await readPages(likedPages, maxPages, includesAll(likedPages));
+      const likedIds = new Set(likedPages.tweets.map(tweet => tweet.id));
+      
+      // Get user's bookmarks (null when not checked)
+      let bookmarkedIds = null;
+      let bookmarksComplete = null;
+      if (options.bookmarks) {
+        const bookmarkPages = await userClient.v2.bookmarks({
+          max_results: 100
+        });
+        bookmarksComplete = await readPages(bookmarkPages, maxPages, includesAll(bookmarkPages));
+        bookmarkedIds = new Set(bookmarkPages.tweets.map(tweet => tweet.id));
+      }
+      
+      // There's no direct API for checking retweets, replies or quotes, so we get
+      // the user's tweets since the raid started and look at what they reference
+      const timeline = await userClient.v2.userTimeline(userId, {
+        max_results: 100,
+        start_time: options.since ? new Date(options.since).toISOString() : undefined,
+        'tweet.fields': ['referenced_tweets', 'text', 'attachments', 'lang', 'created_at'],
+        expansions: ['attachments.media_keys'],
+        'media.fields': ['type', 'url']
+      });
+      
+      const references = (tweet, type, tweetId) => 
+        tweet.referenced_tweets && 
+        tweet.referenced_tweets.some(ref => ref.type === type && ref.id === tweetId);
+      
+      // Stop early once every tweet has been retweeted, replied to and quoted
+      const timelineComplete = await readPages(timeline, maxPages, () =>
+        tweetIds.every(tweetId =>
+          ['retweeted', 'replied_to', 'quoted'].every(type =>
+            timeline.tweets.some(tweet => references(tweet, type, tweetId)))));
+      
+      if (!likesComplete || !timelineComplete || bookmarksComplete === false) {
+        logger.debug(`Engagement search for user ${telegramId} stopped at the ${maxPages} page limit`);
+      }
+      
+      const engagement = {};
+      
+      // Replies and quote tweets, with the media attached to them
+      const postsReferencing = (type, tweetId) => timeline.tweets
+        .filter(tweet => references(tweet, type, tweetId))
+        .map(tweet => {
+          const media = timeline.includes.medias(tweet);
+          return {
+            id: tweet.id,
+            text: tweet.text,
+            lang: tweet.lang,
+            hasMedia: media.length > 0,
+            isGif: media.some(item => item.type === 'animated_gif'),
+            createdAt: tweet.created_at
+          };
+        });
+      
+      for (const tweetId of tweetIds) {
+        engagement[tweetId] = {
+          liked: likedIds.has(tweetId),
+          retweeted: timeline.tweets.some(tweet => references(tweet, 'retweeted', tweetId)),
+          replies: postsReferencing('replied_to', tweetId),
+          quotes: postsReferencing('quoted', tweetId),
+          bookmarked: bookmarkedIds ? bookmarkedIds.has(tweetId) : null,
+          complete: {
+            like: likesComplete,
+            retweet: timelineComplete,
+            comment: timelineComplete,
+            quote: timelineComplete,
+            bookmark: bookmarksComplete
+          }
+        };
+      }
+      
+      return engagement;
+    } catch (error) {
+      logger.error(`Error checking user engagement: ${error.message}`);
+      throw error;
+    }
+  }, {
+    priority: options.priority !== undefined ? options.priority : RequestPriority.INTERACTIVE,
+    onQueued: options.onQueued
+  });
 };
 
 /**
  * Check if a user has liked a tweet
  * @param {number} telegramId - User's Telegram ID
  * @param {string} tweetId - Tweet ID to check
- * @returns {boolean} True if liked, false otherwise
+ * @param {Object} options - Lookup options ({ since, maxPages }, see getUserEngagement)
+ * @returns {Object} { liked, complete } where complete is false if the search stopped at the page limit
  */
-const hasUserLikedTweet = async (telegramId, tweetId) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot check likes: No Twitter client for user ${telegramId}`);
-      return false;
-    }
-    
-    // Get user's liked tweets
-    logger.debug(`Checking if user ${telegramId} liked tweet ${tweetId}`);
-    const { data } = await userClient.v2.userLikedTweets(userClient.currentUser.id, {
-      max_results: 100
-    });
-    
-    return data.some(tweet => tweet.id === tweetId);
-  } catch (error) {
-    logger.error(`Error checking if user liked tweet: ${error.message}`);
-    return false;
-  }
+const hasUserLikedTweet = async (telegramId, tweetId, options = {}) => {
+  const engagement = await getUserEngagement(telegramId, [tweetId], options);
+  return engagement ?
+    { liked: engagement[tweetId].liked, complete: engagement[tweetId].complete.like } :
+    { liked: false, complete: false };
 };
 
 /**
  * Check if a user has retweeted a tweet
  * @param {number} telegramId - User's Telegram ID
  * @param {string} tweetId - Tweet ID to check
- * @returns {boolean} True if retweeted, false otherwise
+ * @param {Object} options - Lookup options ({ since, maxPages }, see getUserEngagement)
+ * @returns {Object} { retweeted, complete } where complete is false if the search stopped at the page limit
  */
-const hasUserRetweetedTweet = async (telegramId, tweetId) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot check retweets: No Twitter client for user ${telegramId}`);
-      return false;
-    }
-    
-    // There's no direct API for checking retweets, so we get user's recent tweets
-    // and check if any are retweets of the target tweet
-    logger.debug(`Checking if user ${telegramId} retweeted tweet ${tweetId}`);
-    const { data: tweets } = await userClient.v2.userTimeline(userClient.currentUser.id, {
-      max_results: 100,
-      'tweet.fields': ['referenced_tweets']
-    });
-    
-    return tweets.some(tweet => 
-      tweet.referenced_tweets && 
-      tweet.referenced_tweets.some(ref => 
-        ref.type === 'retweeted' && ref.id === tweetId
-      )
-    );
-  } catch (error) {
-    logger.error(`Error checking if user retweeted tweet: ${error.message}`);
-    return false;
-  }
+const hasUserRetweetedTweet = async (telegramId, tweetId, options = {}) => {
+  const engagement = await getUserEngagement(telegramId, [tweetId], options);
+  return engagement ?
+    { retweeted: engagement[tweetId].retweeted, complete: engagement[tweetId].complete.retweet } :
+    { retweeted: false, complete: false };
+};
+
+/**
+ * Check if a user has bookmarked a tweet
+ * Needs the bookmark.read scope; nothing is found without it.
+ * @param {number} telegramId - User's Telegram ID
+ * @param {string} tweetId - Tweet ID to check
+ * @param {Object} options - Lookup options ({ maxPages }, see getUserEngagement)
+ * @returns {Object} { bookmarked, complete } where complete is false if the search stopped at the page limit
+ */
+const hasUserBookmarkedTweet = async (telegramId, tweetId, options = {}) => {
+  const engagement = await getUserEngagement(telegramId, [tweetId], { ...options, bookmarks: true });
+  return engagement ?
+    { bookmarked: engagement[tweetId].bookmarked, complete: engagement[tweetId].complete.bookmark } :
+    { bookmarked: false, complete: false };
 };
 
 /**
  * Get replies to a tweet from a specific user
  * @param {number} telegramId - User's Telegram ID
  * @param {string} tweetId - Tweet ID to check replies for
- * @returns {Array} Array of reply tweets or empty array
+ * @param {Object} options - Lookup options ({ since, maxPages }, see getUserEngagement)
+ * @returns {Object} { replies: ({ id, text, lang, hasMedia, isGif, createdAt }), complete } where complete is
+ *   false if the search stopped at the page limit
  */
-const getUserRepliesToTweet = async (telegramId, tweetId) => {
-  try {
-    const userClient = await getUserTwitterClient(telegramId);
-    if (!userClient) {
-      logger.warn(`Cannot check replies: No Twitter client for user ${telegramId}`);
-      return [];
-    }
-    
-    // Get user's recent tweets
-    logger.debug(`Checking if user ${telegramId} replied to tweet ${tweetId}`);
-    const { data: tweets } = await userClient.v2.userTimeline(userClient.currentUser.id, {
-      max_results: 100,
-      'tweet.fields': ['referenced_tweets', 'text', 'attachments'],
-      expansions: ['attachments.media_keys'],
-      'media.fields': ['type', 'url']
-    });
+const getUserRepliesToTweet = async (telegramId, tweetId, options = {}) => {
+  const engagement = await getUserEngagement(telegramId, [tweetId], options);
+  return engagement ?
+    { replies: engagement[tweetId].replies, complete: engagement[tweetId].complete.comment } :
+    { replies: [], complete: false };
+};
+
+/**
+ * Get quote tweets of a tweet from a specific user
+ * @param {number} telegramId - User's Telegram ID
+ * @param {string} tweetId - Tweet ID to check quotes of
+ * @param {Object} options - Lookup options ({ since, maxPages }, see getUserEngagement)
+ * @returns {Object} { quotes: ({ id, text, lang, hasMedia, isGif, createdAt }), complete } where complete is
+ *   false if the search stopped at the page limit
+ */
+const getUserQuotesOfTweet = async (telegramId, tweetId, options = {}) => {
+  const engagement = await getUserEngagement(telegramId, [tweetId], options);
+  return engagement ?
+    { quotes: engagement[tweetId].quotes, complete: engagement[tweetId].complete.quote } :
+    { quotes: [], complete: false };
+};
+
+/**
+ * Check if a user follows a Twitter account
+ * Pages through the accounts the user follows until the target is found.
+ * Twitter errors are thrown, as with getUserEngagement.
+ * @param {number} telegramId - User's Telegram ID
+ * @param {string} targetUserId - Twitter user ID of the account to look for
+ * @param {Object} options - Lookup options ({ maxPages, priority, onQueued }, see getUserEngagement)
+ * @returns {Object|null} { following, complete } where complete is false if the search stopped at the
+ *   page limit, or null if the user has no Twitter client
+ */
+const isUserFollowing = async (telegramId, targetUserId, options = {}) => {
+  return await schedule(async () => {
+    const maxPages = options.maxPages || config.raids.verifyMaxPages;
     
-    // Filter for replies to the specific tweet
-    return tweets.filter(tweet => 
-      tweet.referenced_tweets && 
-      tweet.referenced_tweets.some(ref => 
-        ref.type === 'replied_to' && ref.id === tweetId
-      )
-    );
-  } catch (error) {
-    logger.error(`Error getting user replies to tweet: ${error.message}`);
-    return [];
-  }
+    try {
+      const account = await getUserTwitterAccount(telegramId);
+      if (!account) {
+        logger.warn(`Cannot check follow: No Twitter client for user ${telegramId}`);
+        return null;
+      }
+      
+      const following = await account.client.v2.following(account.twitterId, {
+        max_results: 1000,
+        asPaginator: true
+      });
+      
+      const found = () => following.users.some(user => user.id === targetUserId);
+      const complete = await readPages(following, maxPages, found);
+      
+      return { following: found(), complete };
+    } catch (error) {
+      logger.error(`Error checking if user ${telegramId} follows ${targetUserId}: ${error.message}`);
+      throw error;
+    }
+  }, {
+    priority: options.priority !== undefined ? options.priority : RequestPriority.INTERACTIVE,
+    onQueued: options.onQueued
+  });
 };
 
 /**
@@ -627,15 +1009,24 @@ const expressCallback = async (req, res) => {
 };
 
 module.exports = {
+  BOOKMARK_SCOPE,
   generateTwitterAuthUrl,
   handleTwitterCallback,
   getTweetInfo,
+  getTweetsInfo,
+  getUserByUsername,
   likeTweet,
   retweetTweet,
   replyToTweet,
+  getUserEngagement,
+  getTweetEngagers,
+  readPages,
   hasUserLikedTweet,
   hasUserRetweetedTweet,
+  hasUserBookmarkedTweet,
   getUserRepliesToTweet,
+  getUserQuotesOfTweet,
+  isUserFollowing,
   extractTweetId,
   expressCallback
 };
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 const logger = require('../utils/logger');
 const { getSupabase, handleDatabaseError } = require('./supabaseService');
+const { chunkArray } = require('../utils/helpers');
 
 /**
  * Get user by Telegram ID
@@ -164,7 +165,7 @@ const linkTwitterAccount = async (telegramId, twitterData) => {
       return null;
     }
     
-    const { twitterId, username, accessToken, refreshToken, expiresAt } = twitterData;
+    const { twitterId, username, accessToken, refreshToken, expiresAt, scopes } = twitterData;
     
     // Validate required fields
     if (!twitterId || !username || !accessToken) {
@@ -184,6 +185,7 @@ const linkTwitterAccount = async (telegramId, twitterData) => {
         twitter_token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
         twitter_connected: true,
         twitter_connected_at: new Date().toISOString(),
+        twitter_scopes: scopes || [],
         is_verified: true // Mark user as verified when they connect Twitter
       })
       .eq('telegram_id', telegramId)
@@ -507,6 +509,111 @@ const addGroupAdmin = async (telegramId, chatId, addedBy) => {
   }
 };
 
+/**
+ * Get the bot admins registered for a group
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Array<number>} Telegram IDs of the group's admins
+ */
+const getGroupAdminIds = async (chatId) => {
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error(`Cannot get group admins for chat ${chatId}: Supabase is not connected`);
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('group_admins')
+      .select('telegram_id')
+      .eq('chat_id', chatId);
+    
+    if (error) {
+      logger.error(`Error getting group admins for chat ${chatId}: ${error.message}`);
+      return [];
+    }
+    
+    return data.map(row => row.telegram_id);
+  } catch (error) {
+    logger.error(`Error getting group admins for chat ${chatId}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Find the Telegram users linked to Twitter accounts
+ * @param {Array<string>} twitterIds - Twitter user IDs
+ * @returns {Map} Twitter user ID -> Telegram ID, for linked accounts only
+ */
+const getTelegramIdsByTwitterIds = async (twitterIds) => {
+  const linked = new Map();
+  
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot look up Twitter accounts: Supabase is not connected');
+      return linked;
+    }
+    
+    for (const chunk of chunkArray(twitterIds, 100)) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('telegram_id, twitter_id')
+        .in('twitter_id', chunk);
+      
+      if (error) {
+        logger.error(`Error looking up Twitter accounts: ${error.message}`);
+        continue;
+      }
+      
+      data.forEach(user => linked.set(String(user.twitter_id), user.telegram_id));
+    }
+    
+    return linked;
+  } catch (error) {
+    logger.error(`Error looking up Twitter accounts: ${error.message}`);
+    return linked;
+  }
+};
+
+/**
+ * Get the names and total XP of several users
+ * @param {Array<number>} telegramIds - Telegram IDs
+ * @returns {Array<Object>} users rows ({ telegram_id, username, first_name, total_xp }) of the users found
+ */
+const getUsersByTelegramIds = async (telegramIds) => {
+  const users = [];
+  
+  try {
+    const supabase = getSupabase();
+    
+    if (!supabase) {
+      logger.error('Cannot look up users: Supabase is not connected');
+      return users;
+    }
+    
+    for (const chunk of chunkArray(telegramIds, 100)) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('telegram_id, username, first_name, total_xp')
+        .in('telegram_id', chunk);
+      
+      if (error) {
+        logger.error(`Error looking up users: ${error.message}`);
+        continue;
+      }
+      
+      users.push(...data);
+    }
+    
+    return users;
+  } catch (error) {
+    logger.error(`Error looking up users: ${error.message}`);
+    return users;
+  }
+};
+
 /**
  * Get top users by XP
  * @param {number} limit - Number of top users to retrieve
@@ -551,5 +658,8 @@ module.exports = {
   getUserXpForSource,
   setUserAdmin,
   addGroupAdmin,
+  getGroupAdminIds,
+  getTelegramIdsByTwitterIds,
+  getUsersByTelegramIds,
   getTopUsersByXp
 };
\ No newline at end of file
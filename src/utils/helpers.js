@@ -19,7 +19,7 @@ const generateRandomString = (length = 20) => {
 /**
  * Format date to a readable string
  * @param {Date|string|number} date - Date to format
- * @param {Object} options - Format options
+ * @param {Object} options - Format options (includeTime, shortFormat, utc)
  * @returns {string} Formatted date string
  */
 const formatDate = (date, options = {}) => {
@@ -32,6 +32,11 @@ const formatDate = (date, options = {}) => {
   
   const config = { ...defaults, ...options };
   
+  // Unambiguous format for times shown to groups spread across time zones
+  if (config.utc) {
+    return `${dateObj.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+  
   if (config.shortFormat) {
     return dateObj.toLocaleDateString();
   }
@@ -128,6 +133,75 @@ const chunkArray = (array, chunkSize = 10) => {
   return chunks;
 };
 
+/**
+ * Parse a duration such as "90" (minutes), "45m", "2h", "1h30m" or "1d"
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in seconds or null if invalid
+ */
+const parseDuration = (text) => {
+  const value = (text || '').trim().toLowerCase();
+  
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 60;
+  }
+  
+  const match = value.match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/);
+  
+  if (!match || value === '') {
+    return null;
+  }
+  
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return ((parseInt(days, 10) * 24 + parseInt(hours, 10)) * 60 + parseInt(minutes, 10)) * 60;
+};
+
+/**
+ * Parse a start time, interpreted in UTC
+ * Accepts "YYYY-MM-DD HH:MM", "YYYY-MM-DDTHH:MM", "HH:MM" (next occurrence)
+ * or a relative offset such as "+30m" or "+1d2h"
+ * @param {string} text - Start time text
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Start time or null if invalid
+ */
+const parseStartTime = (text, now = new Date()) => {
+  const value = (text || '').trim();
+  
+  if (value.startsWith('+')) {
+    const seconds = parseDuration(value.slice(1));
+    return seconds ? new Date(now.getTime() + seconds * 1000) : null;
+  }
+  
+  const dateTime = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  
+  if (dateTime) {
+    const [, year, month, day, hour, minute] = dateTime.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    
+    // Reject overflowing values such as 2024-02-31
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 ? date : null;
+  }
+  
+  const timeOnly = value.match(/^(\d{1,2}):(\d{2})$/);
+  
+  if (timeOnly) {
+    const [, hour, minute] = timeOnly.map(Number);
+    
+    if (hour > 23 || minute > 59) {
+      return null;
+    }
+    
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour, minute));
+    
+    if (date <= now) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    
+    return date;
+  }
+  
+  return null;
+};
+
 /**
  * Delay execution for specified milliseconds
  * @param {number} ms - Milliseconds to delay
@@ -195,6 +269,59 @@ const progressBar = (current, total, length = 20) => {
   return `[${filled}${empty}] ${percentage}%`;
 };
 
+/**
+ * Escape characters that have meaning in Telegram's legacy Markdown
+ * @param {string} text - Text to escape (e.g. a username)
+ * @returns {string} Escaped text
+ */
+const escapeMarkdown = (text) => {
+  if (!text) return '';
+  
+  return String(text).replace(/([_*`[])/g, '\\$1');
+};
+
+/**
+ * Measure how alike two pieces of text are, ignoring case, punctuation and links
+ * Compares the sets of three-character sequences (Dice coefficient), so small
+ * edits to copied text still score high.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (identical)
+ */
+const textSimilarity = (a, b) => {
+  const normalize = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  const first = normalize(a);
+  const second = normalize(b);
+  
+  if (first.length < 3 || second.length < 3) {
+    return first === second ? 1 : 0;
+  }
+  
+  const trigrams = (text) => {
+    const set = new Set();
+    for (let i = 0; i <= text.length - 3; i++) {
+      set.add(text.substring(i, i + 3));
+    }
+    return set;
+  };
+  
+  const firstTrigrams = trigrams(first);
+  const secondTrigrams = trigrams(second);
+  let shared = 0;
+  
+  firstTrigrams.forEach(trigram => {
+    if (secondTrigrams.has(trigram)) shared++;
+  });
+  
+  return (2 * shared) / (firstTrigrams.size + secondTrigrams.size);
+};
+
 /**
  * Convert string to title case
  * @param {string} str - String to convert
@@ -250,12 +377,16 @@ module.exports = {
   getNestedValue,
   truncateText,
   chunkArray,
+  parseDuration,
+  parseStartTime,
   sleep,
   isValidUrl,
   formatNumber,
   isValidSuiAddress,
   containsHtml,
   progressBar,
+  escapeMarkdown,
+  textSimilarity,
   toTitleCase,
   hashString,
   maskSensitiveString
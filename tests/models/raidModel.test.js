@@ -0,0 +1,125 @@
+jest.mock('../../src/services/supabaseService', () => ({
+  getSupabase: jest.fn(),
+  connectToSupabase: jest.fn(),
+  handleDatabaseError: jest.fn()
+}));
+
+const { getSupabase } = require('../../src/services/supabaseService');
+const { Raid, getCurveMultiplier } = require('../../src/models/raidModel');
+const { createFakeSupabase } = require('../support/fakeSupabase');
+
+describe('getCurveMultiplier', () => {
+  it('is a flat 1x without a curve', () => {
+    expect(getCurveMultiplier(null, 0)).toBe(1);
+    expect(getCurveMultiplier(null, 90)).toBe(1);
+  });
+  
+  it('applies each step until its minute mark, then 1x', () => {
+    const curve = { type: 'steps', steps: [{ minutes: 10, multiplier: 2 }, { minutes: 30, multiplier: 1.5 }] };
+    
+    expect(getCurveMultiplier(curve, 0)).toBe(2);
+    expect(getCurveMultiplier(curve, 9.9)).toBe(2);
+    expect(getCurveMultiplier(curve, 10)).toBe(1.5);
+    expect(getCurveMultiplier(curve, 29)).toBe(1.5);
+    expect(getCurveMultiplier(curve, 30)).toBe(1);
+  });
+  
+  it('falls evenly to the end multiplier on a linear curve', () => {
+    const curve = { type: 'linear', multiplier: 3, minutes: 60 };
+    
+    expect(getCurveMultiplier(curve, 0)).toBe(3);
+    expect(getCurveMultiplier(curve, 30)).toBe(2);
+    expect(getCurveMultiplier(curve, 60)).toBe(1);
+    expect(getCurveMultiplier(curve, 120)).toBe(1);
+    expect(getCurveMultiplier({ ...curve, end: 0.5 }, 60)).toBe(0.5);
+  });
+  
+  it('halves the gap to the end multiplier every half-life on an exponential curve', () => {
+    const curve = { type: 'exponential', multiplier: 3, halfLife: 15 };
+    
+    expect(getCurveMultiplier(curve, 0)).toBe(3);
+    expect(getCurveMultiplier(curve, 15)).toBe(2);
+    expect(getCurveMultiplier(curve, 30)).toBe(1.5);
+    expect(getCurveMultiplier(curve, 10)).toBe(2.26);
+  });
+  
+  it('treats actions from before the start as done at the start', () => {
+    expect(getCurveMultiplier({ type: 'linear', multiplier: 2, minutes: 10 }, -5)).toBe(2);
+  });
+  
+  it('is 1x for an unknown curve type', () => {
+    expect(getCurveMultiplier({ type: 'wave' }, 5)).toBe(1);
+  });
+});
+
+describe('Raid#checkComment', () => {
+  const buildRaid = (commentRules = null) => new Raid({ id: 7, chat_id: -100, tweet_id: '111', comment_rules: commentRules });
+  
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createFakeSupabase({
+      user_actions: [
+        { user_id: 2, raid_id: 7, action_type: 'comment', comment_text: '@project This launch is going to change everything for the community' },
+        { user_id: 2, raid_id: 8, action_type: 'comment', comment_text: 'Copied from another raid' },
+        { user_id: 1, raid_id: 7, action_type: 'comment', comment_text: 'My own earlier comment' },
+        { user_id: 3, raid_id: 7, action_type: 'comment', comment_text: 'A reply that was deleted later', revoked: true }
+      ]
+    }));
+  });
+  
+  it('passes a comment that follows every rule', async () => {
+    const raid = buildRaid({ minLength: 10, required: ['#SUI'], language: 'en' });
+    
+    const check = await raid.checkComment(1, { commentText: '@project Bullish on #sui this week', lang: 'en' });
+    
+    expect(check).toEqual({ passed: true, xpMultiplier: 1, reasons: [] });
+  });
+  
+  it('keeps part of the XP for each broken rule', async () => {
+    const raid = buildRaid({ minLength: 20, required: ['#SUI', '$RAID'], language: 'en' });
+    
+    const check = await raid.checkComment(1, { commentText: '@project gm #SUI', lang: 'es' });
+    
+    expect(check.passed).toBe(false);
+    expect(check.xpMultiplier).toBe(0.25);
+    expect(check.reasons).toEqual([
+      'shorter than 20 characters',
+      'missing $RAID',
+      'not written in language "en"'
+    ]);
+  });
+  
+  it('only counts the reply body, not the handles it starts with, toward the length', async () => {
+    const raid = buildRaid({ minLength: 10 });
+    
+    const check = await raid.checkComment(1, { commentText: '@project @someone_else short' });
+    
+    expect(check.reasons).toEqual(['shorter than 10 characters']);
+  });
+  
+  it('pays nothing for a banned phrase, matched as whole words', async () => {
+    const raid = buildRaid({ banned: ['scam'] });
+    
+    expect((await raid.checkComment(1, { commentText: 'This is a SCAM, stay away' })).xpMultiplier).toBe(0);
+    expect((await raid.checkComment(1, { commentText: 'Scampi for dinner after the raid' })).xpMultiplier).toBe(1);
+  });
+  
+  it('pays nothing for a near-copy of another raider\'s comment on the raid', async () => {
+    const check = await buildRaid().checkComment(1, {
+      commentText: '@project this launch is going to change everything for the community!!'
+    });
+    
+    expect(check).toEqual({
+      passed: false,
+      xpMultiplier: 0,
+      reasons: ['nearly identical to another raider\'s comment']
+    });
+  });
+  
+  it('ignores the commenter\'s own comments, other raids and revoked comments', async () => {
+    const raid = buildRaid();
+    
+    expect((await raid.checkComment(1, { commentText: 'My own earlier comment' })).passed).toBe(true);
+    expect((await raid.checkComment(1, { commentText: 'Copied from another raid' })).passed).toBe(true);
+    expect((await raid.checkComment(1, { commentText: 'A reply that was deleted later' })).passed).toBe(true);
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Runs a raid from verification to payout against the mock engagement
+ * provider and an in-memory database: a raider verifies, the sweep credits
+ * another, the raid ends with a final sweep and re-check, and rewards are
+ * paid once.
+ */
+
+jest.mock('../src/services/supabaseService', () => ({
+  getSupabase: jest.fn(),
+  connectToSupabase: jest.fn(),
+  handleDatabaseError: jest.fn()
+}));
+
+jest.mock('../src/services/suiService', () => ({
+  distributeRewards: jest.fn(async (rewards) => ({
+    successful: rewards.map(reward => ({
+      telegramId: reward.telegramId,
+      walletAddress: reward.walletAddress,
+      amount: reward.tokenAmount,
+      tokenType: reward.tokenType,
+      txId: `0x${reward.telegramId}000000000000`
+    })),
+    failed: []
+  }))
+}));
+
+// Achievements have their own metrics; here they only need to stay quiet
+jest.mock('../src/services/achievementService', () => ({
+  evaluateAchievements: jest.fn(async () => []),
+  evaluateRaidEnd: jest.fn(async () => []),
+  announceUnlocks: jest.fn(async () => false)
+}));
+
+const { getSupabase } = require('../src/services/supabaseService');
+const suiService = require('../src/services/suiService');
+const { setEngagementProvider } = require('../src/services/engagementProvider');
+const { createMockEngagementProvider } = require('../src/services/mockEngagementProvider');
+const { Raid, RaidStatus } = require('../src/models/raidModel');
+const raidServices = require('../src/services/raidServices');
+const { createFakeSupabase } = require('./support/fakeSupabase');
+
+const RAID_ID = 1;
+const CHAT_ID = -1001;
+const TWEET_ID = '111';
+const ALICE = 1001;
+const BOB = 1002;
+
+const createBot = () => ({
+  sendMessage: jest.fn(async (chatId) => ({ message_id: 900, chat: { id: chatId } })),
+  editMessageText: jest.fn(async () => ({})),
+  unpinChatMessage: jest.fn(async () => true)
+});
+
+const createFixtures = () => ({
+  tweets: {
+    [TWEET_ID]: { text: 'Our mainnet launch is live', authorId: 'author' }
+  },
+  users: {
+    author: { username: 'project' },
+    t1: { username: 'alice_raids', following: ['author'] },
+    t2: { username: 'bob_raids' }
+  },
+  engagement: {
+    [TWEET_ID]: {
+      likers: ['t1'],
+      retweeters: ['t1'],
+      replies: [{
+        id: 'reply-1',
+        authorId: 't1',
+        text: '@project Congrats on the launch, the new bridge is fast',
+        lang: 'en',
+        createdAt: new Date().toISOString()
+      }]
+    }
+  }
+});
+
+const createDatabase = () => createFakeSupabase({
+  raids: [{
+    id: RAID_ID,
+    tweet_id: TWEET_ID,
+    tweet_url: `https://x.com/project/status/${TWEET_ID}`,
+    chat_id: CHAT_ID,
+    admin_id: 1,
+    start_time: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    end_time: new Date(Date.now() + 50 * 60 * 1000).toISOString(),
+    is_active: true,
+    status: RaidStatus.ACTIVE,
+    target_likes: 2,
+    target_retweets: 1,
+    target_comments: 1,
+    tweets: [{ tweet_id: TWEET_ID, target_likes: 2, target_retweets: 1, target_comments: 1 }],
+    total_reward: 100,
+    token_symbol: 'SUI',
+    token_type: '0x2::sui::SUI',
+    message_id: 500,
+    follow_account: { id: 'author', username: 'project' },
+    rewards_distributed: false
+  }],
+  users: [
+    {
+      telegram_id: ALICE,
+      username: 'alice',
+      is_verified: true,
+      twitter_id: 't1',
+      twitter_connected: true,
+      twitter_token: 'alice-token',
+      sui_wallet_address: '0xa11ce',
+      sui_wallet_connected: true,
+      total_xp: 0
+    },
+    {
+      telegram_id: BOB,
+      username: 'bob',
+      is_verified: true,
+      twitter_id: 't2',
+      twitter_connected: true,
+      twitter_token: 'bob-token',
+      sui_wallet_address: '0xb0b',
+      sui_wallet_connected: true,
+      total_xp: 0
+    }
+  ]
+});
+
+describe('raid lifecycle', () => {
+  let db;
+  let fixtures;
+  let provider;
+  let bot;
+  
+  const getRaidRow = () => db.tables.raids.find(raid => raid.id === RAID_ID);
+  const getUserRow = (telegramId) => db.tables.users.find(user => user.telegram_id === telegramId);
+  const getActions = (telegramId) => db.tables.user_actions
+    .filter(action => action.user_id === telegramId)
+    .map(action => action.action_type);
+  
+  beforeEach(() => {
+    db = createDatabase();
+    fixtures = createFixtures();
+    provider = createMockEngagementProvider(fixtures);
+    bot = createBot();
+    
+    getSupabase.mockReturnValue(db);
+    setEngagementProvider(provider);
+    suiService.distributeRewards.mockClear();
+  });
+  
+  afterEach(() => {
+    setEngagementProvider(null);
+  });
+  
+  // Alice verifies her own actions, then Bob likes the tweet and is picked up by a sweep
+  const runRaid = async () => {
+    const verification = await raidServices.verifyUserActions(RAID_ID, ALICE);
+    
+    provider.addEngagement(TWEET_ID, 'likers', 't2');
+    await raidServices.sweepRaidActions(RAID_ID, bot);
+    
+    return verification;
+  };
+  
+  it('keeps actions verified while a scheduled raid is being announced', async () => {
+    Object.assign(getRaidRow(), { is_active: false, status: RaidStatus.PENDING, message_id: null, duration: 3600 });
+    bot.sendMessage.mockImplementationOnce(async (chatId) => {
+      await raidServices.verifyUserActions(RAID_ID, ALICE);
+      return { message_id: 900, chat: { id: chatId } };
+    });
+    
+    await raidServices.startScheduledRaid(RAID_ID, bot);
+    
+    expect(getRaidRow()).toMatchObject({ is_active: true, message_id: 900, actual_likes: 1, actual_retweets: 1 });
+    expect(db.tables.jobs.map(job => job.unique_key)).toContain(`raid_end:${RAID_ID}`);
+  });
+  
+  it('credits the actions a raider verifies', async () => {
+    const verification = await raidServices.verifyUserActions(RAID_ID, ALICE);
+    
+    expect(verification.success).toBe(true);
+    expect(verification.results.actions.map(action => [action.type, action.xp])).toEqual([
+      ['like', 10],
+      ['retweet', 10],
+      ['comment', 15],
+      ['follow', 20]
+    ]);
+    expect(verification.results.streaks.map(streak => streak.kind)).toEqual(['day', 'raid']);
+    expect(getUserRow(ALICE).total_xp).toBe(55);
+    expect(getRaidRow()).toMatchObject({ actual_likes: 1, actual_retweets: 1, actual_comments: 1 });
+  });
+  
+  it('credits nothing twice when a raider verifies again', async () => {
+    await raidServices.verifyUserActions(RAID_ID, ALICE);
+    const again = await raidServices.verifyUserActions(RAID_ID, ALICE);
+    
+    expect(again.success).toBe(true);
+    expect(again.results.actions).toEqual([]);
+    expect(getUserRow(ALICE).total_xp).toBe(55);
+  });
+  
+  it('credits an action again once it is redone after being revoked', async () => {
+    await db.from('user_actions').insert({
+      user_id: ALICE,
+      raid_id: RAID_ID,
+      tweet_id: TWEET_ID,
+      action_type: 'like',
+      xp_earned: 10,
+      verified: true,
+      revoked: true
+    });
+    
+    const verification = await raidServices.verifyUserActions(RAID_ID, ALICE);
+    
+    expect(verification.results.actions.map(action => action.type)).toContain('like');
+    expect(getActions(ALICE).filter(action => action === 'like')).toHaveLength(2);
+    expect(getUserRow(ALICE).total_xp).toBe(55);
+  });
+  
+  it('credits each action once when a sweep runs alongside a verification', async () => {
+    await Promise.all([
+      raidServices.verifyUserActions(RAID_ID, ALICE),
+      raidServices.sweepRaidActions(RAID_ID, bot)
+    ]);
+    
+    expect(getActions(ALICE).sort()).toEqual(['comment', 'follow', 'like', 'retweet']);
+    expect(getUserRow(ALICE).total_xp).toBe(55);
+  });
+  
+  it('credits linked users found by a sweep and schedules the next one', async () => {
+    await runRaid();
+    
+    expect(getActions(BOB)).toEqual(['like']);
+    expect(getUserRow(BOB).total_xp).toBe(10);
+    expect(getRaidRow().actual_likes).toBe(2);
+    expect(db.tables.jobs.map(job => job.unique_key)).toContain(`raid_sweep:${RAID_ID}`);
+  });
+  
+  it('ends the raid once its targets are met and pays everyone pro rata', async () => {
+    await runRaid();
+    
+    const { raid, rewards, alreadyEnded } = await raidServices.endRaid(await Raid.findById(RAID_ID), bot);
+    
+    expect(alreadyEnded).toBeUndefined();
+    expect(raid.status).toBe(RaidStatus.COMPLETED);
+    expect(getRaidRow()).toMatchObject({
+      is_active: false,
+      status: RaidStatus.COMPLETED,
+      rewards_distributed: true
+    });
+    
+    expect(rewards.map(reward => [reward.telegramId, reward.xpAmount, reward.walletAddress])).toEqual([
+      [ALICE, 55, '0xa11ce'],
+      [BOB, 10, '0xb0b']
+    ]);
+    expect(rewards[0].tokenAmount).toBeCloseTo(100 * 55 / 65);
+    expect(rewards[1].tokenAmount).toBeCloseTo(100 * 10 / 65);
+    expect(suiService.distributeRewards).toHaveBeenCalledTimes(1);
+    
+    // The scheduled sweep and end are dropped
+    expect(db.tables.jobs.filter(job => job.status === 'pending')).toEqual([]);
+    expect(bot.editMessageText).toHaveBeenCalledWith(
+      expect.stringContaining('RAID ENDED'),
+      expect.objectContaining({ message_id: 500 })
+    );
+  });
+  
+  it('pays out once when the raid is ended twice', async () => {
+    await runRaid();
+    const raid = await Raid.findById(RAID_ID);
+    
+    await raidServices.endRaid(raid, bot);
+    const second = await raidServices.endRaid(raid, bot);
+    
+    expect(second.alreadyEnded).toBe(true);
+    expect(second.rewards).toEqual([]);
+    expect(suiService.distributeRewards).toHaveBeenCalledTimes(1);
+  });
+  
+  it('resumes an end whose payout failed and pays out once', async () => {
+    await runRaid();
+    suiService.distributeRewards.mockRejectedValueOnce(new Error('RPC unavailable'));
+    
+    await expect(raidServices.endRaid(await Raid.findById(RAID_ID), bot)).rejects.toThrow('RPC unavailable');
+    
+    // The raid stays ending, and the raid_end job is due to finish it
+    expect(getRaidRow()).toMatchObject({ is_active: false, status: RaidStatus.ENDING, rewards_distributed: false });
+    expect(db.tables.jobs.find(job => job.unique_key === `raid_end:${RAID_ID}`)).toMatchObject({ status: 'pending' });
+    expect((await raidServices.endRaid(await Raid.findById(RAID_ID), bot)).alreadyEnded).toBe(true);
+    
+    const { raid, rewards } = await raidServices.endRaid(await Raid.findById(RAID_ID), bot, { resume: true });
+    
+    expect(raid.status).toBe(RaidStatus.COMPLETED);
+    expect(rewards).toHaveLength(2);
+    expect(getRaidRow()).toMatchObject({ status: RaidStatus.COMPLETED, rewards_distributed: true });
+    expect(suiService.distributeRewards).toHaveBeenCalledTimes(2);
+    expect(getUserRow(ALICE).total_xp).toBe(55);
+  });
+  
+  it('does not pay again when resuming an end that failed after the payout', async () => {
+    await runRaid();
+    bot.sendMessage.mockImplementation(async (chatId) => {
+      if (chatId === CHAT_ID) throw new Error('Telegram unavailable');
+      return { message_id: 900, chat: { id: chatId } };
+    });
+    
+    await expect(raidServices.endRaid(await Raid.findById(RAID_ID), bot)).rejects.toThrow();
+    expect(getRaidRow()).toMatchObject({ status: RaidStatus.ENDING, rewards_distributed: true });
+    
+    bot.sendMessage.mockImplementation(async (chatId) => ({ message_id: 900, chat: { id: chatId } }));
+    const { raid } = await raidServices.endRaid(await Raid.findById(RAID_ID), bot, { resume: true });
+    
+    expect(raid.status).toBe(RaidStatus.COMPLETED);
+    expect(suiService.distributeRewards).toHaveBeenCalledTimes(1);
+  });
+  
+  it('credits actions made since the last sweep when the raid ends', async () => {
+    await runRaid();
+    provider.addEngagement(TWEET_ID, 'retweeters', 't2');
+    
+    const { rewards } = await raidServices.endRaid(await Raid.findById(RAID_ID), bot);
+    
+    expect(getActions(BOB)).toEqual(['like', 'retweet']);
+    expect(rewards.find(reward => reward.telegramId === BOB).xpAmount).toBe(20);
+  });
+  
+  it('takes back the XP of undone actions, which can fail the raid', async () => {
+    await runRaid();
+    fixtures.engagement[TWEET_ID].likers = fixtures.engagement[TWEET_ID].likers.filter(id => id !== 't1');
+    
+    const { raid, rewards } = await raidServices.endRaid(await Raid.findById(RAID_ID), bot);
+    
+    expect(getUserRow(ALICE).total_xp).toBe(45);
+    expect(db.tables.user_actions.find(action => action.user_id === ALICE && action.action_type === 'like').revoked).toBe(true);
+    expect(bot.sendMessage).toHaveBeenCalledWith(ALICE, expect.stringContaining('Like removed'), expect.anything());
+    
+    expect(raid.actualLikes).toBe(1);
+    expect(raid.status).toBe(RaidStatus.FAILED);
+    expect(rewards).toEqual([]);
+    expect(suiService.distributeRewards).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+jest.mock('../../src/services/supabaseService', () => ({
+  getSupabase: jest.fn(),
+  connectToSupabase: jest.fn(),
+  handleDatabaseError: jest.fn()
+}));
+
+const { getSupabase } = require('../../src/services/supabaseService');
+const { getLevelXp, getLevelInfo, getLevelUps } = require('../../src/services/levelService');
+const { createFakeSupabase } = require('../support/fakeSupabase');
+
+// With the default curve (100 XP, then 25% more per level), levels 2-5 start at 100, 225, 381 and 576 XP
+describe('getLevelInfo', () => {
+  it('starts everyone at level 1 with the first rank', () => {
+    expect(getLevelInfo(0)).toEqual({
+      level: 1,
+      rank: 'Recruit',
+      levelXp: 0,
+      nextLevelXp: 100,
+      xpIntoLevel: 0,
+      xpForNext: 100
+    });
+  });
+  
+  it('treats missing or negative XP as none', () => {
+    expect(getLevelInfo(null).level).toBe(1);
+    expect(getLevelInfo(-50).xpIntoLevel).toBe(0);
+  });
+  
+  it('needs more XP for each level than the one before', () => {
+    expect([2, 3, 4, 5].map(getLevelXp)).toEqual([100, 225, 381, 576]);
+  });
+  
+  it('moves up a level exactly at the level\'s XP', () => {
+    expect(getLevelInfo(99).level).toBe(1);
+    expect(getLevelInfo(100).level).toBe(2);
+    expect(getLevelInfo(224).level).toBe(2);
+    expect(getLevelInfo(225).level).toBe(3);
+  });
+  
+  it('reports progress into the current level', () => {
+    expect(getLevelInfo(300)).toEqual({
+      level: 3,
+      rank: 'Raider',
+      levelXp: 225,
+      nextLevelXp: 381,
+      xpIntoLevel: 75,
+      xpForNext: 156
+    });
+  });
+  
+  it('keeps a rank until the next rank\'s level', () => {
+    expect(getLevelInfo(getLevelXp(4)).rank).toBe('Raider');
+    expect(getLevelInfo(getLevelXp(5)).rank).toBe('Striker');
+    expect(getLevelInfo(getLevelXp(20)).rank).toBe('Raid Captain');
+  });
+});
+
+describe('getLevelUps', () => {
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createFakeSupabase({
+      users: [
+        { telegram_id: 1, username: 'alice', first_name: 'Alice', total_xp: 110 },
+        { telegram_id: 2, username: null, first_name: 'Bob', total_xp: 230 },
+        { telegram_id: 3, username: 'carol', first_name: 'Carol', total_xp: 90 }
+      ]
+    }));
+  });
+  
+  it('lists the users the credited XP took to a new level', async () => {
+    const levelUps = await getLevelUps(new Map([[1, 20], [2, 10], [3, 40]]));
+    
+    expect(levelUps).toEqual([
+      { telegramId: 1, name: '@alice', level: 2, rank: 'Recruit', rankChanged: false },
+      { telegramId: 2, name: 'Bob', level: 3, rank: 'Raider', rankChanged: true }
+    ]);
+  });
+  
+  it('skips the database when no XP was credited', async () => {
+    const supabase = getSupabase();
+    supabase.from = jest.fn(supabase.from);
+    
+    expect(await getLevelUps(new Map([[1, 0]]))).toEqual([]);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../src/services/supabaseService', () => ({
+  getSupabase: jest.fn(),
+  connectToSupabase: jest.fn(),
+  handleDatabaseError: jest.fn()
+}));
+
+const { getSupabase } = require('../../src/services/supabaseService');
+const { getStreakBonus, recordParticipation, breakRaidStreaks } = require('../../src/services/streakService');
+const { createFakeSupabase } = require('../support/fakeSupabase');
+
+const CHAT_ID = -100;
+const USER_ID = 1;
+
+describe('getStreakBonus', () => {
+  it('pays nothing for the first day or raid', () => {
+    expect(getStreakBonus('day', 1)).toBe(0);
+    expect(getStreakBonus('raid', 1)).toBe(0);
+  });
+  
+  it('pays more for each day or raid past the first', () => {
+    expect(getStreakBonus('day', 2)).toBe(5);
+    expect(getStreakBonus('day', 4)).toBe(15);
+    expect(getStreakBonus('raid', 3)).toBe(4);
+  });
+  
+  it('caps the bonus', () => {
+    expect(getStreakBonus('day', 100)).toBe(50);
+    expect(getStreakBonus('raid', 100)).toBe(20);
+  });
+});
+
+describe('recordParticipation', () => {
+  let supabase;
+  
+  const raid = (id) => ({ id, chatId: CHAT_ID });
+  const onDay = (day) => jest.setSystemTime(new Date(`${day}T12:00:00Z`));
+  const getStreak = (kind) => supabase.tables.user_streaks.find(streak => streak.kind === kind);
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    supabase = createFakeSupabase({
+      users: [{ telegram_id: USER_ID, username: 'alice', total_xp: 0 }]
+    });
+    getSupabase.mockReturnValue(supabase);
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('starts both streaks on the first raid', async () => {
+    onDay('2026-03-01');
+    
+    expect(await recordParticipation(USER_ID, raid(1))).toEqual([
+      { kind: 'day', current: 1, best: 1, bonusXp: 0 },
+      { kind: 'raid', current: 1, best: 1, bonusXp: 0 }
+    ]);
+  });
+  
+  it('counts each day and each raid once', async () => {
+    onDay('2026-03-01');
+    await recordParticipation(USER_ID, raid(1));
+    
+    expect(await recordParticipation(USER_ID, raid(1))).toEqual([]);
+    expect(await recordParticipation(USER_ID, raid(2))).toEqual([
+      { kind: 'raid', current: 2, best: 2, bonusXp: 2 }
+    ]);
+  });
+  
+  it('grows the day streak on consecutive days and pays its bonus', async () => {
+    onDay('2026-03-01');
+    await recordParticipation(USER_ID, raid(1));
+    onDay('2026-03-02');
+    
+    expect(await recordParticipation(USER_ID, raid(2))).toEqual([
+      { kind: 'day', current: 2, best: 2, bonusXp: 5 },
+      { kind: 'raid', current: 2, best: 2, bonusXp: 2 }
+    ]);
+    
+    const bonuses = supabase.tables.xp_transactions.map(tx => [tx.source_type, tx.amount, tx.source_id]);
+    expect(bonuses).toEqual([['streak_day', 5, 2], ['streak_raid', 2, 2]]);
+    expect(supabase.tables.users[0].total_xp).toBe(7);
+  });
+  
+  it('starts the day streak over after a missed day, keeping the best', async () => {
+    onDay('2026-03-01');
+    await recordParticipation(USER_ID, raid(1));
+    onDay('2026-03-02');
+    await recordParticipation(USER_ID, raid(2));
+    onDay('2026-03-04');
+    
+    const [day] = await recordParticipation(USER_ID, raid(3));
+    
+    expect(day).toEqual({ kind: 'day', current: 1, best: 2, bonusXp: 0 });
+  });
+  
+  it('starts the raid streak over after a raid of the group was sat out', async () => {
+    onDay('2026-03-01');
+    await recordParticipation(USER_ID, raid(1));
+    await recordParticipation(USER_ID, raid(2));
+    
+    expect(await breakRaidStreaks(raid(3))).toBe(1);
+    expect(getStreak('raid').current_streak).toBe(0);
+    expect(await breakRaidStreaks(raid(3))).toBe(0);
+    
+    expect(await recordParticipation(USER_ID, raid(4))).toEqual([
+      { kind: 'raid', current: 1, best: 2, bonusXp: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../src/services/supabaseService', () => ({
+  getSupabase: jest.fn(),
+  connectToSupabase: jest.fn(),
+  handleDatabaseError: jest.fn()
+}));
+
+jest.mock('twitter-api-v2', () => ({
+  TwitterApi: jest.fn()
+}));
+
+const { TwitterApi } = require('twitter-api-v2');
+const { getSupabase } = require('../../src/services/supabaseService');
+const { extractTweetId, readPages, getUserEngagement, isUserFollowing } = require('../../src/services/twitterService');
+const { createFakeSupabase } = require('../support/fakeSupabase');
+
+/**
+ * Create a paginator like twitter-api-v2's, with the first page already fetched
+ * @param {number} totalPages - Pages the search has
+ * @returns {Object} Paginator ({ done, fetchNext, pages: pages fetched so far })
+ */
+const createPaginator = (totalPages) => {
+  const paginator = {
+    pages: 1,
+    done: totalPages <= 1,
+    fetchNext: jest.fn(async () => {
+      paginator.pages++;
+      paginator.done = paginator.pages >= totalPages;
+    })
+  };
+  
+  return paginator;
+};
+
+describe('extractTweetId', () => {
+  it('reads the ID from twitter.com and x.com status URLs', () => {
+    expect(extractTweetId('https://twitter.com/project/status/1712345678901234567')).toBe('1712345678901234567');
+    expect(extractTweetId('https://x.com/project/status/1712345678901234567?s=20')).toBe('1712345678901234567');
+    expect(extractTweetId('x.com/some_user/status/42/photo/1')).toBe('42');
+  });
+  
+  it('returns null for URLs without a status ID', () => {
+    expect(extractTweetId('https://x.com/project')).toBeNull();
+    expect(extractTweetId('https://t.co/AbC123')).toBeNull();
+    expect(extractTweetId('https://example.com/project/status/42')).toBeNull();
+  });
+  
+  it('returns null instead of throwing for anything but a string', () => {
+    expect(extractTweetId(null)).toBeNull();
+  });
+});
+
+describe('readPages', () => {
+  it('reads every page of a search within the limit', async () => {
+    const paginator = createPaginator(3);
+    
+    expect(await readPages(paginator, 5)).toBe(true);
+    expect(paginator.pages).toBe(3);
+  });
+  
+  it('stops at the page limit and reports the search incomplete', async () => {
+    const paginator = createPaginator(10);
+    
+    expect(await readPages(paginator, 4)).toBe(false);
+    expect(paginator.pages).toBe(4);
+  });
+  
+  it('fetches nothing more for a single-page search', async () => {
+    const paginator = createPaginator(1);
+    
+    expect(await readPages(paginator, 5)).toBe(true);
+    expect(paginator.fetchNext).not.toHaveBeenCalled();
+  });
+  
+  it('stops early once the search has what it needs', async () => {
+    const paginator = createPaginator(10);
+    
+    expect(await readPages(paginator, 8, () => paginator.pages === 2)).toBe(true);
+    expect(paginator.pages).toBe(2);
+  });
+});
+
+describe('lookups for a linked user', () => {
+  // A single-page list of tweets, as twitter-api-v2's paginators return them
+  const createTweetPage = (tweets) => ({
+    tweets,
+    done: true,
+    fetchNext: jest.fn(),
+    includes: { medias: () => [] }
+  });
+  
+  let client;
+  
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createFakeSupabase({
+      users: [{ telegram_id: 1001, twitter_id: 't1', twitter_token: 'alice-token' }]
+    }));
+    
+    // currentUser is a method that fetches users/me, not the user itself
+    client = {
+      currentUser: jest.fn(async () => ({ id_str: 't1' })),
+      v2: {
+        userLikedTweets: jest.fn(async () => createTweetPage([{ id: '111' }])),
+        userTimeline: jest.fn(async () => createTweetPage([
+          { id: '222', referenced_tweets: [{ type: 'retweeted', id: '111' }] }
+        ])),
+        following: jest.fn(async () => ({
+          users: [{ id: 'author' }],
+          done: true,
+          fetchNext: jest.fn()
+        }))
+      }
+    };
+    TwitterApi.mockClear();
+    TwitterApi.mockImplementation(() => client);
+  });
+  
+  it('reads the engagement of the Twitter account the user linked', async () => {
+    const engagement = await getUserEngagement(1001, ['111']);
+    
+    expect(client.v2.userLikedTweets).toHaveBeenCalledWith('t1', expect.anything());
+    expect(client.v2.userTimeline).toHaveBeenCalledWith('t1', expect.anything());
+    expect(engagement['111']).toMatchObject({ liked: true, retweeted: true, replies: [], quotes: [] });
+  });
+  
+  it('checks the follows of the Twitter account the user linked', async () => {
+    expect(await isUserFollowing(1001, 'author')).toEqual({ following: true, complete: true });
+    expect(client.v2.following).toHaveBeenCalledWith('t1', expect.anything());
+  });
+  
+  it('returns null for a user without a Twitter token', async () => {
+    expect(await getUserEngagement(1002, ['111'])).toBeNull();
+    expect(TwitterApi).not.toHaveBeenCalled();
+  });
+});
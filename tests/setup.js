@@ -0,0 +1,27 @@
+/**
+ * Test Setup
+ * Runs before every test file: fills in the environment config.js requires
+ * and keeps the logger from writing to logs/.
+ */
+
+const TEST_ENV = {
+  TELEGRAM_BOT_TOKEN: 'test-token',
+  SUPABASE_URL: 'https://test.supabase.co',
+  SUPABASE_KEY: 'test-key',
+  SUI_RPC_URL: 'https://fullnode.devnet.sui.io',
+  TWITTER_API_KEY: 'test-api-key',
+  TWITTER_API_SECRET: 'test-api-secret',
+  ENGAGEMENT_PROVIDER: 'mock'
+};
+
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  if (!process.env[name]) process.env[name] = value;
+});
+
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn()
+}));
@@ -0,0 +1,468 @@
+/**
+ * Fake Supabase
+ * In-memory stand-in for the Supabase client, covering the parts of the
+ * PostgREST query builder the services use and the database functions
+ * (RPCs) they call.
+ */
+
+// Embedded selects ("user:user_id (...)") follow these foreign keys
+const RELATIONS = {
+  user_id: { table: 'users', column: 'telegram_id' }
+};
+
+// Column defaults the services filter on
+const DEFAULTS = {
+  user_actions: { verified: false, revoked: false }
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// PostgREST compares in the column's type; tests store IDs as numbers or strings interchangeably
+const sameValue = (a, b) => a === b || (a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b));
+
+const compare = (a, b) => {
+  const numeric = typeof a === 'number' || typeof b === 'number';
+  const [x, y] = numeric ? [Number(a), Number(b)] : [a, b];
+  
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+/**
+ * Split a select list on its top-level commas
+ * @param {string} columns - Select list, e.g. "id, user:user_id (twitter_id)"
+ * @returns {Array<string>} Column entries
+ */
+const splitColumns = (columns) => {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    
+    if (char === ',' && depth === 0) {
+      entries.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  if (current.trim()) entries.push(current.trim());
+  return entries;
+};
+
+/**
+ * Create an in-memory Supabase client
+ * @param {Object} seed - Rows per table ({ users: [...], raids: [...] })
+ * @returns {Object} Client with from(), rpc() and the tables it holds
+ */
+const createFakeSupabase = (seed = {}) => {
+  const tables = {};
+  const nextIds = {};
+  
+  const getTable = (name) => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+  
+  const insertRow = (name, row) => {
+    const table = getTable(name);
+    nextIds[name] = Math.max(nextIds[name] || 0, ...table.map(existing => Number(existing.id) || 0)) + 1;
+    
+    const inserted = {
+      id: nextIds[name],
+      created_at: new Date().toISOString(),
+      ...DEFAULTS[name],
+      ...clone(row)
+    };
+    
+    table.push(inserted);
+    return inserted;
+  };
+  
+  Object.entries(seed).forEach(([name, rows]) => rows.forEach(row => insertRow(name, row)));
+  
+  const pick = (row, columns) => {
+    if (!columns || columns.trim() === '*') return clone(row);
+    
+    const picked = {};
+    
+    splitColumns(columns.replace(/\s+/g, ' ')).forEach(entry => {
+      const embedded = entry.match(/^(\w+):(\w+)\s*\((.*)\)$/);
+      
+      if (entry === '*') {
+        Object.assign(picked, clone(row));
+      } else if (embedded) {
+        const [, alias, foreignKey, embeddedColumns] = embedded;
+        const relation = RELATIONS[foreignKey];
+        const related = getTable(relation.table).find(candidate => sameValue(candidate[relation.column], row[foreignKey]));
+        
+        picked[alias] = related ? pick(related, embeddedColumns) : null;
+      } else {
+        picked[entry] = row[entry] === undefined ? null : clone(row[entry]);
+      }
+    });
+    
+    return picked;
+  };
+  
+  /**
+   * Query on one table, run when awaited
+   */
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.action = 'select';
+      this.filters = [];
+      this.returning = false;
+      this.columns = '*';
+      this.orderBy = [];
+      this.rowLimit = null;
+      this.mode = 'many';
+    }
+    
+    select(columns = '*') {
+      if (this.action === 'select') {
+        this.columns = columns;
+      } else {
+        this.returning = true;
+        this.columns = columns;
+      }
+      
+      return this;
+    }
+    
+    insert(rows) {
+      this.action = 'insert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      return this;
+    }
+    
+    upsert(rows, options = {}) {
+      this.action = 'upsert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+      this.ignoreDuplicates = options.ignoreDuplicates || false;
+      return this;
+    }
+    
+    update(values) {
+      this.action = 'update';
+      this.payload = values;
+      return this;
+    }
+    
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+    
+    eq(column, value) {
+      this.filters.push(row => sameValue(row[column], value));
+      return this;
+    }
+    
+    neq(column, value) {
+      this.filters.push(row => !sameValue(row[column], value));
+      return this;
+    }
+    
+    in(column, values) {
+      this.filters.push(row => values.some(value => sameValue(row[column], value)));
+      return this;
+    }
+    
+    lt(column, value) {
+      this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) < 0);
+      return this;
+    }
+    
+    lte(column, value) {
+      this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) <= 0);
+      return this;
+    }
+    
+    gt(column, value) {
+      this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) > 0);
+      return this;
+    }
+    
+    gte(column, value) {
+      this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) >= 0);
+      return this;
+    }
+    
+    is(column, value) {
+      this.filters.push(row => (row[column] === undefined ? null : row[column]) === value);
+      return this;
+    }
+    
+    not(column, operator, value) {
+      if (operator !== 'is') {
+        throw new Error(`Fake Supabase does not support not("${operator}")`);
+      }
+      
+      this.filters.push(row => (row[column] === undefined ? null : row[column]) !== value);
+      return this;
+    }
+    
+    order(column, options = {}) {
+      this.orderBy.push({ column, ascending: options.ascending !== false });
+      return this;
+    }
+    
+    limit(count) {
+      this.rowLimit = count;
+      return this;
+    }
+    
+    single() {
+      this.mode = 'single';
+      return this;
+    }
+    
+    maybeSingle() {
+      this.mode = 'maybeSingle';
+      return this;
+    }
+    
+    matching() {
+      return getTable(this.table).filter(row => this.filters.every(filter => filter(row)));
+    }
+    
+    execute() {
+      let rows;
+      
+      switch (this.action) {
+        case 'insert':
+          rows = this.payload.map(row => insertRow(this.table, row));
+          break;
+        case 'upsert':
+          rows = [];
+          this.payload.forEach(row => {
+            const existing = getTable(this.table).find(candidate =>
+              this.conflictColumns.every(column => sameValue(candidate[column], row[column])));
+            
+            if (!existing) {
+              rows.push(insertRow(this.table, row));
+            } else if (!this.ignoreDuplicates) {
+              Object.assign(existing, clone(row));
+              rows.push(existing);
+            }
+          });
+          break;
+        case 'update':
+          rows = this.matching();
+          rows.forEach(row => Object.assign(row, clone(this.payload)));
+          break;
+        case 'delete':
+          rows = this.matching();
+          tables[this.table] = getTable(this.table).filter(row => !rows.includes(row));
+          break;
+        default:
+          rows = this.matching();
+      }
+      
+      if (this.action !== 'select' && !this.returning) {
+        return { data: null, error: null };
+      }
+      
+      this.orderBy.forEach(({ column, ascending }) => {
+        rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      });
+      
+      if (this.rowLimit !== null) rows = rows.slice(0, this.rowLimit);
+      
+      const data = rows.map(row => pick(row, this.columns));
+      
+      if (this.mode === 'single' && data.length !== 1) {
+        return { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${data.length}` } };
+      }
+      
+      if (this.mode === 'maybeSingle' && data.length > 1) {
+        return { data: null, error: { code: 'PGRST116', message: `Expected at most 1 row, got ${data.length}` } };
+      }
+      
+      return { data: this.mode === 'many' ? data : data[0] || null, error: null };
+    }
+    
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+  }
+  
+  // Move a user's total XP and log it, like the RPCs do
+  const creditXp = (telegramId, amount, sourceType, sourceId) => {
+    const user = getTable('users').find(candidate => sameValue(candidate.telegram_id, telegramId));
+    if (!user) return null;
+    
+    const previousTotal = user.total_xp || 0;
+    user.total_xp = previousTotal + amount;
+    
+    insertRow('xp_transactions', {
+      user_id: telegramId,
+      amount,
+      source_type: sourceType,
+      source_id: sourceId,
+      previous_total: previousTotal,
+      new_total: user.total_xp
+    });
+    
+    return user.total_xp;
+  };
+  
+  const previousDay = (day) => new Date(new Date(`${day}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  
+  const recordUserAction = (params) => {
+    const duplicate = getTable('user_actions').some(action =>
+      !action.revoked &&
+      sameValue(action.raid_id, params.p_raid_id) &&
+      sameValue(action.user_id, params.p_user_id) &&
+      action.action_type === params.p_action_type &&
+      sameValue(action.tweet_id, params.p_tweet_id));
+    
+    if (duplicate) return [];
+    
+    const action = insertRow('user_actions', {
+      user_id: params.p_user_id,
+      raid_id: params.p_raid_id,
+      tweet_id: params.p_tweet_id,
+      action_type: params.p_action_type,
+      xp_earned: params.p_xp_earned,
+      verified: params.p_verified,
+      comment_text: params.p_comment_text,
+      comment_has_media: params.p_comment_has_media,
+      comment_is_gif: params.p_comment_is_gif,
+      twitter_action_id: params.p_twitter_action_id,
+      xp_multiplier: params.p_xp_multiplier,
+      acted_at: params.p_acted_at,
+      timestamp: new Date().toISOString()
+    });
+    
+    return [{
+      recorded_action_id: action.id,
+      user_total_xp: creditXp(params.p_user_id, params.p_xp_earned, 'raid', params.p_raid_id)
+    }];
+  };
+  
+  // Streak upsert shared by both kinds: grow(existing) returns the new length, or null to leave it,
+  // and marker(existing or null) the day or raid it was kept in
+  const advanceStreak = (params, kind, grow, marker) => {
+    const streak = getTable('user_streaks').find(candidate =>
+      sameValue(candidate.user_id, params.p_user_id) &&
+      sameValue(candidate.chat_id, params.p_chat_id) &&
+      candidate.kind === kind);
+    
+    if (!streak) {
+      insertRow('user_streaks', {
+        user_id: params.p_user_id,
+        chat_id: params.p_chat_id,
+        kind,
+        current_streak: 1,
+        best_streak: 1,
+        last_day: null,
+        last_raid_id: null,
+        ...marker(null)
+      });
+      return { streak_kind: kind, streak_current: 1, streak_best: 1 };
+    }
+    
+    const current = grow(streak);
+    if (current === null) return null;
+    
+    Object.assign(streak, marker(streak), {
+      current_streak: current,
+      best_streak: Math.max(streak.best_streak, current),
+      updated_at: new Date().toISOString()
+    });
+    
+    return { streak_kind: kind, streak_current: streak.current_streak, streak_best: streak.best_streak };
+  };
+  
+  // Database functions, like the SQL versions in supabaseService.initializeDatabase
+  const rpcs = {
+    record_user_action: recordUserAction,
+    
+    revoke_user_action: ({ p_action_id }) => {
+      const action = getTable('user_actions').find(candidate => sameValue(candidate.id, p_action_id) && !candidate.revoked);
+      if (!action) return [];
+      
+      action.revoked = true;
+      action.revoked_at = new Date().toISOString();
+      
+      if (action.xp_earned > 0) {
+        creditXp(action.user_id, -action.xp_earned, 'raid', action.raid_id);
+      }
+      
+      return [{ revoked_xp: action.xp_earned }];
+    },
+    
+    record_follow_reward: (params) => {
+      const rewarded = getTable('follow_rewards').some(reward =>
+        sameValue(reward.user_id, params.p_user_id) &&
+        reward.target_twitter_id === params.p_target_twitter_id &&
+        reward.scope === params.p_scope);
+      
+      if (rewarded) return false;
+      
+      insertRow('follow_rewards', {
+        user_id: params.p_user_id,
+        target_twitter_id: params.p_target_twitter_id,
+        scope: params.p_scope,
+        raid_id: params.p_raid_id,
+        xp_earned: params.p_xp_earned
+      });
+      
+      recordUserAction({
+        p_user_id: params.p_user_id,
+        p_raid_id: params.p_raid_id,
+        p_tweet_id: params.p_tweet_id,
+        p_action_type: 'follow',
+        p_xp_earned: params.p_xp_earned,
+        p_verified: true,
+        p_comment_text: null,
+        p_comment_has_media: false,
+        p_comment_is_gif: false,
+        p_twitter_action_id: null,
+        p_xp_multiplier: 1,
+        p_acted_at: null
+      });
+      
+      return true;
+    },
+    
+    advance_streaks: (params) => [
+      advanceStreak(params, 'day', streak => {
+        if (streak.last_day !== null && streak.last_day >= params.p_day) return null;
+        return streak.last_day === previousDay(params.p_day) ? streak.current_streak + 1 : 1;
+      }, () => ({ last_day: params.p_day })),
+      advanceStreak(params, 'raid', streak => {
+        if (sameValue(streak.last_raid_id, params.p_raid_id)) return null;
+        return streak.current_streak + 1;
+      }, streak => ({ last_raid_id: streak ? Math.max(streak.last_raid_id || 0, params.p_raid_id) : params.p_raid_id }))
+    ].filter(Boolean)
+  };
+  
+  return {
+    tables,
+    
+    from: (table) => new Query(table),
+    
+    rpc: async (name, params = {}) => {
+      if (!rpcs[name]) {
+        return { data: null, error: { message: `Fake Supabase has no function ${name}` } };
+      }
+      
+      return { data: clone(rpcs[name](params)), error: null };
+    }
+  };
+};
+
+module.exports = {
+  createFakeSupabase
+};
@@ -0,0 +1,34 @@
+const helpers = require('../../src/utils/helpers');
+
+describe('textSimilarity', () => {
+  it('scores identical text 1', () => {
+    expect(helpers.textSimilarity('Great project, bullish!', 'Great project, bullish!')).toBe(1);
+  });
+  
+  it('ignores case, punctuation, extra spaces and links', () => {
+    expect(helpers.textSimilarity(
+      'Great project,   BULLISH! https://t.co/abc123',
+      'great project bullish'
+    )).toBe(1);
+  });
+  
+  it('scores small edits to copied text high', () => {
+    expect(helpers.textSimilarity(
+      'This launch is going to change everything for the community',
+      'This launch is going to change everything for our community'
+    )).toBeGreaterThan(0.85);
+  });
+  
+  it('scores unrelated text low', () => {
+    expect(helpers.textSimilarity(
+      'This launch is going to change everything for the community',
+      'gm frens, who else is farming today?'
+    )).toBeLessThan(0.3);
+  });
+  
+  it('only matches text too short for trigrams exactly', () => {
+    expect(helpers.textSimilarity('gm', 'GM!')).toBe(1);
+    expect(helpers.textSimilarity('gm', 'gn')).toBe(0);
+    expect(helpers.textSimilarity('', null)).toBe(1);
+  });
+});